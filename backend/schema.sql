@@ -13,8 +13,16 @@
 --     Tu peux exécuter ce script via : mysql2.execute(fs.readFileSync('schema.sql'))
 --     Mais c'est mieux de le faire une fois manuellement.
 --
+--   Base existante (créée avec une version antérieure de ce fichier) :
+--     les CREATE TABLE IF NOT EXISTS ne modifient pas les tables déjà là ;
+--     npm run migrate (src/cli/migrate.js) ajoute ce qui manque.
+--
 -- ORDRE IMPORTANT : les tables avec FK doivent être créées après leurs références.
 --   users → salons → messages → moods → reports → reactions → revoked_tokens
+--   → refresh_tokens → password_resets → email_verifications → sessions
+--   → mfa_backup_codes → login_failures → suspensions → message_edits
+--   → crisis_events
+--   Pour supprimer les tables, suivre l'ordre inverse.
 -- =============================================================================
 
 -- Crée la base si elle n'existe pas déjà
@@ -38,25 +46,53 @@ SET FOREIGN_KEY_CHECKS = 0;
 --   — NOT NULL explicite sur les colonnes obligatoires
 --   — is_banned ajouté (modération)
 --   — updated_at ajouté (audit)
+--   — tokens_revoked_at ajouté (POST /api/logout-all — déconnexion de tous les appareils)
+--   — token_version ajouté (déconnexion globale par version de token, sans
+--     dépendre de la seconde d'émission des JWT)
+--   — email_verified_at ajouté (vérification de l'adresse après inscription)
+--   — totp_secret, totp_enabled_at, totp_last_step ajoutés (double authentification)
+--   — failed_login_count, last_failed_login_at, locked_until ajoutés (verrouillage
+--     du compte après des échecs de connexion répétés)
+--   — is_guest, guest_token_hash ajoutés (comptes invités sans email ni mot de
+--     passe) — email et password_hash deviennent NULL pour ces comptes
+--   — guest_ip_hash ajouté (empreinte de l'IP de création d'un compte invité,
+--     pour refuser un nouvel invité à un invité suspendu)
+--   — is_admin remplacé par role (user, moderator, counselor, admin) — les
+--     permissions de chaque rôle sont définies dans src/utils/roles.js
+--   — is_banned remplacé par la table suspensions (motif, durée, historique)
 -- =============================================================================
 CREATE TABLE IF NOT EXISTS users (
   id               BIGINT UNSIGNED  NOT NULL AUTO_INCREMENT,
   username         VARCHAR(30)      NOT NULL                   COMMENT 'Pseudo public visible dans le chat',
-  email            VARCHAR(255)     NOT NULL                   COMMENT 'Email pour la connexion — jamais affiché',
-  password_hash    VARCHAR(255)     NOT NULL                   COMMENT 'Hash bcrypt — jamais le mot de passe en clair',
+  email            VARCHAR(255)     DEFAULT NULL               COMMENT 'Email pour la connexion — jamais affiché (NULL pour un invité)',
+  password_hash    VARCHAR(255)     DEFAULT NULL               COMMENT 'Hash bcrypt — jamais le mot de passe en clair (NULL pour un invité)',
   avatar           VARCHAR(10)      NOT NULL DEFAULT '🌟'      COMMENT 'Emoji avatar choisi à l\'inscription',
   first_name       VARCHAR(60)      DEFAULT NULL               COMMENT 'Prénom réel — privé, usage urgence uniquement',
   last_name        VARCHAR(60)      DEFAULT NULL               COMMENT 'Nom réel — privé',
   emergency_name   VARCHAR(100)     DEFAULT NULL               COMMENT 'Nom du contact d\'urgence',
   emergency_phone  VARCHAR(30)      DEFAULT NULL               COMMENT 'Téléphone du contact d\'urgence',
-  is_banned        TINYINT(1)       NOT NULL DEFAULT 0         COMMENT '0 = actif, 1 = banni par la modération',
-  is_admin         TINYINT(1)       NOT NULL DEFAULT 0         COMMENT '0 = utilisateur, 1 = administrateur',
+  role             ENUM('user','moderator','counselor','admin') NOT NULL DEFAULT 'user' COMMENT 'Rôle dans l\'équipe — user = aucun accès à la modération',
+  tokens_revoked_at TIMESTAMP       DEFAULT NULL               COMMENT 'Date de la dernière déconnexion globale',
+  token_version    INT UNSIGNED     NOT NULL DEFAULT 0         COMMENT 'Incrémentée à chaque déconnexion globale — un JWT d\'une autre version (claim tv) est refusé',
+  email_verified_at TIMESTAMP       DEFAULT NULL               COMMENT 'NULL tant que l\'adresse email n\'est pas vérifiée',
+  totp_secret      VARCHAR(255)     DEFAULT NULL               COMMENT 'Secret TOTP chiffré (AES-256-GCM) — jamais en clair',
+  totp_enabled_at  TIMESTAMP        NULL DEFAULT NULL          COMMENT 'NULL = 2FA inactive (secret éventuel en attente de confirmation)',
+  totp_last_step   BIGINT UNSIGNED  DEFAULT NULL               COMMENT 'Dernier pas TOTP accepté — un code ne sert qu\'une fois',
+  failed_login_count   INT UNSIGNED NOT NULL DEFAULT 0       COMMENT 'Échecs de connexion consécutifs (remis à 0 après un succès)',
+  last_failed_login_at TIMESTAMP    NULL DEFAULT NULL        COMMENT 'Dernier échec — le compteur repart de 0 après une période calme',
+  locked_until     TIMESTAMP        NULL DEFAULT NULL          COMMENT 'Connexion refusée jusqu\'à cette date (verrouillage temporaire)',
+  is_guest         TINYINT(1)       NOT NULL DEFAULT 0         COMMENT '1 = compte invité (pseudo seul, droits restreints)',
+  guest_token_hash VARCHAR(64)      DEFAULT NULL               COMMENT 'SHA-256 du jeton d\'appareil de l\'invité — effacé à la conversion',
+  guest_ip_hash    VARCHAR(64)      DEFAULT NULL               COMMENT 'HMAC de l\'IP de création du compte invité (LOCKOUT_PEPPER)',
   created_at       TIMESTAMP        NOT NULL DEFAULT CURRENT_TIMESTAMP,
   updated_at       TIMESTAMP        DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
 
   PRIMARY KEY (id),
   UNIQUE KEY uq_username (username),
-  UNIQUE KEY uq_email    (email)
+  UNIQUE KEY uq_email    (email),            -- plusieurs NULL autorisés (invités)
+  UNIQUE KEY uq_guest_token (guest_token_hash),
+  KEY idx_guest_ip (guest_ip_hash),          -- invités suspendus créés depuis la même IP
+  KEY idx_role (role)                        -- liste de l'équipe (GET /api/admin/staff)
   -- Les colonnes UNIQUE ont automatiquement un index en MySQL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
   COMMENT='Identités et profils utilisateurs';
@@ -67,12 +103,27 @@ CREATE TABLE IF NOT EXISTS users (
 -- Salons de discussion (ex : "Espace Général").
 --
 -- NOUVELLE TABLE : salon_id était présent dans messages mais la table n'existait pas.
+--
+--   — Chaque salon est une room Socket.io (salon:<id>) : messages, réactions
+--     et indicateur de saisie ne sont diffusés qu'à ses membres connectés
+--   — Le salon 1 (Espace Général) est le salon par défaut
+--   — Créés par l'équipe (POST /api/salons, permission salons:manage)
+--   — Règles de publication propres à chaque salon (utils/salonPolicy.js),
+--     réglées par l'équipe (PATCH /api/admin/salons/:id) : mode lent,
+--     longueur maximale, salon d'annonces ou en lecture seule, ancienneté
+--     minimale du compte
 -- =============================================================================
 CREATE TABLE IF NOT EXISTS salons (
   id          TINYINT UNSIGNED NOT NULL AUTO_INCREMENT  COMMENT 'Petit entier — peu de salons prévus',
   name        VARCHAR(50)      NOT NULL                  COMMENT 'Nom du salon',
   description VARCHAR(255)     DEFAULT NULL              COMMENT 'Description affichée dans l\'interface',
+  emoji       VARCHAR(10)      NOT NULL DEFAULT '💬'     COMMENT 'Icône affichée dans la liste des salons',
   is_active   TINYINT(1)       NOT NULL DEFAULT 1        COMMENT '1 = actif, 0 = archivé',
+  slow_mode_seconds     SMALLINT UNSIGNED NOT NULL DEFAULT 0    COMMENT 'Délai entre deux messages d\'un même compte (0 = libre)',
+  max_message_length    SMALLINT UNSIGNED NOT NULL DEFAULT 500  COMMENT 'Longueur maximale d\'un message (2000 au plus)',
+  posting_mode          ENUM('open', 'announcements', 'read_only') NOT NULL DEFAULT 'open'
+                        COMMENT 'open = tout le monde, announcements = équipe seulement, read_only = personne',
+  min_account_age_hours SMALLINT UNSIGNED NOT NULL DEFAULT 0    COMMENT 'Ancienneté minimale du compte pour publier (0 = aucune)',
   created_at  TIMESTAMP        NOT NULL DEFAULT CURRENT_TIMESTAMP,
 
   PRIMARY KEY (id),
@@ -81,8 +132,12 @@ CREATE TABLE IF NOT EXISTS salons (
   COMMENT='Salons de discussion';
 
 -- Insère le salon par défaut (indispensable avant d'insérer des messages)
-INSERT INTO salons (name, description)
-VALUES ('Espace Général', 'Salon principal de la communauté Trust Layer')
+-- puis les salons thématiques de départ
+INSERT INTO salons (name, description, emoji)
+VALUES ('Espace Général', 'Salon principal de la communauté Trust Layer', '💬'),
+       ('Examens',  'Stress des partiels, révisions, résultats : on en parle ici', '📚'),
+       ('Famille',  'Tensions, attentes, éloignement : parler de sa famille sans jugement', '🏠'),
+       ('Solitude', 'Pour ceux qui se sentent seuls, loin de chez eux ou isolés', '🌙')
 ON DUPLICATE KEY UPDATE name = name; -- idempotent : pas d'erreur si déjà présent
 
 
@@ -100,8 +155,15 @@ CREATE TABLE IF NOT EXISTS messages (
   id          BIGINT UNSIGNED  NOT NULL AUTO_INCREMENT,
   user_id     BIGINT UNSIGNED  NOT NULL                  COMMENT 'Auteur du message',
   salon_id    TINYINT UNSIGNED NOT NULL DEFAULT 1        COMMENT 'Salon de destination',
+  reply_to_id BIGINT UNSIGNED  DEFAULT NULL              COMMENT 'Message auquel celui-ci répond (fil de discussion)',
+  client_id   CHAR(36)         DEFAULT NULL              COMMENT 'UUID généré par le client — clé d\'idempotence de l\'envoi',
   content     TEXT             NOT NULL                  COMMENT 'Contenu du message (max 500 chars côté app)',
   deleted_at  TIMESTAMP        DEFAULT NULL              COMMENT 'NULL = visible, non-NULL = soft delete',
+  edited_at   TIMESTAMP        NULL DEFAULT NULL         COMMENT 'Dernière modification par l\'auteur (versions : message_edits)',
+  held_at     TIMESTAMP        NULL DEFAULT NULL         COMMENT 'NULL = publié, non-NULL = retenu par la modération automatique',
+  hold_reason VARCHAR(255)     DEFAULT NULL              COMMENT 'Règles qui ont retenu le message (utils/contentModerator.js)',
+  reviewed_by BIGINT UNSIGNED  DEFAULT NULL              COMMENT 'Modérateur qui a validé ou refusé le message retenu',
+  reviewed_at TIMESTAMP        NULL DEFAULT NULL,
   created_at  TIMESTAMP        NOT NULL DEFAULT CURRENT_TIMESTAMP,
 
   PRIMARY KEY (id),
@@ -113,11 +175,25 @@ CREATE TABLE IF NOT EXISTS messages (
   -- Index simple : optimise la modération "tous les messages de l'user X"
   KEY idx_messages_user (user_id),
 
+  -- Index simple : réponses d'un message (fil, nombre de réponses)
+  KEY idx_messages_reply (reply_to_id),
+
+  -- Index simple : file des messages retenus à valider
+  KEY idx_messages_held (held_at),
+
+  -- Idempotence : un renvoi du même message (même client_id) ne crée pas de
+  -- doublon. Par utilisateur : un client ne peut pas deviner l'id d'un autre.
+  UNIQUE KEY uq_messages_client (user_id, client_id),
+
   CONSTRAINT fk_msg_user  FOREIGN KEY (user_id)  REFERENCES users(id)  ON DELETE CASCADE,
-  CONSTRAINT fk_msg_salon FOREIGN KEY (salon_id) REFERENCES salons(id) ON DELETE RESTRICT
+  CONSTRAINT fk_msg_salon FOREIGN KEY (salon_id) REFERENCES salons(id) ON DELETE RESTRICT,
+  CONSTRAINT fk_msg_reply FOREIGN KEY (reply_to_id) REFERENCES messages(id) ON DELETE SET NULL,
+  CONSTRAINT fk_msg_reviewer FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
 
   -- ON DELETE CASCADE sur user : si un compte est supprimé, ses messages partent aussi
   -- ON DELETE RESTRICT sur salon : on ne peut pas supprimer un salon qui a des messages
+  -- ON DELETE SET NULL sur reply_to : une réponse survit à la purge de son message
+  -- ON DELETE SET NULL sur reviewed_by : la validation survit au compte du modérateur
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
   COMMENT='Messages du chat avec soft delete';
 
@@ -185,23 +261,28 @@ CREATE TABLE IF NOT EXISTS reports (
 
 -- =============================================================================
 -- TABLE 6 : reactions
--- Réactions emoji aux messages (bouton 💜 dans le frontend).
+-- Réactions emoji aux messages (palette 💜 🤗 💪 … dans le frontend).
 -- NOUVELLE TABLE : le frontend avait déjà le bouton mais la persistance manquait.
 --
 -- Fonctionne en "toggle" : ajouter = réagir, ajouter à nouveau = retirer.
--- La contrainte UNIQUE garantit qu'un utilisateur ne peut réagir qu'une fois.
+-- La contrainte UNIQUE garantit qu'un utilisateur ne réagit qu'une fois avec
+-- chaque emoji. Les emojis autorisés sont listés dans src/utils/reactions.js.
+--
+-- emoji est en utf8mb4_bin : avec utf8mb4_unicode_ci, MySQL considère tous
+-- les emojis comme égaux (💜 = 🤗), ce qui casserait l'unicité et les totaux.
 -- =============================================================================
 CREATE TABLE IF NOT EXISTS reactions (
   id          BIGINT UNSIGNED  NOT NULL AUTO_INCREMENT,
   user_id     BIGINT UNSIGNED  NOT NULL,
   message_id  BIGINT UNSIGNED  NOT NULL,
-  emoji       VARCHAR(10)      NOT NULL DEFAULT '💜',
+  emoji       VARCHAR(10)      CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL DEFAULT '💜',
   created_at  TIMESTAMP        NOT NULL DEFAULT CURRENT_TIMESTAMP,
 
   PRIMARY KEY (id),
 
-  -- Une seule réaction par utilisateur par message (toggle côté backend)
-  UNIQUE KEY uq_reaction (user_id, message_id),
+  -- Un même emoji une seule fois par utilisateur et par message (toggle côté
+  -- backend) ; plusieurs emojis différents sont possibles
+  UNIQUE KEY uq_reaction (user_id, message_id, emoji),
 
   -- Index pour compter les réactions d'un message rapidement
   KEY idx_reactions_message (message_id),
@@ -239,6 +320,267 @@ CREATE TABLE IF NOT EXISTS revoked_tokens (
   COMMENT='JWT révoqués avant expiration';
 
 
+-- =============================================================================
+-- TABLE 8 : refresh_tokens
+-- Refresh tokens à rotation (POST /api/token/refresh).
+--
+-- L'access token (JWT) ne vit que quelques minutes ; le refresh token permet
+-- d'en obtenir un nouveau sans redemander le mot de passe.
+--   — family_id : identifie la chaîne de rotation = une session de connexion
+--   — used_at   : renseigné quand le token est échangé. Un token déjà utilisé
+--                 qui revient = vol probable → toute la famille est révoquée
+--   — Comme pour revoked_tokens, on ne stocke que le hash SHA-256
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id          BIGINT UNSIGNED  NOT NULL AUTO_INCREMENT,
+  user_id     BIGINT UNSIGNED  NOT NULL,
+  family_id   CHAR(32)         NOT NULL  COMMENT 'Session de connexion — partagé par tous les tokens d\'une rotation',
+  token_hash  VARCHAR(64)      NOT NULL  COMMENT 'SHA-256 du refresh token',
+  expires_at  TIMESTAMP        NOT NULL,
+  used_at     TIMESTAMP        DEFAULT NULL  COMMENT 'Date d\'échange contre une nouvelle paire',
+  revoked_at  TIMESTAMP        DEFAULT NULL  COMMENT 'Déconnexion ou réutilisation détectée',
+  created_at  TIMESTAMP        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_refresh_hash (token_hash),
+
+  -- Révocation d'une famille entière (logout, réutilisation détectée)
+  KEY idx_refresh_family (family_id),
+
+  -- Révocation de toutes les sessions d'un utilisateur (logout-all)
+  KEY idx_refresh_user (user_id),
+
+  KEY idx_refresh_expires (expires_at),
+
+  CONSTRAINT fk_refresh_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Refresh tokens à rotation';
+
+
+-- =============================================================================
+-- TABLE 9 : password_resets
+-- Demandes de réinitialisation de mot de passe (POST /api/password/forgot).
+--
+--   — Le token envoyé par email n'est stocké que sous forme de hash SHA-256
+--   — Usage unique (used_at) et durée de vie courte (expires_at)
+--   — Une nouvelle demande invalide les précédentes encore ouvertes
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS password_resets (
+  id          BIGINT UNSIGNED  NOT NULL AUTO_INCREMENT,
+  user_id     BIGINT UNSIGNED  NOT NULL,
+  token_hash  VARCHAR(64)      NOT NULL  COMMENT 'SHA-256 du token envoyé par email',
+  expires_at  TIMESTAMP        NOT NULL,
+  used_at     TIMESTAMP        DEFAULT NULL  COMMENT 'Renseigné dès que le token a servi (ou a été remplacé)',
+  created_at  TIMESTAMP        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_reset_hash (token_hash),
+  KEY idx_reset_user (user_id),
+  KEY idx_reset_expires (expires_at),
+
+  CONSTRAINT fk_reset_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Tokens de réinitialisation de mot de passe';
+
+
+-- =============================================================================
+-- TABLE 10 : email_verifications
+-- Liens de vérification d'email envoyés à l'inscription (GET /api/verify-email).
+--
+--   — Même principe que password_resets : hash SHA-256, usage unique, expiration
+--   — Les lignes servent aussi à limiter les renvois (intervalle + quota journalier)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS email_verifications (
+  id          BIGINT UNSIGNED  NOT NULL AUTO_INCREMENT,
+  user_id     BIGINT UNSIGNED  NOT NULL,
+  token_hash  VARCHAR(64)      NOT NULL  COMMENT 'SHA-256 du token envoyé par email',
+  expires_at  TIMESTAMP        NOT NULL,
+  used_at     TIMESTAMP        DEFAULT NULL  COMMENT 'Renseigné dès que le token a servi (ou a été remplacé)',
+  created_at  TIMESTAMP        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_verification_hash (token_hash),
+  KEY idx_verification_user (user_id, created_at),
+  KEY idx_verification_expires (expires_at),
+
+  CONSTRAINT fk_verification_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Tokens de vérification d\'adresse email';
+
+
+-- =============================================================================
+-- TABLE 11 : sessions
+-- Une ligne par connexion (login, inscription) — affichée dans "Mes sessions".
+--
+--   — id = family_id des refresh tokens et claim "sid" des JWT de la session
+--   — user_agent : résumé anonymisé ("Chrome sur Android"), jamais la chaîne brute
+--   — access_token_hash : dernier access token émis, pour pouvoir le révoquer
+--     (revoked_tokens) quand la session est fermée à distance
+--   — last_seen_at est mis à jour au plus une fois par minute
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS sessions (
+  id                 CHAR(32)         NOT NULL  COMMENT 'Identifiant de session (family_id / claim sid)',
+  user_id            BIGINT UNSIGNED  NOT NULL,
+  user_agent         VARCHAR(100)     DEFAULT NULL  COMMENT 'Navigateur et système, anonymisés',
+  access_token_hash  VARCHAR(64)      DEFAULT NULL  COMMENT 'SHA-256 du dernier access token émis',
+  access_expires_at  TIMESTAMP        NULL DEFAULT NULL,
+  expires_at         TIMESTAMP        NOT NULL  COMMENT 'Expiration du dernier refresh token',
+  created_at         TIMESTAMP        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at       TIMESTAMP        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  revoked_at         TIMESTAMP        NULL DEFAULT NULL,
+  mfa                TINYINT(1)       NOT NULL DEFAULT 0  COMMENT '1 = ouverte avec un second facteur (claim mfa des JWT)',
+
+  PRIMARY KEY (id),
+  KEY idx_sessions_user (user_id, revoked_at),
+  KEY idx_sessions_expires (expires_at),
+
+  CONSTRAINT fk_sessions_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Sessions de connexion (appareils)';
+
+
+-- =============================================================================
+-- TABLE 12 : mfa_backup_codes
+-- Codes de secours de la double authentification (téléphone perdu).
+--
+--   — 10 codes générés à l'activation, affichés une seule fois
+--   — Stockés sous forme de hash SHA-256, chacun utilisable une fois
+--   — Une régénération supprime la série précédente
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS mfa_backup_codes (
+  id          BIGINT UNSIGNED  NOT NULL AUTO_INCREMENT,
+  user_id     BIGINT UNSIGNED  NOT NULL,
+  code_hash   VARCHAR(64)      NOT NULL  COMMENT 'SHA-256 du code normalisé',
+  used_at     TIMESTAMP        NULL DEFAULT NULL,
+  created_at  TIMESTAMP        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_backup_user_code (user_id, code_hash),
+
+  CONSTRAINT fk_backup_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Codes de secours 2FA';
+
+
+-- =============================================================================
+-- TABLE 13 : login_failures
+-- Journal des échecs de connexion — détection des attaques distribuées.
+--
+--   — user_id NULL : email inconnu (on garde la trace sans créer de compte)
+--   — ip_hash : HMAC-SHA-256 de l'IP (LOCKOUT_PEPPER), jamais l'adresse en clair
+--   — Permet de voir qu'un compte est visé depuis de nombreuses IP différentes,
+--     ce qu'aucune limite par IP (authLimiter) ne détecte
+--   — Lignes de plus de 30 jours supprimées par db.recordLoginFailure(), à
+--     chaque nouvel échec (pas de purge séparée)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS login_failures (
+  id          BIGINT UNSIGNED  NOT NULL AUTO_INCREMENT,
+  user_id     BIGINT UNSIGNED  DEFAULT NULL,
+  ip_hash     VARCHAR(64)      NOT NULL  COMMENT 'HMAC-SHA-256 de l\'adresse IP (LOCKOUT_PEPPER)',
+  reason      ENUM('password', 'mfa', 'locked') NOT NULL DEFAULT 'password',
+  created_at  TIMESTAMP        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (id),
+  KEY idx_failures_user (user_id, created_at),
+  KEY idx_failures_created (created_at),
+
+  CONSTRAINT fk_failures_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Échecs de connexion (comptes visés, IP hachées)';
+
+
+-- =============================================================================
+-- TABLE 14 : suspensions
+-- Suspensions de comptes décidées par la modération — et leur historique.
+--
+--   — Un compte est suspendu tant qu'une ligne n'est ni levée (lifted_at) ni
+--     expirée (expires_at) : l'expiration ne demande aucune tâche planifiée
+--   — expires_at NULL : durée indéterminée, jusqu'à levée manuelle
+--   — reason est affiché à l'utilisateur quand il tente de se connecter
+--   — moderator_id NULL : suspension décidée depuis la CLI d'exploitation
+--   — Une nouvelle suspension lève la précédente (une seule active à la fois)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS suspensions (
+  id            BIGINT UNSIGNED  NOT NULL AUTO_INCREMENT,
+  user_id       BIGINT UNSIGNED  NOT NULL  COMMENT 'Compte suspendu',
+  moderator_id  BIGINT UNSIGNED  DEFAULT NULL  COMMENT 'Auteur de la suspension (NULL = CLI)',
+  reason        VARCHAR(500)     NOT NULL  COMMENT 'Motif — communiqué à l\'utilisateur',
+  created_at    TIMESTAMP        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at    TIMESTAMP        NULL DEFAULT NULL  COMMENT 'Fin automatique — NULL = durée indéterminée',
+  lifted_at     TIMESTAMP        NULL DEFAULT NULL  COMMENT 'Levée avant terme',
+  lifted_by     BIGINT UNSIGNED  DEFAULT NULL  COMMENT 'Auteur de la levée (NULL = CLI ou remplacement)',
+
+  PRIMARY KEY (id),
+  KEY idx_suspensions_user (user_id, lifted_at),   -- suspension en cours d'un compte
+  KEY idx_suspensions_created (created_at),
+
+  CONSTRAINT fk_suspensions_user      FOREIGN KEY (user_id)      REFERENCES users(id) ON DELETE CASCADE,
+  CONSTRAINT fk_suspensions_moderator FOREIGN KEY (moderator_id) REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT fk_suspensions_lifter    FOREIGN KEY (lifted_by)    REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Suspensions de comptes (motif, durée, historique)';
+
+
+-- =============================================================================
+-- TABLE 15 : message_edits
+-- Versions précédentes d'un message modifié par son auteur.
+--
+--   — Une ligne par modification : previous_content est le texte remplacé
+--   — Consultées par la modération uniquement : un signalement affiche le
+--     texte tel qu'il était au moment du signalement, même modifié depuis
+--   — Supprimées avec le message (CASCADE), jamais par l'auteur
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS message_edits (
+  id                BIGINT UNSIGNED  NOT NULL AUTO_INCREMENT,
+  message_id        BIGINT UNSIGNED  NOT NULL  COMMENT 'Message modifié',
+  previous_content  TEXT             NOT NULL  COMMENT 'Texte avant la modification',
+  edited_at         TIMESTAMP        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (id),
+  KEY idx_message_edits_message (message_id, edited_at),
+
+  CONSTRAINT fk_message_edits_message FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Historique des modifications de messages (modération)';
+
+
+-- =============================================================================
+-- TABLE 16 : crisis_events
+-- Messages de détresse repérés par le serveur (utils/crisisDetector.js).
+--
+--   — Une ligne par message détecté : l'équipe d'écoute (permission
+--     crisis:read) est alertée en temps réel et suit la situation
+--   — level : high (risque suicidaire ou d'automutilation) ou medium
+--   — matched_terms : expressions du lexique reconnues, pas le message
+--     (il reste dans messages, supprimable par son auteur)
+--   — status : open → acknowledged (un écoutant s'en occupe) → closed
+--   — message_id NULL : message purgé depuis, le suivi est conservé
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS crisis_events (
+  id              BIGINT UNSIGNED  NOT NULL AUTO_INCREMENT,
+  message_id      BIGINT UNSIGNED  DEFAULT NULL  COMMENT 'Message détecté',
+  user_id         BIGINT UNSIGNED  NOT NULL  COMMENT 'Auteur du message',
+  salon_id        TINYINT UNSIGNED NOT NULL,
+  level           ENUM('medium','high') NOT NULL,
+  matched_terms   VARCHAR(255)     NOT NULL  COMMENT 'Expressions reconnues, séparées par des virgules',
+  status          ENUM('open','acknowledged','closed') NOT NULL DEFAULT 'open',
+  handled_by      BIGINT UNSIGNED  DEFAULT NULL  COMMENT 'Écoutant qui a pris en charge',
+  handled_at      TIMESTAMP        NULL DEFAULT NULL,
+  closed_at       TIMESTAMP        NULL DEFAULT NULL,
+  note            VARCHAR(1000)    DEFAULT NULL  COMMENT 'Suivi interne de l\'équipe',
+  created_at      TIMESTAMP        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (id),
+  KEY idx_crisis_status (status, created_at),   -- file des alertes ouvertes
+  KEY idx_crisis_user (user_id, created_at),    -- historique d'un étudiant
+
+  CONSTRAINT fk_crisis_message FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE SET NULL,
+  CONSTRAINT fk_crisis_user    FOREIGN KEY (user_id)    REFERENCES users(id)    ON DELETE CASCADE,
+  CONSTRAINT fk_crisis_handler FOREIGN KEY (handled_by) REFERENCES users(id)    ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  COMMENT='Messages de détresse détectés et leur suivi par l\'équipe d\'écoute';
+
+
 -- Réactive les vérifications FK
 SET FOREIGN_KEY_CHECKS = 1;
 
@@ -255,4 +597,4 @@ FROM information_schema.TABLES
 WHERE TABLE_SCHEMA = 'trustlayer'
 ORDER BY TABLE_NAME;
 
--- Résultat attendu : 7 tables (messages, moods, reactions, reports, revoked_tokens, salons, users)
\ No newline at end of file
+-- Résultat attendu : 16 tables (crisis_events, email_verifications, login_failures, message_edits, mfa_backup_codes, messages, moods, password_resets, reactions, refresh_tokens, reports, revoked_tokens, salons, sessions, suspensions, users)
\ No newline at end of file
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+// =============================================================================
+// TRUST LAYER — src/cli/crisis-check.js
+// Vérifie la détection de détresse hors ligne (sans MySQL ni serveur).
+//
+// UTILISATION (depuis backend/) :
+//   npm run crisis:check                       — rejoue les exemples de
+//                                                src/lexicons/crisis_samples.txt
+//   npm run crisis:check -- "texte à tester"   — niveau détecté pour un message
+//   npm run crisis:check -- --samples <fichier>
+//
+// Code de sortie 1 si un exemple n'obtient pas le niveau attendu : la
+// commande peut servir de garde-fou avant de déployer un lexique modifié.
+// =============================================================================
+
+require('dotenv').config();
+
+const fs   = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { detectCrisis, LEXICON_FILE } = require('../utils/crisisDetector');
+
+const DEFAULT_SAMPLES = path.join(__dirname, '..', 'lexicons', 'crisis_samples.txt');
+const LEVELS          = ['none', 'medium', 'high'];
+
+function describe(result) {
+  return result ? `${result.level}  [${result.terms.join(', ')}]` : 'none';
+}
+
+function checkText(text) {
+  console.log(describe(detectCrisis(text)));
+}
+
+function checkSamples(file) {
+  let total  = 0;
+  let failed = 0;
+
+  for (const [i, raw] of fs.readFileSync(file, 'utf8').split(/\r?\n/).entries()) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const match = line.match(/^(\w+)\s*\|\s*(.+)$/);
+    if (!match || !LEVELS.includes(match[1])) {
+      console.error(`Ligne ${i + 1} ignorée (format : "niveau | message") : ${line}`);
+      continue;
+    }
+
+    total++;
+    const result = detectCrisis(match[2]);
+    const level  = result ? result.level : 'none';
+    if (level !== match[1]) {
+      failed++;
+      console.log(`ÉCHEC ligne ${i + 1} : attendu ${match[1]}, obtenu ${describe(result)}\n  ${match[2]}`);
+    }
+  }
+
+  console.log(`${total - failed}/${total} exemples conformes (lexique : ${LEXICON_FILE})`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args:    argv,
+    options: { samples: { type: 'string' } },
+    allowPositionals: true,
+  });
+
+  if (positionals.length > 0) checkText(positionals.join(' '));
+  else checkSamples(values.samples ? path.resolve(values.samples) : DEFAULT_SAMPLES);
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (err) {
+  console.error(`Erreur : ${err.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,490 @@
+#!/usr/bin/env node
+// =============================================================================
+// TRUST LAYER — src/cli/index.js
+// Outil d'exploitation en ligne de commande : gérer les comptes sans SQL.
+//
+// UTILISATION (depuis backend/) :
+//   npm run cli -- <commande> [options]
+//   npm run cli -- help
+//
+// COMMANDES :
+//   create-admin --email <email> --username <pseudo> [--avatar <emoji>]
+//   promote <compte> [--role moderator|counselor|admin]   (défaut : admin)
+//   demote <compte>
+//   ban <compte> --reason <motif> [--duration <12h|7j>]   (défaut : indéterminée)
+//   unban <compte>
+//   suspensions <compte>
+//   reset-password <compte>
+//   revoke-tokens <compte>
+//   stats
+//   retention [--dry-run]
+//   jwt-keys
+//   jwt-rotate
+//   jwt-retire <kid>
+//   totp-rekey [--legacy] [--dry-run]
+//
+// <compte> = ID numérique, email ou pseudo.
+//
+// MOTS DE PASSE :
+//   Toujours demandés au clavier (saisie masquée), jamais en argument : ils
+//   finiraient dans l'historique du shell et la liste des processus.
+//
+// JOURNALISATION :
+//   Chaque action passe par logger (logs/security.log pour les actions
+//   sensibles) avec operator = utilisateur système qui a lancé la commande.
+//
+// LIMITE :
+//   La CLI ne partage pas l'instance Socket.io du serveur. Une suspension ou
+//   une révocation invalide immédiatement les tokens ; les WebSockets déjà
+//   ouverts sont refusés à leur prochaine reconnexion.
+// =============================================================================
+
+require('dotenv').config();
+
+const os        = require('os');
+const crypto    = require('crypto');
+const readline  = require('readline');
+const { parseArgs } = require('util');
+const bcrypt    = require('bcryptjs');
+const db        = require('../db/database');
+const logger    = require('../utils/logger');
+const mailer    = require('../mail/mailer');
+const templates = require('../mail/templates');
+const { ROLES, ROLE_LABELS } = require('../utils/roles');
+const { checkPassword }      = require('../utils/passwordPolicy');
+const { MAX_HOURS, suspendUser, describeSuspension } = require('../utils/suspensions');
+const jwtKeys                = require('../utils/jwtKeys');
+const { RETENTION_DAYS, runRetention } = require('../utils/retention');
+const totp                   = require('../utils/totp');
+
+// Erreur attendue (mauvais argument, compte introuvable…) : message seul, sans pile
+class CliError extends Error {}
+
+const OPERATOR = (() => {
+  try { return os.userInfo().username; } catch { return 'inconnu'; }
+})();
+
+const USERNAME_RE = /^[\w\s\u00C0-\u024F''-]{3,30}$/;
+const EMAIL_RE    = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+
+// ── Saisie ────────────────────────────────────────────────────────────────────
+
+/**
+ * Pose une question sans afficher la réponse (mot de passe).
+ * Hors terminal (stdin redirigé), lit simplement la ligne suivante.
+ */
+function askHidden(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({
+      input:    process.stdin,
+      output:   process.stdout,
+      terminal: !!process.stdin.isTTY,
+    });
+    process.stdout.write(question);
+    rl._writeToOutput = () => {}; // masque l'écho de la saisie
+    rl.question('', answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Demande un nouveau mot de passe conforme à la politique du serveur.
+ */
+async function askNewPassword({ username, email }) {
+  const password = await askHidden('Nouveau mot de passe : ');
+
+  const issues = checkPassword(password, { username, email });
+  if (issues.length > 0) throw new CliError(issues.join('\n'));
+
+  if (process.stdin.isTTY && await askHidden('Confirmation : ') !== password) {
+    throw new CliError('Les mots de passe ne correspondent pas.');
+  }
+
+  const rounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+  return bcrypt.hash(password, rounds);
+}
+
+
+// ── Comptes ───────────────────────────────────────────────────────────────────
+
+/**
+ * Retrouve un compte par ID, email ou pseudo.
+ */
+async function resolveUser(ref) {
+  if (!ref) throw new CliError('Compte manquant (ID, email ou pseudo).');
+
+  let user = null;
+  if (/^\d+$/.test(ref)) {
+    user = await db.findUserById(parseInt(ref, 10));
+  } else if (ref.includes('@')) {
+    const found = await db.findUserByEmail(ref);
+    user = found && await db.findUserById(found.id);
+  } else {
+    const found = await db.findUserByUsername(ref);
+    user = found && await db.findUserById(found.id);
+  }
+
+  if (!user) throw new CliError(`Compte introuvable : ${ref}`);
+  return user;
+}
+
+function describe(user) {
+  return `#${user.id} @${user.username} (${ROLE_LABELS[user.role] || user.role})`;
+}
+
+/**
+ * Durée de suspension en heures : "12h", "7j" (ou "7d").
+ */
+function parseDuration(value) {
+  const match = /^(\d+)\s*([hjd])$/i.exec(String(value).trim());
+  if (!match) throw new CliError(`Durée invalide : ${value} (exemples : 12h, 7j)`);
+
+  const hours = parseInt(match[1], 10) * (match[2].toLowerCase() === 'h' ? 1 : 24);
+  if (hours < 1 || hours > MAX_HOURS) throw new CliError(`Durée invalide : 1 h à ${MAX_HOURS / 24} jours.`);
+  return hours;
+}
+
+// Coupe toutes les sessions : access tokens (token_version) et refresh tokens
+async function revokeEverything(userId) {
+  await db.revokeAllUserTokens(userId);
+  await db.revokeUserRefreshTokens(userId);
+}
+
+
+// ── Commandes ─────────────────────────────────────────────────────────────────
+
+const COMMANDS = {
+
+  'create-admin': {
+    usage: 'create-admin --email <email> --username <pseudo> [--avatar <emoji>]',
+    help:  'Crée un compte administrateur (email considéré comme vérifié).',
+    options: {
+      email:    { type: 'string' },
+      username: { type: 'string' },
+      avatar:   { type: 'string' },
+    },
+    async run({ values }) {
+      const email    = (values.email || '').trim().toLowerCase();
+      const username = (values.username || '').trim();
+
+      if (!EMAIL_RE.test(email))       throw new CliError('Adresse email invalide (--email).');
+      if (!USERNAME_RE.test(username)) throw new CliError('Pseudo invalide (--username, 3 à 30 caractères).');
+      if (await db.findUserByEmailOrUsername(email, username)) {
+        throw new CliError('Cet email ou ce pseudo est déjà utilisé.');
+      }
+
+      const password_hash = await askNewPassword({ username, email });
+
+      const user = await db.createUser({ username, email, password_hash, avatar: values.avatar || '🛡️' });
+      await db.setUserRole(user.id, 'admin');
+      await db.markEmailVerified(user.id);
+
+      logger.security('[CLI] Compte administrateur créé', { operator: OPERATOR, targetUserId: user.id });
+
+      console.log(`Administrateur créé : #${user.id} @${user.username}`);
+      console.log('Connecte-toi puis active la double authentification (Mon profil) : elle est exigée pour la modération.');
+    },
+  },
+
+  promote: {
+    usage: 'promote <compte> [--role moderator|counselor|admin]',
+    help:  'Donne un rôle d\'équipe (admin par défaut).',
+    options: { role: { type: 'string', default: 'admin' } },
+    async run({ values, positionals }) {
+      const role = values.role;
+      if (!ROLES.includes(role) || role === 'user') {
+        throw new CliError(`Rôle invalide. Valeurs acceptées : ${ROLES.filter(r => r !== 'user').join(', ')}`);
+      }
+
+      const user = await resolveUser(positionals[0]);
+      if (!await db.setUserRole(user.id, role)) {
+        throw new CliError('Un compte invité ne peut pas rejoindre l\'équipe.');
+      }
+
+      logger.security('[CLI] Rôle modifié', { operator: OPERATOR, targetUserId: user.id, previousRole: user.role, role });
+      console.log(`${describe(user)} → ${ROLE_LABELS[role]}`);
+    },
+  },
+
+  demote: {
+    usage: 'demote <compte>',
+    help:  'Retire le rôle d\'équipe (retour au rôle utilisateur).',
+    async run({ positionals }) {
+      const user = await resolveUser(positionals[0]);
+      await db.setUserRole(user.id, 'user');
+
+      logger.security('[CLI] Rôle modifié', { operator: OPERATOR, targetUserId: user.id, previousRole: user.role, role: 'user' });
+      console.log(`${describe(user)} → ${ROLE_LABELS.user}`);
+    },
+  },
+
+  ban: {
+    usage: 'ban <compte> --reason <motif> [--duration <12h|7j>]',
+    help:  'Suspend un compte (durée indéterminée par défaut) et révoque toutes ses sessions.',
+    options: {
+      reason:   { type: 'string' },
+      duration: { type: 'string' },
+    },
+    async run({ positionals, values }) {
+      const reason = (values.reason || '').trim();
+      if (reason.length < 3 || reason.length > 500) {
+        throw new CliError('Motif obligatoire (--reason), entre 3 et 500 caractères : il est affiché à l\'utilisateur.');
+      }
+      const hours = values.duration ? parseDuration(values.duration) : null;
+
+      const user       = await resolveUser(positionals[0]);
+      const suspension = await suspendUser({ userId: user.id, reason, hours });
+
+      logger.security('[CLI] Utilisateur suspendu', { operator: OPERATOR, targetUserId: user.id, hours });
+      console.log(`${describe(user)} suspendu, sessions révoquées.`);
+      console.log(`Message affiché : ${describeSuspension(suspension)}`);
+    },
+  },
+
+  unban: {
+    usage: 'unban <compte>',
+    help:  'Lève la suspension en cours d\'un compte.',
+    async run({ positionals }) {
+      const user = await resolveUser(positionals[0]);
+      if (!await db.liftSuspension(user.id)) {
+        throw new CliError(`${describe(user)} n'est pas suspendu.`);
+      }
+
+      logger.security('[CLI] Suspension levée', { operator: OPERATOR, targetUserId: user.id });
+      console.log(`Suspension de ${describe(user)} levée.`);
+    },
+  },
+
+  suspensions: {
+    usage: 'suspensions <compte>',
+    help:  'Historique des suspensions d\'un compte.',
+    async run({ positionals }) {
+      const user = await resolveUser(positionals[0]);
+      const list = await db.listSuspensions(user.id);
+
+      logger.info('[CLI] Historique des suspensions consulté', { operator: OPERATOR, targetUserId: user.id });
+      if (list.length === 0) {
+        console.log(`Aucune suspension pour ${describe(user)}.`);
+        return;
+      }
+
+      const STATUS = { active: 'en cours', expired: 'terminée', lifted: 'levée' };
+      console.log(`Suspensions de ${describe(user)} :`);
+      for (const s of list) {
+        const end = s.lifted_at ? `levée ${s.lifted_at}${s.lifted_by_username ? ` par @${s.lifted_by_username}` : ''}`
+                  : s.expires_at ? `jusqu'au ${s.expires_at}` : 'sans terme';
+        console.log(`  ${s.created_at}  ${STATUS[s.status].padEnd(8)}  ${end}`);
+        console.log(`      par ${s.moderator_username ? `@${s.moderator_username}` : 'CLI'} — ${s.reason}`);
+      }
+    },
+  },
+
+  'reset-password': {
+    usage: 'reset-password <compte>',
+    help:  'Définit un nouveau mot de passe, déverrouille le compte et coupe ses sessions.',
+    async run({ positionals }) {
+      const user = await resolveUser(positionals[0]);
+      if (user.is_guest) throw new CliError('Un compte invité n\'a pas de mot de passe.');
+
+      const password_hash = await askNewPassword({ username: user.username, email: user.email });
+      await db.updatePassword(user.id, password_hash);
+      await db.resetFailedLogins(user.id);
+      await revokeEverything(user.id);
+
+      await mailer.sendMail({ to: user.email, ...templates.passwordChanged({ username: user.username }) })
+        .catch(err => logger.error('Échec envoi email de confirmation', { userId: user.id, error: err.message }));
+
+      logger.security('[CLI] Mot de passe réinitialisé', { operator: OPERATOR, targetUserId: user.id });
+      console.log(`Mot de passe de ${describe(user)} modifié, sessions révoquées.`);
+    },
+  },
+
+  'revoke-tokens': {
+    usage: 'revoke-tokens <compte>',
+    help:  'Déconnecte un compte de tous ses appareils.',
+    async run({ positionals }) {
+      const user = await resolveUser(positionals[0]);
+      await revokeEverything(user.id);
+
+      logger.security('[CLI] Sessions révoquées', { operator: OPERATOR, targetUserId: user.id });
+      console.log(`Toutes les sessions de ${describe(user)} sont révoquées.`);
+    },
+  },
+
+  stats: {
+    usage: 'stats',
+    help:  'Chiffres clés (identiques à GET /api/admin/stats).',
+    async run() {
+      const stats = await db.getModerationStats();
+
+      logger.info('[CLI] Statistiques consultées', { operator: OPERATOR });
+      console.log(`Utilisateurs              ${stats.users}`);
+      console.log(`Suspendus                 ${stats.banned}`);
+      console.log(`Messages actifs           ${stats.messages}`);
+      console.log(`Messages à valider        ${stats.held}`);
+      console.log(`Signalements en attente   ${stats.reports.pending}`);
+      console.log(`Signalements traités      ${stats.reports.resolved}`);
+      console.log(`Crises à suivre           ${stats.crisis.open}`);
+    },
+  },
+
+  retention: {
+    usage: 'retention [--dry-run]',
+    help:  'Purge les données dont la durée de conservation est dépassée (--dry-run : compte sans supprimer).',
+    options: { 'dry-run': { type: 'boolean', default: false } },
+    async run({ values }) {
+      const dryRun = values['dry-run'];
+      const run    = await runRetention({ dryRun });
+      if (run.status === 'error') throw new Error(run.error);
+
+      logger.info('[CLI] Purge de rétention', { operator: OPERATOR, dryRun, purged: run.purged });
+      for (const [kind, days] of Object.entries(RETENTION_DAYS)) {
+        const count = kind in run.purged ? `${run.purged[kind]} ligne(s)` : 'conservé';
+        console.log(`${kind.padEnd(18)} ${String(days).padStart(4)} j   ${count}`);
+      }
+      console.log(dryRun ? 'Simulation : rien n\'a été supprimé.' : `Purge terminée en ${run.durationMs} ms.`);
+    },
+  },
+
+  'jwt-keys': {
+    usage: 'jwt-keys',
+    help:  'Liste les clés de signature des JWT (sans les secrets).',
+    async run() {
+      console.log(`Trousseau : ${jwtKeys.KEYS_FILE}`);
+      for (const key of jwtKeys.listKeys()) {
+        const dates = [
+          key.created_at && `créée ${key.created_at}`,
+          key.rotated_at && `remplacée ${key.rotated_at}`,
+          key.retired_at && `retirée ${key.retired_at}`,
+        ].filter(Boolean).join(', ');
+        console.log(`  ${key.kid.padEnd(20)} ${key.status.padEnd(8)} ${dates}`);
+      }
+    },
+  },
+
+  'jwt-rotate': {
+    usage: 'jwt-rotate',
+    help:  'Crée une nouvelle clé active ; l\'ancienne reste valable en vérification.',
+    async run() {
+      const kid = jwtKeys.rotate();
+
+      logger.security('[CLI] Rotation des clés JWT', { operator: OPERATOR, kid });
+      console.log(`Nouvelle clé active : ${kid}`);
+      console.log('Le serveur la prend en compte sous 10 secondes. Retire l\'ancienne clé une fois ses tokens expirés (JWT_ACCESS_EXPIRES_IN).');
+    },
+  },
+
+  'jwt-retire': {
+    usage: 'jwt-retire <kid>',
+    help:  'Retire une ancienne clé : les tokens qu\'elle a signés sont refusés.',
+    async run({ positionals }) {
+      const kid = positionals[0];
+      if (!kid) throw new CliError('Identifiant de clé manquant.');
+
+      let retired;
+      try {
+        retired = jwtKeys.retire(kid);
+      } catch (err) {
+        throw new CliError(err.message);
+      }
+      if (!retired) throw new CliError(`Clé introuvable ou déjà retirée : ${kid}`);
+
+      logger.security('[CLI] Clé JWT retirée', { operator: OPERATOR, kid });
+      console.log(`Clé ${kid} retirée.`);
+    },
+  },
+
+  // Ancienne clé : TOTP_PREVIOUS_ENCRYPTION_KEY, ou avec --legacy la clé que
+  // les versions précédentes dérivaient de JWT_SECRET quand
+  // TOTP_ENCRYPTION_KEY était absente. Jamais en argument (historique du shell).
+  'totp-rekey': {
+    usage: 'totp-rekey [--legacy] [--dry-run]',
+    help:  'Rechiffre les secrets 2FA avec TOTP_ENCRYPTION_KEY (ancienne clé : TOTP_PREVIOUS_ENCRYPTION_KEY, ou --legacy : dérivée de JWT_SECRET).',
+    options: {
+      legacy:    { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false },
+    },
+    async run({ values }) {
+      let previousKey;
+      let newKey;
+      try {
+        newKey = totp.encryptionKey();
+        if (values.legacy) {
+          if (!process.env.JWT_SECRET) throw new Error('JWT_SECRET manquant');
+          previousKey = crypto.createHash('sha256').update(`totp:${process.env.JWT_SECRET}`).digest();
+        } else {
+          previousKey = totp.encryptionKey('TOTP_PREVIOUS_ENCRYPTION_KEY');
+        }
+      } catch (err) {
+        throw new CliError(err.message);
+      }
+
+      const dryRun = values['dry-run'];
+      let rekeyed = 0, current = 0, unreadable = 0;
+      for (const { id, totp_secret: stored } of await db.listTotpSecrets()) {
+        try {
+          totp.decryptSecret(stored, newKey);
+          current++;
+          continue;
+        } catch {
+          // pas encore chiffré avec la nouvelle clé
+        }
+        let secret;
+        try {
+          secret = totp.decryptSecret(stored, previousKey);
+        } catch {
+          unreadable++;
+          console.log(`  #${id} : secret illisible avec les deux clés`);
+          continue;
+        }
+        if (dryRun || await db.replaceTotpSecret(id, stored, totp.encryptSecret(secret, newKey))) rekeyed++;
+      }
+
+      logger.security('[CLI] Secrets 2FA rechiffrés', { operator: OPERATOR, dryRun, rekeyed, current, unreadable });
+      console.log(`${rekeyed} secret(s) ${dryRun ? 'à rechiffrer' : 'rechiffré(s)'}, ${current} déjà à jour, ${unreadable} illisible(s).`);
+      if (dryRun) console.log('Simulation : rien n\'a été modifié.');
+    },
+  },
+
+};
+
+function printHelp() {
+  console.log('Usage : npm run cli -- <commande> [options]\n');
+  for (const cmd of Object.values(COMMANDS)) {
+    console.log(`  ${cmd.usage}\n      ${cmd.help}`);
+  }
+  console.log('\n<compte> = ID numérique, email ou pseudo.');
+}
+
+
+// ── Point d'entrée ────────────────────────────────────────────────────────────
+async function main(argv) {
+  const [name, ...rest] = argv;
+  const command = COMMANDS[name];
+
+  try {
+    if (!command) {
+      printHelp();
+      if (name && name !== 'help') process.exitCode = 1;
+      return;
+    }
+
+    const args = parseArgs({ args: rest, options: command.options || {}, allowPositionals: true });
+    await command.run(args);
+  } catch (err) {
+    // parseArgs : option inconnue ou valeur manquante
+    const expected = err instanceof CliError || (err.code && err.code.startsWith('ERR_PARSE_ARGS'));
+    if (!expected) logger.error('[CLI] Erreur', { command: name, operator: OPERATOR, error: err.message });
+    console.error(expected ? `Erreur : ${err.message}\nUsage : ${command.usage}` : `Erreur : ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    await db.ready;
+    await db.pool.end();
+  }
+}
+
+main(process.argv.slice(2));
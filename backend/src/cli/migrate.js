@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+// =============================================================================
+// TRUST LAYER — src/cli/migrate.js
+// Met à jour une base créée avec une version antérieure de schema.sql.
+//
+// UTILISATION (depuis backend/) :
+//   npm run migrate                 — applique les changements manquants
+//   npm run migrate -- --dry-run    — affiche le SQL sans rien exécuter
+//
+// Le compte MySQL doit avoir les droits CREATE, ALTER, INDEX et REFERENCES
+// (l'utilisateur dédié de l'application ne les a pas) :
+//   DB_USER=root DB_PASSWORD=… npm run migrate
+//
+// IDEMPOTENT :
+//   Chaque étape vérifie information_schema avant d'agir : relancer la
+//   commande sur une base à jour ne fait rien. Les tables absentes sont
+//   créées à partir de schema.sql (CREATE TABLE IF NOT EXISTS), les colonnes,
+//   index et clés étrangères ajoutées ensuite reprennent ses définitions.
+//
+// REPRISE DES DONNÉES :
+//   — users.is_admin  → role = 'admin', puis la colonne est supprimée
+//   — users.is_banned → une suspension de durée indéterminée par compte
+//                       banni, puis la colonne est supprimée
+//   Les comptes existants ne sont pas marqués vérifiés : voir le README
+//   (email_verified_at) pour les confirmer d'un coup.
+// =============================================================================
+
+require('dotenv').config();
+
+const fs   = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const db   = require('../db/database');
+
+const SCHEMA_FILE = path.join(__dirname, '..', '..', 'schema.sql');
+
+// ── Colonnes ajoutées depuis la première version du schéma ────────────────────
+// [table, colonne, définition] dans l'ordre de schema.sql (AFTER la précédente)
+const COLUMNS = [
+  ['users', 'role',                 "ENUM('user','moderator','counselor','admin') NOT NULL DEFAULT 'user' AFTER emergency_phone"],
+  ['users', 'tokens_revoked_at',    'TIMESTAMP NULL DEFAULT NULL AFTER role'],
+  ['users', 'token_version',        'INT UNSIGNED NOT NULL DEFAULT 0 AFTER tokens_revoked_at'],
+  ['users', 'email_verified_at',    'TIMESTAMP NULL DEFAULT NULL AFTER token_version'],
+  ['users', 'totp_secret',          'VARCHAR(255) DEFAULT NULL AFTER email_verified_at'],
+  ['users', 'totp_enabled_at',      'TIMESTAMP NULL DEFAULT NULL AFTER totp_secret'],
+  ['users', 'totp_last_step',       'BIGINT UNSIGNED DEFAULT NULL AFTER totp_enabled_at'],
+  ['users', 'failed_login_count',   'INT UNSIGNED NOT NULL DEFAULT 0 AFTER totp_last_step'],
+  ['users', 'last_failed_login_at', 'TIMESTAMP NULL DEFAULT NULL AFTER failed_login_count'],
+  ['users', 'locked_until',         'TIMESTAMP NULL DEFAULT NULL AFTER last_failed_login_at'],
+  ['users', 'is_guest',             'TINYINT(1) NOT NULL DEFAULT 0 AFTER locked_until'],
+  ['users', 'guest_token_hash',     'VARCHAR(64) DEFAULT NULL AFTER is_guest'],
+  ['users', 'guest_ip_hash',        'VARCHAR(64) DEFAULT NULL AFTER guest_token_hash'],
+
+  ['salons', 'emoji',                 "VARCHAR(10) NOT NULL DEFAULT '💬' AFTER description"],
+  ['salons', 'slow_mode_seconds',     'SMALLINT UNSIGNED NOT NULL DEFAULT 0 AFTER is_active'],
+  ['salons', 'max_message_length',    'SMALLINT UNSIGNED NOT NULL DEFAULT 500 AFTER slow_mode_seconds'],
+  ['salons', 'posting_mode',          "ENUM('open', 'announcements', 'read_only') NOT NULL DEFAULT 'open' AFTER max_message_length"],
+  ['salons', 'min_account_age_hours', 'SMALLINT UNSIGNED NOT NULL DEFAULT 0 AFTER posting_mode'],
+
+  ['messages', 'reply_to_id', 'BIGINT UNSIGNED DEFAULT NULL AFTER salon_id'],
+  ['messages', 'client_id',   'CHAR(36) DEFAULT NULL AFTER reply_to_id'],
+  ['messages', 'edited_at',   'TIMESTAMP NULL DEFAULT NULL AFTER deleted_at'],
+  ['messages', 'held_at',     'TIMESTAMP NULL DEFAULT NULL AFTER edited_at'],
+  ['messages', 'hold_reason', 'VARCHAR(255) DEFAULT NULL AFTER held_at'],
+  ['messages', 'reviewed_by', 'BIGINT UNSIGNED DEFAULT NULL AFTER hold_reason'],
+  ['messages', 'reviewed_at', 'TIMESTAMP NULL DEFAULT NULL AFTER reviewed_by'],
+
+  ['sessions', 'mfa', 'TINYINT(1) NOT NULL DEFAULT 0 AFTER revoked_at'],
+];
+
+// [table, index, définition]
+const INDEXES = [
+  ['users',    'uq_guest_token',     'UNIQUE KEY uq_guest_token (guest_token_hash)'],
+  ['users',    'idx_guest_ip',       'KEY idx_guest_ip (guest_ip_hash)'],
+  ['users',    'idx_role',           'KEY idx_role (role)'],
+  ['messages', 'idx_messages_reply', 'KEY idx_messages_reply (reply_to_id)'],
+  ['messages', 'idx_messages_held',  'KEY idx_messages_held (held_at)'],
+  ['messages', 'uq_messages_client', 'UNIQUE KEY uq_messages_client (user_id, client_id)'],
+];
+
+// [table, contrainte, définition]
+const FOREIGN_KEYS = [
+  ['messages', 'fk_msg_reply',    'FOREIGN KEY (reply_to_id) REFERENCES messages(id) ON DELETE SET NULL'],
+  ['messages', 'fk_msg_reviewer', 'FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL'],
+];
+
+
+// ── Lecture de information_schema ─────────────────────────────────────────────
+
+async function findColumn(conn, table, column) {
+  const [rows] = await conn.execute(
+    `SELECT IS_NULLABLE AS nullable, COLLATION_NAME AS collation
+     FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows[0] || null;
+}
+
+async function indexColumns(conn, table, index) {
+  const [rows] = await conn.execute(
+    `SELECT COLUMN_NAME AS name
+     FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?
+     ORDER BY SEQ_IN_INDEX`,
+    [table, index]
+  );
+  return rows.map(r => r.name);
+}
+
+async function hasConstraint(conn, table, name) {
+  const [rows] = await conn.execute(
+    `SELECT 1 FROM information_schema.TABLE_CONSTRAINTS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND CONSTRAINT_NAME = ?`,
+    [table, name]
+  );
+  return rows.length > 0;
+}
+
+// CREATE TABLE IF NOT EXISTS … ; de schema.sql, dans l'ordre du fichier
+function schemaTables() {
+  const sql = fs.readFileSync(SCHEMA_FILE, 'utf8');
+  return sql.match(/^CREATE TABLE IF NOT EXISTS[\s\S]*?^\) ENGINE=[^;]*;/gm) || [];
+}
+
+// Salons par défaut de schema.sql (idempotent : ON DUPLICATE KEY)
+function schemaSalons() {
+  const sql   = fs.readFileSync(SCHEMA_FILE, 'utf8');
+  const match = sql.match(/^INSERT INTO salons[\s\S]*?;/m);
+  return match ? match[0] : null;
+}
+
+
+// ── Étapes ────────────────────────────────────────────────────────────────────
+
+/**
+ * Liste les requêtes à exécuter pour mettre la base à jour, dans l'ordre.
+ * Chaque entrée : { label, sql }.
+ */
+async function plan(conn) {
+  const steps = [];
+  const add   = (label, sql) => steps.push({ label, sql });
+
+  const [tables] = await conn.execute(
+    'SELECT TABLE_NAME AS name FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE()'
+  );
+  const existing = new Set(tables.map(t => t.name));
+
+  for (const statement of schemaTables()) {
+    const name = statement.match(/CREATE TABLE IF NOT EXISTS (\w+)/)[1];
+    if (!existing.has(name)) add(`table ${name}`, statement);
+  }
+
+  // Colonnes, index et clés des tables qui existaient déjà (celles créées
+  // ci-dessus sont complètes)
+  for (const [table, column, definition] of COLUMNS) {
+    if (existing.has(table) && !await findColumn(conn, table, column)) {
+      add(`${table}.${column}`, `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+
+  // Comptes invités : email et mot de passe facultatifs
+  for (const column of ['email', 'password_hash']) {
+    const info = await findColumn(conn, 'users', column);
+    if (info && info.nullable === 'NO') {
+      add(`users.${column} facultatif`, `ALTER TABLE users MODIFY ${column} VARCHAR(255) DEFAULT NULL`);
+    }
+  }
+
+  for (const [table, index, definition] of INDEXES) {
+    if (existing.has(table) && (await indexColumns(conn, table, index)).length === 0) {
+      add(`index ${table}.${index}`, `ALTER TABLE ${table} ADD ${definition}`);
+    }
+  }
+  for (const [table, name, definition] of FOREIGN_KEYS) {
+    if (existing.has(table) && !await hasConstraint(conn, table, name)) {
+      add(`clé ${table}.${name}`, `ALTER TABLE ${table} ADD CONSTRAINT ${name} ${definition}`);
+    }
+  }
+
+  // Palette de réactions : plusieurs emojis par personne, comparés à l'octet
+  const emoji = await findColumn(conn, 'reactions', 'emoji');
+  if (emoji && emoji.collation !== 'utf8mb4_bin') {
+    add('reactions.emoji (utf8mb4_bin)',
+      "ALTER TABLE reactions MODIFY emoji VARCHAR(10) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL DEFAULT '💜'");
+  }
+  if (existing.has('reactions') && !(await indexColumns(conn, 'reactions', 'uq_reaction')).includes('emoji')) {
+    add('index reactions.uq_reaction (avec emoji)',
+      'ALTER TABLE reactions DROP INDEX uq_reaction, ADD UNIQUE KEY uq_reaction (user_id, message_id, emoji)');
+  }
+
+  // Rôles : les administrateurs de l'ancien schéma gardent leurs droits
+  if (await findColumn(conn, 'users', 'is_admin')) {
+    add('reprise is_admin → role', "UPDATE users SET role = 'admin' WHERE is_admin = 1");
+    add('suppression users.is_admin', 'ALTER TABLE users DROP COLUMN is_admin');
+  }
+
+  // Bannissements : une suspension de durée indéterminée par compte banni
+  if (await findColumn(conn, 'users', 'is_banned')) {
+    add('reprise is_banned → suspensions',
+      `INSERT INTO suspensions (user_id, reason)
+       SELECT u.id, 'Bannissement antérieur aux suspensions' FROM users u
+       WHERE u.is_banned = 1
+         AND NOT EXISTS (SELECT 1 FROM suspensions s WHERE s.user_id = u.id AND s.lifted_at IS NULL)`);
+    add('suppression users.is_banned', 'ALTER TABLE users DROP COLUMN is_banned');
+  }
+
+  const salons = schemaSalons();
+  if (salons) add('salons par défaut', salons);
+
+  return steps;
+}
+
+async function main(argv) {
+  const { values } = parseArgs({
+    args:    argv,
+    options: { 'dry-run': { type: 'boolean', default: false } },
+  });
+  const dryRun = values['dry-run'];
+
+  await db.ready;
+  const conn = await db.pool.getConnection();
+  try {
+    // Les tables créées se référencent entre elles : même ordre que schema.sql
+    await conn.query('SET FOREIGN_KEY_CHECKS = 0');
+    const steps = await plan(conn);
+
+    for (const { label, sql } of steps) {
+      if (dryRun) {
+        console.log(`-- ${label}\n${sql};\n`);
+        continue;
+      }
+      await conn.query(sql);
+      console.log(`✓ ${label}`);
+    }
+
+    // Les salons par défaut sont toujours réinsérés (sans effet s'ils existent)
+    const changes = steps.filter(s => s.label !== 'salons par défaut').length;
+    console.log(changes === 0
+      ? 'Base déjà à jour.'
+      : `${changes} changement(s) ${dryRun ? 'à appliquer (simulation, rien n\'a été exécuté)' : 'appliqué(s)'}.`);
+  } finally {
+    await conn.query('SET FOREIGN_KEY_CHECKS = 1').catch(() => {});
+    conn.release();
+  }
+}
+
+main(process.argv.slice(2))
+  .catch(err => {
+    console.error(`Erreur : ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => db.pool.end());
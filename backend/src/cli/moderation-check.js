@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// =============================================================================
+// TRUST LAYER — src/cli/moderation-check.js
+// Vérifie les règles de modération automatique hors ligne (sans MySQL ni
+// serveur).
+//
+// UTILISATION (depuis backend/) :
+//   npm run moderation:check                       — rejoue les exemples de
+//                                                    src/lexicons/moderation_samples.txt
+//   npm run moderation:check -- "texte à tester"   — décision pour un message
+//   npm run moderation:check -- --samples <fichier>
+//
+// Code de sortie 1 si un exemple n'obtient pas la décision attendue : la
+// commande peut servir de garde-fou avant de déployer un lexique modifié.
+// =============================================================================
+
+require('dotenv').config();
+
+const fs   = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { moderateMessage, LEXICON_FILES } = require('../utils/contentModerator');
+
+const DEFAULT_SAMPLES = path.join(__dirname, '..', 'lexicons', 'moderation_samples.txt');
+const DECISIONS       = ['allow', 'hold', 'reject'];
+
+function describe(verdict) {
+  const rules = verdict.rules.length ? `  [${verdict.rules.join(', ')}]` : '';
+  return `${verdict.decision}${rules}`;
+}
+
+function checkText(text) {
+  const verdict = moderateMessage(text);
+  console.log(describe(verdict));
+  if (verdict.reason) console.log(`  → ${verdict.reason}`);
+}
+
+function checkSamples(file) {
+  let total  = 0;
+  let failed = 0;
+
+  for (const [i, raw] of fs.readFileSync(file, 'utf8').split(/\r?\n/).entries()) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const match = line.match(/^(\w+)\s*\|\s*(.+)$/);
+    if (!match || !DECISIONS.includes(match[1])) {
+      console.error(`Ligne ${i + 1} ignorée (format : "décision | message") : ${line}`);
+      continue;
+    }
+
+    total++;
+    const verdict = moderateMessage(match[2]);
+    if (verdict.decision !== match[1]) {
+      failed++;
+      console.log(`ÉCHEC ligne ${i + 1} : attendu ${match[1]}, obtenu ${describe(verdict)}\n  ${match[2]}`);
+    }
+  }
+
+  console.log(`${total - failed}/${total} exemples conformes (lexiques : ${LEXICON_FILES.join(', ')})`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args:    argv,
+    options: { samples: { type: 'string' } },
+    allowPositionals: true,
+  });
+
+  if (positionals.length > 0) checkText(positionals.join(' '));
+  else checkSamples(values.samples ? path.resolve(values.samples) : DEFAULT_SAMPLES);
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (err) {
+  console.error(`Erreur : ${err.message}`);
+  process.exitCode = 1;
+}
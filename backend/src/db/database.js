@@ -44,7 +44,7 @@ const pool = mysql.createPool({
 // On vérifie immédiatement que MySQL est joignable.
 // Si le serveur démarre sans BDD, on le sait tout de suite au lieu de découvrir
 // l'erreur à la première requête d'un utilisateur.
-pool.getConnection()
+const ready = pool.getConnection()
   .then(conn => {
     logger.info('Connexion MySQL établie', {
       host: process.env.DB_HOST || 'localhost',
@@ -69,6 +69,114 @@ pool.getConnection()
 //   — Paramètres toujours bindés → protection SQL injection garantie
 // =============================================================================
 
+// Salon par défaut (Espace Général, créé par schema.sql)
+const DEFAULT_SALON_ID = 1;
+
+// ── Suspension en cours ───────────────────────────────────────────────────────
+// Un compte est suspendu tant qu'une ligne de suspensions n'est ni levée ni
+// expirée. Calculé à la lecture (pas de tâche planifiée pour la fin d'une
+// suspension) et exposé sous le nom is_banned, comme l'ancienne colonne.
+function isBannedSql(userIdColumn) {
+  return `EXISTS (SELECT 1 FROM suspensions s
+                  WHERE s.user_id = ${userIdColumn} AND s.lifted_at IS NULL
+                    AND (s.expires_at IS NULL OR s.expires_at > NOW()))`;
+}
+
+// ── Message tel qu'affiché dans le chat ───────────────────────────────────────
+// Auteur, message cité (aperçu, NULL s'il a été supprimé ou est retenu) et
+// nombre de réponses visibles. Partagé par l'historique, le fil et la
+// diffusion. held_at / hold_reason ne concernent que l'auteur : un message
+// retenu n'est envoyé qu'à lui (voir visibleToSql).
+const MESSAGE_SELECT = `
+  SELECT
+    m.id,
+    m.content,
+    m.created_at,
+    m.edited_at,
+    m.held_at,
+    m.hold_reason,
+    m.user_id,
+    m.salon_id,
+    m.reply_to_id,
+    m.client_id,
+    u.username,
+    u.avatar,
+    pu.username            AS reply_to_username,
+    LEFT(p.content, 140)   AS reply_to_content,
+    (SELECT COUNT(*) FROM messages r
+     WHERE r.reply_to_id = m.id AND r.deleted_at IS NULL AND r.held_at IS NULL) AS reply_count
+  FROM messages m
+  JOIN users u       ON u.id = m.user_id
+  LEFT JOIN messages p ON p.id = m.reply_to_id AND p.deleted_at IS NULL AND p.held_at IS NULL
+  LEFT JOIN users pu   ON pu.id = p.user_id`;
+
+// ── Message retenu visible par un lecteur ─────────────────────────────────────
+// Un message retenu par la modération automatique n'est visible que de son
+// auteur, jusqu'à sa validation. viewerId est un entier validé (0 = personne).
+function visibleToSql(viewerId) {
+  return `(m.held_at IS NULL OR m.user_id = ${parseInt(viewerId) || 0})`;
+}
+
+// ── Événement de crise tel qu'affiché à l'équipe d'écoute ─────────────────────
+const CRISIS_SELECT = `
+  SELECT
+    c.id, c.message_id, c.user_id, c.salon_id, c.level, c.matched_terms,
+    c.status, c.handled_by, c.handled_at, c.closed_at, c.note, c.created_at,
+    u.username, u.avatar,
+    s.name              AS salon_name,
+    m.content           AS message_content,
+    m.deleted_at        AS message_deleted_at,
+    h.username          AS handled_by_username
+  FROM crisis_events c
+  JOIN users u         ON u.id = c.user_id
+  JOIN salons s        ON s.id = c.salon_id
+  LEFT JOIN messages m ON m.id = c.message_id
+  LEFT JOIN users h    ON h.id = c.handled_by`;
+
+// ── Données à purger, par type (utils/retention.js) ───────────────────────────
+// Une condition par table, avec un seul paramètre : la durée de conservation
+// en jours. Un message visé par un signalement en attente n'est jamais purgé :
+// la modération doit pouvoir le lire.
+const RETENTION_TARGETS = {
+  // Un signalement en attente garde le message, même supprimé par son auteur :
+  // fk_report_message (ON DELETE CASCADE) emporterait le signalement avec lui
+  deleted_messages: [
+    { table: 'messages', where: `deleted_at IS NOT NULL AND deleted_at < NOW() - INTERVAL ? DAY
+       AND NOT EXISTS (SELECT 1 FROM reports r WHERE r.message_id = messages.id AND r.status = 'pending')` },
+  ],
+  messages: [
+    { table: 'messages', where: `created_at < NOW() - INTERVAL ? DAY
+       AND NOT EXISTS (SELECT 1 FROM reports r WHERE r.message_id = messages.id AND r.status = 'pending')` },
+  ],
+  moods: [
+    { table: 'moods', where: 'created_at < NOW() - INTERVAL ? DAY' },
+  ],
+  reports: [
+    { table: 'reports', where: "status IN ('resolved', 'rejected') AND created_at < NOW() - INTERVAL ? DAY" },
+  ],
+  tokens: [
+    { table: 'revoked_tokens',      where: 'expires_at < NOW() - INTERVAL ? DAY' },
+    { table: 'refresh_tokens',      where: 'expires_at < NOW() - INTERVAL ? DAY' },
+    { table: 'password_resets',     where: 'expires_at < NOW() - INTERVAL ? DAY' },
+    { table: 'email_verifications', where: 'expires_at < NOW() - INTERVAL ? DAY' },
+    { table: 'sessions',            where: 'COALESCE(revoked_at, expires_at) < NOW() - INTERVAL ? DAY' },
+  ],
+};
+
+// Lignes supprimées par requête : des lots courts évitent de verrouiller une
+// table pendant une grosse purge
+const RETENTION_BATCH = 1000;
+
+function retentionTargets(kind) {
+  const targets = RETENTION_TARGETS[kind];
+  if (!targets) throw new Error(`Type de données inconnu : ${kind}`);
+  return targets;
+}
+
+// ── Salon tel qu'envoyé aux clients, règles de publication comprises ──────────
+const SALON_COLUMNS = `id, name, description, emoji,
+  slow_mode_seconds, max_message_length, posting_mode, min_account_age_hours`;
+
 const db = {
 
   // ─── Accès direct au pool (pour les cas complexes dans les routes) ──────────
@@ -76,6 +184,15 @@ const db = {
   // Utilise pool.getConnection() pour les transactions multi-requêtes.
   pool,
 
+  // Résolue une fois le test de connexion terminé. Les scripts (src/cli)
+  // l'attendent avant pool.end() pour ne pas fermer le pool sous ce test.
+  ready,
+
+  // Fragment SQL "compte suspendu" pour les requêtes écrites dans les routes
+  isBannedSql,
+
+  DEFAULT_SALON_ID,
+
 
   // ===========================================================================
   // USERS
@@ -88,7 +205,10 @@ const db = {
    */
   async findUserByEmail(email) {
     const [rows] = await pool.execute(
-      'SELECT * FROM users WHERE email = ? LIMIT 1',
+      `SELECT *,
+              (locked_until IS NOT NULL AND locked_until > NOW()) AS is_locked,
+              ${isBannedSql('users.id')} AS is_banned
+       FROM users WHERE email = ? LIMIT 1`,
       [email.toLowerCase().trim()]
     );
     return rows[0] || null;
@@ -112,7 +232,12 @@ const db = {
    */
   async findUserById(id) {
     const [rows] = await pool.execute(
-      'SELECT id, username, email, avatar, first_name, last_name, is_banned, is_admin, created_at FROM users WHERE id = ? LIMIT 1',
+      `SELECT id, username, email, avatar, first_name, last_name, role, created_at,
+              ${isBannedSql('users.id')} AS is_banned,
+              email_verified_at, totp_enabled_at,
+              (locked_until IS NOT NULL AND locked_until > NOW()) AS is_locked, is_guest,
+              token_version, UNIX_TIMESTAMP(tokens_revoked_at) AS tokens_revoked_ts
+       FROM users WHERE id = ? LIMIT 1`,
       [id]
     );
     return rows[0] || null;
@@ -144,59 +269,515 @@ const db = {
     return this.findUserById(result.insertId);
   },
 
+  /**
+   * Crée un compte invité : pseudo et avatar seulement, aucune donnée personnelle.
+   * guestTokenHash = hash du jeton d'appareil qui permet de revenir sur ce compte.
+   * guestIpHash = empreinte de l'IP de création (voir hasSuspendedGuest).
+   */
+  async createGuestUser({ username, avatar, guestTokenHash, guestIpHash = null }) {
+    const [result] = await pool.execute(
+      `INSERT INTO users (username, avatar, is_guest, guest_token_hash, guest_ip_hash)
+       VALUES (?, ?, 1, ?, ?)`,
+      [username, avatar || '🌟', guestTokenHash, guestIpHash]
+    );
+    return this.findUserById(result.insertId);
+  },
+
+  /**
+   * true si un compte créé en invité et suspendu en ce moment est lié à cet
+   * appareil (hash de son jeton) ou a été créé depuis cette IP il y a moins
+   * de `hours` heures. Converti ou non : la conversion garde guest_ip_hash.
+   */
+  async hasSuspendedGuest({ guestTokenHash = null, guestIpHash, hours }) {
+    const [rows] = await pool.execute(
+      `SELECT 1 FROM users u
+       WHERE ((u.guest_token_hash IS NOT NULL AND u.guest_token_hash = ?)
+              OR (u.guest_ip_hash = ? AND u.created_at > NOW() - INTERVAL ? HOUR))
+         AND ${isBannedSql('u.id')}
+       LIMIT 1`,
+      [guestTokenHash, guestIpHash, hours]
+    );
+    return rows.length > 0;
+  },
+
+  /**
+   * Retrouve un invité par le hash de son jeton d'appareil.
+   */
+  async findGuestByToken(guestTokenHash) {
+    const [rows] = await pool.execute(
+      'SELECT id FROM users WHERE guest_token_hash = ? AND is_guest = 1 LIMIT 1',
+      [guestTokenHash]
+    );
+    return rows[0] ? this.findUserById(rows[0].id) : null;
+  },
+
+  /**
+   * Convertit un invité en compte complet. L'id ne change pas : messages,
+   * humeurs et sessions restent rattachés. Le jeton d'appareil est effacé.
+   * Retourne false si le compte n'est pas (ou plus) un invité.
+   */
+  async upgradeGuest(userId, { email, password_hash, firstName, lastName, emergencyName, emergencyPhone }) {
+    const [result] = await pool.execute(
+      `UPDATE users
+       SET email = ?, password_hash = ?, first_name = ?, last_name = ?,
+           emergency_name = ?, emergency_phone = ?,
+           is_guest = 0, guest_token_hash = NULL, email_verified_at = NULL
+       WHERE id = ? AND is_guest = 1`,
+      [
+        email.toLowerCase().trim(),
+        password_hash,
+        firstName      || null,
+        lastName       || null,
+        emergencyName  || null,
+        emergencyPhone || null,
+        userId,
+      ]
+    );
+    return result.affectedRows === 1;
+  },
+
+  /**
+   * Cherche un utilisateur par son pseudo (insensible à la casse, via la collation).
+   * Utilisé pour vérifier qu'un nouveau pseudo est libre.
+   */
+  async findUserByUsername(username) {
+    const [rows] = await pool.execute(
+      'SELECT id, username FROM users WHERE username = ? LIMIT 1',
+      [username.trim()]
+    );
+    return rows[0] || null;
+  },
+
+  /**
+   * Profil privé complet de l'utilisateur (noms + contact d'urgence).
+   * Séparé de findUserById() : req.user n'a pas besoin du contact d'urgence,
+   * qui ne doit être lu que pour l'écran "Mon profil".
+   */
+  async findPrivateProfile(userId) {
+    const [rows] = await pool.execute(
+      `SELECT id, username, email, avatar, first_name, last_name,
+              emergency_name, emergency_phone, created_at
+       FROM users WHERE id = ? LIMIT 1`,
+      [userId]
+    );
+    return rows[0] || null;
+  },
+
+  /**
+   * Hash du mot de passe — uniquement pour une ré-authentification
+   * (changement de mot de passe). Jamais renvoyé au client.
+   */
+  async findPasswordHash(userId) {
+    const [rows] = await pool.execute(
+      'SELECT password_hash FROM users WHERE id = ? LIMIT 1',
+      [userId]
+    );
+    return rows[0] ? rows[0].password_hash : null;
+  },
+
+  /**
+   * Met à jour les champs modifiables du profil.
+   * Liste blanche : seules les clés de PROFILE_COLUMNS sont prises en compte,
+   * les noms de colonnes ne viennent donc jamais de la requête.
+   */
+  async updateUser(userId, fields) {
+    const PROFILE_COLUMNS = {
+      username:       'username',
+      avatar:         'avatar',
+      firstName:      'first_name',
+      lastName:       'last_name',
+      emergencyName:  'emergency_name',
+      emergencyPhone: 'emergency_phone',
+    };
+
+    const keys = Object.keys(fields).filter(k => PROFILE_COLUMNS[k] && fields[k] !== undefined);
+    if (keys.length === 0) return;
+
+    await pool.execute(
+      `UPDATE users SET ${keys.map(k => `${PROFILE_COLUMNS[k]} = ?`).join(', ')} WHERE id = ?`,
+      [...keys.map(k => fields[k]), userId]
+    );
+  },
+
+  /**
+   * Remplace le hash du mot de passe (réinitialisation, changement).
+   * Le nouveau mot de passe doit déjà être haché (bcrypt).
+   */
+  async updatePassword(userId, passwordHash) {
+    await pool.execute(
+      'UPDATE users SET password_hash = ? WHERE id = ?',
+      [passwordHash, userId]
+    );
+  },
+
+  /**
+   * Marque l'email comme vérifié. Sans effet s'il l'était déjà (la date de
+   * première vérification est conservée).
+   */
+  async markEmailVerified(userId) {
+    await pool.execute(
+      'UPDATE users SET email_verified_at = NOW() WHERE id = ? AND email_verified_at IS NULL',
+      [userId]
+    );
+  },
+
+
+  // ===========================================================================
+  // SALONS
+  // ===========================================================================
+
+  /**
+   * Salons actifs, dans l'ordre de création (Espace Général en premier).
+   */
+  async listSalons() {
+    const [rows] = await pool.execute(
+      `SELECT ${SALON_COLUMNS} FROM salons WHERE is_active = 1 ORDER BY id`
+    );
+    return rows;
+  },
+
+  /**
+   * Salon actif par son ID, ou null (inexistant ou archivé).
+   */
+  async findSalon(id) {
+    const [rows] = await pool.execute(
+      `SELECT ${SALON_COLUMNS} FROM salons WHERE id = ? AND is_active = 1 LIMIT 1`,
+      [id]
+    );
+    return rows[0] || null;
+  },
+
+  /**
+   * Tous les salons, archivés compris, avec leur nombre de messages (espace admin).
+   */
+  async listSalonsWithStats() {
+    const [rows] = await pool.query(
+      `SELECT s.id, s.name, s.description, s.emoji, s.is_active, s.created_at,
+              s.slow_mode_seconds, s.max_message_length, s.posting_mode, s.min_account_age_hours,
+              (SELECT COUNT(*) FROM messages m WHERE m.salon_id = s.id AND m.deleted_at IS NULL) AS messages
+       FROM salons s
+       ORDER BY s.id`
+    );
+    return rows;
+  },
+
+  /**
+   * Crée un salon. Un nom déjà pris lève ER_DUP_ENTRY (uq_salon_name).
+   */
+  async createSalon({ name, description = null, emoji = '💬' }) {
+    const [result] = await pool.execute(
+      'INSERT INTO salons (name, description, emoji) VALUES (?, ?, ?)',
+      [name, description, emoji]
+    );
+    return this.findSalon(result.insertId);
+  },
+
+  /**
+   * Règles de publication d'un salon (utils/salonPolicy.js).
+   * Retourne le salon mis à jour, ou null s'il n'existe pas ou est archivé.
+   */
+  async updateSalonPolicy(id, { slowModeSeconds, maxMessageLength, postingMode, minAccountAgeHours }) {
+    const [result] = await pool.execute(
+      `UPDATE salons
+       SET slow_mode_seconds = ?, max_message_length = ?, posting_mode = ?, min_account_age_hours = ?
+       WHERE id = ? AND is_active = 1`,
+      [slowModeSeconds, maxMessageLength, postingMode, minAccountAgeHours, id]
+    );
+    return result.affectedRows ? this.findSalon(id) : null;
+  },
+
+  /**
+   * Ancienneté du compte et délai depuis son dernier message dans le salon
+   * (supprimés et retenus compris), en secondes — null s'il n'y a rien publié.
+   * Calculés par MySQL pour éviter les écarts de fuseau horaire.
+   */
+  async getPostingState(userId, salonId) {
+    const [rows] = await pool.execute(
+      `SELECT TIMESTAMPDIFF(SECOND, u.created_at, NOW()) AS account_age_seconds,
+              (SELECT TIMESTAMPDIFF(SECOND, MAX(m.created_at), NOW())
+               FROM messages m WHERE m.user_id = u.id AND m.salon_id = ?) AS last_post_seconds
+       FROM users u WHERE u.id = ? LIMIT 1`,
+      [salonId, userId]
+    );
+    return rows[0] || { account_age_seconds: 0, last_post_seconds: null };
+  },
+
 
   // ===========================================================================
   // MESSAGES
   // ===========================================================================
 
   /**
-   * Récupère les N derniers messages d'un salon avec les infos de l'auteur.
+   * Page de l'historique d'un salon, avec les infos de l'auteur.
    * JOIN sur users pour éviter N requêtes supplémentaires (N+1 problem).
    * deleted_at IS NULL → exclut les messages supprimés (soft delete).
+   *
+   * Pagination par curseur (id d'un message du salon, supprimé ou non) :
+   *   — sans curseur : les `limit` derniers messages
+   *   — before       : les `limit` messages précédant le curseur (remonter)
+   *   — after        : les `limit` messages suivant le curseur (rattrapage)
+   * Tri (created_at, id) : l'index (salon_id, created_at) contient aussi la clé
+   * primaire, MySQL parcourt donc l'index sans tri supplémentaire.
+   *
+   * Chaque message porte ses réactions (totaux par emoji, mine = viewerId
+   * a réagi) : elles s'affichent dès le chargement.
+   *
+   * Retourne { messages, has_more } — messages en ordre chronologique,
+   * has_more = il reste des messages au-delà de la page dans ce sens.
    */
-  async getMessages(limit = 50, salonId = 1) {
-    const safeLimit = Math.min(Math.max(1, parseInt(limit) || 50), 200);
-    const safeSalonId = Math.max(1, parseInt(salonId) || 1);
+  async getMessages(salonId = DEFAULT_SALON_ID, { limit = 50, before = null, after = null, viewerId = null } = {}) {
+    const safeLimit   = Math.min(Math.max(1, parseInt(limit) || 50), 200);
+    const safeSalonId = Math.max(1, parseInt(salonId) || DEFAULT_SALON_ID);
+    const cursorId    = parseInt(before || after) || null;
+    const forward     = !before && !!after;
+
+    // Le curseur est joint par sa clé primaire (table constante pour MySQL) :
+    // la condition reste une plage sur l'index du salon.
+    let cursorJoin = '';
+    let cursorCond = '';
+    if (cursorId) {
+      const op = forward ? '>' : '<';
+      cursorJoin = `JOIN messages c ON c.id = ${cursorId}`;
+      cursorCond = `AND (m.created_at ${op} c.created_at OR (m.created_at = c.created_at AND m.id ${op} c.id))`;
+    }
+    const order = forward ? 'ASC' : 'DESC';
+
     // pool.query() au lieu de pool.execute() car mysql2 ne supporte pas
     // les placeholders ? pour LIMIT. Les valeurs sont validées par parseInt
     // + Math.min/max avant injection — pas de risque SQL injection.
+    // Une ligne de plus que la page : sa présence indique has_more.
     const [rows] = await pool.query(
-      `SELECT
-         m.id,
-         m.content,
-         m.created_at,
-         m.user_id,
-         u.username,
-         u.avatar
-       FROM messages m
-       JOIN users u ON u.id = m.user_id
-       WHERE m.salon_id = ${safeSalonId} AND m.deleted_at IS NULL
-       ORDER BY m.created_at DESC
-       LIMIT ${safeLimit}`
+      `${MESSAGE_SELECT}
+       ${cursorJoin}
+       WHERE m.salon_id = ${safeSalonId} AND m.deleted_at IS NULL AND ${visibleToSql(viewerId)}
+       ${cursorCond}
+       ORDER BY m.created_at ${order}, m.id ${order}
+       LIMIT ${safeLimit + 1}`
     );
-    // On inverse pour avoir l'ordre chronologique (plus ancien → plus récent)
-    return rows.reverse();
+
+    const hasMore  = rows.length > safeLimit;
+    const messages = rows.slice(0, safeLimit);
+
+    const reactions = await this.getReactionSummaries(messages.map(m => m.id), viewerId);
+    for (const m of messages) m.reactions = reactions[m.id] || [];
+
+    // En remontant, on inverse pour avoir l'ordre chronologique (plus ancien → plus récent)
+    return { messages: forward ? messages : messages.reverse(), has_more: hasMore };
   },
 
   /**
    * Insère un message en base et retourne le message complet (avec username/avatar).
-   * Le contenu est déjà sanitisé par la route avant d'arriver ici.
+   * Le contenu est déjà sanitisé par la route avant d'arriver ici, qui vérifie
+   * aussi que le message cité (replyToId) est visible et dans le même salon.
+   * clientId : clé d'idempotence — un doublon lève ER_DUP_ENTRY.
+   * holdReason : message retenu par la modération automatique (NULL = publié).
+   * slowModeSeconds : mode lent du salon (0 = aucun) — retourne null, sans
+   * rien insérer, si l'auteur a publié dans le salon depuis moins longtemps.
    */
-  async createMessage(userId, content, salonId = 1) {
-    const [result] = await pool.execute(
-      'INSERT INTO messages (user_id, salon_id, content) VALUES (?, ?, ?)',
-      [userId, salonId, content]
+  async createMessage(userId, content, { salonId = DEFAULT_SALON_ID, replyToId = null, clientId = null, holdReason = null, slowModeSeconds = 0 } = {}) {
+    const insertSql = `INSERT INTO messages (user_id, salon_id, reply_to_id, client_id, content, held_at, hold_reason)
+                       VALUES (?, ?, ?, ?, ?, IF(? IS NULL, NULL, NOW()), ?)`;
+    const params    = [userId, salonId, replyToId, clientId, content, holdReason, holdReason];
+
+    if (!slowModeSeconds) {
+      const [result] = await pool.execute(insertSql, params);
+      // On récupère le message inséré avec les infos de l'auteur
+      return this.findMessage(result.insertId);
+    }
+
+    // Mode lent : vérification et insertion dans la même transaction. Le
+    // verrou porte sur la ligne du compte et non sur son dernier message,
+    // qui n'existe pas encore au premier envoi : deux envois simultanés du
+    // même compte passent l'un après l'autre, et le second voit le premier.
+    const conn = await pool.getConnection();
+    let insertId = null;
+    try {
+      await conn.beginTransaction();
+      await conn.execute('SELECT id FROM users WHERE id = ? FOR UPDATE', [userId]);
+      const [rows] = await conn.execute(
+        `SELECT TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) AS last_post_seconds
+         FROM messages WHERE user_id = ? AND salon_id = ?`,
+        [userId, salonId]
+      );
+      const last = rows[0].last_post_seconds;
+      if (last === null || last >= slowModeSeconds) {
+        const [result] = await conn.execute(insertSql, params);
+        insertId = result.insertId;
+      }
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+    return insertId ? this.findMessage(insertId) : null;
+  },
+
+  /**
+   * Message déjà envoyé par un utilisateur avec cette clé d'idempotence, ou null.
+   */
+  async findMessageByClientId(userId, clientId) {
+    const [rows] = await pool.execute(
+      'SELECT id FROM messages WHERE user_id = ? AND client_id = ? LIMIT 1',
+      [userId, clientId]
+    );
+    return rows[0] ? this.findMessage(rows[0].id) : null;
+  },
+
+  /**
+   * Message complet (avec username/avatar), tel que diffusé aux clients.
+   */
+  async findMessage(messageId) {
+    const [rows] = await pool.execute(`${MESSAGE_SELECT} WHERE m.id = ?`, [messageId]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Fil d'un message : ses réponses visibles par viewerId, en ordre
+   * chronologique (les `limit` premières).
+   */
+  async getThread(messageId, { viewerId = null, limit = 100 } = {}) {
+    const safeLimit = Math.min(Math.max(1, parseInt(limit) || 100), 200);
+    const [rows] = await pool.query(
+      `${MESSAGE_SELECT}
+       WHERE m.reply_to_id = ? AND m.deleted_at IS NULL AND ${visibleToSql(viewerId)}
+       ORDER BY m.created_at, m.id
+       LIMIT ${safeLimit}`,
+      [messageId]
+    );
+    return rows;
+  },
+
+  /**
+   * Remplace le texte d'un message ; l'ancienne version est conservée dans
+   * message_edits pour la modération. Les droits (auteur, délai) sont
+   * vérifiés par la route. holdReason : la nouvelle version est retenue par
+   * la modération automatique (NULL = publiée, un message retenu est alors
+   * libéré). Retourne le message modifié.
+   */
+  async editMessage(messageId, content, { holdReason = null } = {}) {
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [rows] = await conn.execute(
+        'SELECT content FROM messages WHERE id = ? FOR UPDATE',
+        [messageId]
+      );
+      await conn.execute(
+        'INSERT INTO message_edits (message_id, previous_content) VALUES (?, ?)',
+        [messageId, rows[0].content]
+      );
+      await conn.execute(
+        `UPDATE messages
+         SET content     = ?,
+             edited_at   = NOW(),
+             held_at     = IF(? IS NULL, NULL, COALESCE(held_at, NOW())),
+             hold_reason = ?
+         WHERE id = ?`,
+        [content, holdReason, holdReason, messageId]
+      );
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+    return this.findMessage(messageId);
+  },
+
+  /**
+   * Versions précédentes d'un message, de la plus ancienne à la plus récente
+   * (la version actuelle est messages.content).
+   */
+  async listMessageEdits(messageId) {
+    const [rows] = await pool.execute(
+      `SELECT id, previous_content, edited_at
+       FROM message_edits
+       WHERE message_id = ?
+       ORDER BY edited_at, id`,
+      [messageId]
+    );
+    return rows;
+  },
+
+  /**
+   * Salon d'un message (diffusion des réactions et suppressions dans sa room),
+   * ou null si le message n'existe pas.
+   */
+  async getMessageSalon(messageId) {
+    const [rows] = await pool.execute(
+      'SELECT salon_id FROM messages WHERE id = ? LIMIT 1',
+      [messageId]
+    );
+    return rows[0] ? rows[0].salon_id : null;
+  },
+
+  /**
+   * Salon d'un message visible par un lecteur — même règle que l'historique :
+   * non supprimé, et non retenu sauf pour son auteur. Retourne
+   * { salon_id, held } ou null (message absent ou invisible).
+   */
+  async findVisibleMessageSalon(messageId, viewerId) {
+    const [rows] = await pool.execute(
+      `SELECT m.salon_id, m.held_at IS NOT NULL AS held
+       FROM messages m
+       WHERE m.id = ? AND m.deleted_at IS NULL AND ${visibleToSql(viewerId)}
+       LIMIT 1`,
+      [messageId]
     );
+    return rows[0] ? { salon_id: rows[0].salon_id, held: !!rows[0].held } : null;
+  },
 
-    // On récupère le message inséré avec les infos de l'auteur
+  /**
+   * Nombre de messages publiés par un utilisateur sur les dernières `hours`
+   * heures, supprimés compris (quota des invités).
+   */
+  async countRecentMessages(userId, hours) {
     const [rows] = await pool.execute(
-      `SELECT m.id, m.content, m.created_at, m.user_id, u.username, u.avatar
+      `SELECT COUNT(*) AS total FROM messages
+       WHERE user_id = ? AND created_at > NOW() - INTERVAL ? HOUR`,
+      [userId, hours]
+    );
+    return Number(rows[0].total);
+  },
+
+  /**
+   * Messages retenus par la modération automatique, les plus anciens d'abord
+   * (file de validation de l'espace admin).
+   */
+  async listHeldMessages(limit = 100) {
+    const safeLimit = Math.min(Math.max(1, parseInt(limit) || 100), 200);
+    const [rows] = await pool.query(
+      `SELECT m.id, m.content, m.created_at, m.edited_at, m.held_at, m.hold_reason,
+              m.user_id, m.salon_id, u.username, u.avatar, s.name AS salon_name
        FROM messages m
-       JOIN users u ON u.id = m.user_id
-       WHERE m.id = ?`,
-      [result.insertId]
+       JOIN users u  ON u.id = m.user_id
+       JOIN salons s ON s.id = m.salon_id
+       WHERE m.held_at IS NOT NULL AND m.deleted_at IS NULL
+       ORDER BY m.held_at, m.id
+       LIMIT ${safeLimit}`
     );
-    return rows[0] || null;
+    return rows;
+  },
+
+  /**
+   * Décision d'un modérateur sur un message retenu : approve le publie,
+   * reject le supprime (soft delete, hold_reason conservé).
+   * Retourne false si le message n'est pas (ou plus) en attente.
+   */
+  async reviewHeldMessage(messageId, decision, reviewerId) {
+    const [result] = await pool.execute(
+      `UPDATE messages
+       SET held_at     = IF(? = 'approve', NULL, held_at),
+           deleted_at  = IF(? = 'reject', NOW(), NULL),
+           reviewed_by = ?,
+           reviewed_at = NOW()
+       WHERE id = ? AND held_at IS NOT NULL AND deleted_at IS NULL`,
+      [decision, decision, reviewerId, messageId]
+    );
+    return result.affectedRows > 0;
   },
 
   /**
@@ -271,42 +852,52 @@ const db = {
 
   /**
    * Toggle une réaction (ajoute si absente, supprime si déjà présente).
-   * La contrainte UNIQUE(user_id, message_id) gère l'unicité en base.
+   * La contrainte UNIQUE(user_id, message_id, emoji) gère l'unicité en base :
+   * un utilisateur peut réagir avec plusieurs emojis différents.
    * Retourne { added: true } ou { added: false } selon l'action effectuée.
    */
-  async toggleReaction(userId, messageId, emoji = '💜') {
-    // Vérifie si la réaction existe déjà
-    const [existing] = await pool.execute(
-      'SELECT id FROM reactions WHERE user_id = ? AND message_id = ?',
-      [userId, messageId]
+  async toggleReaction(userId, messageId, emoji) {
+    const [removed] = await pool.execute(
+      'DELETE FROM reactions WHERE user_id = ? AND message_id = ? AND emoji = ?',
+      [userId, messageId, emoji]
     );
+    if (removed.affectedRows > 0) return { added: false };
 
-    if (existing.length > 0) {
-      // Supprime la réaction existante
-      await pool.execute(
-        'DELETE FROM reactions WHERE user_id = ? AND message_id = ?',
-        [userId, messageId]
-      );
-      return { added: false };
-    } else {
-      // Ajoute la réaction
-      await pool.execute(
-        'INSERT INTO reactions (user_id, message_id, emoji) VALUES (?, ?, ?)',
-        [userId, messageId, emoji]
-      );
-      return { added: true };
-    }
+    // INSERT IGNORE : un double clic simultané ne lève pas ER_DUP_ENTRY
+    await pool.execute(
+      'INSERT IGNORE INTO reactions (user_id, message_id, emoji) VALUES (?, ?, ?)',
+      [userId, messageId, emoji]
+    );
+    return { added: true };
   },
 
   /**
-   * Compte les réactions pour un message donné.
+   * Totaux par emoji des messages donnés, dans l'ordre d'apparition des
+   * emojis. mine = l'utilisateur viewerId a réagi avec cet emoji.
+   * Retourne { [messageId]: [{ emoji, count, mine }] } (absent = aucune réaction).
    */
-  async getReactionCount(messageId) {
+  async getReactionSummaries(messageIds, viewerId = null) {
+    if (messageIds.length === 0) return {};
+
+    const placeholders = messageIds.map(() => '?').join(', ');
     const [rows] = await pool.execute(
-      'SELECT COUNT(*) AS count FROM reactions WHERE message_id = ?',
-      [messageId]
+      `SELECT message_id, emoji, COUNT(*) AS count, MAX(user_id = ?) AS mine
+       FROM reactions
+       WHERE message_id IN (${placeholders})
+       GROUP BY message_id, emoji
+       ORDER BY message_id, MIN(id)`,
+      [viewerId || 0, ...messageIds]
     );
-    return rows[0]?.count || 0;
+
+    const summaries = {};
+    for (const row of rows) {
+      (summaries[row.message_id] = summaries[row.message_id] || []).push({
+        emoji: row.emoji,
+        count: Number(row.count),
+        mine:  !!row.mine,
+      });
+    }
+    return summaries;
   },
 
 
@@ -340,6 +931,791 @@ const db = {
     );
   },
 
+  /**
+   * Révoque d'un coup tous les tokens d'un utilisateur (déconnexion de tous les appareils).
+   * On ne connaît pas la liste des JWT émis : chacun porte la version des
+   * tokens du compte au moment de son émission (claim tv), et le middleware
+   * auth refuse toute version dépassée. Incrémenter la version suffit, sans
+   * dépendre d'une horloge : un token émis juste avant est refusé, un token
+   * émis juste après (nouvelle session, changement de mot de passe) accepté.
+   * tokens_revoked_at garde la date, pour information.
+   */
+  async revokeAllUserTokens(userId) {
+    await pool.execute(
+      'UPDATE users SET token_version = token_version + 1, tokens_revoked_at = NOW() WHERE id = ?',
+      [userId]
+    );
+  },
+
+  /**
+   * Version actuelle des tokens d'un utilisateur (claim tv des access tokens).
+   */
+  async getTokenVersion(userId) {
+    const [rows] = await pool.execute('SELECT token_version FROM users WHERE id = ? LIMIT 1', [userId]);
+    return rows[0] ? rows[0].token_version : 0;
+  },
+
+
+  // ===========================================================================
+  // VERROUILLAGE DES COMPTES
+  // Compteur d'échecs par compte (users.failed_login_count) et journal des
+  // échecs (login_failures). La politique (seuils, durées) est dans
+  // utils/loginLockout.js.
+  // ===========================================================================
+
+  /**
+   * Journalise un échec de connexion. userId NULL = email inconnu.
+   * Nettoie au passage les entrées de plus de 30 jours (pas de cron séparé).
+   */
+  async recordLoginFailure(userId, ipHash, reason = 'password') {
+    await pool.execute('DELETE FROM login_failures WHERE created_at < NOW() - INTERVAL 30 DAY');
+
+    await pool.execute(
+      'INSERT INTO login_failures (user_id, ip_hash, reason) VALUES (?, ?, ?)',
+      [userId || null, ipHash, reason]
+    );
+  },
+
+  /**
+   * Incrémente le compteur d'échecs d'un compte et retourne sa nouvelle valeur.
+   * Si le dernier échec date de plus de resetAfterMinutes, le compteur repart
+   * de 1 : quelques fautes de frappe espacées ne finissent pas par verrouiller.
+   */
+  async incrementFailedLogins(userId, resetAfterMinutes) {
+    await pool.execute(
+      `UPDATE users
+       SET failed_login_count = IF(
+             last_failed_login_at IS NULL OR last_failed_login_at < NOW() - INTERVAL ? MINUTE,
+             1,
+             failed_login_count + 1
+           ),
+           last_failed_login_at = NOW()
+       WHERE id = ?`,
+      [resetAfterMinutes, userId]
+    );
+    const [rows] = await pool.execute(
+      'SELECT failed_login_count FROM users WHERE id = ? LIMIT 1',
+      [userId]
+    );
+    return rows[0] ? Number(rows[0].failed_login_count) : 0;
+  },
+
+  /**
+   * Verrouille un compte pendant `seconds` secondes.
+   */
+  async lockAccount(userId, seconds) {
+    await pool.execute(
+      'UPDATE users SET locked_until = NOW() + INTERVAL ? SECOND WHERE id = ?',
+      [seconds, userId]
+    );
+  },
+
+  /**
+   * Remet le compteur à zéro après une connexion réussie.
+   */
+  async resetFailedLogins(userId) {
+    await pool.execute(
+      `UPDATE users SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+       WHERE id = ? AND (failed_login_count > 0 OR locked_until IS NOT NULL)`,
+      [userId]
+    );
+  },
+
+  /**
+   * Nombre d'IP distinctes (hachées) à l'origine d'échecs sur un compte.
+   * Beaucoup d'IP différentes = attaque distribuée plutôt qu'un oubli.
+   */
+  async countFailureIps(userId, minutes) {
+    const [rows] = await pool.execute(
+      `SELECT COUNT(DISTINCT ip_hash) AS total FROM login_failures
+       WHERE user_id = ? AND created_at > NOW() - INTERVAL ? MINUTE`,
+      [userId, minutes]
+    );
+    return Number(rows[0].total);
+  },
+
+  /**
+   * Comptes actuellement verrouillés, pour la modération.
+   */
+  async listLockedAccounts() {
+    const [rows] = await pool.execute(
+      `SELECT u.id, u.username, u.avatar, u.failed_login_count,
+              u.last_failed_login_at, u.locked_until,
+              (SELECT COUNT(DISTINCT f.ip_hash) FROM login_failures f
+               WHERE f.user_id = u.id AND f.created_at > NOW() - INTERVAL 1 DAY) AS distinct_ips
+       FROM users u
+       WHERE u.locked_until IS NOT NULL AND u.locked_until > NOW()
+       ORDER BY u.locked_until DESC`
+    );
+    return rows;
+  },
+
+  /**
+   * Déverrouille un compte (action admin). Retourne false s'il n'était pas verrouillé.
+   */
+  async clearLockout(userId) {
+    const [result] = await pool.execute(
+      `UPDATE users SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+       WHERE id = ? AND locked_until IS NOT NULL AND locked_until > NOW()`,
+      [userId]
+    );
+    return result.affectedRows === 1;
+  },
+
+
+  // ===========================================================================
+  // RÔLES DE L'ÉQUIPE
+  // Les permissions associées à chaque rôle sont dans utils/roles.js.
+  // ===========================================================================
+
+  /**
+   * Change le rôle d'un utilisateur. Les invités ne peuvent pas rejoindre
+   * l'équipe. Retourne false si le compte n'existe pas ou est un invité.
+   */
+  async setUserRole(userId, role) {
+    const [result] = await pool.execute(
+      'UPDATE users SET role = ? WHERE id = ? AND is_guest = 0',
+      [role, userId]
+    );
+    return result.affectedRows === 1;
+  },
+
+  /**
+   * Membres de l'équipe (tout rôle autre que user), pour la gestion des rôles.
+   */
+  async listStaff() {
+    const [rows] = await pool.execute(
+      `SELECT id, username, avatar, role, ${isBannedSql('users.id')} AS is_banned,
+              totp_enabled_at, created_at
+       FROM users
+       WHERE role <> 'user'
+       ORDER BY FIELD(role, 'admin', 'moderator', 'counselor'), username`
+    );
+    return rows;
+  },
+
+
+  // ===========================================================================
+  // MODÉRATION
+  // Partagé entre routes_admin.js et la CLI d'exploitation (src/cli).
+  // ===========================================================================
+
+  /**
+   * Suspend un compte. hours NULL = durée indéterminée ; moderatorId NULL =
+   * décision prise depuis la CLI. Une suspension déjà en cours est levée :
+   * la nouvelle la remplace (motif et durée).
+   * Retourne la suspension créée (voir findActiveSuspension).
+   */
+  async createSuspension({ userId, moderatorId = null, reason, hours = null }) {
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      await conn.execute(
+        `UPDATE suspensions SET lifted_at = NOW()
+         WHERE user_id = ? AND lifted_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+        [userId]
+      );
+      await conn.execute(
+        `INSERT INTO suspensions (user_id, moderator_id, reason, expires_at)
+         VALUES (?, ?, ?, IF(? IS NULL, NULL, NOW() + INTERVAL ? HOUR))`,
+        [userId, moderatorId, reason, hours, hours]
+      );
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+    return this.findActiveSuspension(userId);
+  },
+
+  /**
+   * Suspension en cours d'un compte, ou null.
+   * expires_ts : fin en secondes Unix (NULL = durée indéterminée).
+   */
+  async findActiveSuspension(userId) {
+    const [rows] = await pool.execute(
+      `SELECT id, reason, created_at, expires_at, UNIX_TIMESTAMP(expires_at) AS expires_ts
+       FROM suspensions
+       WHERE user_id = ? AND lifted_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+       ORDER BY id DESC LIMIT 1`,
+      [userId]
+    );
+    return rows[0] || null;
+  },
+
+  /**
+   * Lève la suspension en cours. liftedBy NULL = CLI.
+   * Retourne false si le compte n'était pas suspendu.
+   */
+  async liftSuspension(userId, liftedBy = null) {
+    const [result] = await pool.execute(
+      `UPDATE suspensions SET lifted_at = NOW(), lifted_by = ?
+       WHERE user_id = ? AND lifted_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+      [liftedBy, userId]
+    );
+    return result.affectedRows > 0;
+  },
+
+  /**
+   * Historique des suspensions d'un compte, de la plus récente à la plus ancienne.
+   * status : active, expired (terme atteint) ou lifted (levée avant terme).
+   */
+  async listSuspensions(userId) {
+    const [rows] = await pool.execute(
+      `SELECT s.id, s.reason, s.created_at, s.expires_at, s.lifted_at,
+              m.username AS moderator_username,
+              l.username AS lifted_by_username,
+              CASE
+                WHEN s.lifted_at IS NOT NULL THEN 'lifted'
+                WHEN s.expires_at IS NOT NULL AND s.expires_at <= NOW() THEN 'expired'
+                ELSE 'active'
+              END AS status
+       FROM suspensions s
+       LEFT JOIN users m ON m.id = s.moderator_id
+       LEFT JOIN users l ON l.id = s.lifted_by
+       WHERE s.user_id = ?
+       ORDER BY s.id DESC`,
+      [userId]
+    );
+    return rows;
+  },
+
+  /**
+   * Chiffres clés du tableau de bord (GET /api/admin/stats, `cli stats`).
+   */
+  async getModerationStats() {
+    const [[row]] = await pool.query(
+      `SELECT
+         (SELECT COUNT(*) FROM users)                                AS users,
+         (SELECT COUNT(DISTINCT user_id) FROM suspensions
+          WHERE lifted_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())) AS banned,
+         (SELECT COUNT(*) FROM messages WHERE deleted_at IS NULL AND held_at IS NULL) AS messages,
+         (SELECT COUNT(*) FROM messages WHERE deleted_at IS NULL AND held_at IS NOT NULL) AS held,
+         (SELECT COUNT(*) FROM reports WHERE status = 'pending')     AS pending,
+         (SELECT COUNT(*) FROM reports WHERE status = 'resolved')    AS resolved,
+         (SELECT COUNT(*) FROM crisis_events WHERE status <> 'closed') AS crisis_open`
+    );
+    return {
+      users:    row.users,
+      banned:   row.banned,
+      messages: row.messages,
+      held:     row.held,
+      reports:  { pending: row.pending, resolved: row.resolved },
+      crisis:   { open: row.crisis_open },
+    };
+  },
+
+
+  // ===========================================================================
+  // SITUATIONS DE CRISE
+  // ===========================================================================
+
+  /**
+   * Enregistre un message de détresse détecté. Retourne l'événement complet
+   * (voir findCrisisEvent).
+   */
+  async createCrisisEvent({ messageId, userId, salonId, level, terms }) {
+    const [result] = await pool.execute(
+      `INSERT INTO crisis_events (message_id, user_id, salon_id, level, matched_terms)
+       VALUES (?, ?, ?, ?, ?)`,
+      [messageId, userId, salonId, level, terms.join(', ').slice(0, 255)]
+    );
+    return this.findCrisisEvent(result.insertId);
+  },
+
+  /**
+   * Événement de crise avec l'auteur, le salon, le texte actuel du message
+   * et l'écoutant qui le suit.
+   */
+  async findCrisisEvent(id) {
+    const [rows] = await pool.execute(`${CRISIS_SELECT} WHERE c.id = ?`, [id]);
+    return rows[0] || null;
+  },
+
+  /**
+   * File de suivi : événements non clos (ou d'un statut donné), les plus
+   * graves puis les plus récents d'abord.
+   */
+  async listCrisisEvents({ status = null, limit = 50 } = {}) {
+    const safeLimit = Math.min(Math.max(1, parseInt(limit) || 50), 200);
+    const where     = status ? 'WHERE c.status = ?' : "WHERE c.status <> 'closed'";
+    const [rows] = await pool.query(
+      `${CRISIS_SELECT}
+       ${where}
+       ORDER BY c.level = 'high' DESC, c.created_at DESC
+       LIMIT ${safeLimit}`,
+      status ? [status] : []
+    );
+    return rows;
+  },
+
+  /**
+   * Prise en charge (acknowledged) ou clôture (closed) d'un événement.
+   * La première prise en charge enregistre l'écoutant ; la note remplace la
+   * précédente si elle est fournie.
+   */
+  async updateCrisisEvent(id, { status, handledBy, note = null }) {
+    await pool.execute(
+      `UPDATE crisis_events
+       SET status     = ?,
+           handled_by = COALESCE(handled_by, ?),
+           handled_at = COALESCE(handled_at, NOW()),
+           closed_at  = IF(? = 'closed', NOW(), NULL),
+           note       = COALESCE(?, note)
+       WHERE id = ?`,
+      [status, handledBy, status, note, id]
+    );
+    return this.findCrisisEvent(id);
+  },
+
+
+  // ===========================================================================
+  // RÉINITIALISATION DE MOT DE PASSE
+  // ===========================================================================
+
+  /**
+   * Enregistre une demande de réinitialisation (hash du token uniquement).
+   * Les demandes précédentes encore ouvertes sont invalidées : seul le
+   * dernier lien reçu par email fonctionne.
+   */
+  async createPasswordReset(userId, tokenHash, expiresAt) {
+    await pool.execute(
+      'UPDATE password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+      [userId]
+    );
+    await pool.execute(
+      'INSERT INTO password_resets (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+      [userId, tokenHash, expiresAt]
+    );
+  },
+
+  /**
+   * Cherche une demande non utilisée et non expirée.
+   */
+  async findValidPasswordReset(tokenHash) {
+    const [rows] = await pool.execute(
+      `SELECT id, user_id FROM password_resets
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+       LIMIT 1`,
+      [tokenHash]
+    );
+    return rows[0] || null;
+  },
+
+  /**
+   * Marque la demande comme utilisée. Atomique : retourne false si une autre
+   * requête l'a consommée entre-temps.
+   */
+  async consumePasswordReset(id) {
+    const [result] = await pool.execute(
+      'UPDATE password_resets SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+      [id]
+    );
+    return result.affectedRows === 1;
+  },
+
+
+  // ===========================================================================
+  // DOUBLE AUTHENTIFICATION (TOTP)
+  // Le secret est stocké chiffré (utils/totp.js) — ces fonctions ne voient
+  // jamais le secret en clair.
+  // ===========================================================================
+
+  /**
+   * État 2FA d'un utilisateur : secret chiffré, activation, dernier pas utilisé.
+   */
+  async getTotpState(userId) {
+    const [rows] = await pool.execute(
+      'SELECT totp_secret, totp_enabled_at, totp_last_step FROM users WHERE id = ? LIMIT 1',
+      [userId]
+    );
+    return rows[0] || null;
+  },
+
+  /**
+   * Enregistre un secret en attente de confirmation (2FA pas encore active).
+   * Sans effet si la 2FA est déjà active : il faut d'abord la désactiver.
+   */
+  async setPendingTotpSecret(userId, encryptedSecret) {
+    const [result] = await pool.execute(
+      `UPDATE users SET totp_secret = ?, totp_last_step = NULL
+       WHERE id = ? AND totp_enabled_at IS NULL`,
+      [encryptedSecret, userId]
+    );
+    return result.affectedRows === 1;
+  },
+
+  /**
+   * Active la 2FA après confirmation d'un premier code (step = son pas).
+   */
+  async enableTotp(userId, step) {
+    const [result] = await pool.execute(
+      `UPDATE users SET totp_enabled_at = NOW(), totp_last_step = ?
+       WHERE id = ? AND totp_enabled_at IS NULL AND totp_secret IS NOT NULL`,
+      [step, userId]
+    );
+    return result.affectedRows === 1;
+  },
+
+  /**
+   * Désactive la 2FA : secret effacé, codes de secours supprimés.
+   */
+  async disableTotp(userId) {
+    await pool.execute(
+      'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?',
+      [userId]
+    );
+    await pool.execute('DELETE FROM mfa_backup_codes WHERE user_id = ?', [userId]);
+  },
+
+  /**
+   * Tous les secrets chiffrés, actifs ou en attente (changement de clé).
+   */
+  async listTotpSecrets() {
+    const [rows] = await pool.query(
+      'SELECT id, totp_secret FROM users WHERE totp_secret IS NOT NULL ORDER BY id'
+    );
+    return rows;
+  },
+
+  /**
+   * Remplace un secret chiffré par sa version rechiffrée. Sans effet si le
+   * secret a changé entre-temps (2FA désactivée ou reconfigurée).
+   */
+  async replaceTotpSecret(userId, previous, encryptedSecret) {
+    const [result] = await pool.execute(
+      'UPDATE users SET totp_secret = ? WHERE id = ? AND totp_secret = ?',
+      [encryptedSecret, userId, previous]
+    );
+    return result.affectedRows === 1;
+  },
+
+  /**
+   * Enregistre le pas d'un code accepté. Atomique : retourne false si ce pas
+   * (ou un plus récent) a déjà servi — un code intercepté ne peut pas être rejoué.
+   */
+  async useTotpStep(userId, step) {
+    const [result] = await pool.execute(
+      `UPDATE users SET totp_last_step = ?
+       WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)`,
+      [step, userId, step]
+    );
+    return result.affectedRows === 1;
+  },
+
+  /**
+   * Remplace la série de codes de secours (hashes uniquement).
+   */
+  async replaceBackupCodes(userId, hashes) {
+    await pool.execute('DELETE FROM mfa_backup_codes WHERE user_id = ?', [userId]);
+    await pool.query(
+      'INSERT INTO mfa_backup_codes (user_id, code_hash) VALUES ?',
+      [hashes.map(h => [userId, h])]
+    );
+  },
+
+  /**
+   * Consomme un code de secours. Atomique : false si inconnu ou déjà utilisé.
+   */
+  async consumeBackupCode(userId, codeHash) {
+    const [result] = await pool.execute(
+      `UPDATE mfa_backup_codes SET used_at = NOW()
+       WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+      [userId, codeHash]
+    );
+    return result.affectedRows === 1;
+  },
+
+  /**
+   * Nombre de codes de secours encore utilisables.
+   */
+  async countBackupCodes(userId) {
+    const [rows] = await pool.execute(
+      'SELECT COUNT(*) AS total FROM mfa_backup_codes WHERE user_id = ? AND used_at IS NULL',
+      [userId]
+    );
+    return Number(rows[0].total);
+  },
+
+
+  // ===========================================================================
+  // VÉRIFICATION D'EMAIL
+  // ===========================================================================
+
+  /**
+   * Enregistre un token de vérification (hash uniquement). Comme pour les
+   * réinitialisations, seul le dernier lien envoyé reste valable.
+   */
+  async createEmailVerification(userId, tokenHash, expiresAt) {
+    await pool.execute(
+      'UPDATE email_verifications SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+      [userId]
+    );
+    await pool.execute(
+      'INSERT INTO email_verifications (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+      [userId, tokenHash, expiresAt]
+    );
+  },
+
+  /**
+   * Cherche un token de vérification non utilisé et non expiré.
+   */
+  async findValidEmailVerification(tokenHash) {
+    const [rows] = await pool.execute(
+      `SELECT id, user_id FROM email_verifications
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+       LIMIT 1`,
+      [tokenHash]
+    );
+    return rows[0] || null;
+  },
+
+  /**
+   * Marque le token comme utilisé. Atomique, comme consumePasswordReset().
+   */
+  async consumeEmailVerification(id) {
+    const [result] = await pool.execute(
+      'UPDATE email_verifications SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+      [id]
+    );
+    return result.affectedRows === 1;
+  },
+
+  /**
+   * Statistiques d'envoi pour limiter les renvois : secondes écoulées depuis le
+   * dernier envoi (NULL si aucun) et nombre d'envois sur les dernières 24 h.
+   */
+  async getEmailVerificationStats(userId) {
+    const [rows] = await pool.execute(
+      `SELECT TIMESTAMPDIFF(SECOND, MAX(created_at), NOW())                  AS seconds_since_last,
+              SUM(created_at > DATE_SUB(NOW(), INTERVAL 1 DAY))              AS sent_last_day
+       FROM email_verifications WHERE user_id = ?`,
+      [userId]
+    );
+    return {
+      secondsSinceLast: rows[0].seconds_since_last === null ? null : Number(rows[0].seconds_since_last),
+      sentLastDay:      Number(rows[0].sent_last_day) || 0,
+    };
+  },
+
+
+  // ===========================================================================
+  // REFRESH TOKENS
+  // ===========================================================================
+
+  /**
+   * Enregistre un refresh token (hash SHA-256 uniquement) dans sa famille.
+   */
+  async createRefreshToken(userId, familyId, tokenHash, expiresAt) {
+    await pool.execute(
+      'INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+      [userId, familyId, tokenHash, expiresAt]
+    );
+  },
+
+  /**
+   * Cherche un refresh token par son hash, qu'il soit valide ou non :
+   * la route a besoin de voir les tokens déjà utilisés pour détecter un vol.
+   * is_expired est calculé par MySQL pour éviter les écarts de fuseau horaire.
+   */
+  async findRefreshToken(tokenHash) {
+    const [rows] = await pool.execute(
+      `SELECT id, user_id, family_id, used_at, revoked_at, expires_at <= NOW() AS is_expired
+       FROM refresh_tokens WHERE token_hash = ? LIMIT 1`,
+      [tokenHash]
+    );
+    return rows[0] || null;
+  },
+
+  /**
+   * Marque un refresh token comme échangé.
+   * La condition used_at IS NULL rend l'opération atomique : si deux requêtes
+   * présentent le même token en même temps, une seule obtient true.
+   */
+  async consumeRefreshToken(id) {
+    const [result] = await pool.execute(
+      'UPDATE refresh_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL AND revoked_at IS NULL',
+      [id]
+    );
+    return result.affectedRows === 1;
+  },
+
+  /**
+   * Révoque tous les refresh tokens d'une famille (= une session).
+   * La ligne correspondante de la table sessions est fermée en même temps.
+   */
+  async revokeRefreshFamily(familyId) {
+    await pool.execute(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+      [familyId]
+    );
+    await this.revokeSession(familyId);
+  },
+
+  /**
+   * Révoque tous les refresh tokens d'un utilisateur (toutes ses sessions).
+   * exceptFamilyId : session à conserver (changement de mot de passe depuis
+   * cette session). Les sessions concernées sont fermées en même temps.
+   */
+  async revokeUserRefreshTokens(userId, exceptFamilyId = null) {
+    if (exceptFamilyId) {
+      await pool.execute(
+        `UPDATE refresh_tokens SET revoked_at = NOW()
+         WHERE user_id = ? AND family_id <> ? AND revoked_at IS NULL`,
+        [userId, exceptFamilyId]
+      );
+      await pool.execute(
+        'UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND id <> ? AND revoked_at IS NULL',
+        [userId, exceptFamilyId]
+      );
+      return;
+    }
+    await pool.execute(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+      [userId]
+    );
+    await pool.execute(
+      'UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+      [userId]
+    );
+  },
+
+
+  // ===========================================================================
+  // SESSIONS
+  // Une session = une connexion sur un appareil. Son id est le family_id des
+  // refresh tokens et le claim "sid" des access tokens.
+  // ===========================================================================
+
+  /**
+   * Ouvre une session (login, inscription).
+   */
+  async createSession({ id, userId, userAgent, accessTokenHash, accessExpiresAt, expiresAt, mfa = false }) {
+    await pool.execute(
+      `INSERT INTO sessions (id, user_id, user_agent, access_token_hash, access_expires_at, expires_at, mfa)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, userId, userAgent || null, accessTokenHash, accessExpiresAt, expiresAt, mfa ? 1 : 0]
+    );
+  },
+
+  /**
+   * Enregistre le nouvel access token d'une session (refresh, changement de
+   * mot de passe). expiresAt n'est renseigné que si un refresh token a été émis.
+   */
+  async updateSessionTokens(id, { accessTokenHash, accessExpiresAt, expiresAt = null }) {
+    await pool.execute(
+      `UPDATE sessions
+       SET access_token_hash = ?, access_expires_at = ?,
+           expires_at = COALESCE(?, expires_at), last_seen_at = NOW()
+       WHERE id = ?`,
+      [accessTokenHash, accessExpiresAt, expiresAt, id]
+    );
+  },
+
+  /**
+   * État d'une session pour le middleware d'authentification.
+   * is_stale = last_seen_at date de plus d'une minute (à rafraîchir).
+   */
+  async findSession(id) {
+    const [rows] = await pool.execute(
+      `SELECT id, user_id, mfa, revoked_at IS NOT NULL AS is_revoked,
+              last_seen_at < DATE_SUB(NOW(), INTERVAL 1 MINUTE) AS is_stale
+       FROM sessions WHERE id = ? LIMIT 1`,
+      [id]
+    );
+    return rows[0] || null;
+  },
+
+  /**
+   * Met à jour la date de dernière activité d'une session.
+   */
+  async touchSession(id) {
+    await pool.execute('UPDATE sessions SET last_seen_at = NOW() WHERE id = ?', [id]);
+  },
+
+  /**
+   * Sessions encore actives d'un utilisateur, la plus récente en premier.
+   */
+  async listActiveSessions(userId) {
+    const [rows] = await pool.execute(
+      `SELECT id, user_agent, created_at, last_seen_at
+       FROM sessions
+       WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_seen_at DESC`,
+      [userId]
+    );
+    return rows;
+  },
+
+  /**
+   * Cherche une session active appartenant à cet utilisateur, avec le dernier
+   * access token émis (pour l'ajouter à revoked_tokens). access_expired est
+   * calculé par MySQL pour éviter les écarts de fuseau horaire.
+   */
+  async findUserSession(userId, id) {
+    const [rows] = await pool.execute(
+      `SELECT id, access_token_hash, access_expires_at,
+              access_expires_at <= NOW() AS access_expired
+       FROM sessions
+       WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+       LIMIT 1`,
+      [id, userId]
+    );
+    return rows[0] || null;
+  },
+
+  /**
+   * Ferme une session. Sans effet si elle l'était déjà.
+   */
+  async revokeSession(id) {
+    await pool.execute(
+      'UPDATE sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+      [id]
+    );
+  },
+
+
+  // ===========================================================================
+  // RÉTENTION
+  // Durées de conservation et planification dans utils/retention.js.
+  // ===========================================================================
+
+  RETENTION_KINDS: Object.keys(RETENTION_TARGETS),
+
+  /**
+   * Nombre de lignes qu'une purge supprimerait (simulation).
+   * kind : deleted_messages, messages, moods, reports ou tokens.
+   */
+  async countExpiredData(kind, days) {
+    let total = 0;
+    for (const { table, where } of retentionTargets(kind)) {
+      const [rows] = await pool.execute(`SELECT COUNT(*) AS total FROM ${table} WHERE ${where}`, [days]);
+      total += rows[0].total;
+    }
+    return total;
+  },
+
+  /**
+   * Supprime les lignes plus anciennes que la durée de conservation, par lots
+   * de RETENTION_BATCH. Retourne le nombre de lignes supprimées.
+   * Les réactions, signalements et versions d'un message purgé partent avec
+   * lui (CASCADE) ; les réponses et alertes de crise le perdent (SET NULL).
+   */
+  async purgeExpiredData(kind, days) {
+    let total = 0;
+    for (const { table, where } of retentionTargets(kind)) {
+      let affected;
+      do {
+        const [result] = await pool.execute(`DELETE FROM ${table} WHERE ${where} LIMIT ${RETENTION_BATCH}`, [days]);
+        affected = result.affectedRows;
+        total += affected;
+      } while (affected === RETENTION_BATCH);
+    }
+    return total;
+  },
+
 };
 
 module.exports = db;
\ No newline at end of file
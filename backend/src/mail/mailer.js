@@ -0,0 +1,136 @@
+// =============================================================================
+// TRUST LAYER — src/mail/mailer.js
+// Envoi d'emails derrière une interface de transport interchangeable.
+//
+// POURQUOI une abstraction ?
+//   — En développement, personne n'a de serveur SMTP : les emails (lien de
+//     réinitialisation, etc.) doivent quand même être consultables
+//   — En production, on branche un vrai SMTP sans toucher aux routes
+//
+// TRANSPORTS DISPONIBLES (variable MAIL_TRANSPORT) :
+//   — console (défaut) : affiche l'email dans le terminal
+//   — file             : écrit chaque email en JSON dans MAIL_FILE_DIR (tmp/mails)
+//   — smtp             : envoi réel via nodemailer (SMTP_HOST, SMTP_PORT, ...)
+//
+// Un transport est un objet { name, send(mail) } où send() retourne une promesse.
+// registerTransport() permet d'en ajouter un autre (API d'un fournisseur, etc.).
+//
+// UTILISATION :
+//   const mailer = require('../mail/mailer');
+//   await mailer.sendMail({ to, subject, text, html });
+// =============================================================================
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { maskEmail } = require('../middleware/auth_middleware');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Trust Layer <no-reply@trustlayer.local>';
+
+
+// ── Fabriques de transports ───────────────────────────────────────────────────
+const factories = {
+
+  // Affiche l'email dans le terminal. On passe par console.log et non par le
+  // logger : les emails contiennent des liens à usage unique qui ne doivent pas
+  // finir dans app.log.
+  console() {
+    return {
+      name: 'console',
+      async send(mail) {
+        console.log([
+          '',
+          '──────────────────── EMAIL (transport console) ────────────────────',
+          `De      : ${mail.from}`,
+          `À       : ${mail.to}`,
+          `Sujet   : ${mail.subject}`,
+          '',
+          mail.text,
+          '────────────────────────────────────────────────────────────────────',
+          '',
+        ].join('\n'));
+      },
+    };
+  },
+
+  // Écrit chaque email dans un fichier JSON — pratique pour les tests manuels
+  // ou pour récupérer un lien quand le serveur tourne en arrière-plan.
+  file() {
+    const dir = path.resolve(process.env.MAIL_FILE_DIR || path.join(__dirname, '../../tmp/mails'));
+    fs.mkdirSync(dir, { recursive: true });
+
+    return {
+      name: 'file',
+      async send(mail) {
+        const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+        await fs.promises.writeFile(
+          path.join(dir, filename),
+          JSON.stringify({ ...mail, date: new Date().toISOString() }, null, 2)
+        );
+      },
+    };
+  },
+
+  // Envoi réel via SMTP. nodemailer n'est chargé que si ce transport est choisi.
+  smtp() {
+    const nodemailer  = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host:   process.env.SMTP_HOST,
+      port:   parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true', // true pour le port 465
+      auth:   process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+
+    return {
+      name: 'smtp',
+      async send(mail) {
+        await transporter.sendMail(mail);
+      },
+    };
+  },
+};
+
+
+// ── Transport actif ───────────────────────────────────────────────────────────
+// Instancié à la première utilisation — évite de créer tmp/mails ou d'ouvrir
+// une connexion SMTP si le serveur n'envoie jamais d'email.
+let transport = null;
+
+function getTransport() {
+  if (transport) return transport;
+
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  if (!factories[name]) {
+    throw new Error(`Transport email inconnu : ${name}`);
+  }
+  transport = factories[name]();
+  return transport;
+}
+
+/**
+ * Ajoute (ou remplace) un transport. À appeler avant le premier envoi.
+ * @param {string}   name    — valeur à utiliser dans MAIL_TRANSPORT
+ * @param {Function} factory — retourne un objet { name, send(mail) }
+ */
+function registerTransport(name, factory) {
+  factories[name] = factory;
+  if (transport && transport.name === name) transport = null;
+}
+
+/**
+ * Envoie un email via le transport configuré.
+ * Les erreurs remontent à l'appelant — les routes qui ne doivent pas révéler
+ * l'échec (anti-énumération) les capturent elles-mêmes.
+ */
+async function sendMail({ to, subject, text, html }) {
+  const active = getTransport();
+  await active.send({ from: MAIL_FROM, to, subject, text, html });
+
+  // Jamais l'adresse en clair dans les logs
+  logger.info('Email envoyé', { to: maskEmail(to), subject, transport: active.name });
+}
+
+module.exports = { sendMail, registerTransport };
@@ -0,0 +1,148 @@
+// =============================================================================
+// TRUST LAYER — src/mail/templates.js
+// Contenu des emails envoyés par la plateforme (texte brut + HTML).
+//
+// Chaque template retourne { subject, text, html } — prêt pour mailer.sendMail().
+// Les liens pointent vers le frontend (APP_URL), qui appelle ensuite l'API.
+// =============================================================================
+
+// URL publique du frontend — par défaut la première origine autorisée par le CORS
+const APP_URL = (process.env.APP_URL || (process.env.FRONTEND_URL || 'http://127.0.0.1:5500').split(',')[0])
+  .trim()
+  .replace(/\/$/, '');
+
+function escHtml(str) {
+  return String(str ?? '').replace(/[&<>"']/g, c => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+  ));
+}
+
+// Mise en page commune — volontairement sobre, lisible dans tous les clients mail
+function layout(title, bodyHtml) {
+  return `<!DOCTYPE html>
+<html lang="fr">
+<body style="margin:0;padding:24px;background:#F6F9FD;font-family:Arial,sans-serif;color:#0F1D2E">
+  <div style="max-width:520px;margin:0 auto;background:#fff;border-radius:16px;padding:28px">
+    <h2 style="margin-top:0;color:#2D5A9E">${escHtml(title)}</h2>
+    ${bodyHtml}
+    <p style="margin-top:28px;font-size:12px;color:#6A8CAA">
+      Trust Layer — espace de soutien étudiant. Cet email est automatique, merci de ne pas y répondre.
+    </p>
+  </div>
+</body>
+</html>`;
+}
+
+function button(href, label) {
+  return `<p style="text-align:center;margin:24px 0">
+      <a href="${escHtml(href)}" style="background:#4A7FC1;color:#fff;padding:12px 24px;border-radius:999px;text-decoration:none;font-weight:bold">${escHtml(label)}</a>
+    </p>`;
+}
+
+
+/**
+ * Lien de réinitialisation du mot de passe (POST /api/password/forgot).
+ */
+function passwordReset({ username, token, ttlMinutes }) {
+  const link = `${APP_URL}/connexion.html?reset=${encodeURIComponent(token)}`;
+
+  return {
+    subject: 'Réinitialisation de ton mot de passe Trust Layer',
+    text: [
+      `Bonjour ${username},`,
+      '',
+      'Tu as demandé à réinitialiser ton mot de passe. Ouvre ce lien pour en choisir un nouveau :',
+      link,
+      '',
+      `Ce lien est valable ${ttlMinutes} minutes et ne peut servir qu'une fois.`,
+      'Si tu n\'es pas à l\'origine de cette demande, ignore cet email : ton mot de passe reste inchangé.',
+    ].join('\n'),
+    html: layout('Réinitialisation du mot de passe', `
+    <p>Bonjour ${escHtml(username)},</p>
+    <p>Tu as demandé à réinitialiser ton mot de passe. Clique sur le bouton ci-dessous pour en choisir un nouveau.</p>
+    ${button(link, 'Choisir un nouveau mot de passe')}
+    <p>Ce lien est valable ${ttlMinutes} minutes et ne peut servir qu'une fois.</p>
+    <p>Si tu n'es pas à l'origine de cette demande, ignore cet email : ton mot de passe reste inchangé.</p>`),
+  };
+}
+
+/**
+ * Confirmation après changement du mot de passe — alerte l'utilisateur si ce
+ * n'était pas lui.
+ */
+function passwordChanged({ username }) {
+  return {
+    subject: 'Ton mot de passe Trust Layer a été modifié',
+    text: [
+      `Bonjour ${username},`,
+      '',
+      'Le mot de passe de ton compte vient d\'être modifié. Toutes tes sessions ont été déconnectées.',
+      '',
+      'Si tu n\'es pas à l\'origine de ce changement, demande immédiatement une réinitialisation :',
+      `${APP_URL}/connexion.html`,
+    ].join('\n'),
+    html: layout('Mot de passe modifié', `
+    <p>Bonjour ${escHtml(username)},</p>
+    <p>Le mot de passe de ton compte vient d'être modifié. Toutes tes sessions ont été déconnectées.</p>
+    <p>Si tu n'es pas à l'origine de ce changement, demande immédiatement une réinitialisation depuis la page de connexion.</p>
+    ${button(`${APP_URL}/connexion.html`, 'Aller à la connexion')}`),
+  };
+}
+
+/**
+ * Lien de vérification de l'adresse email (inscription, GET /api/verify-email).
+ */
+function emailVerification({ username, token, ttlHours }) {
+  const link = `${APP_URL}/connexion.html?verify=${encodeURIComponent(token)}`;
+
+  return {
+    subject: 'Confirme ton adresse email Trust Layer',
+    text: [
+      `Bonjour ${username},`,
+      '',
+      'Bienvenue sur Trust Layer ! Confirme ton adresse email pour pouvoir écrire dans le chat :',
+      link,
+      '',
+      `Ce lien est valable ${ttlHours} heures.`,
+      'Si tu n\'as pas créé de compte, ignore cet email.',
+    ].join('\n'),
+    html: layout('Confirme ton adresse email', `
+    <p>Bonjour ${escHtml(username)},</p>
+    <p>Bienvenue sur Trust Layer ! Confirme ton adresse email pour pouvoir écrire dans le chat.</p>
+    ${button(link, 'Confirmer mon adresse')}
+    <p>Ce lien est valable ${ttlHours} heures.</p>
+    <p>Si tu n'as pas créé de compte, ignore cet email.</p>`),
+  };
+}
+
+/**
+ * Alerte de verrouillage après des échecs de connexion répétés.
+ * Seul le titulaire de l'adresse est prévenu : la page de connexion, elle,
+ * ne révèle rien (même message qu'un mot de passe incorrect).
+ */
+function accountLocked({ username, minutes }) {
+  const link = `${APP_URL}/connexion.html`;
+
+  return {
+    subject: 'Connexion temporairement bloquée sur ton compte Trust Layer',
+    text: [
+      `Bonjour ${username},`,
+      '',
+      'Plusieurs tentatives de connexion ont échoué sur ton compte. Par sécurité, la connexion est bloquée',
+      `pendant ${minutes} minute(s).`,
+      '',
+      'Si c\'était toi, patiente puis réessaie, ou réinitialise ton mot de passe (cela débloque aussi le compte) :',
+      link,
+      '',
+      'Si ce n\'était pas toi, quelqu\'un essaie peut-être de deviner ton mot de passe : choisis-en un plus solide.',
+    ].join('\n'),
+    html: layout('Connexion temporairement bloquée', `
+    <p>Bonjour ${escHtml(username)},</p>
+    <p>Plusieurs tentatives de connexion ont échoué sur ton compte. Par sécurité, la connexion est bloquée pendant ${minutes} minute(s).</p>
+    <p>Si c'était toi, patiente puis réessaie, ou utilise « Mot de passe oublié ? » : une réinitialisation débloque aussi le compte.</p>
+    ${button(link, 'Aller à la connexion')}
+    <p>Si ce n'était pas toi, quelqu'un essaie peut-être de deviner ton mot de passe : choisis-en un plus solide.</p>`),
+  };
+}
+
+module.exports = { APP_URL, passwordReset, passwordChanged, emailVerification, accountLocked };
@@ -1,31 +1,79 @@
 // =============================================================================
 // TRUST LAYER — src/middleware/admin_middleware.js
 //
-// Vérifie qu'un utilisateur est admin APRÈS le middleware authenticate.
-// À utiliser en chaîne : router.get('/...', authenticate, requireAdmin, handler)
+// Contrôle d'accès à l'espace de modération APRÈS le middleware authenticate.
+//   — requireStaff              : membre de l'équipe (modérateur, écoutant, admin)
+//   — requirePermission('x:y')  : permission précise (voir utils/roles.js)
 //
-// req.user est déjà hydraté par authenticate — on lit juste is_admin.
+// À utiliser en chaîne :
+//   router.use(authenticate, requireStaff);
+//   router.post('/users/:id/ban', requirePermission('users:ban'), handler);
+//
+// req.user est déjà hydraté par authenticate — on lit juste role.
+//
+// DOUBLE AUTHENTIFICATION OBLIGATOIRE :
+//   Le token doit avoir été émis après un second facteur (req.auth.mfa).
+//   Sinon → 403 avec code MFA_REQUIRED : admin.html invite à activer la 2FA
+//   (ou à se reconnecter avec son code si elle est déjà active).
 // =============================================================================
 
 const logger = require('../utils/logger');
+const { hasPermission, isStaff } = require('../utils/roles');
 
-function requireAdmin(req, res, next) {
+function requireStaff(req, res, next) {
   if (!req.user) {
     // Ne devrait pas arriver si authenticate est appelé avant
     return res.status(401).json({ error: 'Non authentifié' });
   }
 
-  if (!req.user.is_admin) {
+  if (!isStaff(req.user.role)) {
     logger.security('Tentative d\'accès admin non autorisé', {
       userId: req.user.id,
       username: req.user.username,
       ip: req.ip,
       path: req.path,
     });
-    return res.status(403).json({ error: 'Accès réservé aux administrateurs' });
+    return res.status(403).json({ error: 'Accès réservé à l\'équipe de modération' });
+  }
+
+  if (!req.auth || !req.auth.mfa) {
+    logger.security('Accès admin refusé — session sans second facteur', {
+      userId: req.user.id,
+      ip:     req.ip,
+      path:   req.path,
+    });
+    return res.status(403).json({
+      error: req.user.totp_enabled_at
+        ? 'Reconnecte-toi avec ton code de double authentification pour accéder à la modération.'
+        : 'Active la double authentification (Mon profil) pour accéder à la modération.',
+      code:  'MFA_REQUIRED',
+    });
   }
 
   next();
 }
 
-module.exports = { requireAdmin };
\ No newline at end of file
+/**
+ * Fabrique un middleware qui exige une permission. Inclut requireStaff :
+ * utilisable seul sur une route hors de routes_admin.
+ */
+function requirePermission(permission) {
+  return (req, res, next) => requireStaff(req, res, () => {
+    if (!hasPermission(req.user.role, permission)) {
+      logger.security('Action de modération refusée — permission manquante', {
+        userId: req.user.id,
+        role:   req.user.role,
+        permission,
+        ip:     req.ip,
+        path:   req.path,
+      });
+      return res.status(403).json({
+        error: 'Ton rôle ne permet pas cette action',
+        code:  'PERMISSION_DENIED',
+      });
+    }
+    next();
+  });
+}
+
+module.exports = { requireStaff, requirePermission };
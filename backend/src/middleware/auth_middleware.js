@@ -7,15 +7,20 @@
 // Si invalide ou expiré, répond 401.
 //
 // CORRECTIONS apportées :
-//   — Vérification si le compte est banni (is_banned)
+//   — Vérification si le compte est suspendu (table suspensions)
 //   — Log de sécurité sans email en clair (masqué)
 //   — Support optionnel de la révocation de tokens
+//   — Révocation globale (logout-all) via users.token_version (claim tv)
+//   — req.auth expose le hash, l'expiration et la session (sid) du token
+//     pour POST /api/logout
+//   — Vérification que la session (sid) n'a pas été fermée à distance
+//   — Refus des tokens intermédiaires 2FA (typ 'mfa'), req.auth.mfa exposé
+//   — Vérifications partagées avec le handshake Socket.io (verifyAccessToken)
 // =============================================================================
 
-const jwt    = require('jsonwebtoken');
-const crypto = require('crypto');
 const db     = require('../db/database');
 const logger = require('../utils/logger');
+const { verifyAccessToken, AuthError } = require('../utils/tokens');
 
 /**
  * Masque un email pour les logs : "jean.dupont@gmail.com" → "j***@g***.com"
@@ -36,45 +41,41 @@ async function authenticate(req, res, next) {
     return res.status(401).json({ error: 'Token manquant' });
   }
 
-  const token = authHeader.slice(7);
-
   try {
-    // Vérifie la signature et l'expiration du token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Vérification optionnelle : token révoqué (déconnexion forcée, ban)
-    // Utilise un hash SHA-256 du token — on ne stocke jamais le token lui-même
-    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-    const revoked   = await db.isTokenRevoked(tokenHash);
-    if (revoked) {
-      return res.status(401).json({ error: 'Session expirée. Reconnecte-toi.' });
-    }
-
-    // Charge l'utilisateur depuis MySQL (données fraîches, pas seulement le payload JWT)
-    const user = await db.findUserById(decoded.userId);
+    // Signature, révocations, session et compte : voir verifyAccessToken()
+    const { user, decoded, tokenHash, session } = await verifyAccessToken(authHeader.slice(7));
 
-    if (!user) {
-      return res.status(401).json({ error: 'Utilisateur introuvable' });
-    }
-
-    // Vérifie si le compte est banni
-    if (user.is_banned) {
-      logger.security('Tentative de connexion avec compte banni', {
-        userId: user.id,
-        ip: req.ip,
-      });
-      return res.status(403).json({ error: 'Compte suspendu.' });
+    // Dernière activité, au plus une fois par minute — sans bloquer la requête
+    if (session && session.is_stale) {
+      db.touchSession(decoded.sid).catch(err => logger.error('Erreur mise à jour session', { error: err.message }));
     }
 
     req.user = user;
+    // Infos sur le token courant — utilisées par la déconnexion pour le révoquer
+    req.auth = {
+      tokenHash,
+      sessionId: decoded.sid || null,
+      expiresAt: new Date(decoded.exp * 1000),
+      mfa:       decoded.mfa === true, // session ouverte avec un second facteur
+    };
     next();
 
   } catch (err) {
-    // Ne log pas l'email en clair — uniquement l'IP et le type d'erreur
-    logger.security('Token invalide', {
-      ip:    req.ip,
-      error: err.name, // 'JsonWebTokenError', 'TokenExpiredError', etc.
-    });
+    if (err instanceof AuthError) {
+      if (err.reason === 'banned') {
+        logger.security('Tentative de connexion avec compte banni', { userId: err.userId, ip: req.ip });
+      } else if (err.cause) {
+        // Ne log pas l'email en clair — uniquement l'IP et le type d'erreur
+        logger.security('Token invalide', {
+          ip:    req.ip,
+          error: err.cause.name, // 'JsonWebTokenError', 'TokenExpiredError', etc.
+        });
+      }
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    // Erreur inattendue (base de données…) : refus par prudence
+    logger.security('Token invalide', { ip: req.ip, error: err.name });
     return res.status(401).json({ error: 'Token invalide ou expiré' });
   }
 }
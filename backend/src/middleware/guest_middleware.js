@@ -0,0 +1,47 @@
+// =============================================================================
+// TRUST LAYER — src/middleware/guest_middleware.js
+//
+// Droits restreints des comptes invités (créés sans email ni mot de passe) :
+//   — forbidGuests       : action réservée aux comptes complets (signaler,
+//                          double authentification…)
+//   — limitGuestMessages : au plus GUEST_MESSAGE_LIMIT messages par 24 h
+//
+// À utiliser après authenticate. Les codes GUEST_FORBIDDEN et
+// GUEST_MESSAGE_LIMIT permettent au frontend de proposer la création d'un
+// compte plutôt qu'une erreur générique.
+// =============================================================================
+
+const db     = require('../db/database');
+const logger = require('../utils/logger');
+
+const GUEST_MESSAGE_LIMIT = parseInt(process.env.GUEST_MESSAGE_LIMIT) || 10;
+
+function forbidGuests(req, res, next) {
+  if (req.user && req.user.is_guest) {
+    return res.status(403).json({
+      error: 'Crée ton compte pour accéder à cette fonctionnalité.',
+      code:  'GUEST_FORBIDDEN',
+    });
+  }
+  next();
+}
+
+async function limitGuestMessages(req, res, next) {
+  if (!req.user || !req.user.is_guest) return next();
+
+  try {
+    const sent = await db.countRecentMessages(req.user.id, 24);
+    if (sent >= GUEST_MESSAGE_LIMIT) {
+      return res.status(429).json({
+        error: `En mode invité, tu peux publier ${GUEST_MESSAGE_LIMIT} messages par jour. Crée ton compte pour continuer à écrire.`,
+        code:  'GUEST_MESSAGE_LIMIT',
+      });
+    }
+    next();
+  } catch (err) {
+    logger.error('Erreur quota invité', { error: err.message });
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+}
+
+module.exports = { forbidGuests, limitGuestMessages, GUEST_MESSAGE_LIMIT };
@@ -27,4 +27,29 @@ const messageLimiter = rateLimit({
   }
 });
 
-module.exports = { authLimiter, apiLimiter, messageLimiter };
\ No newline at end of file
+// Changement de mot de passe depuis le profil : même risque de force brute que
+// le login (vérification du mot de passe actuel). Les autres modifications du
+// profil ne sont pas comptées.
+const passwordChangeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  skip: (req) => !req.body || req.body.newPassword === undefined,
+  message: { error: 'Trop de tentatives de changement de mot de passe. Réessaie dans 15 minutes.' },
+  handler(req, res, next, options) {
+    logger.security('Rate limit changement de mot de passe dépassé', { ip: req.ip, userId: req.user?.id });
+    res.status(429).json(options.message);
+  }
+});
+
+// Codes 2FA saisis depuis le profil (activation, désactivation, codes de secours)
+const mfaLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { error: 'Trop de codes essayés. Réessaie dans 15 minutes.' },
+  handler(req, res, next, options) {
+    logger.security('Rate limit 2FA dépassé', { ip: req.ip, userId: req.user?.id });
+    res.status(429).json(options.message);
+  }
+});
+
+module.exports = { authLimiter, apiLimiter, messageLimiter, passwordChangeLimiter, mfaLimiter };
\ No newline at end of file
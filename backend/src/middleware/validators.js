@@ -1,4 +1,9 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { checkPassword } = require('../utils/passwordPolicy');
+const { ROLES }         = require('../utils/roles');
+const { MAX_HOURS }     = require('../utils/suspensions');
+const { REACTION_EMOJIS } = require('../utils/reactions');
+const { POSTING_MODES, MAX_SLOW_MODE_SECONDS, MAX_ACCOUNT_AGE_HOURS, MAX_MESSAGE_LENGTH } = require('../utils/salonPolicy');
 
 /**
  * Middleware to check validation results and return errors
@@ -14,54 +19,125 @@ function validate(req, res, next) {
   next();
 }
 
-// ─── Register ────────────────────────────────────────────────────────────────
-const registerRules = [
-  body('username')
-    .trim()
-    .isLength({ min: 3, max: 30 })
-    .withMessage('Le pseudo doit faire entre 3 et 30 caractères')
-    .matches(/^[\w\s\u00C0-\u024F''-]+$/)
-    .withMessage('Pseudo invalide'),
+// ─── Champs du profil ─────────────────────────────────────────────────────────
+// Une règle par champ, partagée entre l'inscription (registerRules) et la
+// modification du profil (updateProfileRules). Chaque fabrique retourne une
+// nouvelle chaîne : l'appelant ajoute .optional() si le champ n'est pas requis.
+const usernameField = () => body('username')
+  .trim()
+  .isLength({ min: 3, max: 30 })
+  .withMessage('Le pseudo doit faire entre 3 et 30 caractères')
+  .matches(/^[\w\s\u00C0-\u024F''-]+$/)
+  .withMessage('Pseudo invalide');
 
-  body('email')
-    .trim()
-    .isEmail()
-    .withMessage('Adresse email invalide')
-    .normalizeEmail(),
+const emailField = () => body('email')
+  .trim()
+  .isEmail()
+  .withMessage('Adresse email invalide')
+  .normalizeEmail();
 
-  body('password')
-    .isLength({ min: 6, max: 128 })
-    .withMessage('Le mot de passe doit faire au moins 6 caractères'),
+// Politique complète (utils/passwordPolicy.js). Le pseudo et l'email viennent
+// du corps (inscription) ou du compte connecté (profil). Pour une
+// réinitialisation, le compte n'est connu qu'après lecture du token : le
+// handler refait la vérification avec son pseudo et son email.
+const passwordField = (field = 'password') => body(field)
+  .isString()
+  .withMessage('Mot de passe invalide')
+  .bail()
+  .custom((value, { req }) => {
+    const issues = checkPassword(value, {
+      username: req.body.username ?? req.user?.username,
+      email:    req.body.email    ?? req.user?.email,
+    });
+    if (issues.length > 0) throw new Error(issues[0]);
+    return true;
+  });
 
-  body('avatar')
-    .optional()
-    .trim()
-    .isLength({ max: 10 })
-    .withMessage('Avatar invalide'),
+const avatarField = () => body('avatar')
+  .trim()
+  .isLength({ max: 10 })
+  .withMessage('Avatar invalide');
 
-  body('firstName')
-    .optional()
-    .trim()
-    .isLength({ max: 60 })
-    .withMessage('Prénom trop long'),
+const firstNameField = () => body('firstName')
+  .trim()
+  .isLength({ max: 60 })
+  .withMessage('Prénom trop long');
 
-  body('lastName')
-    .optional()
-    .trim()
-    .isLength({ max: 60 })
-    .withMessage('Nom trop long'),
+const lastNameField = () => body('lastName')
+  .trim()
+  .isLength({ max: 60 })
+  .withMessage('Nom trop long');
 
-  body('emergencyName')
-    .optional()
-    .trim()
-    .isLength({ max: 100 })
-    .withMessage('Nom du contact d\'urgence trop long'),
+const emergencyNameField = () => body('emergencyName')
+  .trim()
+  .isLength({ max: 100 })
+  .withMessage('Nom du contact d\'urgence trop long');
+
+const emergencyPhoneField = () => body('emergencyPhone')
+  .trim()
+  .isLength({ max: 30 })
+  .withMessage('Numéro d\'urgence invalide');
 
-  body('emergencyPhone')
+// ─── Register ────────────────────────────────────────────────────────────────
+const registerRules = [
+  usernameField(),
+  emailField(),
+  passwordField(),
+  avatarField().optional(),
+  firstNameField().optional(),
+  lastNameField().optional(),
+  emergencyNameField().optional(),
+  emergencyPhoneField().optional(),
+];
+
+// ─── Comptes invités ──────────────────────────────────────────────────────────
+// Un invité ne fournit que son pseudo et son avatar.
+const guestRules = [
+  usernameField(),
+  avatarField().optional(),
+  // Jeton d'un précédent compte invité de cet appareil, s'il en reste un
+  body('previousDeviceToken')
     .optional()
-    .trim()
-    .isLength({ max: 30 })
-    .withMessage('Numéro d\'urgence invalide'),
+    .isString()
+    .isLength({ min: 32, max: 128 }),
+];
+
+const guestLoginRules = [
+  body('deviceToken')
+    .isString()
+    .isLength({ min: 32, max: 128 })
+    .withMessage('Session invité introuvable'),
+];
+
+// Conversion en compte complet : mêmes exigences que l'inscription, sans le pseudo
+const upgradeGuestRules = [
+  emailField(),
+  passwordField(),
+  firstNameField().optional(),
+  lastNameField().optional(),
+  emergencyNameField().optional(),
+  emergencyPhoneField().optional(),
+];
+
+// ─── Modification du profil ───────────────────────────────────────────────────
+// Tous les champs sont optionnels : seuls ceux présents sont modifiés.
+// Changer de mot de passe exige le mot de passe actuel (ré-authentification).
+const updateProfileRules = [
+  usernameField().optional(),
+  avatarField().optional().notEmpty().withMessage('Avatar invalide'),
+  firstNameField().optional(),
+  lastNameField().optional(),
+  emergencyNameField().optional(),
+  emergencyPhoneField().optional(),
+  passwordField('newPassword').optional(),
+
+  body('currentPassword')
+    .if(body('newPassword').exists())
+    .isString()
+    .withMessage('Mot de passe actuel requis')
+    .bail()
+    .notEmpty()
+    .withMessage('Mot de passe actuel requis'),
 ];
 
 // ─── Login ────────────────────────────────────────────────────────────────────
@@ -70,12 +146,103 @@ const loginRules = [
   body('password').notEmpty().withMessage('Mot de passe requis'),
 ];
 
+// ─── Double authentification ──────────────────────────────────────────────────
+// code : 6 chiffres (application TOTP) ou code de secours "XXXXX-XXXXX"
+const mfaCodeField = () => body('code')
+  .isString()
+  .trim()
+  .isLength({ min: 6, max: 20 })
+  .withMessage('Code de vérification invalide');
+
+const mfaLoginRules = [
+  body('mfaToken')
+    .isString()
+    .isLength({ min: 20, max: 1024 })
+    .withMessage('Étape de connexion expirée. Recommence.'),
+  mfaCodeField(),
+];
+
+const mfaCodeRules = [
+  mfaCodeField(),
+];
+
+const mfaEnableRules = [
+  body('password').isString().notEmpty().withMessage('Mot de passe requis'),
+  mfaCodeField(),
+];
+
+const mfaDisableRules = [
+  body('password').isString().notEmpty().withMessage('Mot de passe requis'),
+  mfaCodeField(),
+];
+
+// ─── Mot de passe oublié / réinitialisation ───────────────────────────────────
+const forgotPasswordRules = [
+  body('email').trim().isEmail().withMessage('Email invalide').normalizeEmail(),
+];
+
+const resetPasswordRules = [
+  body('token')
+    .isString()
+    .isLength({ min: 32, max: 128 })
+    .withMessage('Lien de réinitialisation invalide'),
+
+  passwordField(),
+];
+
+const verifyEmailRules = [
+  query('token')
+    .isString()
+    .isLength({ min: 32, max: 128 })
+    .withMessage('Lien de vérification invalide'),
+];
+
+// ─── Refresh token ────────────────────────────────────────────────────────────
+const refreshRules = [
+  body('refreshToken')
+    .isString()
+    .isLength({ min: 32, max: 128 })
+    .withMessage('Refresh token invalide'),
+];
+
 // ─── Messages ─────────────────────────────────────────────────────────────────
+// ?salon=<id> sur GET/POST /api/messages — absent : salon par défaut
+const salonQuery = () => query('salon')
+  .optional()
+  .isInt({ min: 1, max: 255 })
+  .withMessage('Salon invalide')
+  .toInt();
+
+const messageContent = () => body('content')
+  .trim()
+  .isLength({ min: 1, max: 2000 })
+  .withMessage('Le message doit faire entre 1 et 2000 caractères');
+
 const sendMessageRules = [
-  body('content')
-    .trim()
-    .isLength({ min: 1, max: 2000 })
-    .withMessage('Le message doit faire entre 1 et 2000 caractères'),
+  messageContent(),
+  body('reply_to_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Message cité invalide')
+    .toInt(),
+  body('client_id')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Identifiant client invalide'),
+  salonQuery(),
+];
+
+const reactRules = [
+  param('id').isInt({ min: 1 }).withMessage('ID message invalide').toInt(),
+  body('emoji')
+    .optional()
+    .isIn(REACTION_EMOJIS)
+    .withMessage('Réaction non autorisée'),
+];
+
+const editMessageRules = [
+  param('id').isInt({ min: 1 }).withMessage('ID message invalide').toInt(),
+  messageContent(),
 ];
 
 const getMessagesRules = [
@@ -84,6 +251,57 @@ const getMessagesRules = [
     .isInt({ min: 1, max: 200 })
     .withMessage('limit doit être entre 1 et 200')
     .toInt(),
+  salonQuery(),
+  query('before')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Curseur invalide')
+    .toInt(),
+  query('after')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Curseur invalide')
+    .toInt()
+    .custom((value, { req }) => req.query.before === undefined)
+    .withMessage('before et after ne peuvent pas être combinés'),
+];
+
+// ─── Salons ───────────────────────────────────────────────────────────────────
+const salonRules = [
+  body('name')
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Le nom du salon doit contenir entre 3 et 50 caractères'),
+  body('description')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('La description ne peut pas dépasser 255 caractères'),
+  body('emoji')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ min: 1, max: 10 })
+    .withMessage('Icône invalide'),
+];
+
+// Règles de publication (utils/salonPolicy.js) — toutes fournies à chaque fois
+const salonPolicyRules = [
+  param('id').isInt({ min: 1 }).withMessage('ID salon invalide').toInt(),
+  body('slow_mode_seconds')
+    .isInt({ min: 0, max: MAX_SLOW_MODE_SECONDS })
+    .withMessage(`Le mode lent doit être compris entre 0 et ${MAX_SLOW_MODE_SECONDS} secondes`)
+    .toInt(),
+  body('max_message_length')
+    .isInt({ min: 10, max: MAX_MESSAGE_LENGTH })
+    .withMessage(`La longueur maximale doit être comprise entre 10 et ${MAX_MESSAGE_LENGTH} caractères`)
+    .toInt(),
+  body('posting_mode')
+    .isIn(POSTING_MODES)
+    .withMessage(`Mode invalide. Valeurs acceptées : ${POSTING_MODES.join(', ')}`),
+  body('min_account_age_hours')
+    .isInt({ min: 0, max: MAX_ACCOUNT_AGE_HOURS })
+    .withMessage(`L'ancienneté minimale doit être comprise entre 0 et ${MAX_ACCOUNT_AGE_HOURS} heures`)
+    .toInt(),
 ];
 
 // ─── Moods ────────────────────────────────────────────────────────────────────
@@ -107,12 +325,92 @@ const userIdParam = [
     .toInt(),
 ];
 
+// ─── Rôles ────────────────────────────────────────────────────────────────────
+const roleRules = [
+  ...userIdParam,
+  body('role')
+    .isIn(ROLES)
+    .withMessage(`Rôle invalide. Valeurs acceptées : ${ROLES.join(', ')}`),
+];
+
+// ─── Suspensions ──────────────────────────────────────────────────────────────
+// durationHours absent = durée indéterminée (jusqu'à levée manuelle)
+const suspendRules = [
+  ...userIdParam,
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Le motif doit contenir entre 3 et 500 caractères'),
+  body('durationHours')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: MAX_HOURS })
+    .withMessage(`Durée invalide (1 à ${MAX_HOURS} heures)`)
+    .toInt(),
+];
+
+// ─── Messages retenus par la modération automatique ──────────────────────────
+const heldReviewRules = [
+  param('id').isInt({ min: 1 }).withMessage('ID invalide').toInt(),
+  body('decision')
+    .isIn(['approve', 'reject'])
+    .withMessage('Décision invalide. Valeurs acceptées : approve, reject'),
+];
+
+// ─── Situations de crise ──────────────────────────────────────────────────────
+const crisisUpdateRules = [
+  param('id').isInt({ min: 1 }).withMessage('ID invalide').toInt(),
+  body('status')
+    .isIn(['acknowledged', 'closed'])
+    .withMessage('Statut invalide. Valeurs acceptées : acknowledged, closed'),
+  body('note')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('La note ne peut pas dépasser 1000 caractères'),
+];
+
+// ─── Clés de signature JWT ────────────────────────────────────────────────────
+const kidParam = [
+  param('kid')
+    .matches(/^[\w-]{1,40}$/)
+    .withMessage('Identifiant de clé invalide'),
+];
+
+// ─── Sessions ─────────────────────────────────────────────────────────────────
+const sessionIdParam = [
+  param('id')
+    .matches(/^[a-f0-9]{32}$/)
+    .withMessage('Session invalide'),
+];
+
 module.exports = {
   validate,
   registerRules,
+  guestRules,
+  guestLoginRules,
+  upgradeGuestRules,
+  updateProfileRules,
   loginRules,
+  mfaLoginRules,
+  mfaCodeRules,
+  mfaEnableRules,
+  mfaDisableRules,
+  refreshRules,
+  forgotPasswordRules,
+  resetPasswordRules,
+  verifyEmailRules,
   sendMessageRules,
   getMessagesRules,
+  editMessageRules,
+  reactRules,
+  salonRules,
+  salonPolicyRules,
   moodRules,
   userIdParam,
+  roleRules,
+  suspendRules,
+  heldReviewRules,
+  crisisUpdateRules,
+  kidParam,
+  sessionIdParam,
 };
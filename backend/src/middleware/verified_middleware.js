@@ -0,0 +1,30 @@
+// =============================================================================
+// TRUST LAYER — src/middleware/verified_middleware.js
+//
+// Bloque les actions d'écriture (publier, signaler) tant que l'email n'est pas
+// vérifié, si la politique EMAIL_VERIFICATION_POLICY est "read_only".
+// À utiliser en chaîne : router.post('/...', authenticate, requireVerifiedEmail, handler)
+//
+// Le code EMAIL_NOT_VERIFIED permet au frontend d'afficher le bandeau de
+// vérification plutôt qu'une erreur générique.
+// =============================================================================
+
+const { isReadOnly } = require('../utils/emailVerification');
+
+function requireVerifiedEmail(req, res, next) {
+  if (!req.user) {
+    // Ne devrait pas arriver si authenticate est appelé avant
+    return res.status(401).json({ error: 'Non authentifié' });
+  }
+
+  if (isReadOnly(req.user)) {
+    return res.status(403).json({
+      error: 'Confirme ton adresse email pour pouvoir écrire et signaler.',
+      code:  'EMAIL_NOT_VERIFIED',
+    });
+  }
+
+  next();
+}
+
+module.exports = { requireVerifiedEmail };
@@ -0,0 +1,191 @@
+// =============================================================================
+// TRUST LAYER — src/routes/routes_2fa.js
+// Double authentification (TOTP) gérée depuis le profil.
+//
+// GET  /api/2fa/status                  — 2FA active ? codes de secours restants
+// POST /api/2fa/setup                   — nouveau secret + QR code (en attente)
+// POST /api/2fa/enable                  — mot de passe + premier code, active la 2FA
+// POST /api/2fa/disable                 — mot de passe + code, désactive la 2FA
+// POST /api/2fa/backup-codes/regenerate — nouvelle série de codes de secours
+//
+// ACTIVATION EN DEUX TEMPS :
+//   Le secret généré par /setup n'est actif qu'une fois un code confirmé par
+//   /enable : un QR code mal scanné ne peut pas bloquer le compte.
+//   /enable exige aussi le mot de passe et ne valide pas la session courante :
+//   un access token volé ne suffit pas à enrôler l'application d'un tiers, et
+//   la session "mfa" ne s'obtient qu'en se reconnectant (POST /api/login/2fa).
+//
+// ÉQUIPE DE MODÉRATION :
+//   La 2FA est obligatoire pour accéder à la modération (requireStaff) ;
+//   un membre de l'équipe (modérateur, écoutant, admin) ne peut donc pas la
+//   désactiver.
+//
+// COMPTES INVITÉS :
+//   Sans mot de passe, un invité ne peut pas activer la 2FA (forbidGuests).
+// =============================================================================
+
+const express  = require('express');
+const bcrypt   = require('bcryptjs');
+const QRCode   = require('qrcode');
+const db       = require('../db/database');
+const logger   = require('../utils/logger');
+const { authenticate }  = require('../middleware/auth_middleware');
+const { mfaLimiter }    = require('../middleware/rateLimiter');
+const { forbidGuests }  = require('../middleware/guest_middleware');
+const { mfaCodeRules, mfaEnableRules, mfaDisableRules, validate } = require('../middleware/validators');
+const { generateSecret, otpauthUri, verifyTotp, encryptSecret, decryptSecret } = require('../utils/totp');
+const { verifySecondFactor, renewBackupCodes } = require('../utils/mfa');
+const { isStaff } = require('../utils/roles');
+
+const router = express.Router();
+
+
+// ── GET /api/2fa/status ───────────────────────────────────────────────────────
+router.get('/status', authenticate, async (req, res) => {
+  try {
+    const enabled = !!req.user.totp_enabled_at;
+
+    res.json({
+      enabled,
+      enabled_at:        req.user.totp_enabled_at,
+      backup_codes_left: enabled ? await db.countBackupCodes(req.user.id) : 0,
+      session_mfa:       req.auth.mfa,
+    });
+  } catch (err) {
+    logger.error('Erreur lecture état 2FA', { error: err.message });
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+
+// ── POST /api/2fa/setup ───────────────────────────────────────────────────────
+// Génère un secret en attente et le QR code à scanner. Relancer /setup
+// remplace le secret précédent tant que la 2FA n'est pas activée.
+router.post('/setup', authenticate, forbidGuests, mfaLimiter, async (req, res) => {
+  try {
+    if (req.user.totp_enabled_at) {
+      return res.status(409).json({ error: 'La double authentification est déjà active' });
+    }
+
+    const secret = generateSecret();
+    const saved  = await db.setPendingTotpSecret(req.user.id, encryptSecret(secret));
+    if (!saved) {
+      return res.status(409).json({ error: 'La double authentification est déjà active' });
+    }
+
+    // Libellé affiché dans l'application : le pseudo, jamais l'email
+    const uri    = otpauthUri(secret, req.user.username);
+    const qrCode = await QRCode.toDataURL(uri, { margin: 1, width: 220 });
+
+    res.json({ secret, otpauth_uri: uri, qr_code: qrCode });
+
+  } catch (err) {
+    logger.error('Erreur préparation 2FA', { error: err.message });
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+
+// ── POST /api/2fa/enable ──────────────────────────────────────────────────────
+// Exige le mot de passe, confirme le premier code et active la 2FA. Retourne
+// les codes de secours (affichés une seule fois). La session courante reste
+// sans second facteur : l'équipe se reconnecte pour accéder à la modération.
+router.post('/enable', authenticate, forbidGuests, mfaLimiter, mfaEnableRules, validate, async (req, res) => {
+  try {
+    const state = await db.getTotpState(req.user.id);
+
+    if (state.totp_enabled_at) {
+      return res.status(409).json({ error: 'La double authentification est déjà active' });
+    }
+    if (!state.totp_secret) {
+      return res.status(400).json({ error: 'Scanne d\'abord le QR code' });
+    }
+
+    const hash = await db.findPasswordHash(req.user.id);
+    if (!await bcrypt.compare(req.body.password, hash)) {
+      logger.security('Activation 2FA refusée — mot de passe incorrect', { userId: req.user.id, ip: req.ip });
+      return res.status(403).json({ error: 'Mot de passe incorrect' });
+    }
+
+    const step = verifyTotp(decryptSecret(state.totp_secret), req.body.code.replace(/\s/g, ''));
+    if (step === null || !await db.enableTotp(req.user.id, step)) {
+      return res.status(400).json({ error: 'Code incorrect. Vérifie l\'heure de ton téléphone.' });
+    }
+
+    const backupCodes = await renewBackupCodes(req.user.id);
+
+    logger.security('Double authentification activée', { userId: req.user.id, ip: req.ip });
+
+    res.json({
+      success:         true,
+      backup_codes:    backupCodes,
+      relogin_for_mfa: isStaff(req.user.role), // l'équipe doit se reconnecter
+    });
+
+  } catch (err) {
+    logger.error('Erreur activation 2FA', { error: err.message });
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+
+// ── POST /api/2fa/disable ─────────────────────────────────────────────────────
+// Exige le mot de passe ET un code (TOTP ou secours) : un token volé seul ne
+// suffit pas à retirer la protection.
+router.post('/disable', authenticate, mfaLimiter, mfaDisableRules, validate, async (req, res) => {
+  try {
+    if (!req.user.totp_enabled_at) {
+      return res.status(409).json({ error: 'La double authentification n\'est pas active' });
+    }
+    if (isStaff(req.user.role)) {
+      return res.status(403).json({ error: 'La double authentification est obligatoire pour l\'équipe de modération' });
+    }
+
+    const hash = await db.findPasswordHash(req.user.id);
+    if (!await bcrypt.compare(req.body.password, hash)) {
+      logger.security('Désactivation 2FA refusée — mot de passe incorrect', { userId: req.user.id, ip: req.ip });
+      return res.status(403).json({ error: 'Mot de passe incorrect' });
+    }
+
+    if (!await verifySecondFactor(req.user.id, req.body.code)) {
+      logger.security('Désactivation 2FA refusée — code incorrect', { userId: req.user.id, ip: req.ip });
+      return res.status(403).json({ error: 'Code incorrect' });
+    }
+
+    await db.disableTotp(req.user.id);
+
+    logger.security('Double authentification désactivée', { userId: req.user.id, ip: req.ip });
+    res.json({ success: true });
+
+  } catch (err) {
+    logger.error('Erreur désactivation 2FA', { error: err.message });
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+
+// ── POST /api/2fa/backup-codes/regenerate ─────────────────────────────────────
+// Invalide les anciens codes de secours. Exige un code de l'application :
+// un code de secours ne peut pas servir à en générer d'autres.
+router.post('/backup-codes/regenerate', authenticate, mfaLimiter, mfaCodeRules, validate, async (req, res) => {
+  try {
+    if (!req.user.totp_enabled_at) {
+      return res.status(409).json({ error: 'La double authentification n\'est pas active' });
+    }
+
+    if (!await verifySecondFactor(req.user.id, req.body.code, { allowBackup: false })) {
+      return res.status(403).json({ error: 'Code incorrect' });
+    }
+
+    const backupCodes = await renewBackupCodes(req.user.id);
+
+    logger.security('Codes de secours 2FA régénérés', { userId: req.user.id, ip: req.ip });
+    res.json({ backup_codes: backupCodes });
+
+  } catch (err) {
+    logger.error('Erreur régénération des codes de secours', { error: err.message });
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+module.exports = router;
@@ -1,26 +1,66 @@
 // =============================================================================
 // TRUST LAYER — src/routes/routes_admin.js
 //
-// Routes de modération — accessibles uniquement aux admins.
-// Toutes les routes passent par authenticate + requireAdmin.
+// Routes de modération — accessibles uniquement à l'équipe.
+// Toutes les routes passent par authenticate + requireStaff, puis chacune
+// exige sa permission (requirePermission — voir utils/roles.js).
 //
+// GET  /api/admin/me               — rôle et permissions de l'utilisateur connecté
 // GET  /api/admin/reports          — liste des signalements (avec pagination)
 // GET  /api/admin/stats            — statistiques globales
 // PATCH /api/admin/reports/:id     — changer le statut (resolved / rejected)
 // DELETE /api/admin/messages/:id   — supprimer un message signalé
-// POST /api/admin/users/:id/ban    — bannir un utilisateur
-// DELETE /api/admin/users/:id/ban  — débannir un utilisateur
+// GET  /api/admin/messages/:id/edits — versions précédentes d'un message modifié
+// GET  /api/admin/held-messages    — messages retenus par la modération automatique
+// PATCH /api/admin/held-messages/:id — publier ou refuser un message retenu
+// POST /api/admin/users/:id/ban    — suspendre un utilisateur (motif, durée)
+// DELETE /api/admin/users/:id/ban  — lever la suspension
+// GET  /api/admin/users/:id/suspensions — historique des suspensions
+// GET  /api/admin/lockouts         — comptes verrouillés (échecs de connexion)
+// DELETE /api/admin/lockouts/:id   — déverrouiller un compte
+// GET  /api/admin/roles            — rôles disponibles et leurs permissions
+// GET  /api/admin/staff            — membres de l'équipe
+// PUT  /api/admin/users/:id/role   — attribuer un rôle
+// GET  /api/admin/salons           — salons (archivés compris) et nombre de messages
+// POST /api/admin/salons           — créer un salon
+// PATCH /api/admin/salons/:id      — règles de publication du salon
+// GET  /api/admin/crisis           — situations de crise à suivre
+// PATCH /api/admin/crisis/:id      — prendre en charge / clore une situation
+// GET  /api/admin/jwt-keys         — trousseau de clés de signature (sans secrets)
+// POST /api/admin/jwt-keys/rotate  — nouvelle clé active
+// POST /api/admin/jwt-keys/:kid/retire — retirer une ancienne clé
 // =============================================================================
 
 const express        = require('express');
 const router         = express.Router();
 const db             = require('../db/database');
 const { authenticate }  = require('../middleware/auth_middleware');
-const { requireAdmin }  = require('../middleware/admin_middleware');
+const { requireStaff, requirePermission } = require('../middleware/admin_middleware');
+const {
+  userIdParam, roleRules, suspendRules, salonRules, salonPolicyRules, heldReviewRules, crisisUpdateRules, kidParam, validate,
+} = require('../middleware/validators');
+const { ROLES, ROLE_LABELS, PERMISSIONS, permissionsFor } = require('../utils/roles');
+const { suspendUser, describeSuspension } = require('../utils/suspensions');
+const {
+  disconnectUser, diffuseMessage, emitToSalon, emitToCrisisTeam, emitToReviewers, syncStaffRooms, updateSalonSockets,
+} = require('../socket/socketHandler');
+const jwtKeys           = require('../utils/jwtKeys');
 const logger            = require('../utils/logger');
 
-// Toutes les routes de ce fichier nécessitent authenticate + requireAdmin
-router.use(authenticate, requireAdmin);
+// Toutes les routes de ce fichier nécessitent authenticate + requireStaff
+router.use(authenticate, requireStaff);
+
+
+// ---------------------------------------------------------------------------
+// GET /api/admin/me
+// Rôle et permissions : admin.html masque les actions non autorisées.
+// ---------------------------------------------------------------------------
+router.get('/me', (req, res) => {
+  res.json({
+    user: { id: req.user.id, username: req.user.username, avatar: req.user.avatar, role: req.user.role },
+    permissions: permissionsFor(req.user.role),
+  });
+});
 
 
 // ---------------------------------------------------------------------------
@@ -28,7 +68,7 @@ router.use(authenticate, requireAdmin);
 // Liste des signalements avec infos du message et du signaleur.
 // Paramètres : ?status=pending|resolved|rejected&page=1&limit=20
 // ---------------------------------------------------------------------------
-router.get('/reports', async (req, res, next) => {
+router.get('/reports', requirePermission('reports:read'), async (req, res, next) => {
   try {
     const status = ['pending', 'resolved', 'rejected'].includes(req.query.status)
       ? req.query.status : null;
@@ -47,11 +87,19 @@ router.get('/reports', async (req, res, next) => {
         m.id         AS message_id,
         m.content    AS message_content,
         m.deleted_at AS message_deleted_at,
+        m.edited_at  AS message_edited_at,
+        -- Texte au moment du signalement : la première version remplacée
+        -- après le signalement, sinon le texte actuel
+        COALESCE((
+          SELECT e.previous_content FROM message_edits e
+          WHERE e.message_id = m.id AND e.edited_at >= r.created_at
+          ORDER BY e.edited_at, e.id LIMIT 1
+        ), m.content) AS reported_content,
         -- Auteur du message
         u_msg.id       AS author_id,
         u_msg.username AS author_username,
         u_msg.avatar   AS author_avatar,
-        u_msg.is_banned AS author_is_banned,
+        ${db.isBannedSql('u_msg.id')} AS author_is_banned,
         -- Signaleur
         u_rep.id       AS reporter_id,
         u_rep.username AS reporter_username
@@ -83,20 +131,9 @@ router.get('/reports', async (req, res, next) => {
 // GET /api/admin/stats
 // Chiffres clés pour le dashboard.
 // ---------------------------------------------------------------------------
-router.get('/stats', async (req, res, next) => {
+router.get('/stats', requirePermission('stats:read'), async (req, res, next) => {
   try {
-    const [[users]]    = await db.pool.query('SELECT COUNT(*) AS total FROM users');
-    const [[banned]]   = await db.pool.query('SELECT COUNT(*) AS total FROM users WHERE is_banned = 1');
-    const [[messages]] = await db.pool.query('SELECT COUNT(*) AS total FROM messages WHERE deleted_at IS NULL');
-    const [[pending]]  = await db.pool.query("SELECT COUNT(*) AS total FROM reports WHERE status = 'pending'");
-    const [[resolved]] = await db.pool.query("SELECT COUNT(*) AS total FROM reports WHERE status = 'resolved'");
-
-    res.json({
-      users:    users.total,
-      banned:   banned.total,
-      messages: messages.total,
-      reports:  { pending: pending.total, resolved: resolved.total },
-    });
+    res.json(await db.getModerationStats());
   } catch (err) { next(err); }
 });
 
@@ -106,7 +143,7 @@ router.get('/stats', async (req, res, next) => {
 // Mettre à jour le statut d'un signalement.
 // Body : { status: 'resolved' | 'rejected' }
 // ---------------------------------------------------------------------------
-router.patch('/reports/:id', async (req, res, next) => {
+router.patch('/reports/:id', requirePermission('reports:resolve'), async (req, res, next) => {
   try {
     const reportId = parseInt(req.params.id);
     const { status } = req.body;
@@ -139,15 +176,20 @@ router.patch('/reports/:id', async (req, res, next) => {
 // DELETE /api/admin/messages/:id
 // Suppression définitive d'un message (soft delete + diffusion WebSocket).
 // ---------------------------------------------------------------------------
-router.delete('/messages/:id', async (req, res, next) => {
+router.delete('/messages/:id', requirePermission('messages:delete'), async (req, res, next) => {
   try {
     const messageId = parseInt(req.params.id);
 
+    const salonId = await db.getMessageSalon(messageId);
+    if (!salonId) {
+      return res.status(404).json({ error: 'Message introuvable' });
+    }
+
     await db.deleteMessage(messageId);
 
-    // Diffuse la suppression en temps réel à tous les clients connectés
+    // Diffuse la suppression en temps réel aux connectés du salon
     const io = req.app.get('io');
-    if (io) io.emit('message_deleted', { messageId });
+    if (io) emitToSalon(io, salonId, 'message_deleted', { messageId });
 
     logger.info('Message supprimé par admin', {
       adminId: req.user.id,
@@ -159,52 +201,134 @@ router.delete('/messages/:id', async (req, res, next) => {
 });
 
 
+// ---------------------------------------------------------------------------
+// GET /api/admin/messages/:id/edits
+// Versions d'un message modifié par son auteur, de la plus ancienne à la
+// plus récente, suivies du texte actuel.
+// ---------------------------------------------------------------------------
+router.get('/messages/:id/edits', requirePermission('reports:read'), async (req, res, next) => {
+  try {
+    const messageId = parseInt(req.params.id);
+
+    const message = messageId > 0 && await db.findMessage(messageId);
+    if (!message) {
+      return res.status(404).json({ error: 'Message introuvable' });
+    }
+
+    res.json({
+      message: { id: message.id, content: message.content, created_at: message.created_at, edited_at: message.edited_at },
+      edits:   await db.listMessageEdits(messageId),
+    });
+  } catch (err) { next(err); }
+});
+
+
+// ---------------------------------------------------------------------------
+// GET /api/admin/held-messages
+// Messages retenus par la modération automatique (utils/contentModerator.js),
+// visibles de leur seul auteur jusqu'à la décision d'un modérateur.
+// ---------------------------------------------------------------------------
+router.get('/held-messages', requirePermission('messages:review'), async (req, res, next) => {
+  try {
+    res.json({ messages: await db.listHeldMessages() });
+  } catch (err) { next(err); }
+});
+
+
+// ---------------------------------------------------------------------------
+// PATCH /api/admin/held-messages/:id
+// Body : { decision: 'approve' | 'reject' }
+// approve : le message est diffusé dans son salon comme s'il venait d'être
+// publié. reject : il est supprimé, son auteur le voit disparaître.
+// ---------------------------------------------------------------------------
+router.patch('/held-messages/:id', requirePermission('messages:review'), heldReviewRules, validate, async (req, res, next) => {
+  try {
+    const messageId    = req.params.id;
+    const { decision } = req.body;
+
+    if (!await db.reviewHeldMessage(messageId, decision, req.user.id)) {
+      return res.status(404).json({ error: 'Message introuvable ou déjà traité' });
+    }
+
+    const message = await db.findMessage(messageId);
+    const io = req.app.get('io');
+    if (io) {
+      if (decision === 'approve') diffuseMessage(io, message);
+      else io.to(`user:${message.user_id}`).emit('message_deleted', { messageId });
+      emitToReviewers(io, 'held_reviewed', { messageId });
+    }
+
+    logger.info('Message retenu traité', {
+      moderatorId: req.user.id,
+      messageId,
+      decision,
+    });
+
+    res.json({ success: true, messageId, decision });
+  } catch (err) { next(err); }
+});
+
+
 // ---------------------------------------------------------------------------
 // POST /api/admin/users/:id/ban
-// Bannir un utilisateur + révoquer son token JWT actif.
+// Suspendre un utilisateur. Body : { reason, durationHours? }
+// Sans durationHours : durée indéterminée. Une suspension en cours est remplacée.
+// Tous ses tokens sont révoqués et ses WebSockets fermés — les autres
+// utilisateurs ne reçoivent rien.
 // ---------------------------------------------------------------------------
-router.post('/users/:id/ban', async (req, res, next) => {
+router.post('/users/:id/ban', requirePermission('users:ban'), suspendRules, validate, async (req, res, next) => {
   try {
-    const userId = parseInt(req.params.id);
+    const userId = req.params.id;
+    const { reason, durationHours = null } = req.body;
 
     if (userId === req.user.id) {
       return res.status(400).json({ error: 'Impossible de se bannir soi-même' });
     }
 
-    await db.pool.execute(
-      'UPDATE users SET is_banned = 1 WHERE id = ?',
-      [userId]
-    );
+    const target = await db.findUserById(userId);
+    if (!target) {
+      return res.status(404).json({ error: 'Utilisateur introuvable' });
+    }
 
-    // Déconnecte l'utilisateur en temps réel si connecté via WebSocket
+    const suspension = await suspendUser({
+      userId,
+      moderatorId: req.user.id,
+      reason,
+      hours: durationHours,
+    });
+
+    // Prévient ses onglets ouverts (motif et fin), puis ferme ses connexions
     const io = req.app.get('io');
-    if (io) io.emit('user_banned', { userId });
+    if (io) {
+      io.to(`user:${userId}`).emit('account_suspended', { message: describeSuspension(suspension) });
+      disconnectUser(io, userId);
+    }
 
-    logger.info('Utilisateur banni', {
-      adminId: req.user.id,
+    logger.security('Utilisateur suspendu', {
+      adminId:      req.user.id,
       targetUserId: userId,
+      hours:        durationHours,
     });
 
-    res.json({ success: true, userId, banned: true });
+    res.json({ success: true, userId, banned: true, suspension });
   } catch (err) { next(err); }
 });
 
 
 // ---------------------------------------------------------------------------
 // DELETE /api/admin/users/:id/ban
-// Débannir un utilisateur.
+// Lever la suspension en cours.
 // ---------------------------------------------------------------------------
-router.delete('/users/:id/ban', async (req, res, next) => {
+router.delete('/users/:id/ban', requirePermission('users:ban'), userIdParam, validate, async (req, res, next) => {
   try {
-    const userId = parseInt(req.params.id);
+    const userId = req.params.id;
 
-    await db.pool.execute(
-      'UPDATE users SET is_banned = 0 WHERE id = ?',
-      [userId]
-    );
+    if (!await db.liftSuspension(userId, req.user.id)) {
+      return res.status(404).json({ error: 'Aucune suspension en cours pour cet utilisateur' });
+    }
 
-    logger.info('Utilisateur débanni', {
-      adminId: req.user.id,
+    logger.security('Suspension levée', {
+      adminId:      req.user.id,
       targetUserId: userId,
     });
 
@@ -213,4 +337,297 @@ router.delete('/users/:id/ban', async (req, res, next) => {
 });
 
 
+// ---------------------------------------------------------------------------
+// GET /api/admin/users/:id/suspensions
+// Historique des suspensions d'un utilisateur (active, expired, lifted).
+// ---------------------------------------------------------------------------
+router.get('/users/:id/suspensions', requirePermission('users:ban'), userIdParam, validate, async (req, res, next) => {
+  try {
+    res.json({ suspensions: await db.listSuspensions(req.params.id) });
+  } catch (err) { next(err); }
+});
+
+
+// ---------------------------------------------------------------------------
+// GET /api/admin/lockouts
+// Comptes verrouillés après des échecs de connexion répétés.
+// distinct_ips : nombre d'IP différentes en 24 h — élevé = attaque distribuée.
+// ---------------------------------------------------------------------------
+router.get('/lockouts', requirePermission('lockouts:manage'), async (req, res, next) => {
+  try {
+    const lockouts = await db.listLockedAccounts();
+    res.json({ lockouts });
+  } catch (err) { next(err); }
+});
+
+
+// ---------------------------------------------------------------------------
+// DELETE /api/admin/lockouts/:id
+// Déverrouille un compte (étudiant bloqué qui a contacté la modération).
+// ---------------------------------------------------------------------------
+router.delete('/lockouts/:id', requirePermission('lockouts:manage'), userIdParam, validate, async (req, res, next) => {
+  try {
+    const userId = req.params.id;
+
+    if (!await db.clearLockout(userId)) {
+      return res.status(404).json({ error: 'Aucun verrouillage en cours pour ce compte' });
+    }
+
+    logger.security('Compte déverrouillé par un admin', {
+      adminId:      req.user.id,
+      targetUserId: userId,
+    });
+
+    res.json({ success: true, userId });
+  } catch (err) { next(err); }
+});
+
+
+// ---------------------------------------------------------------------------
+// GET /api/admin/roles
+// Rôles attribuables et leurs permissions (libellés pour l'interface).
+// ---------------------------------------------------------------------------
+router.get('/roles', requirePermission('roles:manage'), (req, res) => {
+  res.json({
+    roles: ROLES.map(role => ({
+      role,
+      label:       ROLE_LABELS[role],
+      permissions: permissionsFor(role),
+    })),
+    permissions: PERMISSIONS,
+  });
+});
+
+
+// ---------------------------------------------------------------------------
+// GET /api/admin/staff
+// Membres de l'équipe. mfa : 2FA active — sans elle, l'accès reste bloqué.
+// ---------------------------------------------------------------------------
+router.get('/staff', requirePermission('roles:manage'), async (req, res, next) => {
+  try {
+    const staff = await db.listStaff();
+    res.json({
+      staff: staff.map(({ totp_enabled_at, ...member }) => ({ ...member, mfa: !!totp_enabled_at })),
+    });
+  } catch (err) { next(err); }
+});
+
+
+// ---------------------------------------------------------------------------
+// PUT /api/admin/users/:id/role
+// Attribuer un rôle. Body : { role: 'user' | 'moderator' | 'counselor' | 'admin' }
+// Impossible de changer son propre rôle : un admin ne peut pas se retirer
+// par erreur le dernier accès à la gestion des rôles.
+// ---------------------------------------------------------------------------
+router.put('/users/:id/role', requirePermission('roles:manage'), roleRules, validate, async (req, res, next) => {
+  try {
+    const userId = req.params.id;
+    const { role } = req.body;
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ error: 'Impossible de changer son propre rôle' });
+    }
+
+    const target = await db.findUserById(userId);
+    if (!target) {
+      return res.status(404).json({ error: 'Utilisateur introuvable' });
+    }
+    if (target.is_guest) {
+      return res.status(409).json({ error: 'Un compte invité ne peut pas rejoindre l\'équipe' });
+    }
+
+    await db.setUserRole(userId, role);
+
+    // Le chat de l'utilisateur affiche ou masque le bouton de modération
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user:${userId}`).emit('role_updated', { role });
+      await syncStaffRooms(io, userId, role);
+    }
+
+    logger.security('Rôle modifié', {
+      adminId:      req.user.id,
+      targetUserId: userId,
+      previousRole: target.role,
+      role,
+    });
+
+    res.json({ success: true, userId, role });
+  } catch (err) { next(err); }
+});
+
+
+// ---------------------------------------------------------------------------
+// GET /api/admin/salons
+// Tous les salons, archivés compris, avec leur nombre de messages.
+// ---------------------------------------------------------------------------
+router.get('/salons', requirePermission('salons:manage'), async (req, res, next) => {
+  try {
+    res.json({ salons: await db.listSalonsWithStats() });
+  } catch (err) { next(err); }
+});
+
+
+// ---------------------------------------------------------------------------
+// POST /api/admin/salons
+// Body : { name, description?, emoji? }
+// Les clients connectés sont prévenus ('salon_created') et l'ajoutent à leur
+// liste sans recharger la page.
+// ---------------------------------------------------------------------------
+router.post('/salons', requirePermission('salons:manage'), salonRules, validate, async (req, res, next) => {
+  try {
+    const { name, description, emoji } = req.body;
+
+    const salon = await db.createSalon({
+      name,
+      description: description || null,
+      emoji:       emoji || undefined,
+    });
+
+    const io = req.app.get('io');
+    if (io) io.emit('salon_created', { salon });
+
+    logger.info('Salon créé', { adminId: req.user.id, salonId: salon.id });
+
+    res.status(201).json({ success: true, salon });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Un salon porte déjà ce nom' });
+    }
+    next(err);
+  }
+});
+
+
+// ---------------------------------------------------------------------------
+// PATCH /api/admin/salons/:id
+// Body : { slow_mode_seconds, max_message_length, posting_mode, min_account_age_hours }
+// Règles appliquées dès la requête suivante ; les chats ouverts recalculent
+// leur droit de publier ('salon_updated').
+// ---------------------------------------------------------------------------
+router.patch('/salons/:id', requirePermission('salons:manage'), salonPolicyRules, validate, async (req, res, next) => {
+  try {
+    const salon = await db.updateSalonPolicy(req.params.id, {
+      slowModeSeconds:    req.body.slow_mode_seconds,
+      maxMessageLength:   req.body.max_message_length,
+      postingMode:        req.body.posting_mode,
+      minAccountAgeHours: req.body.min_account_age_hours,
+    });
+    if (!salon) return res.status(404).json({ error: 'Salon introuvable' });
+
+    const io = req.app.get('io');
+    if (io) await updateSalonSockets(io, salon);
+
+    logger.info('Règles de salon modifiées', {
+      adminId:            req.user.id,
+      salonId:            salon.id,
+      slowModeSeconds:    salon.slow_mode_seconds,
+      maxMessageLength:   salon.max_message_length,
+      postingMode:        salon.posting_mode,
+      minAccountAgeHours: salon.min_account_age_hours,
+    });
+
+    res.json({ success: true, salon });
+  } catch (err) { next(err); }
+});
+
+
+// ---------------------------------------------------------------------------
+// GET /api/admin/crisis?status=open|acknowledged|closed
+// Situations de crise détectées dans les messages (utils/crisisAlerts.js).
+// Sans filtre : celles qui ne sont pas closes, les plus graves d'abord.
+// ---------------------------------------------------------------------------
+const CRISIS_STATUSES = ['open', 'acknowledged', 'closed'];
+
+router.get('/crisis', requirePermission('crisis:read'), async (req, res, next) => {
+  try {
+    const status = CRISIS_STATUSES.includes(req.query.status) ? req.query.status : null;
+    res.json({ events: await db.listCrisisEvents({ status }) });
+  } catch (err) { next(err); }
+});
+
+
+// ---------------------------------------------------------------------------
+// PATCH /api/admin/crisis/:id
+// Body : { status: 'acknowledged' | 'closed', note? }
+// Les autres écoutants connectés voient la prise en charge en direct.
+// ---------------------------------------------------------------------------
+router.patch('/crisis/:id', requirePermission('crisis:manage'), crisisUpdateRules, validate, async (req, res, next) => {
+  try {
+    const eventId = req.params.id;
+    const { status, note } = req.body;
+
+    if (!await db.findCrisisEvent(eventId)) {
+      return res.status(404).json({ error: 'Situation introuvable' });
+    }
+
+    const event = await db.updateCrisisEvent(eventId, {
+      status,
+      handledBy: req.user.id,
+      note:      note || null,
+    });
+
+    const io = req.app.get('io');
+    if (io) emitToCrisisTeam(io, 'crisis_update', event);
+
+    logger.security('Situation de crise mise à jour', {
+      counselorId: req.user.id,
+      eventId,
+      status,
+    });
+
+    res.json({ success: true, event });
+  } catch (err) { next(err); }
+});
+
+
+// ---------------------------------------------------------------------------
+// GET /api/admin/jwt-keys
+// Clés de signature des JWT : kid, statut et dates — jamais les secrets.
+// ---------------------------------------------------------------------------
+router.get('/jwt-keys', requirePermission('config:manage'), (req, res, next) => {
+  try {
+    res.json({ keys: jwtKeys.listKeys() });
+  } catch (err) { next(err); }
+});
+
+
+// ---------------------------------------------------------------------------
+// POST /api/admin/jwt-keys/rotate
+// Nouvelle clé active. L'ancienne reste valable en vérification : personne
+// n'est déconnecté.
+// ---------------------------------------------------------------------------
+router.post('/jwt-keys/rotate', requirePermission('config:manage'), (req, res, next) => {
+  try {
+    const kid = jwtKeys.rotate();
+
+    logger.security('Rotation des clés JWT', { adminId: req.user.id, kid });
+
+    res.status(201).json({ success: true, kid, keys: jwtKeys.listKeys() });
+  } catch (err) { next(err); }
+});
+
+
+// ---------------------------------------------------------------------------
+// POST /api/admin/jwt-keys/:kid/retire
+// Les tokens signés par cette clé sont refusés (le client les renouvelle avec
+// son refresh token). La clé active ne peut pas être retirée.
+// ---------------------------------------------------------------------------
+router.post('/jwt-keys/:kid/retire', requirePermission('config:manage'), kidParam, validate, (req, res, next) => {
+  try {
+    const key = jwtKeys.listKeys().find(k => k.kid === req.params.kid);
+    if (key && key.status === 'active') {
+      return res.status(409).json({ error: 'La clé active ne peut pas être retirée : fais d\'abord une rotation' });
+    }
+    if (!jwtKeys.retire(req.params.kid)) {
+      return res.status(404).json({ error: 'Clé introuvable ou déjà retirée' });
+    }
+
+    logger.security('Clé JWT retirée par un admin', { adminId: req.user.id, kid: req.params.kid });
+
+    res.json({ success: true, keys: jwtKeys.listKeys() });
+  } catch (err) { next(err); }
+});
+
+
 module.exports = router;
\ No newline at end of file
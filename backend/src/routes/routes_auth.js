@@ -7,20 +7,30 @@
 //   — Email masqué dans les logs de sécurité (plus d'email en clair dans security.log)
 //   — db.* sont maintenant async (MySQL) — await partout
 //   — Le payload JWT retourne uniquement l'userId (pas l'email, pas d'autres données)
+//   — POST /api/logout et /api/logout-all révoquent réellement les tokens
+//   — Access token court + refresh token à rotation (POST /api/token/refresh)
+//   — Lien de vérification d'email envoyé à l'inscription
+//   — Connexion en deux étapes si la 2FA est active (POST /api/login/2fa)
+//   — Verrouillage temporaire par compte après des échecs répétés
 // =============================================================================
 
 const express  = require('express');
 const bcrypt   = require('bcryptjs');
-const jwt      = require('jsonwebtoken');
 const db       = require('../db/database');
 const logger   = require('../utils/logger');
-const { maskEmail } = require('../middleware/auth_middleware');
+const { authenticate, maskEmail }                 = require('../middleware/auth_middleware');
 const { authLimiter }                              = require('../middleware/rateLimiter');
-const { registerRules, loginRules, validate }      = require('../middleware/validators');
+const { registerRules, loginRules, mfaLoginRules, refreshRules, validate } = require('../middleware/validators');
+const { disconnectUser }                           = require('../socket/socketHandler');
+const { hashToken, issueTokenPair, signMfaToken, verifyMfaToken } = require('../utils/tokens');
+const { sendVerificationEmail }                    = require('../utils/emailVerification');
+const { sessionUser }                              = require('../utils/sessionUser');
+const { verifySecondFactor }                       = require('../utils/mfa');
+const lockout                                      = require('../utils/loginLockout');
+const { suspendedResponse }                        = require('../utils/suspensions');
 
 const router = express.Router();
 
-
 // ── POST /api/register ────────────────────────────────────────────────────────
 // Crée un nouveau compte utilisateur.
 //
@@ -53,24 +63,21 @@ router.post('/register', authLimiter, registerRules, validate, async (req, res)
       emergencyPhone: emergencyPhone || null,
     });
 
-    // Génération du JWT — payload minimal (userId seulement)
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Ouvre une session : access token court + refresh token
+    const { token, refreshToken } = await issueTokenPair(user.id, null, { userAgent: req.get('user-agent') });
+
+    // Lien de vérification — un échec d'envoi ne doit pas bloquer l'inscription,
+    // l'utilisateur pourra redemander un lien depuis le chat
+    sendVerificationEmail(user).catch(err => {
+      logger.error('Échec envoi email de vérification', { userId: user.id, error: err.message });
+    });
 
     logger.info('Nouvel utilisateur créé', { userId: user.id });
 
     return res.status(201).json({
       token,
-      user: {
-        id:       user.id,
-        username: user.username,
-        email:    user.email,
-        avatar:   user.avatar,
-        is_admin: user.is_admin || 0,
-      },
+      refreshToken,
+      user: sessionUser(user),
     });
 
   } catch (err) {
@@ -87,6 +94,16 @@ router.post('/register', authLimiter, registerRules, validate, async (req, res)
 //   Si l'email n'existe pas, on fait quand même bcrypt.compare() avec un hash
 //   fictif. Ça prend le même temps qu'une vraie comparaison → l'attaquant ne
 //   peut pas savoir si l'email existe en mesurant le temps de réponse.
+//
+// VERROUILLAGE PAR COMPTE (utils/loginLockout.js) :
+//   Après LOGIN_LOCK_THRESHOLD échecs, le compte est verrouillé pour une durée
+//   croissante. Pendant le verrouillage, même le bon mot de passe est refusé,
+//   avec le MÊME message 401 : la réponse ne dit pas si le compte existe.
+//
+// DOUBLE AUTHENTIFICATION :
+//   Si la 2FA est active, aucun token de session n'est émis ici : la réponse
+//   contient { mfaRequired: true, mfaToken } et le client envoie le code à
+//   POST /api/login/2fa.
 router.post('/login', authLimiter, loginRules, validate, async (req, res) => {
   const { email, password } = req.body;
 
@@ -97,39 +114,41 @@ router.post('/login', authLimiter, loginRules, validate, async (req, res) => {
     const DUMMY_HASH = '$2b$12$invalidhashfortimingattackprevention000000000000000000';
     const match = await bcrypt.compare(password, user ? user.password_hash : DUMMY_HASH);
 
+    const INVALID_CREDENTIALS = { error: 'Email ou mot de passe incorrect' };
+
+    if (user && user.is_locked) {
+      await lockout.registerLockedAttempt(user, req.ip);
+      return res.status(401).json(INVALID_CREDENTIALS);
+    }
+
     if (!user || !match) {
       // CORRECTION : email masqué dans le log (plus d'email en clair dans security.log)
       logger.security('Échec de connexion', {
         email: maskEmail(email), // "j***@g***.com" au lieu de "jean@gmail.com"
         ip:    req.ip,
       });
-      return res.status(401).json({ error: 'Email ou mot de passe incorrect' });
+      await lockout.registerFailure(user, req.ip);
+      return res.status(401).json(INVALID_CREDENTIALS);
     }
 
     // Vérifie si le compte est banni
     if (user.is_banned) {
-      logger.security('Connexion refusée — compte banni', { userId: user.id, ip: req.ip });
-      return res.status(403).json({ error: 'Compte suspendu.' });
+      logger.security('Connexion refusée — compte suspendu', { userId: user.id, ip: req.ip });
+      return res.status(403).json(await suspendedResponse(user.id));
+    }
+
+    // Compteur remis à zéro seulement quand la connexion aboutit (après la 2FA)
+    if (user.totp_enabled_at) {
+      logger.info('Mot de passe vérifié — code 2FA attendu', { userId: user.id });
+      return res.json({ mfaRequired: true, mfaToken: signMfaToken(user.id) });
     }
 
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    await lockout.clearFailures(user.id);
+    const { token, refreshToken } = await issueTokenPair(user.id, null, { userAgent: req.get('user-agent') });
 
     logger.info('Connexion réussie', { userId: user.id });
 
-    return res.json({
-      token,
-      user: {
-        id:       user.id,
-        username: user.username,
-        email:    user.email,
-        avatar:   user.avatar,
-        is_admin: user.is_admin || 0,
-      },
-    });
+    return res.json({ token, refreshToken, user: sessionUser(user) });
 
   } catch (err) {
     logger.error('Erreur lors de la connexion', { error: err.message });
@@ -137,4 +156,160 @@ router.post('/login', authLimiter, loginRules, validate, async (req, res) => {
   }
 });
 
+
+// ── POST /api/login/2fa ───────────────────────────────────────────────────────
+// Seconde étape de la connexion : { mfaToken, code }.
+// code = 6 chiffres de l'application d'authentification, ou un code de secours.
+// La session ouverte porte mfa = 1 (exigé pour l'administration).
+//
+// Le mfaToken expire après 5 minutes et ne vaut que pour cette route ;
+// authLimiter borne le nombre de codes essayés par IP.
+router.post('/login/2fa', authLimiter, mfaLoginRules, validate, async (req, res) => {
+  const STEP_EXPIRED = { error: 'Étape de connexion expirée. Recommence.' };
+
+  try {
+    const userId = verifyMfaToken(req.body.mfaToken);
+    if (!userId) return res.status(401).json(STEP_EXPIRED);
+
+    const user = await db.findUserById(userId);
+    if (!user || !user.totp_enabled_at) return res.status(401).json(STEP_EXPIRED);
+
+    if (user.is_banned) {
+      return res.status(403).json(await suspendedResponse(user.id));
+    }
+
+    if (user.is_locked) {
+      await lockout.registerLockedAttempt(user, req.ip);
+      return res.status(401).json({ error: 'Code incorrect' });
+    }
+
+    // Les mauvais codes comptent comme des échecs de connexion
+    const method = await verifySecondFactor(user.id, req.body.code);
+    if (!method) {
+      logger.security('Échec de connexion — code 2FA incorrect', { userId: user.id, ip: req.ip });
+      await lockout.registerFailure(user, req.ip, 'mfa');
+      return res.status(401).json({ error: 'Code incorrect' });
+    }
+
+    await lockout.clearFailures(user.id);
+
+    const { token, refreshToken } = await issueTokenPair(user.id, null, {
+      userAgent: req.get('user-agent'),
+      mfa:       true,
+    });
+
+    logger.info('Connexion réussie (2FA)', { userId: user.id, method });
+
+    return res.json({ token, refreshToken, user: sessionUser(user) });
+
+  } catch (err) {
+    logger.error('Erreur lors de la connexion 2FA', { error: err.message });
+    return res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+
+// ── POST /api/token/refresh ───────────────────────────────────────────────────
+// Échange un refresh token contre une nouvelle paire (rotation).
+//
+// SÉCURITÉ — Détection de réutilisation :
+//   Un refresh token ne sert qu'une fois. Si un token déjà échangé revient,
+//   deux personnes détiennent la même session (vol du sessionStorage, poste
+//   partagé…). On ne peut pas savoir laquelle est légitime : on révoque toute
+//   la famille et on ferme les sockets — les deux devront se reconnecter.
+router.post('/token/refresh', refreshRules, validate, async (req, res) => {
+  const SESSION_EXPIRED = { error: 'Session expirée. Reconnecte-toi.' };
+
+  try {
+    const stored = await db.findRefreshToken(hashToken(req.body.refreshToken));
+
+    if (!stored || stored.revoked_at || stored.is_expired) {
+      return res.status(401).json(SESSION_EXPIRED);
+    }
+
+    // consumeRefreshToken() est atomique : si le token a déjà été échangé
+    // (même à la milliseconde près par une requête concurrente), c'est une réutilisation
+    const consumed = !stored.used_at && await db.consumeRefreshToken(stored.id);
+    if (!consumed) {
+      await db.revokeRefreshFamily(stored.family_id);
+
+      const io = req.app.get('io');
+      if (io) disconnectUser(io, stored.user_id, { sessionId: stored.family_id });
+
+      logger.security('Réutilisation d\'un refresh token — session révoquée', {
+        userId: stored.user_id,
+        ip:     req.ip,
+      });
+      return res.status(401).json(SESSION_EXPIRED);
+    }
+
+    const user = await db.findUserById(stored.user_id);
+    if (!user) return res.status(401).json(SESSION_EXPIRED);
+
+    if (user.is_banned) {
+      await db.revokeRefreshFamily(stored.family_id);
+      return res.status(403).json(await suspendedResponse(user.id));
+    }
+
+    const { token, refreshToken } = await issueTokenPair(user.id, stored.family_id);
+    return res.json({ token, refreshToken });
+
+  } catch (err) {
+    logger.error('Erreur lors du renouvellement de session', { error: err.message });
+    return res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+
+// ── POST /api/logout ──────────────────────────────────────────────────────────
+// Déconnecte la session courante.
+//
+// Vider le sessionStorage ne suffit pas : le JWT resterait valide jusqu'à son
+// expiration. Sur un ordinateur partagé (salle info, cyber), quiconque l'aurait
+// copié pourrait encore l'utiliser. On inscrit donc l'access token dans
+// revoked_tokens, on révoque les refresh tokens de la session et on ferme
+// les sockets qui lui sont rattachés.
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    const { tokenHash, sessionId, expiresAt } = req.auth;
+
+    await db.revokeToken(tokenHash, req.user.id, expiresAt);
+    if (sessionId) await db.revokeRefreshFamily(sessionId);
+
+    const io = req.app.get('io');
+    if (io && sessionId) disconnectUser(io, req.user.id, { sessionId });
+
+    logger.info('Déconnexion', { userId: req.user.id });
+    return res.json({ success: true });
+
+  } catch (err) {
+    logger.error('Erreur lors de la déconnexion', { error: err.message });
+    return res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+
+// ── POST /api/logout-all ──────────────────────────────────────────────────────
+// Déconnecte l'utilisateur de tous ses appareils.
+// Le token courant est révoqué explicitement ; les autres access tokens le sont
+// via users.token_version (vérifiée par le middleware auth et le socket).
+// Tous les refresh tokens sont révoqués : aucune session ne peut se renouveler.
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    await db.revokeToken(req.auth.tokenHash, req.user.id, req.auth.expiresAt);
+    await db.revokeAllUserTokens(req.user.id);
+    await db.revokeUserRefreshTokens(req.user.id);
+
+    const io = req.app.get('io');
+    if (io) disconnectUser(io, req.user.id);
+
+    logger.security('Déconnexion de tous les appareils', { userId: req.user.id, ip: req.ip });
+    return res.json({ success: true });
+
+  } catch (err) {
+    logger.error('Erreur lors de la déconnexion globale', { error: err.message });
+    return res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,176 @@
+// =============================================================================
+// TRUST LAYER — src/routes/routes_guest.js
+// Mode invité : entrer dans le chat avec un pseudo seulement.
+//
+// POST /api/guest          — crée un compte invité (pseudo + avatar)
+// POST /api/guest/login    — revient sur son compte invité depuis le même appareil
+// POST /api/guest/upgrade  — convertit l'invité en compte complet (email + mot de passe)
+//
+// JETON D'APPAREIL :
+//   Un invité n'a ni email ni mot de passe. À la création, le serveur renvoie
+//   un jeton aléatoire (32 octets) que le navigateur garde en localStorage :
+//   c'est lui qui permet de retrouver le compte. Seul son hash est stocké.
+//   Perdre ce jeton (navigateur effacé) = perdre le compte, d'où l'invitation
+//   à le convertir.
+//
+// DROITS RESTREINTS (middleware/guest_middleware.js) :
+//   lecture libre, GUEST_MESSAGE_LIMIT messages par 24 h, pas de signalement,
+//   pas de double authentification.
+//
+// SUSPENSIONS :
+//   Un compte invité ne coûte qu'un pseudo : sans garde-fou, un invité
+//   suspendu en ouvrirait simplement un autre. POST /api/guest est refusé
+//   si l'appareil garde le jeton d'un invité suspendu (previousDeviceToken,
+//   envoyé par connexion.js), ou si un invité suspendu a été créé depuis la
+//   même IP dans les GUEST_SUSPENSION_IP_HOURS dernières heures (24 par
+//   défaut, 0 = pas de contrôle par IP). Fenêtre courte : derrière le NAT
+//   d'un campus, une IP est partagée. L'inscription complète reste ouverte.
+//
+// CONVERSION :
+//   Le compte garde son id : messages, humeurs et sessions sont conservés.
+// =============================================================================
+
+const express  = require('express');
+const bcrypt   = require('bcryptjs');
+const crypto   = require('crypto');
+const db       = require('../db/database');
+const logger   = require('../utils/logger');
+const { authenticate }   = require('../middleware/auth_middleware');
+const { authLimiter }    = require('../middleware/rateLimiter');
+const { guestRules, guestLoginRules, upgradeGuestRules, validate } = require('../middleware/validators');
+const { hashToken, issueTokenPair } = require('../utils/tokens');
+const { sendVerificationEmail }     = require('../utils/emailVerification');
+const { sessionUser }               = require('../utils/sessionUser');
+const { suspendedResponse }         = require('../utils/suspensions');
+const { hashIp }                    = require('../utils/loginLockout');
+
+const router = express.Router();
+
+const SUSPENSION_IP_HOURS = parseInt(process.env.GUEST_SUSPENSION_IP_HOURS, 10) >= 0
+  ? parseInt(process.env.GUEST_SUSPENSION_IP_HOURS, 10)
+  : 24;
+
+// ── POST /api/guest ───────────────────────────────────────────────────────────
+// Crée un compte invité. Aucune donnée personnelle n'est demandée.
+router.post('/', authLimiter, guestRules, validate, async (req, res) => {
+  const { username, avatar, previousDeviceToken } = req.body;
+
+  try {
+    const guestIpHash = hashIp(req.ip);
+    const suspended   = await db.hasSuspendedGuest({
+      guestTokenHash: previousDeviceToken ? hashToken(previousDeviceToken) : null,
+      guestIpHash:    SUSPENSION_IP_HOURS ? guestIpHash : null,
+      hours:          SUSPENSION_IP_HOURS,
+    });
+    if (suspended) {
+      logger.security('Compte invité refusé — invité suspendu sur cet appareil ou cette IP', { ip: req.ip });
+      return res.status(403).json({
+        error: 'Impossible d\'entrer en invité depuis cet appareil pour le moment. Tu peux créer un compte avec ton email.',
+        code:  'GUEST_BLOCKED',
+      });
+    }
+
+    if (await db.findUserByUsername(username)) {
+      return res.status(409).json({ error: 'Ce pseudo est déjà utilisé' });
+    }
+
+    const deviceToken = crypto.randomBytes(32).toString('base64url');
+    const user = await db.createGuestUser({
+      username,
+      avatar,
+      guestTokenHash: hashToken(deviceToken),
+      guestIpHash,
+    });
+
+    const { token, refreshToken } = await issueTokenPair(user.id, null, { userAgent: req.get('user-agent') });
+
+    logger.info('Compte invité créé', { userId: user.id });
+
+    return res.status(201).json({ token, refreshToken, deviceToken, user: sessionUser(user) });
+
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Ce pseudo est déjà utilisé' });
+    }
+    logger.error('Erreur création compte invité', { error: err.message });
+    return res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+
+// ── POST /api/guest/login ─────────────────────────────────────────────────────
+// Rouvre une session sur le compte invité lié au jeton d'appareil.
+router.post('/login', authLimiter, guestLoginRules, validate, async (req, res) => {
+  try {
+    const user = await db.findGuestByToken(hashToken(req.body.deviceToken));
+
+    // Jeton inconnu ou compte déjà converti : le client oublie le jeton
+    if (!user) {
+      return res.status(401).json({ error: 'Session invité introuvable. Crée un nouveau pseudo ou connecte-toi.' });
+    }
+
+    if (user.is_banned) {
+      logger.security('Connexion invité refusée — compte suspendu', { userId: user.id, ip: req.ip });
+      return res.status(403).json(await suspendedResponse(user.id));
+    }
+
+    const { token, refreshToken } = await issueTokenPair(user.id, null, { userAgent: req.get('user-agent') });
+
+    logger.info('Connexion invité', { userId: user.id });
+
+    return res.json({ token, refreshToken, user: sessionUser(user) });
+
+  } catch (err) {
+    logger.error('Erreur connexion invité', { error: err.message });
+    return res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+
+// ── POST /api/guest/upgrade ───────────────────────────────────────────────────
+// Ajoute un email et un mot de passe (et, au choix, nom et contact d'urgence)
+// au compte invité connecté. La session en cours reste ouverte ; le jeton
+// d'appareil est invalidé — la connexion se fait désormais par email.
+router.post('/upgrade', authenticate, authLimiter, upgradeGuestRules, validate, async (req, res) => {
+  const { email, password, firstName, lastName, emergencyName, emergencyPhone } = req.body;
+
+  try {
+    if (!req.user.is_guest) {
+      return res.status(409).json({ error: 'Ce compte n\'est pas un compte invité' });
+    }
+
+    if (await db.findUserByEmail(email)) {
+      return res.status(409).json({ error: 'Cet email est déjà utilisé' });
+    }
+
+    const rounds        = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+    const password_hash = await bcrypt.hash(password, rounds);
+
+    const upgraded = await db.upgradeGuest(req.user.id, {
+      email, password_hash, firstName, lastName, emergencyName, emergencyPhone,
+    });
+    if (!upgraded) {
+      return res.status(409).json({ error: 'Ce compte n\'est pas un compte invité' });
+    }
+
+    const user = await db.findUserById(req.user.id);
+
+    sendVerificationEmail(user).catch(err => {
+      logger.error('Échec envoi email de vérification', { userId: user.id, error: err.message });
+    });
+
+    logger.info('Compte invité converti', { userId: user.id });
+
+    return res.json({ user: sessionUser(user) });
+
+  } catch (err) {
+    // Course avec une inscription sur le même email (contrainte UNIQUE)
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Cet email est déjà utilisé' });
+    }
+    logger.error('Erreur conversion compte invité', { error: err.message });
+    return res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+module.exports = router;
@@ -2,32 +2,176 @@
 // TRUST LAYER — src/routes/routes_messages.js
 //
 // AJOUT WebSocket :
-//   Après insertion d'un message en base, on le diffuse à tous les clients
-//   connectés via Socket.io. Le client qui a envoyé le message reçoit aussi
+//   Après insertion d'un message en base, on le diffuse aux clients connectés
+//   à son salon via Socket.io. Le client qui a envoyé le message reçoit aussi
 //   la diffusion — le frontend doit éviter d'afficher le message en double.
+//
+// SALONS :
+//   GET et POST acceptent ?salon=<id> (défaut : Espace Général). Un salon
+//   inexistant ou archivé → 404.
+//
+// HISTORIQUE :
+//   GET est paginé par curseur : ?before=<id> remonte l'historique (scroll
+//   infini), ?after=<id> rattrape les messages manqués (reconnexion). La
+//   réponse indique has_more. Le curseur doit appartenir au salon demandé.
+//
+// IDEMPOTENCE :
+//   POST accepte client_id, un UUID généré par le navigateur pour chaque
+//   message. Un renvoi avec le même client_id (nouvel essai après un délai
+//   dépassé, double clic) renvoie le message déjà enregistré avec un 200, sans
+//   doublon ni nouvelle diffusion — et sans compter dans les quotas d'envoi.
+//
+// MODÉRATION AUTOMATIQUE :
+//   Avant l'enregistrement (POST) ou la modification (PATCH), le texte passe
+//   par moderateMessage() (utils/contentModerator.js) :
+//     — reject → 422 MESSAGE_REJECTED, avec la raison à afficher
+//     — hold   → enregistré avec held_at, envoyé à son seul auteur ; les
+//                modérateurs le valident depuis l'espace admin
+//   Un message retenu n'apparaît ni dans l'historique des autres, ni dans les
+//   fils, ni comme message cité.
+//
+// DONNÉES PERSONNELLES :
+//   Avant la modération, applyPiiPolicy() (utils/piiDetector.js) repère
+//   numéros, emails, comptes de réseaux sociaux et nom de l'auteur :
+//     — PII_POLICY=mask  → ils sont remplacés ("[numéro masqué]"…) avant
+//                          l'enregistrement, l'auteur en est prévenu (notice)
+//     — PII_POLICY=block → 422 PII_BLOCKED, avec l'explication à afficher
+//   Les logs indiquent les types trouvés, jamais les valeurs.
+//
+// RÈGLES DU SALON :
+//   Avant tout le reste, POST applique les règles de publication du salon
+//   (utils/salonPolicy.js) : lecture seule ou annonces → 403, compte trop
+//   récent → 403 ACCOUNT_TOO_NEW, mode lent → 429 SLOW_MODE, avec
+//   retry_after (secondes) ; message trop long → 400 MESSAGE_TOO_LONG. PATCH
+//   applique le mode et la longueur. GET et POST renvoient l'état de
+//   publication (posting) pour que le chat affiche le compte à rebours.
+//   Le mode lent est revérifié à l'insertion, dans une transaction
+//   (db.createMessage) : deux envois simultanés ne passent pas tous les deux.
+//   messageLimiter reste la limite globale, par IP.
+//
+// DÉTRESSE :
+//   Chaque message publié ou modifié passe par handleCrisis() : l'équipe
+//   d'écoute est alertée et l'auteur reçoit les contacts d'urgence
+//   (voir utils/crisisAlerts.js). Le message est publié dans tous les cas.
+//
+// RÉPONSES :
+//   POST accepte reply_to_id (message visible du même salon) : la réponse
+//   porte un aperçu du message cité, et celui-ci son nombre de réponses.
+//   GET /api/messages/:id/thread renvoie le fil complet d'un message.
+//
+// MODIFICATION :
+//   PATCH /api/messages/:id — l'auteur corrige son message pendant
+//   MESSAGE_EDIT_WINDOW_MINUTES (15 min par défaut). Chaque version remplacée
+//   est gardée dans message_edits, visible de la modération seulement : un
+//   signalement montre toujours le texte signalé.
+//
+// VÉRIFICATION D'EMAIL :
+//   Publier et signaler passent par requireVerifiedEmail — un compte non
+//   vérifié reste en lecture seule si EMAIL_VERIFICATION_POLICY=read_only.
+//
+// COMPTES INVITÉS :
+//   Publication limitée (limitGuestMessages), signalement interdit (forbidGuests).
 // =============================================================================
 
 const express              = require('express');
 const db                   = require('../db/database');
 const logger               = require('../utils/logger');
 const { authenticate }     = require('../middleware/auth_middleware');
+const { requireVerifiedEmail } = require('../middleware/verified_middleware');
+const { forbidGuests, limitGuestMessages } = require('../middleware/guest_middleware');
 const { messageLimiter }   = require('../middleware/rateLimiter');
-const { diffuseMessage }   = require('../socket/socketHandler');
+const { diffuseMessage, emitToSalon, emitToReviewers } = require('../socket/socketHandler');
 const {
   sendMessageRules,
   getMessagesRules,
+  editMessageRules,
+  reactRules,
   validate,
 } = require('../middleware/validators');
+const { DEFAULT_REACTION }  = require('../utils/reactions');
+const { handleCrisis }      = require('../utils/crisisAlerts');
+const { moderateMessage }   = require('../utils/contentModerator');
+const { applyPiiPolicy }    = require('../utils/piiDetector');
+const { modeStatus, postingStatus, slowModeFor, lengthError, rejectPosting } = require('../utils/salonPolicy');
 
 const router = express.Router();
 
+const EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15;
+
+// Salon demandé (?salon=), ou null s'il n'existe pas ou est archivé
+function requestedSalon(req) {
+  return db.findSalon(req.query.salon || db.DEFAULT_SALON_ID);
+}
+
+
+// Refus de la modération automatique : la raison s'affiche sous la zone de
+// saisie. Les règles déclenchées sont journalisées, pas le texte.
+function rejectMessage(req, res, verdict) {
+  logger.warn('Message refusé par la modération automatique', { userId: req.user.id, rules: verdict.rules });
+  return res.status(422).json({ error: verdict.reason, code: 'MESSAGE_REJECTED' });
+}
+
+// Règles gardées avec un message retenu (affichées dans la file de validation)
+function holdReasonOf(verdict) {
+  return verdict.decision === 'hold' ? verdict.rules.join(', ').slice(0, 255) : null;
+}
+
+
+// Données personnelles du texte, nom de l'auteur (profil) compris
+async function checkPersonalData(req, content) {
+  const profile = await db.findPrivateProfile(req.user.id);
+  return applyPiiPolicy(content, {
+    firstName: profile && profile.first_name,
+    lastName:  profile && profile.last_name,
+  });
+}
+
+// Refus pour données personnelles (PII_POLICY=block) : types journalisés, pas
+// les valeurs
+function blockPersonalData(req, res, pii) {
+  logger.info('Message refusé : données personnelles', { userId: req.user.id, types: pii.types, count: pii.count });
+  return res.status(422).json({ error: pii.reason, code: 'PII_BLOCKED' });
+}
+
+// Explications affichées à l'auteur sous la zone de saisie (masquage, message
+// retenu), ou null
+function noticeOf(pii, verdict) {
+  return [pii.reason, verdict.reason].filter(Boolean).join(' ') || null;
+}
+
+
+// Renvoi d'un message déjà enregistré (même client_id) : on répond avec
+// l'original avant les limiteurs, un nouvel essai ne consomme pas de quota.
+async function replayDuplicate(req, res, next) {
+  const clientId = req.body && req.body.client_id;
+  if (typeof clientId !== 'string' || clientId.length !== 36) return next();
+
+  try {
+    const message = await db.findMessageByClientId(req.user.id, clientId);
+    if (!message) return next();
+    res.json({ message, duplicate: true });
+  } catch (err) {
+    logger.error('Erreur vérification idempotence', { error: err.message });
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+}
+
 
 // ── GET /api/messages ─────────────────────────────────────────────────────────
 router.get('/', authenticate, getMessagesRules, validate, async (req, res) => {
   try {
-    const limit    = req.query.limit || 50;
-    const messages = await db.getMessages(limit);
-    res.json({ messages });
+    const salon = await requestedSalon(req);
+    if (!salon) return res.status(404).json({ error: 'Salon introuvable' });
+
+    const { limit, before, after } = req.query;
+    const cursor = before || after;
+    if (cursor && await db.getMessageSalon(cursor) !== salon.id) {
+      return res.status(400).json({ error: 'Curseur invalide' });
+    }
+
+    const page    = await db.getMessages(salon.id, { limit, before, after, viewerId: req.user.id });
+    const posting = await postingStatus(salon, req.user);
+    res.json({ salon, ...page, posting });
   } catch (err) {
     logger.error('Erreur chargement messages', { error: err.message });
     res.status(500).json({ error: 'Erreur interne du serveur' });
@@ -36,33 +180,97 @@ router.get('/', authenticate, getMessagesRules, validate, async (req, res) => {
 
 
 // ── POST /api/messages ────────────────────────────────────────────────────────
-router.post('/', authenticate, messageLimiter, sendMessageRules, validate, async (req, res) => {
+router.post('/', authenticate, requireVerifiedEmail, replayDuplicate, limitGuestMessages, messageLimiter, sendMessageRules, validate, async (req, res) => {
   try {
-    const message = await db.createMessage(req.user.id, req.body.content);
+    const salon = await requestedSalon(req);
+    if (!salon) return res.status(404).json({ error: 'Salon introuvable' });
+
+    const posting = await postingStatus(salon, req.user);
+    if (!posting.allowed) return rejectPosting(res, posting);
+
+    const tooLong = lengthError(salon, req.body.content);
+    if (tooLong) return res.status(400).json({ error: tooLong, code: 'MESSAGE_TOO_LONG' });
+
+    // Message cité : visible et dans le même salon
+    const replyToId = req.body.reply_to_id || null;
+    if (replyToId) {
+      const [parent] = await db.pool.execute(
+        'SELECT salon_id FROM messages WHERE id = ? AND deleted_at IS NULL AND held_at IS NULL LIMIT 1',
+        [replyToId]
+      );
+      if (parent.length === 0 || parent[0].salon_id !== salon.id) {
+        return res.status(400).json({ error: 'Message cité introuvable' });
+      }
+    }
+
+    const pii = await checkPersonalData(req, req.body.content);
+    if (pii.action === 'block') return blockPersonalData(req, res, pii);
+
+    const verdict = moderateMessage(pii.content);
+    if (verdict.decision === 'reject') return rejectMessage(req, res, verdict);
 
+    const message = await db.createMessage(req.user.id, pii.content, {
+      salonId:         salon.id,
+      replyToId,
+      clientId:        req.body.client_id || null,
+      holdReason:      holdReasonOf(verdict),
+      slowModeSeconds: slowModeFor(salon, req.user),
+    });
+
+    // Refusé à l'insertion : un envoi simultané vient de passer (mode lent)
     if (!message) {
+      const retry = await postingStatus(salon, req.user);
+      if (!retry.allowed) return rejectPosting(res, retry);
       return res.status(500).json({ error: 'Impossible de créer le message' });
     }
 
     // ── Diffusion WebSocket ────────────────────────────────────────────────────
     // Récupère l'instance Socket.io depuis Express et diffuse le message.
-    // Tous les clients connectés reçoivent l'événement 'new_message'.
+    // Les clients connectés au salon reçoivent l'événement 'new_message'.
     // Le frontend identifie si c'est son propre message via message.user_id.
+    // Un message retenu ne va qu'aux onglets de son auteur ; les modérateurs
+    // connectés voient la file de validation se mettre à jour.
     const io = req.app.get('io');
-    if (io) diffuseMessage(io, message);
+    if (io) {
+      if (message.held_at) {
+        io.to(`user:${req.user.id}`).emit('new_message', message);
+        emitToReviewers(io, 'held_message', { messageId: message.id });
+      } else {
+        diffuseMessage(io, message);
+      }
+    }
 
-    logger.info('Message envoyé et diffusé', { userId: req.user.id });
-    res.status(201).json({ message });
+    await handleCrisis(io, message);
+
+    if (pii.action === 'mask') {
+      logger.info('Données personnelles masquées', { userId: req.user.id, messageId: message.id, types: pii.types, count: pii.count });
+    }
+    if (message.held_at) {
+      logger.info('Message retenu pour validation', { userId: req.user.id, messageId: message.id, rules: verdict.rules });
+    } else {
+      logger.info('Message envoyé et diffusé', { userId: req.user.id, salonId: salon.id });
+    }
+
+    // Prochain envoi possible (mode lent) : le chat lance le compte à rebours
+    const nextPosting = await postingStatus(salon, req.user);
+    const notice      = noticeOf(pii, verdict);
+    res.status(201).json(notice ? { message, posting: nextPosting, notice } : { message, posting: nextPosting });
 
   } catch (err) {
+    // Deux envois simultanés du même client_id : le second renvoie le premier
+    if (err.code === 'ER_DUP_ENTRY' && req.body.client_id) {
+      const message = await db.findMessageByClientId(req.user.id, req.body.client_id).catch(() => null);
+      if (message) return res.json({ message, duplicate: true });
+    }
     logger.error('Erreur envoi message', { error: err.message });
     res.status(500).json({ error: 'Erreur interne du serveur' });
   }
 });
 
 
-// ── POST /api/messages/:id/react ──────────────────────────────────────────────
-router.post('/:id/react', authenticate, async (req, res) => {
+// ── GET /api/messages/:id/thread ──────────────────────────────────────────────
+// Un message et ses réponses (vue "fil" dépliée sous le message dans le chat).
+router.get('/:id/thread', authenticate, async (req, res) => {
   const messageId = parseInt(req.params.id);
 
   if (!messageId || messageId < 1) {
@@ -70,14 +278,53 @@ router.post('/:id/react', authenticate, async (req, res) => {
   }
 
   try {
-    const result = await db.toggleReaction(req.user.id, messageId);
-    const count  = await db.getReactionCount(messageId);
+    const [rows] = await db.pool.execute(
+      `SELECT id FROM messages
+       WHERE id = ? AND deleted_at IS NULL AND (held_at IS NULL OR user_id = ?) LIMIT 1`,
+      [messageId, req.user.id]
+    );
+    if (rows.length === 0) return res.status(404).json({ error: 'Message introuvable' });
+
+    const [message, replies] = await Promise.all([
+      db.findMessage(messageId),
+      db.getThread(messageId, { viewerId: req.user.id }),
+    ]);
+    res.json({ message, replies });
+  } catch (err) {
+    logger.error('Erreur chargement fil', { error: err.message });
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+
+// ── POST /api/messages/:id/react ──────────────────────────────────────────────
+// Body : { emoji } — un emoji de la palette (utils/reactions.js), 💜 par défaut.
+// Réponse : { added, emoji, reactions } — totaux par emoji, mine compris.
+// Un message supprimé, ou retenu par la modération (sauf pour son auteur),
+// est introuvable : mêmes règles de visibilité que l'historique.
+router.post('/:id/react', authenticate, reactRules, validate, async (req, res) => {
+  const messageId = req.params.id;
+  const emoji     = req.body.emoji || DEFAULT_REACTION;
+
+  try {
+    const target = await db.findVisibleMessageSalon(messageId, req.user.id);
+    if (!target) return res.status(404).json({ error: 'Message introuvable' });
 
-    // Diffuse la mise à jour des réactions à tous les connectés
+    const result    = await db.toggleReaction(req.user.id, messageId, emoji);
+    const summaries = await db.getReactionSummaries([messageId], req.user.id);
+    const reactions = summaries[messageId] || [];
+
+    // Diffuse les nouveaux totaux aux connectés du salon — sans "mine", propre
+    // à chaque utilisateur. Message retenu : personne d'autre ne le voit.
     const io = req.app.get('io');
-    if (io) io.emit('reaction_update', { messageId, count });
+    if (io && !target.held) {
+      emitToSalon(io, target.salon_id, 'reaction_update', {
+        messageId,
+        reactions: reactions.map(({ emoji, count }) => ({ emoji, count })),
+      });
+    }
 
-    res.json({ ...result, count });
+    res.json({ ...result, emoji, reactions });
   } catch (err) {
     logger.error('Erreur réaction', { error: err.message });
     res.status(500).json({ error: 'Erreur interne du serveur' });
@@ -91,7 +338,7 @@ router.post('/:id/react', authenticate, async (req, res) => {
 //   - On ne peut pas signaler son propre message
 //   - La contrainte UNIQUE(reporter_id, message_id) en base empêche les doublons
 //   - La raison est optionnelle mais validée côté frontend
-router.post('/:id/report', authenticate, async (req, res) => {
+router.post('/:id/report', authenticate, forbidGuests, requireVerifiedEmail, async (req, res) => {
   const messageId = parseInt(req.params.id);
   const { reason } = req.body;
 
@@ -108,7 +355,7 @@ router.post('/:id/report', authenticate, async (req, res) => {
   try {
     // Vérifier que le message existe et n'est pas le sien
     const [rows] = await db.pool.execute(
-      'SELECT user_id FROM messages WHERE id = ? AND deleted_at IS NULL LIMIT 1',
+      'SELECT user_id FROM messages WHERE id = ? AND deleted_at IS NULL AND held_at IS NULL LIMIT 1',
       [messageId]
     );
 
@@ -141,6 +388,95 @@ router.post('/:id/report', authenticate, async (req, res) => {
 });
 
 
+// ── PATCH /api/messages/:id ───────────────────────────────────────────────────
+// Modifie son propre message, dans le délai autorisé. La nouvelle version
+// repasse par la modération automatique : un message publié peut être retenu
+// (il disparaît alors chez les autres), un message retenu corrigé est publié.
+router.patch('/:id', authenticate, requireVerifiedEmail, messageLimiter, editMessageRules, validate, async (req, res) => {
+  const messageId = req.params.id;
+
+  try {
+    const [rows] = await db.pool.execute(
+      `SELECT user_id, salon_id, content, held_at, TIMESTAMPDIFF(SECOND, created_at, NOW()) AS age_seconds
+       FROM messages WHERE id = ? AND deleted_at IS NULL LIMIT 1`,
+      [messageId]
+    );
+
+    if (rows.length === 0) return res.status(404).json({ error: 'Message introuvable' });
+    if (rows[0].user_id !== req.user.id) return res.status(403).json({ error: 'Tu ne peux modifier que tes propres messages' });
+    if (rows[0].age_seconds > EDIT_WINDOW_MINUTES * 60) {
+      return res.status(403).json({
+        error: `Un message ne peut être modifié que pendant ${EDIT_WINDOW_MINUTES} minutes`,
+        code:  'EDIT_WINDOW_EXPIRED',
+      });
+    }
+
+    // Règles du salon : pas de modification en lecture seule, longueur maximale
+    const salon = await db.findSalon(rows[0].salon_id);
+    if (salon) {
+      const mode = modeStatus(salon, req.user);
+      if (!mode.allowed) return rejectPosting(res, mode);
+
+      const tooLong = lengthError(salon, req.body.content);
+      if (tooLong) return res.status(400).json({ error: tooLong, code: 'MESSAGE_TOO_LONG' });
+    }
+
+    const pii = await checkPersonalData(req, req.body.content);
+    if (pii.action === 'block') return blockPersonalData(req, res, pii);
+
+    // Texte identique (après masquage) : rien à enregistrer
+    if (rows[0].content === pii.content) {
+      return res.json({ message: await db.findMessage(messageId) });
+    }
+
+    const verdict = moderateMessage(pii.content);
+    if (verdict.decision === 'reject') return rejectMessage(req, res, verdict);
+
+    const wasHeld = rows[0].held_at !== null;
+    const message = await db.editMessage(messageId, pii.content, { holdReason: holdReasonOf(verdict) });
+
+    // Diffuse la nouvelle version aux connectés du salon — à l'auteur seul si
+    // elle est retenue
+    const io = req.app.get('io');
+    if (io) {
+      const edited = { messageId, content: message.content, edited_at: message.edited_at, held_at: message.held_at };
+
+      if (message.held_at) {
+        if (!wasHeld) {
+          emitToSalon(io, message.salon_id, 'message_deleted', { messageId }, { exceptUserId: req.user.id });
+          emitToReviewers(io, 'held_message', { messageId });
+        }
+        io.to(`user:${req.user.id}`).emit('message_edited', edited);
+      } else {
+        // Message retenu corrigé : publié pour les autres, à jour chez l'auteur
+        if (wasHeld) {
+          diffuseMessage(io, message);
+          emitToReviewers(io, 'held_reviewed', { messageId });
+        }
+        emitToSalon(io, message.salon_id, 'message_edited', edited);
+      }
+    }
+    await handleCrisis(io, message);
+
+    if (pii.action === 'mask') {
+      logger.info('Données personnelles masquées', { userId: req.user.id, messageId, types: pii.types, count: pii.count });
+    }
+    if (message.held_at) {
+      logger.info('Message modifié et retenu pour validation', { messageId, userId: req.user.id, rules: verdict.rules });
+    } else {
+      logger.info('Message modifié', { messageId, userId: req.user.id });
+    }
+
+    const notice = noticeOf(pii, verdict);
+    res.json(notice ? { message, notice } : { message });
+
+  } catch (err) {
+    logger.error('Erreur modification message', { error: err.message });
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+
 // ── DELETE /api/messages/:id ──────────────────────────────────────────────────
 router.delete('/:id', authenticate, async (req, res) => {
   const messageId = parseInt(req.params.id);
@@ -151,7 +487,7 @@ router.delete('/:id', authenticate, async (req, res) => {
 
   try {
     const [rows] = await db.pool.execute(
-      'SELECT user_id FROM messages WHERE id = ? AND deleted_at IS NULL LIMIT 1',
+      'SELECT user_id, salon_id FROM messages WHERE id = ? AND deleted_at IS NULL LIMIT 1',
       [messageId]
     );
 
@@ -160,9 +496,9 @@ router.delete('/:id', authenticate, async (req, res) => {
 
     await db.deleteMessage(messageId);
 
-    // Diffuse la suppression à tous les connectés
+    // Diffuse la suppression aux connectés du salon
     const io = req.app.get('io');
-    if (io) io.emit('message_deleted', { messageId });
+    if (io) emitToSalon(io, rows[0].salon_id, 'message_deleted', { messageId });
 
     logger.info('Message supprimé', { messageId, userId: req.user.id });
     res.json({ success: true });
@@ -0,0 +1,147 @@
+// =============================================================================
+// TRUST LAYER — src/routes/routes_password.js
+// Récupération de compte : mot de passe oublié et réinitialisation.
+//
+// POST /api/password/forgot  — envoie un lien de réinitialisation par email
+// POST /api/password/reset   — définit un nouveau mot de passe avec ce lien
+// GET  /api/password/policy  — règles de mot de passe (affichage côté client)
+//
+// SÉCURITÉ :
+//   — Token aléatoire de 32 octets, stocké uniquement sous forme de hash SHA-256
+//   — Usage unique, expiration courte (PASSWORD_RESET_TTL_MINUTES, 30 min)
+//   — Anti-énumération : /forgot répond exactement la même chose, que l'email
+//     existe ou non, et avant de chercher le compte (temps de réponse constant)
+//   — Après réinitialisation, toutes les sessions existantes sont révoquées
+// =============================================================================
+
+const express  = require('express');
+const bcrypt   = require('bcryptjs');
+const crypto   = require('crypto');
+const db       = require('../db/database');
+const logger   = require('../utils/logger');
+const mailer   = require('../mail/mailer');
+const templates = require('../mail/templates');
+const { maskEmail }          = require('../middleware/auth_middleware');
+const { authLimiter }        = require('../middleware/rateLimiter');
+const { forgotPasswordRules, resetPasswordRules, validate } = require('../middleware/validators');
+const { disconnectUser }     = require('../socket/socketHandler');
+const { hashToken }          = require('../utils/tokens');
+const { checkPassword, describePolicy } = require('../utils/passwordPolicy');
+
+const router = express.Router();
+
+const RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+
+// ── POST /api/password/forgot ─────────────────────────────────────────────────
+// Demande un lien de réinitialisation.
+//
+// SÉCURITÉ — Anti-énumération :
+//   La réponse est identique que l'email existe ou non, et elle part avant
+//   tout travail : la recherche du compte, l'enregistrement du token et
+//   l'envoi de l'email (sendResetLink) se font ensuite. Le temps de réponse
+//   ne dépend donc ni de l'existence du compte ni de la lenteur du serveur
+//   SMTP. Une erreur à cette étape n'est visible que dans les logs.
+router.post('/forgot', authLimiter, forgotPasswordRules, validate, (req, res) => {
+  const { email } = req.body;
+
+  res.json({
+    success: true,
+    message: 'Si un compte existe avec cette adresse, un email de réinitialisation vient d\'être envoyé.',
+  });
+
+  sendResetLink(email, req.ip).catch(err => {
+    logger.error('Erreur demande de réinitialisation', { error: err.message });
+  });
+});
+
+async function sendResetLink(email, ip) {
+  const user = await db.findUserByEmail(email);
+  if (!user) {
+    logger.security('Réinitialisation demandée pour un email inconnu', { email: maskEmail(email), ip });
+    return;
+  }
+
+  const token     = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + RESET_TTL_MINUTES * 60 * 1000);
+  await db.createPasswordReset(user.id, hashToken(token), expiresAt);
+
+  logger.security('Demande de réinitialisation de mot de passe', { userId: user.id, ip });
+
+  const mail = templates.passwordReset({ username: user.username, token, ttlMinutes: RESET_TTL_MINUTES });
+  await mailer.sendMail({ to: user.email, ...mail }).catch(err => {
+    logger.error('Échec envoi email de réinitialisation', { userId: user.id, error: err.message });
+  });
+}
+
+
+// ── POST /api/password/reset ──────────────────────────────────────────────────
+// Définit un nouveau mot de passe à partir du token reçu par email.
+//
+// Pipeline :
+//   authLimiter         → limite le test de tokens au hasard
+//   resetPasswordRules  → token + nouveau mot de passe
+//   handler             → consomme le token, met à jour le hash, révoque les sessions
+router.post('/reset', authLimiter, resetPasswordRules, validate, async (req, res) => {
+  const { token, password } = req.body;
+  const INVALID_LINK = { error: 'Lien invalide ou expiré. Refais une demande de réinitialisation.' };
+
+  try {
+    const reset = await db.findValidPasswordReset(hashToken(token));
+    if (!reset) return res.status(400).json(INVALID_LINK);
+
+    const user = await db.findUserById(reset.user_id);
+    if (!user) return res.status(400).json(INVALID_LINK);
+
+    // Pseudo / email dans le mot de passe : vérifié avant de consommer le
+    // lien, pour que l'utilisateur puisse corriger sans refaire une demande
+    const issues = checkPassword(password, { username: user.username, email: user.email });
+    if (issues.length > 0) {
+      return res.status(422).json({
+        error:   'Données invalides',
+        details: [{ field: 'password', message: issues[0] }],
+      });
+    }
+
+    // Atomique : deux requêtes simultanées avec le même lien → une seule passe
+    if (!await db.consumePasswordReset(reset.id)) return res.status(400).json(INVALID_LINK);
+
+    const rounds        = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+    const password_hash = await bcrypt.hash(password, rounds);
+    await db.updatePassword(user.id, password_hash);
+
+    // Le lien a été ouvert depuis la boîte mail : l'adresse est prouvée
+    await db.markEmailVerified(user.id);
+
+    // Le lien prouve la possession de l'adresse : le compte est déverrouillé
+    await db.resetFailedLogins(user.id);
+
+    // Le compte a peut-être été compromis : on coupe toutes les sessions ouvertes
+    await db.revokeAllUserTokens(user.id);
+    await db.revokeUserRefreshTokens(user.id);
+
+    const io = req.app.get('io');
+    if (io) disconnectUser(io, user.id);
+
+    mailer.sendMail({ to: user.email, ...templates.passwordChanged({ username: user.username }) })
+      .catch(err => logger.error('Échec envoi email de confirmation', { userId: user.id, error: err.message }));
+
+    logger.security('Mot de passe réinitialisé', { userId: user.id, ip: req.ip });
+
+    return res.json({ success: true, message: 'Mot de passe modifié. Tu peux te connecter.' });
+
+  } catch (err) {
+    logger.error('Erreur réinitialisation du mot de passe', { error: err.message });
+    return res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+
+// ── GET /api/password/policy ──────────────────────────────────────────────────
+// Règles imposées par le serveur : le formulaire d'inscription et le profil
+// les affichent au lieu de les dupliquer.
+router.get('/policy', (req, res) => {
+  res.json(describePolicy());
+});
+
+module.exports = router;
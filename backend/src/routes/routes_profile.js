@@ -4,43 +4,186 @@
 // CORRECTIONS apportées :
 //   — db.findUserById() est maintenant async (MySQL) — await ajouté
 //   — Montage cohérent : la route est /profile/:id (préfixe /api dans server.js)
+//   — PATCH /api/profile : modification du profil par l'utilisateur lui-même
 // =============================================================================
 
 const express          = require('express');
+const bcrypt           = require('bcryptjs');
 const db               = require('../db/database');
+const logger           = require('../utils/logger');
 const { authenticate } = require('../middleware/auth_middleware');
-const { userIdParam, validate } = require('../middleware/validators');
+const { passwordChangeLimiter } = require('../middleware/rateLimiter');
+const { userIdParam, updateProfileRules, validate } = require('../middleware/validators');
+const { disconnectUser, broadcastProfileUpdate }    = require('../socket/socketHandler');
+const { isReadOnly }   = require('../utils/emailVerification');
+const { issueTokenPair, issueAccessToken } = require('../utils/tokens');
 
 const router = express.Router();
 
+// Profil complet renvoyé à son propriétaire (GET de son propre profil, PATCH)
+function privateProfile(profile, user) {
+  return {
+    id:              profile.id,
+    username:        profile.username,
+    avatar:          profile.avatar,
+    created_at:      profile.created_at,
+    email:           profile.email,
+    first_name:      profile.first_name,
+    last_name:       profile.last_name,
+    emergency_name:  profile.emergency_name,
+    emergency_phone: profile.emergency_phone,
+    email_verified:  !!user.email_verified_at,
+    read_only:       isReadOnly(user),
+    is_guest:        !!user.is_guest,
+  };
+}
+
 
 // ── GET /api/profile/:id ──────────────────────────────────────────────────────
 // Retourne le profil public d'un utilisateur.
-// Si c'est le propre profil de l'utilisateur connecté → ajoute l'email.
+// Si c'est le propre profil de l'utilisateur connecté → ajoute l'email, le
+// contact d'urgence et l'état de vérification (read_only = ne peut ni publier
+// ni signaler).
 router.get('/profile/:id', authenticate, userIdParam, validate, async (req, res) => {
   const id   = req.params.id; // déjà converti en Int par userIdParam
-  const user = await db.findUserById(id);
 
-  if (!user) {
-    return res.status(404).json({ error: 'Utilisateur introuvable' });
-  }
+  try {
+    // Son propre profil : lecture des champs privés
+    if (req.user.id === id) {
+      const profile = await db.findPrivateProfile(id);
+      return res.json({ user: privateProfile(profile, req.user) });
+    }
 
-  // Profil public : pas d'infos sensibles
-  const profile = {
-    id:         user.id,
-    username:   user.username,
-    avatar:     user.avatar,
-    created_at: user.created_at,
-  };
+    const user = await db.findUserById(id);
 
-  // Si c'est son propre profil : on ajoute l'email
-  if (req.user.id === id) {
-    profile.email      = user.email;
-    profile.first_name = user.first_name;
-    profile.last_name  = user.last_name;
+    if (!user) {
+      return res.status(404).json({ error: 'Utilisateur introuvable' });
+    }
+
+    // Profil public : pas d'infos sensibles
+    const profile = {
+      id:         user.id,
+      username:   user.username,
+      avatar:     user.avatar,
+      created_at: user.created_at,
+    };
+
+    res.json({ user: profile });
+
+  } catch (err) {
+    logger.error('Erreur lecture profil', { error: err.message });
+    res.status(500).json({ error: 'Erreur interne du serveur' });
   }
+});
+
+
+// ── PATCH /api/profile ────────────────────────────────────────────────────────
+// Modifie le profil de l'utilisateur connecté. Seuls les champs envoyés
+// changent : username, avatar, firstName, lastName, emergencyName,
+// emergencyPhone, et newPassword (avec currentPassword).
+//
+// Pipeline :
+//   authenticate           → l'utilisateur ne modifie que son propre profil
+//   passwordChangeLimiter  → limite les essais de mot de passe actuel
+//   updateProfileRules     → mêmes règles par champ que l'inscription
+//   handler                → unicité du pseudo, ré-authentification, diffusion
+//
+// COMPTES INVITÉS :
+//   Pseudo et avatar seulement. Les données personnelles et le mot de passe
+//   s'ajoutent en convertissant le compte (POST /api/guest/upgrade).
+//
+// CHANGEMENT DE MOT DE PASSE :
+//   Les autres sessions sont révoquées (access + refresh tokens, sockets).
+//   La session courante est conservée : un nouvel access token est renvoyé
+//   car l'ancien est daté d'avant la révocation.
+router.patch('/profile', authenticate, passwordChangeLimiter, updateProfileRules, validate, async (req, res) => {
+  const { username, avatar, firstName, lastName, emergencyName, emergencyPhone, currentPassword, newPassword } = req.body;
+
+  try {
+    const fields = {};
+
+    const personal = [firstName, lastName, emergencyName, emergencyPhone, newPassword];
+    if (req.user.is_guest && personal.some(v => v !== undefined)) {
+      return res.status(403).json({
+        error: 'Crée ton compte pour ajouter ces informations.',
+        code:  'GUEST_FORBIDDEN',
+      });
+    }
 
-  res.json({ user: profile });
+    if (username !== undefined && username !== req.user.username) {
+      const taken = await db.findUserByUsername(username);
+      if (taken && taken.id !== req.user.id) {
+        return res.status(409).json({ error: 'Ce pseudo est déjà utilisé' });
+      }
+      fields.username = username;
+    }
+    if (avatar !== undefined) fields.avatar = avatar;
+
+    // Champs privés facultatifs : une chaîne vide efface la valeur
+    if (firstName      !== undefined) fields.firstName      = firstName      || null;
+    if (lastName       !== undefined) fields.lastName       = lastName       || null;
+    if (emergencyName  !== undefined) fields.emergencyName  = emergencyName  || null;
+    if (emergencyPhone !== undefined) fields.emergencyPhone = emergencyPhone || null;
+
+    // Ré-authentification avant tout changement de mot de passe
+    let tokens = null;
+    if (newPassword !== undefined) {
+      const currentHash = await db.findPasswordHash(req.user.id);
+      if (!await bcrypt.compare(currentPassword, currentHash)) {
+        logger.security('Changement de mot de passe refusé — mot de passe actuel incorrect', {
+          userId: req.user.id,
+          ip:     req.ip,
+        });
+        // 403 et non 401 : le token est valide, c'est la ré-authentification qui échoue
+        return res.status(403).json({ error: 'Mot de passe actuel incorrect' });
+      }
+    }
+
+    await db.updateUser(req.user.id, fields);
+
+    if (newPassword !== undefined) {
+      const rounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+      await db.updatePassword(req.user.id, await bcrypt.hash(newPassword, rounds));
+
+      const sessionId = req.auth.sessionId;
+      await db.revokeAllUserTokens(req.user.id);
+      await db.revokeUserRefreshTokens(req.user.id, sessionId);
+
+      // Ancien token sans sid : pas de session à conserver, on en ouvre une neuve
+      tokens = sessionId
+        ? { token: await issueAccessToken(req.user.id, sessionId) }
+        : await issueTokenPair(req.user.id, null, { userAgent: req.get('user-agent') });
+
+      const io = req.app.get('io');
+      if (io) disconnectUser(io, req.user.id, { exceptSessionId: sessionId || tokens.sessionId });
+
+      logger.security('Mot de passe modifié depuis le profil', { userId: req.user.id, ip: req.ip });
+    }
+
+    const profile = await db.findPrivateProfile(req.user.id);
+
+    // Pseudo ou avatar modifié → les chats ouverts mettent à jour ses messages
+    if (fields.username !== undefined || fields.avatar !== undefined) {
+      const io = req.app.get('io');
+      if (io) await broadcastProfileUpdate(io, profile);
+    }
+
+    logger.info('Profil mis à jour', { userId: req.user.id, fields: Object.keys(fields) });
+
+    return res.json({
+      user: privateProfile(profile, req.user),
+      ...(tokens && { token: tokens.token }),
+      ...(tokens && tokens.refreshToken && { refreshToken: tokens.refreshToken }),
+    });
+
+  } catch (err) {
+    // Course avec une autre inscription sur le même pseudo (contrainte UNIQUE)
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Ce pseudo est déjà utilisé' });
+    }
+    logger.error('Erreur mise à jour du profil', { error: err.message });
+    return res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,33 @@
+// =============================================================================
+// TRUST LAYER — src/routes/routes_salons.js
+// Salons de discussion thématiques (Examens, Famille, Solitude…).
+//
+// GET  /api/salons  — salons actifs (liste de la sidebar du chat)
+//
+// La création se fait dans l'espace de modération (POST /api/admin/salons,
+// permission salons:manage).
+//
+// Les messages d'un salon passent par /api/messages?salon=<id> ; côté temps
+// réel, le client rejoint la room du salon avec l'événement 'join_salon'
+// (voir socket/socketHandler.js).
+// =============================================================================
+
+const express  = require('express');
+const db       = require('../db/database');
+const logger   = require('../utils/logger');
+const { authenticate } = require('../middleware/auth_middleware');
+
+const router = express.Router();
+
+
+// ── GET /api/salons ───────────────────────────────────────────────────────────
+router.get('/', authenticate, async (req, res) => {
+  try {
+    res.json({ salons: await db.listSalons() });
+  } catch (err) {
+    logger.error('Erreur chargement salons', { error: err.message });
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+// =============================================================================
+// TRUST LAYER — src/routes/routes_sessions.js
+// Sessions actives de l'utilisateur (un appareil = une session).
+//
+// GET    /api/sessions      — liste des sessions ouvertes
+// DELETE /api/sessions/:id  — ferme une session à distance
+//
+// CAS D'USAGE :
+//   Un étudiant s'est connecté dans un cyber-café et a oublié de se
+//   déconnecter. Depuis son téléphone, il ferme cette session : le dernier
+//   access token est inscrit dans revoked_tokens, les refresh tokens de la
+//   session sont révoqués et les sockets ouverts sur ce poste sont coupés.
+// =============================================================================
+
+const express  = require('express');
+const db       = require('../db/database');
+const logger   = require('../utils/logger');
+const { authenticate }             = require('../middleware/auth_middleware');
+const { sessionIdParam, validate } = require('../middleware/validators');
+const { disconnectUser }           = require('../socket/socketHandler');
+
+const router = express.Router();
+
+
+// ── GET /api/sessions ─────────────────────────────────────────────────────────
+// Chaque session indique si c'est celle de la requête (current) et si un
+// onglet y est actuellement connecté en WebSocket (online).
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const sessions = await db.listActiveSessions(req.user.id);
+    const rooms    = req.app.get('io')?.sockets.adapter.rooms;
+
+    res.json({
+      sessions: sessions.map(s => ({
+        id:           s.id,
+        user_agent:   s.user_agent || 'Appareil inconnu',
+        created_at:   s.created_at,
+        last_seen_at: s.last_seen_at,
+        current:      s.id === req.auth.sessionId,
+        online:       !!rooms?.get(`session:${s.id}`)?.size,
+      })),
+    });
+  } catch (err) {
+    logger.error('Erreur chargement des sessions', { error: err.message });
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+
+// ── DELETE /api/sessions/:id ──────────────────────────────────────────────────
+// Ferme une session de l'utilisateur connecté. Fermer sa propre session
+// revient à se déconnecter.
+router.delete('/:id', authenticate, sessionIdParam, validate, async (req, res) => {
+  try {
+    const session = await db.findUserSession(req.user.id, req.params.id);
+
+    // Session d'un autre utilisateur ou déjà fermée : même réponse (pas d'énumération)
+    if (!session) {
+      return res.status(404).json({ error: 'Session introuvable' });
+    }
+
+    // Dernier access token émis pour la session → revoked_tokens
+    if (session.access_token_hash && !session.access_expired) {
+      await db.revokeToken(session.access_token_hash, req.user.id, session.access_expires_at);
+    }
+    // Refresh tokens de la famille + ligne sessions
+    await db.revokeRefreshFamily(session.id);
+
+    const io = req.app.get('io');
+    if (io) disconnectUser(io, req.user.id, { sessionId: session.id });
+
+    const current = session.id === req.auth.sessionId;
+    logger.security('Session fermée à distance', { userId: req.user.id, current, ip: req.ip });
+
+    res.json({ success: true, current });
+
+  } catch (err) {
+    logger.error('Erreur fermeture de session', { error: err.message });
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+// =============================================================================
+// TRUST LAYER — src/routes/routes_verification.js
+// Vérification de l'adresse email.
+//
+// GET  /api/verify-email?token=…   — valide le lien reçu par email
+// POST /api/verify-email/resend    — renvoie un lien (utilisateur connecté)
+//
+// Le lien de l'email ouvre connexion.html?verify=<token>, qui appelle la route
+// GET. Le token est à usage unique : s'il apparaît ensuite dans les logs
+// d'accès (morgan), il ne sert plus à rien.
+// =============================================================================
+
+const express  = require('express');
+const db       = require('../db/database');
+const logger   = require('../utils/logger');
+const { authenticate }               = require('../middleware/auth_middleware');
+const { authLimiter }                = require('../middleware/rateLimiter');
+const { forbidGuests }               = require('../middleware/guest_middleware');
+const { verifyEmailRules, validate } = require('../middleware/validators');
+const { hashToken }                  = require('../utils/tokens');
+const { sendVerificationEmail, checkResendAllowed } = require('../utils/emailVerification');
+
+const router = express.Router();
+
+
+// ── GET /api/verify-email ─────────────────────────────────────────────────────
+// Marque l'email comme vérifié. Pas d'authentification : le lien peut être
+// ouvert sur un autre appareil que celui de la session en cours.
+router.get('/verify-email', authLimiter, verifyEmailRules, validate, async (req, res) => {
+  const INVALID_LINK = { error: 'Lien de vérification invalide ou expiré. Demande un nouveau lien depuis le chat.' };
+
+  try {
+    const verification = await db.findValidEmailVerification(hashToken(req.query.token));
+    if (!verification) return res.status(400).json(INVALID_LINK);
+
+    if (!await db.consumeEmailVerification(verification.id)) return res.status(400).json(INVALID_LINK);
+
+    await db.markEmailVerified(verification.user_id);
+
+    // Les onglets ouverts retirent le bandeau "lecture seule" sans recharger
+    const io = req.app.get('io');
+    if (io) io.to(`user:${verification.user_id}`).emit('email_verified');
+
+    logger.info('Email vérifié', { userId: verification.user_id });
+
+    return res.json({ success: true, message: 'Adresse email confirmée. Tu peux maintenant écrire dans le chat.' });
+
+  } catch (err) {
+    logger.error('Erreur vérification email', { error: err.message });
+    return res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+
+// ── POST /api/verify-email/resend ─────────────────────────────────────────────
+// Renvoie un lien de vérification à l'adresse du compte connecté.
+// Limité par intervalle et par quota journalier (voir utils/emailVerification.js).
+router.post('/verify-email/resend', authenticate, forbidGuests, async (req, res) => {
+  try {
+    if (req.user.email_verified_at) {
+      return res.status(409).json({ error: 'Ton adresse email est déjà vérifiée.' });
+    }
+
+    const { allowed, retryAfter } = await checkResendAllowed(req.user.id);
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Un email vient déjà d\'être envoyé. Patiente avant d\'en demander un autre.',
+        retryAfter,
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    logger.info('Lien de vérification renvoyé', { userId: req.user.id });
+
+    return res.json({ success: true, message: 'Un nouveau lien de vérification vient d\'être envoyé.' });
+
+  } catch (err) {
+    logger.error('Erreur renvoi du lien de vérification', { error: err.message });
+    return res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+module.exports = router;
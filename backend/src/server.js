@@ -20,6 +20,16 @@ const morgan               = require('morgan');
 const logger               = require('./utils/logger');
 const { apiLimiter }       = require('./middleware/rateLimiter');
 const { initSocket }       = require('./socket/socketHandler');
+const { startRetentionJob, getRetentionStatus } = require('./utils/retention');
+
+// ── Secrets obligatoires ──────────────────────────────────────────────────────
+// Chacun a un seul usage (voir le README). Sans eux, la connexion ou la 2FA
+// échoueraient à la première requête : autant refuser de démarrer.
+const missingSecrets = ['TOTP_ENCRYPTION_KEY', 'LOCKOUT_PEPPER'].filter(name => !process.env[name]);
+if (missingSecrets.length) {
+  logger.error('Secrets manquants dans .env — démarrage annulé', { missing: missingSecrets });
+  process.exit(1);
+}
 
 const app    = express();
 const server = createServer(app); // Serveur HTTP qui encapsule Express
@@ -79,17 +89,26 @@ app.use('/api', apiLimiter);
 // ── Routes ────────────────────────────────────────────────────────────────────
 app.use('/api',          require('./routes/routes_auth'));
 app.use('/api',          require('./routes/routes_profile'));
+app.use('/api',          require('./routes/routes_verification'));
 app.use('/api/messages', require('./routes/routes_messages'));
 app.use('/api/moods',    require('./routes/routes_moods'));
 app.use('/api/admin',    require('./routes/routes_admin'));
+app.use('/api/password', require('./routes/routes_password'));
+app.use('/api/sessions', require('./routes/routes_sessions'));
+app.use('/api/2fa',      require('./routes/routes_2fa'));
+app.use('/api/guest',    require('./routes/routes_guest'));
+app.use('/api/salons',   require('./routes/routes_salons'));
 
 
 // ── Health check ──────────────────────────────────────────────────────────────
+// retention : durées de conservation et dernier passage de la purge (lues
+// aussi par politique.html)
 app.get('/health', (req, res) => res.json({
-  status:  'ok',
-  env:     process.env.NODE_ENV || 'development',
-  uptime:  Math.floor(process.uptime()) + 's',
-  sockets: io.engine.clientsCount,
+  status:    'ok',
+  env:       process.env.NODE_ENV || 'development',
+  uptime:    Math.floor(process.uptime()) + 's',
+  sockets:   io.engine.clientsCount,
+  retention: getRetentionStatus(),
 }));
 
 
@@ -119,6 +138,7 @@ server.listen(PORT, () => {
     env:  process.env.NODE_ENV || 'development',
     cors: allowedOrigins.join(', '),
   });
+  startRetentionJob();
 });
 
 module.exports = { app, server, io };
\ No newline at end of file
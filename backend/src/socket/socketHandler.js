@@ -5,24 +5,79 @@
 // COMMENT ÇA MARCHE :
 //   — Chaque utilisateur qui ouvre chat.html crée une connexion WebSocket
 //   — Le serveur maintient la liste des connectés en mémoire (Map)
-//   — Quand un message est envoyé via l'API REST, il est diffusé à tous
-//     les connectés via io.emit('new_message', message)
+//   — Quand un message est envoyé via l'API REST, il est diffusé aux
+//     connectés de son salon via diffuseMessage()
 //   — Quand un utilisateur se déconnecte, on met à jour le compteur
 //
 // SÉCURITÉ :
 //   — Le token JWT est vérifié à la connexion (middleware Socket.io)
 //   — Un utilisateur banni ne peut pas se connecter
+//   — Un token révoqué (logout, logout-all) ne peut pas ouvrir de socket
 //   — Les événements venant du client sont validés avant traitement
+//
+// ROOMS :
+//   — user:<id>      → toutes les connexions d'un utilisateur (tous appareils)
+//   — session:<sid>  → les connexions d'une session (claim sid du JWT)
+//   Elles permettent de couper les sockets concernés lors d'une déconnexion.
+//   — salon:<id>     → le salon affiché par ce socket (un seul à la fois).
+//     Le client rejoint le salon par défaut à la connexion, puis change avec
+//     'join_salon'. Messages, réactions, suppressions et indicateur de saisie
+//     ne sont diffusés qu'aux membres de la room.
+//   — staff:crisis   → les connexions de l'équipe d'écoute (permission
+//     crisis:read) : alertes 'crisis_alert' et suivi 'crisis_update'.
+//   — staff:review   → les modérateurs qui valident les messages retenus
+//     (permission messages:review) : 'held_message' et 'held_reviewed'.
+//   Les rooms de l'équipe exigent aussi une session ouverte avec un second
+//   facteur (claim mfa), comme l'espace de modération (requireStaff).
+//
+// RÈGLES DES SALONS (utils/salonPolicy.js) :
+//   Chaque socket garde le salon affiché (socket.salon), règles comprises.
+//   'join_salon' renvoie l'état de publication ; l'indicateur de saisie n'est
+//   pas diffusé là où l'utilisateur ne peut pas publier. Quand l'équipe change
+//   les règles, updateSalonSockets() met à jour les sockets du salon et leur
+//   envoie 'salon_updated'.
+//   Seul l'indicateur de saisie est filtré ici : aucun message ne passe par
+//   le socket, le mode lent et les autres règles s'appliquent dans POST
+//   /api/messages.
+//
+// CONSOLE DE MODÉRATION :
+//   admin.html se connecte avec auth.console = true pour recevoir les alertes
+//   et la file de validation.
+//   Ce socket ne rejoint aucun salon et ne compte pas parmi les connectés.
 // =============================================================================
 
-const jwt    = require('jsonwebtoken');
 const db     = require('../db/database');
 const logger = require('../utils/logger');
+const { verifyAccessToken, AuthError } = require('../utils/tokens');
+const { hasPermission, isStaff } = require('../utils/roles');
+const { modeStatus, postingStatus } = require('../utils/salonPolicy');
+
+const CRISIS_ROOM = 'staff:crisis';
+const REVIEW_ROOM = 'staff:review';
+
+// Rooms de l'équipe et permission nécessaire pour y entrer
+const STAFF_ROOMS = {
+  [CRISIS_ROOM]: 'crisis:read',
+  [REVIEW_ROOM]: 'messages:review',
+};
 
 // Map des utilisateurs connectés : socketId → { userId, username, avatar }
 // Utilisé pour compter les connectés et éviter les doublons
 const connectedUsers = new Map();
 
+function salonRoom(salonId) {
+  return `salon:${salonId}`;
+}
+
+// Comme requireStaff côté HTTP : sans second facteur (claim mfa), aucune room
+// de l'équipe, quel que soit le rôle
+function joinStaffRooms(socket, role) {
+  for (const [room, permission] of Object.entries(STAFF_ROOMS)) {
+    if (socket.mfa && hasPermission(role, permission)) socket.join(room);
+    else socket.leave(room);
+  }
+}
+
 function initSocket(io) {
 
   // ── Middleware d'authentification Socket.io ──────────────────────────────────
@@ -36,18 +91,18 @@ function initSocket(io) {
         return next(new Error('Token manquant — connexion refusée'));
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user    = await db.findUserById(decoded.userId);
-
-      if (!user) return next(new Error('Utilisateur introuvable'));
-      if (user.is_banned) return next(new Error('Compte suspendu'));
+      // Mêmes contrôles que le middleware HTTP authenticate
+      const { user, decoded } = await verifyAccessToken(token);
 
       // Attache l'utilisateur au socket pour y accéder dans les événements
-      socket.user = user;
+      socket.user      = user;
+      socket.sessionId = decoded.sid || null;
+      socket.mfa       = decoded.mfa === true; // session ouverte avec un second facteur
+      socket.isConsole = socket.handshake.auth?.console === true && isStaff(user.role);
       next();
 
     } catch (err) {
-      next(new Error('Token invalide'));
+      next(new Error(err instanceof AuthError ? err.message : 'Token invalide'));
     }
   });
 
@@ -56,6 +111,21 @@ function initSocket(io) {
   io.on('connection', (socket) => {
     const user = socket.user;
 
+    // Rooms utilisées par disconnectUser() pour cibler ses connexions
+    socket.join(`user:${user.id}`);
+    if (socket.sessionId) socket.join(`session:${socket.sessionId}`);
+    joinStaffRooms(socket, user.role);
+
+    // Console de modération : alertes seulement, pas de présence dans le chat
+    if (socket.isConsole) return;
+
+    socket.salonId = db.DEFAULT_SALON_ID;
+    socket.salon   = null; // règles du salon, chargées ci-dessous puis à chaque join_salon
+    socket.join(salonRoom(socket.salonId));
+    db.findSalon(socket.salonId)
+      .then(salon => { if (socket.salonId === db.DEFAULT_SALON_ID) socket.salon = salon; })
+      .catch(err => logger.error('Erreur chargement du salon par défaut', { error: err.message }));
+
     // Enregistre l'utilisateur dans la Map
     connectedUsers.set(socket.id, {
       userId:   user.id,
@@ -91,17 +161,48 @@ function initSocket(io) {
     });
 
 
+    // ── Événement : changement de salon ────────────────────────────────────────
+    // join_salon(salonId, ack) → ack({ salon, posting }) ou ack({ error })
+    // Le salon doit exister et être actif ; l'ancien est quitté. posting : droit
+    // de publier (postingStatus). Rejoindre le salon courant rafraîchit
+    // simplement ces informations.
+    socket.on('join_salon', async (salonId, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      const id    = parseInt(salonId, 10);
+      if (!id || id < 1) return reply({ error: 'Salon invalide' });
+
+      try {
+        const salon = await db.findSalon(id);
+        if (!salon) return reply({ error: 'Salon introuvable' });
+
+        if (socket.salonId !== id) {
+          socket.to(salonRoom(socket.salonId)).emit('user_stop_typing');
+          socket.leave(salonRoom(socket.salonId));
+          socket.join(salonRoom(id));
+          socket.salonId = id;
+        }
+        socket.salon = salon;
+        reply({ salon, posting: await postingStatus(salon, user) });
+      } catch (err) {
+        logger.error('Erreur changement de salon', { userId: user.id, error: err.message });
+        reply({ error: 'Erreur interne du serveur' });
+      }
+    });
+
+
     // ── Événement : utilisateur en train de taper ──────────────────────────────
-    // Diffuse à tous SAUF l'expéditeur (broadcast)
+    // Diffuse au salon courant SAUF l'expéditeur — sauf si le salon ne lui
+    // permet pas de publier (lecture seule, annonces)
     socket.on('typing', () => {
-      socket.broadcast.emit('user_typing', {
+      if (socket.salon && !modeStatus(socket.salon, user).allowed) return;
+      socket.to(salonRoom(socket.salonId)).emit('user_typing', {
         username: user.username,
         avatar:   user.avatar,
       });
     });
 
     socket.on('stop_typing', () => {
-      socket.broadcast.emit('user_stop_typing');
+      socket.to(salonRoom(socket.salonId)).emit('user_stop_typing');
     });
 
   });
@@ -112,14 +213,113 @@ function initSocket(io) {
 // =============================================================================
 // FONCTION EXPORTÉE — diffuseMessage()
 // Appelée depuis routes/messages.js après insertion en base.
-// Diffuse le message à tous les clients connectés.
+// Diffuse le message aux clients connectés à son salon.
 //
 // On ne laisse PAS le client émettre new_message directement via socket.emit —
 // ça permettrait d'envoyer des messages sans passer par l'API (bypass validation).
 // Le flux est toujours : Client → API REST → Base de données → Socket.io → Clients
 // =============================================================================
 function diffuseMessage(io, message) {
-  io.emit('new_message', message);
+  emitToSalon(io, message.salon_id, 'new_message', message);
+}
+
+
+// =============================================================================
+// FONCTION EXPORTÉE — emitToSalon()
+// Événement destiné aux seuls membres d'un salon (réactions, suppressions).
+// exceptUserId : sauf les connexions de cet utilisateur (message retenu après
+// modification : il disparaît chez les autres, pas chez son auteur).
+// =============================================================================
+function emitToSalon(io, salonId, event, data, { exceptUserId = null } = {}) {
+  const target = io.to(salonRoom(salonId));
+  (exceptUserId ? target.except(`user:${exceptUserId}`) : target).emit(event, data);
+}
+
+
+// =============================================================================
+// FONCTION EXPORTÉE — disconnectUser()
+// Appelée après révocation des tokens (logout, logout-all, refresh token volé).
+// Prévient les onglets concernés ('session_revoked') puis ferme leurs sockets :
+//   — avec sessionId       → uniquement les connexions de cette session
+//   — sans sessionId       → toutes les connexions de l'utilisateur
+//   — avec exceptSessionId → toutes sauf celles de cette session
+//                            (changement de mot de passe depuis le profil)
+// =============================================================================
+function disconnectUser(io, userId, { sessionId = null, exceptSessionId = null } = {}) {
+  const room   = sessionId ? `session:${sessionId}` : `user:${userId}`;
+  const target = exceptSessionId ? io.in(room).except(`session:${exceptSessionId}`) : io.in(room);
+  target.emit('session_revoked');
+  target.disconnectSockets();
+}
+
+
+// =============================================================================
+// FONCTION EXPORTÉE — broadcastProfileUpdate()
+// Appelée après PATCH /api/profile quand le pseudo ou l'avatar change.
+//   — met à jour l'utilisateur attaché à ses propres sockets (événement typing,
+//     Map des connectés) sans attendre une reconnexion
+//   — prévient tous les clients pour qu'ils mettent à jour ses messages affichés
+// =============================================================================
+async function broadcastProfileUpdate(io, user) {
+  const sockets = await io.in(`user:${user.id}`).fetchSockets();
+  for (const s of sockets) {
+    if (s.user) Object.assign(s.user, { username: user.username, avatar: user.avatar });
+    const entry = connectedUsers.get(s.id);
+    if (entry) Object.assign(entry, { username: user.username, avatar: user.avatar });
+  }
+
+  io.emit('profile_updated', {
+    userId:   user.id,
+    username: user.username,
+    avatar:   user.avatar,
+  });
+}
+
+// =============================================================================
+// FONCTIONS EXPORTÉES — rooms de l'équipe
+// emitToCrisisTeam() : événement pour l'équipe d'écoute connectée (chat ou
+// console de modération). emitToReviewers() : idem pour les modérateurs qui
+// valident les messages retenus. syncStaffRooms() : après un changement de
+// rôle, les sockets déjà ouverts entrent dans les rooms ou les quittent sans
+// reconnexion.
+// =============================================================================
+function emitToCrisisTeam(io, event, data) {
+  io.to(CRISIS_ROOM).emit(event, data);
+}
+
+function emitToReviewers(io, event, data) {
+  io.to(REVIEW_ROOM).emit(event, data);
+}
+
+async function syncStaffRooms(io, userId, role) {
+  const sockets = await io.in(`user:${userId}`).fetchSockets();
+  for (const s of sockets) {
+    if (s.user) s.user.role = role;
+    joinStaffRooms(s, role);
+  }
+}
+
+
+// =============================================================================
+// FONCTION EXPORTÉE — updateSalonSockets()
+// Après un changement des règles d'un salon (routes_admin) : les sockets qui
+// l'affichent gardent les nouvelles règles, et les chats ouverts sont prévenus
+// ('salon_updated') pour recalculer leur droit de publier.
+// =============================================================================
+async function updateSalonSockets(io, salon) {
+  const sockets = await io.in(salonRoom(salon.id)).fetchSockets();
+  for (const s of sockets) s.salon = salon;
+  io.emit('salon_updated', { salon });
 }
 
-module.exports = { initSocket, diffuseMessage };
\ No newline at end of file
+module.exports = {
+  initSocket,
+  diffuseMessage,
+  emitToSalon,
+  disconnectUser,
+  broadcastProfileUpdate,
+  emitToCrisisTeam,
+  emitToReviewers,
+  syncStaffRooms,
+  updateSalonSockets,
+};
\ No newline at end of file
@@ -0,0 +1,243 @@
+// =============================================================================
+// TRUST LAYER — src/utils/contentModerator.js
+// Modération automatique des messages, avant leur enregistrement.
+//
+// DÉCISIONS :
+//   — allow  : publié normalement
+//   — hold   : enregistré mais visible de son seul auteur, jusqu'à validation
+//              par un modérateur (permission messages:review, admin.html)
+//   — reject : refusé, avec une raison affichée à l'auteur
+//
+// RÈGLES :
+//   — propos haineux (catégorie hate du lexique)           → reject
+//   — menace ou incitation à se faire du mal               → reject
+//   — insulte qui vise quelqu'un ("t'es un…", "espèce de…",
+//     insulte accompagnée d'un @pseudo)                     → reject
+//   — autre insulte ("les profs sont des connards")         → hold
+//   — entre guillemets, tout devient hold : un étudiant qui rapporte ce
+//     qu'on lui a dit doit pouvoir le faire, un modérateur en juge
+//
+// NORMALISATION :
+//   Minuscules, sans accents ni ponctuation ; leetspeak remplacé ("c0nn@rd",
+//   "$alope") ; lettres répétées réduites ("connaaard" → "conard") ; lettres
+//   espacées recollées ("c.o.n.n.a.r.d", "f d p"). Le lexique passe par la
+//   même normalisation.
+//
+// Les lexiques (src/lexicons/moderation_*.txt, ou MODERATION_LEXICON_FILES)
+// sont lus une fois au démarrage. Aucune dépendance à la base : les règles se
+// vérifient hors ligne avec `npm run moderation:check`.
+// =============================================================================
+
+const fs     = require('fs');
+const path   = require('path');
+const logger = require('./logger');
+
+const LEXICON_FILES = process.env.MODERATION_LEXICON_FILES
+  ? process.env.MODERATION_LEXICON_FILES.split(',').map(f => f.trim()).filter(Boolean).map(f => path.resolve(f))
+  : ['moderation_fr.txt', 'moderation_local.txt'].map(f => path.join(__dirname, '..', 'lexicons', f));
+
+const CATEGORIES = ['insult', 'hate'];
+
+// Pluriel et féminin réguliers acceptés après un mot du lexique
+const SUFFIXES = ['', 's', 'e', 'es', 'x'];
+
+// Leetspeak : appliqué aux seuls mots qui contiennent une lettre ("2024" reste
+// un nombre)
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '€': 'e' };
+
+// Raisons affichées à l'auteur
+const REASONS = {
+  threat:     'Ton message contient une menace envers quelqu\'un. Les menaces ne sont pas acceptées sur Trust Layer.',
+  incitement: 'Ton message pousse quelqu\'un à se faire du mal. Ce n\'est pas accepté sur Trust Layer.',
+  hate:       'Ton message contient des propos haineux (racisme, homophobie, sexisme…). Ils ne sont pas acceptés sur Trust Layer.',
+  targeted:   'Ton message insulte directement une personne. Reformule-le sans insulte — si tu rapportes des propos qu\'on t\'a tenus, mets-les entre guillemets.',
+  hold:       'Ton message contient des termes injurieux : il sera visible des autres après validation par un modérateur.',
+};
+
+
+// ── Normalisation ─────────────────────────────────────────────────────────────
+
+function deleet(token) {
+  if (!/\p{L}/u.test(token)) return token;
+  return token
+    .replace(/!(?=\p{L})/gu, 'i')
+    .replace(/[013457@$€]/g, c => LEET[c]);
+}
+
+/**
+ * Minuscules, sans accents, leetspeak remplacé, ponctuation remplacée par des
+ * espaces.
+ */
+function normalize(text) {
+  return String(text)
+    .replace(/\p{Cf}/gu, '') // caractères invisibles glissés dans un mot
+    .split(/\s+/).map(deleet).join(' ')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[^\p{L}]+/gu, ' ')
+    .trim();
+}
+
+// Trois lettres isolées ou plus à la suite forment un mot ("f d p" → "fdp")
+function joinSpelled(words) {
+  const out = [];
+  let run   = [];
+  const flush = () => {
+    if (run.length >= 3) out.push(run.join(''));
+    else out.push(...run);
+    run = [];
+  };
+  for (const word of words) {
+    if (word.length === 1) run.push(word);
+    else { flush(); out.push(word); }
+  }
+  flush();
+  return out;
+}
+
+function squeeze(word) {
+  return word.replace(/(\p{L})\1+/gu, '$1');
+}
+
+function tokenize(text) {
+  const normalized = normalize(text);
+  return normalized ? joinSpelled(normalized.split(' ')).map(squeeze) : [];
+}
+
+
+// ── Lexiques ──────────────────────────────────────────────────────────────────
+
+function loadLexicon(file) {
+  try {
+    const entries = [];
+    for (const raw of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+      const line = raw.trim();
+      if (!line || line.startsWith('#')) continue;
+
+      const match = line.match(/^(\w+)\s*:\s*(.+)$/);
+      if (!match || !CATEGORIES.includes(match[1])) {
+        logger.warn('Lexique de modération : ligne ignorée', { file, line });
+        continue;
+      }
+      const words = tokenize(match[2]);
+      if (words.length) entries.push({ category: match[1], term: match[2].trim(), words });
+    }
+    return entries;
+  } catch (err) {
+    logger.error('Lexique de modération illisible — ignoré', { file, error: err.message });
+    return [];
+  }
+}
+
+const LEXICON = LEXICON_FILES.flatMap(loadLexicon);
+
+
+// ── Harcèlement ───────────────────────────────────────────────────────────────
+// Expressions régulières appliquées au texte normalisé (mots séparés par une
+// espace). Elles sont écrites sans lettres doublées : le texte est comparé
+// après réduction des lettres répétées ("frapper" → "fraper").
+
+const HARASSMENT = [
+  // "je vais te frapper", "on va venir vous casser la gueule"
+  { rule: 'threat', pattern: /(?:^| )(?:je|j|on|ils|nous) (?:vais|vai|va|vas|vont|alons) (?:venir )?(?:te|t|vous) (?:tuer|buter|fraper|cogner|masacrer|egorger|poignarder|violer|casser la gueule|faire la peau|faire du mal)(?= |$)/ },
+  // "je te tuerai"
+  { rule: 'threat', pattern: /(?:^| )(?:je|j|on) (?:te|t|vous) (?:tuerai|buterai|fraperai|egorgerai|violerai|tuera|butera)(?= |$)/ },
+  // "je sais où tu habites"
+  { rule: 'threat', pattern: /(?:^| )(?:je sais|on sait|je conais|on conait|j ai trouve) (?:ou|l adrese ou|l adrese de l endroit ou) (?:tu|vous) (?:habites|habite|habitez|vis|vivez|dors|etudies)(?= |$)/ },
+  // "va te pendre", "tu devrais te suicider"
+  { rule: 'incitement', pattern: /(?:^| )(?:va|vas|alez|tu devrais|tu peux|tu ferais mieux de|j espere que tu|tu n as qu a) (?:te|t|vous) (?:suicider|suicides|pendre|pendes|tuer|tues|jeter d un pont|jeter sous un train|foutre en l air|ouvrir les veines)(?= |$)/ },
+  // "va crever", "j'espère que tu crèves"
+  { rule: 'incitement', pattern: /(?:^| )(?:va|vas|alez|tu devrais|tu peux|j espere que tu|tu merites de) (?:crever|creves|mourir|meures)(?= |$)/ },
+  // "tu ne mérites pas de vivre"
+  { rule: 'incitement', pattern: /(?:^| )(?:tu|vous) (?:ne )?(?:merites|meritez) (?:de mourir|de crever|pas de vivre)(?= |$)/ },
+];
+
+// Insulte adressée : ce qui précède la désigne comme visant quelqu'un
+const TARGETED_BEFORE = /(?:^| )(?:t es|tu es|tu n es|vous etes|vous n etes|espece d|espece de|sale|pauvre|toi|sacre|sacree)(?: (?:que|qu|un|une|des|vraiment|trop|grand|grande|gros|grose|petit|petite|sale|pauvre|espece|de|d|qu un|qu une))*$/;
+
+// L'expression contient elle-même sa cible ("ta gueule", "nique ta mère")
+const TARGET_WORDS = new Set(['ta', 'ton', 'tes', 'toi', 'te', 't']);
+
+
+// ── Analyse ───────────────────────────────────────────────────────────────────
+
+function wordMatches(word, termWord) {
+  return SUFFIXES.some(suffix => word === termWord + suffix);
+}
+
+// Position de la première occurrence de l'expression, ou -1
+function findTerm(words, entry) {
+  const n = entry.words.length;
+  for (let i = 0; i + n <= words.length; i++) {
+    if (entry.words.every((w, k) => wordMatches(words[i + k], w))) return i;
+  }
+  return -1;
+}
+
+function isTargeted(words, index, entry) {
+  if (entry.words.some(w => TARGET_WORDS.has(w))) return true;
+  const before = words.slice(Math.max(0, index - 4), index).join(' ');
+  return TARGETED_BEFORE.test(before);
+}
+
+// Règles déclenchées par un morceau de texte : [{ rule, severity }]
+function analyzeSegment(text) {
+  const words  = tokenize(text);
+  const joined = words.join(' ');
+  const mentions = /(^|\s)@\w/.test(text);
+  const found  = [];
+
+  for (const { rule, pattern } of HARASSMENT) {
+    if (pattern.test(joined)) found.push({ rule, reason: rule, severity: 'reject' });
+  }
+
+  for (const entry of LEXICON) {
+    const index = findTerm(words, entry);
+    if (index === -1) continue;
+
+    const rule = `${entry.category}:${entry.term}`;
+    if (entry.category === 'hate') {
+      found.push({ rule, reason: 'hate', severity: 'reject' });
+    } else if (mentions || isTargeted(words, index, entry)) {
+      found.push({ rule, reason: 'targeted', severity: 'reject' });
+    } else {
+      found.push({ rule, reason: 'hold', severity: 'hold' });
+    }
+  }
+  return found;
+}
+
+// Passages entre guillemets : « … », "…", “…”
+const QUOTED = /«[^»]*»|"[^"]*"|“[^”]*”/g;
+
+const REJECT_ORDER = ['threat', 'incitement', 'hate', 'targeted'];
+
+/**
+ * Décision de modération pour un texte (déjà nettoyé par le validator).
+ * Retourne { decision: 'allow' | 'hold' | 'reject', reason, rules } —
+ * reason : phrase affichée à l'auteur (null si allow) ; rules : règles
+ * déclenchées, pour les logs et la file de validation ("insult:connard",
+ * "threat"…).
+ */
+function moderateMessage(text) {
+  const quoted   = String(text).match(QUOTED) || [];
+  const unquoted = String(text).replace(QUOTED, ' ');
+
+  const found = [
+    ...analyzeSegment(unquoted),
+    ...quoted.flatMap(q => analyzeSegment(q).map(f => ({ ...f, rule: `${f.rule} (citation)`, reason: 'hold', severity: 'hold' }))),
+  ];
+  const rules = [...new Set(found.map(f => f.rule))];
+
+  if (found.length === 0) return { decision: 'allow', reason: null, rules };
+
+  const rejected = found.filter(f => f.severity === 'reject');
+  if (rejected.length > 0) {
+    const reason = REJECT_ORDER.find(r => rejected.some(f => f.reason === r));
+    return { decision: 'reject', reason: REASONS[reason], rules };
+  }
+  return { decision: 'hold', reason: REASONS.hold, rules };
+}
+
+module.exports = { moderateMessage, normalize, LEXICON_FILES };
@@ -0,0 +1,66 @@
+// =============================================================================
+// TRUST LAYER — src/utils/crisisAlerts.js
+// Suite donnée à un message de détresse (détection : utils/crisisDetector.js).
+//
+// Pour chaque message publié ou modifié qui correspond au lexique :
+//   1. un événement crisis_events est créé (file de suivi de l'espace admin)
+//   2. l'équipe d'écoute connectée reçoit 'crisis_alert' (room staff:crisis)
+//   3. l'auteur, et lui seul, reçoit 'crisis_resources' : les contacts
+//      d'urgence s'affichent dans son chat
+//
+// Le message est publié normalement : on ne bloque pas quelqu'un qui demande
+// de l'aide. Une erreur ici ne fait jamais échouer l'envoi.
+// =============================================================================
+
+const db     = require('../db/database');
+const logger = require('./logger');
+const { detectCrisis } = require('./crisisDetector');
+const { emitToCrisisTeam } = require('../socket/socketHandler');
+
+// Contacts affichés à l'auteur (bandeau de crise du chat)
+const CRISIS_CONTACTS = [
+  { label: 'Urgences Bénin (24h/24)',          number: '166' },
+  { label: 'SAMU Cotonou',                      number: '51 04 00 00' },
+  { label: 'Centre Psychiatrique de Jacquot',   number: '21 30 10 44' },
+];
+
+/**
+ * Analyse un message enregistré (objet de db.findMessage) et déclenche les
+ * alertes s'il exprime une détresse. Retourne l'événement créé, ou null.
+ */
+async function handleCrisis(io, message) {
+  try {
+    const detection = detectCrisis(message.content);
+    if (!detection) return null;
+
+    const event = await db.createCrisisEvent({
+      messageId: message.id,
+      userId:    message.user_id,
+      salonId:   message.salon_id,
+      level:     detection.level,
+      terms:     detection.terms,
+    });
+
+    // Jamais le contenu dans les logs : il reste consultable dans l'espace admin
+    logger.warn('Message de détresse détecté', {
+      crisisId:  event.id,
+      userId:    message.user_id,
+      messageId: message.id,
+      level:     detection.level,
+    });
+
+    if (io) {
+      emitToCrisisTeam(io, 'crisis_alert', event);
+      io.to(`user:${message.user_id}`).emit('crisis_resources', {
+        level:    detection.level,
+        contacts: CRISIS_CONTACTS,
+      });
+    }
+    return event;
+  } catch (err) {
+    logger.error('Erreur traitement message de détresse', { messageId: message.id, error: err.message });
+    return null;
+  }
+}
+
+module.exports = { handleCrisis, CRISIS_CONTACTS };
@@ -0,0 +1,186 @@
+// =============================================================================
+// TRUST LAYER — src/utils/crisisDetector.js
+// Repérage des messages de détresse, côté serveur.
+//
+// POURQUOI CÔTÉ SERVEUR ?
+//   La liste de mots du frontend ne prévenait que l'auteur : personne dans
+//   l'équipe ne savait qu'un étudiant avait écrit "je n'en peux plus". Ici la
+//   détection a lieu dans POST /api/messages (et PATCH), et alimente les
+//   alertes des écoutants (voir utils/crisisAlerts.js).
+//
+// COMPARAISON :
+//   — texte normalisé : minuscules, sans accents ni ponctuation ("J'EN PEUX
+//     PLUS !!" → "j en peux plus"), apostrophes typographiques comprises
+//   — chaque mot est réduit à sa racine (terminaisons courantes du français
+//     retirées) : "suicider", "suicidé", "suicidaire" → "suicid…"
+//   — une expression correspond si ses mots apparaissent dans l'ordre, avec au
+//     plus un mot intercalé entre deux d'entre eux
+//   — les mots de deux lettres ou moins ("je", "me", "n") sont comparés tels
+//     quels, sinon ils correspondraient à presque tout
+//
+// EXPRESSIONS IGNORÉES ("ignore: mourir de rire") :
+//   Tournures courantes qui contiennent un mot de détresse sans en être
+//   ("envie de mourir de rire", "je me tue à la tâche"). Leurs mots sont
+//   retirés du message avant la recherche, sans mot intercalé toléré : "envie
+//   de mourir, pas de rire" reste une alerte. Chaque ajout se vérifie avec
+//   npm run crisis:check (src/lexicons/crisis_samples.txt).
+//
+// Le lexique (src/lexicons/crisis_terms.txt, ou CRISIS_LEXICON_FILE) est lu
+// une fois au démarrage. Mieux vaut une fausse alerte lue par un écoutant
+// qu'un message de détresse manqué : la tolérance est volontaire.
+// =============================================================================
+
+const fs     = require('fs');
+const path   = require('path');
+const logger = require('./logger');
+
+const LEXICON_FILE = process.env.CRISIS_LEXICON_FILE
+  ? path.resolve(process.env.CRISIS_LEXICON_FILE)
+  : path.join(__dirname, '..', 'lexicons', 'crisis_terms.txt');
+
+const LEVELS = ['medium', 'high']; // par gravité croissante
+const IGNORE = 'ignore';           // expressions à retirer avant la recherche
+const MAX_GAP = 1;                  // mots intercalés tolérés
+
+// Terminaisons retirées, les plus longues d'abord
+const ENDINGS = [
+  'eraient', 'issement', 'erais', 'erait', 'ement', 'ation', 'aient',
+  'aire', 'ions', 'erai', 'era', 'ees', 'ent', 'ais', 'ait', 'ant',
+  'ee', 'es', 'er', 'ez', 'ir', 'e', 's', 'x',
+];
+const MIN_STEM = 3;
+
+
+// ── Normalisation ─────────────────────────────────────────────────────────────
+
+/**
+ * Minuscules, sans accents, ponctuation remplacée par des espaces.
+ */
+function normalize(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function stem(word) {
+  if (word.length <= 2) return word;
+  for (const ending of ENDINGS) {
+    if (word.endsWith(ending) && word.length - ending.length >= MIN_STEM) {
+      return word.slice(0, -ending.length);
+    }
+  }
+  return word;
+}
+
+function tokenize(text) {
+  const words = normalize(text);
+  return words ? words.split(' ') : [];
+}
+
+// Mot d'une expression du lexique, préparé une fois au chargement
+function termWord(word) {
+  return { word, stem: stem(word), exact: word.length <= 2 };
+}
+
+// Un mot du message correspond-il à un mot de l'expression ? Sa racine doit
+// prolonger celle de l'expression ("suicidaire" / "suicid"), ou s'en écarter
+// d'une lettre au plus ("tue" / "tuer" — mais pas "suis" / "suicid").
+function wordMatches(word, term) {
+  if (term.exact) return word === term.word;
+  const wordStem = stem(word);
+  if (wordStem.startsWith(term.stem)) return true;
+  return wordStem.length >= MIN_STEM
+    && term.stem.length - wordStem.length <= 1
+    && term.stem.startsWith(wordStem);
+}
+
+
+// ── Lexique ───────────────────────────────────────────────────────────────────
+
+function loadLexicon(file) {
+  try {
+    const entries = [];
+    for (const raw of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+      const line = raw.trim();
+      if (!line || line.startsWith('#')) continue;
+
+      const match = line.match(/^(\w+)\s*:\s*(.+)$/);
+      if (!match || (!LEVELS.includes(match[1]) && match[1] !== IGNORE)) {
+        logger.warn('Lexique de crise : ligne ignorée', { line });
+        continue;
+      }
+      const words = tokenize(match[2]).map(termWord);
+      if (words.length) entries.push({ level: match[1], term: match[2].trim(), words });
+    }
+    return entries;
+  } catch (err) {
+    logger.error('Lexique de crise illisible — détection désactivée', { file: LEXICON_FILE, error: err.message });
+    return [];
+  }
+}
+
+const ENTRIES = loadLexicon(LEXICON_FILE);
+const LEXICON = ENTRIES.filter(entry => entry.level !== IGNORE);
+const IGNORED = ENTRIES.filter(entry => entry.level === IGNORE);
+
+
+// ── Détection ─────────────────────────────────────────────────────────────────
+
+// Les mots de l'expression apparaissent-ils dans l'ordre, à partir de la
+// position start, avec au plus maxGap mots entre deux ? Retourne leurs
+// positions, ou null.
+function matchAt(words, terms, start, maxGap = MAX_GAP) {
+  if (!wordMatches(words[start], terms[0])) return null;
+  const positions = [start];
+  for (let i = 1; i < terms.length; i++) {
+    const pos = positions[positions.length - 1];
+    let found = -1;
+    for (let j = pos + 1; j <= pos + 1 + maxGap && j < words.length; j++) {
+      if (wordMatches(words[j], terms[i])) { found = j; break; }
+    }
+    if (found === -1) return null;
+    positions.push(found);
+  }
+  return positions;
+}
+
+function containsTerm(words, terms) {
+  for (let i = 0; i < words.length; i++) {
+    if (matchAt(words, terms, i)) return true;
+  }
+  return false;
+}
+
+// Retire les mots des expressions ignorées. Ils sont remplacés par un mot
+// vide, qui ne correspond à rien, pour ne pas rapprocher leurs voisins.
+function removeIgnored(words) {
+  const result = [...words];
+  for (const entry of IGNORED) {
+    for (let i = 0; i < words.length; i++) {
+      const positions = matchAt(words, entry.words, i, 0);
+      if (positions) for (const pos of positions) result[pos] = '';
+    }
+  }
+  return result;
+}
+
+/**
+ * Cherche les expressions du lexique dans un texte.
+ * Retourne null, ou { level, terms } — level le plus grave trouvé, terms les
+ * expressions reconnues (telles qu'écrites dans le lexique).
+ */
+function detectCrisis(text) {
+  const words = removeIgnored(tokenize(text));
+  if (words.length === 0) return null;
+
+  const matched = LEXICON.filter(entry => containsTerm(words, entry.words));
+  if (matched.length === 0) return null;
+
+  const level = matched.some(e => e.level === 'high') ? 'high' : 'medium';
+  return { level, terms: [...new Set(matched.map(e => e.term))] };
+}
+
+module.exports = { detectCrisis, normalize, LEXICON_FILE };
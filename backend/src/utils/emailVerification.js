@@ -0,0 +1,80 @@
+// =============================================================================
+// TRUST LAYER — src/utils/emailVerification.js
+// Vérification de l'adresse email : envoi du lien et politique d'accès.
+//
+// POLITIQUE (variable EMAIL_VERIFICATION_POLICY) :
+//   — read_only (défaut) : un compte non vérifié peut lire le chat mais ni
+//                          publier ni signaler. Limite les comptes jetables
+//                          créés pour contourner un bannissement.
+//   — off                : l'état est suivi (email_verified_at) mais n'est
+//                          imposé nulle part.
+//
+// RENVOIS LIMITÉS :
+//   — au plus un email toutes les EMAIL_VERIFICATION_RESEND_SECONDS (60 s)
+//   — au plus EMAIL_VERIFICATION_DAILY_MAX envois sur 24 h (5)
+//   Le compteur s'appuie sur la table email_verifications, pas sur la mémoire
+//   du process : il survit à un redémarrage.
+// =============================================================================
+
+const crypto    = require('crypto');
+const db        = require('../db/database');
+const logger    = require('./logger');
+const mailer    = require('../mail/mailer');
+const templates = require('../mail/templates');
+const { hashToken } = require('./tokens');
+
+const POLICIES = ['off', 'read_only'];
+
+const POLICY = POLICIES.includes(process.env.EMAIL_VERIFICATION_POLICY)
+  ? process.env.EMAIL_VERIFICATION_POLICY
+  : 'read_only';
+
+if (process.env.EMAIL_VERIFICATION_POLICY && POLICY !== process.env.EMAIL_VERIFICATION_POLICY) {
+  logger.warn(`EMAIL_VERIFICATION_POLICY inconnue (${process.env.EMAIL_VERIFICATION_POLICY}) — "read_only" appliquée`);
+}
+
+const TTL_HOURS       = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS)      || 24;
+const RESEND_SECONDS  = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+const DAILY_MAX       = parseInt(process.env.EMAIL_VERIFICATION_DAILY_MAX)      || 5;
+
+/**
+ * true si la politique interdit à cet utilisateur de publier ou signaler.
+ */
+function isReadOnly(user) {
+  // Un invité n'a pas d'email : ses droits sont bornés par guest_middleware
+  if (user.is_guest) return false;
+  return POLICY === 'read_only' && !user.email_verified_at;
+}
+
+/**
+ * Génère un nouveau lien de vérification et l'envoie par email.
+ * Le lien précédent, s'il existait, est invalidé.
+ * Les erreurs d'envoi remontent à l'appelant.
+ */
+async function sendVerificationEmail(user) {
+  const token     = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000);
+
+  await db.createEmailVerification(user.id, hashToken(token), expiresAt);
+
+  const mail = templates.emailVerification({ username: user.username, token, ttlHours: TTL_HOURS });
+  await mailer.sendMail({ to: user.email, ...mail });
+}
+
+/**
+ * Indique si un nouvel envoi est autorisé pour cet utilisateur.
+ * Retourne { allowed: true } ou { allowed: false, retryAfter } (secondes).
+ */
+async function checkResendAllowed(userId) {
+  const { secondsSinceLast, sentLastDay } = await db.getEmailVerificationStats(userId);
+
+  if (sentLastDay >= DAILY_MAX) {
+    return { allowed: false, retryAfter: 24 * 60 * 60 };
+  }
+  if (secondsSinceLast !== null && secondsSinceLast < RESEND_SECONDS) {
+    return { allowed: false, retryAfter: RESEND_SECONDS - secondsSinceLast };
+  }
+  return { allowed: true };
+}
+
+module.exports = { POLICY, isReadOnly, sendVerificationEmail, checkResendAllowed };
@@ -0,0 +1,195 @@
+// =============================================================================
+// TRUST LAYER — src/utils/jwtKeys.js
+// Trousseau de clés de signature des JWT (access tokens et mfa tokens).
+//
+// POURQUOI ?
+//   Avec un seul JWT_SECRET, changer la clé invalide d'un coup tous les tokens
+//   en circulation. Ici chaque token porte dans son en-tête l'identifiant
+//   (kid) de la clé qui l'a signé :
+//     — les nouveaux tokens sont signés avec la clé "active"
+//     — un token est accepté si sa clé existe et n'est pas retirée
+//   Une rotation ajoute une clé active ; l'ancienne reste valable en
+//   vérification le temps que ses tokens expirent (JWT_ACCESS_EXPIRES_IN).
+//
+// STATUTS D'UNE CLÉ :
+//   — active  : signe et vérifie (une seule à la fois)
+//   — verify  : vérifie seulement (ancienne clé après une rotation)
+//   — retired : refusée ; son secret est effacé du fichier
+//
+// STOCKAGE :
+//   JWT_KEYS_FILE (défaut : backend/keys/jwt_keys.json), créé à la première
+//   rotation avec les droits 600. Sans fichier, le trousseau ne contient que
+//   la clé "legacy" = JWT_SECRET : comportement identique à l'ancien.
+//   La clé legacy n'est jamais copiée dans le fichier, elle reste lue dans
+//   l'environnement tant qu'elle n'est pas retirée.
+//
+//   Le fichier est relu s'il a changé (vérification au plus toutes les
+//   10 s) : une rotation faite par la CLI est prise en compte par le serveur
+//   sans redémarrage.
+//
+// Les refresh tokens sont des chaînes opaques, pas des JWT : une rotation, même
+// suivie d'un retrait immédiat, ne déconnecte personne — le client renouvelle
+// simplement son access token.
+// =============================================================================
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const jwt    = require('jsonwebtoken');
+const logger = require('./logger');
+
+const KEYS_FILE = process.env.JWT_KEYS_FILE
+  ? path.resolve(process.env.JWT_KEYS_FILE)
+  : path.join(__dirname, '..', '..', 'keys', 'jwt_keys.json');
+
+const LEGACY_KID       = 'legacy';
+const RELOAD_CHECK_MS  = 10 * 1000;
+const ALGORITHM        = 'HS256';
+
+let keys        = null; // [{ kid, status, secret?, created_at, rotated_at?, retired_at? }]
+let loadedMtime = 0;
+let checkedAt   = 0;
+
+
+// ── Lecture / écriture du fichier ─────────────────────────────────────────────
+
+function defaultKeys() {
+  return [{ kid: LEGACY_KID, status: 'active', created_at: null }];
+}
+
+function readFile() {
+  let stat;
+  try {
+    stat = fs.statSync(KEYS_FILE);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    keys        = defaultKeys();
+    loadedMtime = 0;
+    return;
+  }
+  if (keys && stat.mtimeMs === loadedMtime) return;
+
+  const data = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
+  if (!Array.isArray(data.keys) || data.keys.filter(k => k.status === 'active').length !== 1) {
+    throw new Error('le trousseau doit contenir exactement une clé active');
+  }
+
+  keys        = data.keys;
+  loadedMtime = stat.mtimeMs;
+}
+
+function writeFile(next) {
+  fs.mkdirSync(path.dirname(KEYS_FILE), { recursive: true, mode: 0o700 });
+
+  // Écriture atomique : le serveur ne lit jamais un fichier à moitié écrit
+  const tmp = `${KEYS_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ keys: next }, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tmp, KEYS_FILE);
+
+  keys        = next;
+  loadedMtime = fs.statSync(KEYS_FILE).mtimeMs;
+  checkedAt   = Date.now();
+}
+
+/**
+ * Trousseau courant, relu si le fichier a changé. Un fichier illisible garde
+ * le trousseau précédent (au démarrage, l'erreur est fatale).
+ */
+function currentKeys() {
+  if (keys && Date.now() - checkedAt < RELOAD_CHECK_MS) return keys;
+  checkedAt = Date.now();
+
+  try {
+    readFile();
+  } catch (err) {
+    if (!keys) throw new Error(`Trousseau JWT illisible (${KEYS_FILE}) : ${err.message}`);
+    logger.error('Trousseau JWT illisible — clés précédentes conservées', { error: err.message });
+  }
+  return keys;
+}
+
+// Secret d'une clé : celui du fichier, ou JWT_SECRET pour la clé legacy
+function secretOf(key) {
+  if (key.status === 'retired') return null;
+  return key.kid === LEGACY_KID ? process.env.JWT_SECRET || null : key.secret || null;
+}
+
+
+// ── Signature et vérification ─────────────────────────────────────────────────
+
+/**
+ * Signe un payload avec la clé active (en-tête kid).
+ */
+function sign(payload, options = {}) {
+  const active = currentKeys().find(k => k.status === 'active');
+  return jwt.sign(payload, secretOf(active), { ...options, algorithm: ALGORITHM, keyid: active.kid });
+}
+
+/**
+ * Vérifie un token signé par une clé non retirée. Un token sans kid (émis
+ * avant le trousseau) est vérifié avec la clé legacy.
+ * Lève les erreurs de jsonwebtoken (JsonWebTokenError, TokenExpiredError).
+ */
+function verify(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  const kid     = (decoded && decoded.header.kid) || LEGACY_KID;
+  const key     = currentKeys().find(k => k.kid === kid);
+  const secret  = key && secretOf(key);
+
+  if (!secret) throw new jwt.JsonWebTokenError('clé de signature inconnue ou retirée');
+  return jwt.verify(token, secret, { algorithms: [ALGORITHM] });
+}
+
+
+// ── Administration (CLI, routes_admin) ────────────────────────────────────────
+
+/**
+ * Clés sans leur secret, pour l'affichage.
+ */
+function listKeys() {
+  return currentKeys().map(({ secret, ...key }) => key);
+}
+
+/**
+ * Crée une nouvelle clé active ; l'ancienne passe en vérification seule.
+ * Retourne le kid de la nouvelle clé.
+ */
+function rotate() {
+  const now = new Date().toISOString();
+  const kid = `k${now.slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(3).toString('hex')}`;
+
+  const next = currentKeys().map(k => (
+    k.status === 'active' ? { ...k, status: 'verify', rotated_at: now } : k
+  ));
+  next.push({ kid, status: 'active', secret: crypto.randomBytes(64).toString('hex'), created_at: now });
+
+  writeFile(next);
+  logger.security('Clé de signature JWT créée', { kid });
+  return kid;
+}
+
+/**
+ * Retire une clé : les tokens qu'elle a signés sont refusés. La clé active ne
+ * peut pas être retirée (faire d'abord une rotation).
+ * Retourne false si la clé n'existe pas ou est déjà retirée.
+ */
+function retire(kid) {
+  const key = currentKeys().find(k => k.kid === kid);
+  if (!key || key.status === 'retired') return false;
+  if (key.status === 'active') {
+    throw new Error('La clé active ne peut pas être retirée : fais d\'abord une rotation');
+  }
+
+  const now  = new Date().toISOString();
+  const next = currentKeys().map(k => {
+    if (k.kid !== kid) return k;
+    const { secret, ...rest } = k;
+    return { ...rest, status: 'retired', retired_at: now };
+  });
+
+  writeFile(next);
+  logger.security('Clé de signature JWT retirée', { kid });
+  return true;
+}
+
+module.exports = { sign, verify, listKeys, rotate, retire, KEYS_FILE };
@@ -0,0 +1,109 @@
+// =============================================================================
+// TRUST LAYER — src/utils/loginLockout.js
+// Verrouillage temporaire d'un compte après des échecs de connexion répétés.
+//
+// POURQUOI en plus de authLimiter ?
+//   authLimiter limite par IP. Or tout un campus sort souvent par la même IP
+//   (NAT) : un seul étudiant maladroit bloque les autres, tandis qu'un
+//   attaquant qui répartit ses essais sur de nombreuses IP n'est jamais freiné.
+//   Le compteur par compte protège le compte visé, quelle que soit l'IP.
+//
+// POLITIQUE (variables d'environnement) :
+//   — LOGIN_LOCK_THRESHOLD (5)         : échecs consécutifs avant verrouillage
+//   — LOGIN_LOCK_BASE_SECONDS (60)     : durée du premier verrouillage
+//   — LOGIN_LOCK_MAX_SECONDS (3600)    : plafond — la durée double à chaque
+//                                        échec suivant (60 s, 2 min, 4 min…)
+//   — LOGIN_FAILURE_RESET_HOURS (24)   : sans échec pendant cette période, le
+//                                        compteur repart de zéro
+//
+// ANTI-ÉNUMÉRATION :
+//   Un compte verrouillé reçoit la même réponse 401 qu'un mot de passe
+//   incorrect. Seul le titulaire est prévenu, par email, au premier verrouillage.
+// =============================================================================
+
+const crypto    = require('crypto');
+const db        = require('../db/database');
+const logger    = require('./logger');
+const mailer    = require('../mail/mailer');
+const templates = require('../mail/templates');
+
+const THRESHOLD     = parseInt(process.env.LOGIN_LOCK_THRESHOLD)      || 5;
+const BASE_SECONDS  = parseInt(process.env.LOGIN_LOCK_BASE_SECONDS)   || 60;
+const MAX_SECONDS   = parseInt(process.env.LOGIN_LOCK_MAX_SECONDS)    || 3600;
+const RESET_MINUTES = (parseInt(process.env.LOGIN_FAILURE_RESET_HOURS) || 24) * 60;
+
+// Au-delà de ce nombre d'IP distinctes sur la période, on signale une attaque distribuée
+const DISTRIBUTED_IPS = 5;
+
+/**
+ * Empreinte de l'IP pour login_failures. HMAC et non simple SHA-256 : l'espace
+ * des IPv4 est assez petit pour retrouver une adresse à partir de son hash.
+ * Clé : LOCKOUT_PEPPER (pas JWT_SECRET, qui signe les tokens). Sert aussi aux
+ * comptes invités (routes_guest.js, guest_ip_hash).
+ */
+function hashIp(ip) {
+  const pepper = process.env.LOCKOUT_PEPPER;
+  if (!pepper) throw new Error('LOCKOUT_PEPPER manquant');
+  return crypto.createHmac('sha256', pepper).update(String(ip || '')).digest('hex');
+}
+
+/**
+ * Durée du verrouillage pour un nombre d'échecs donné (backoff exponentiel).
+ */
+function lockDuration(failures) {
+  return Math.min(BASE_SECONDS * 2 ** (failures - THRESHOLD), MAX_SECONDS);
+}
+
+/**
+ * Enregistre un échec (mot de passe ou code 2FA) et verrouille le compte si
+ * le seuil est atteint. user = null si l'email est inconnu : l'échec est
+ * journalisé sans compteur.
+ */
+async function registerFailure(user, ip, reason = 'password') {
+  await db.recordLoginFailure(user && user.id, hashIp(ip), reason);
+  if (!user) return;
+
+  const failures = await db.incrementFailedLogins(user.id, RESET_MINUTES);
+  if (failures < THRESHOLD) return;
+
+  const seconds = lockDuration(failures);
+  await db.lockAccount(user.id, seconds);
+
+  const distinctIps = await db.countFailureIps(user.id, RESET_MINUTES);
+  logger.security('Compte verrouillé après des échecs de connexion', {
+    userId:      user.id,
+    failures,
+    lockSeconds: seconds,
+    distinctIps,
+    ip,
+  });
+  if (distinctIps >= DISTRIBUTED_IPS) {
+    logger.security('Attaque distribuée suspectée sur un compte', { userId: user.id, distinctIps });
+  }
+
+  // Un seul email par série : au premier verrouillage, pas à chaque prolongation
+  if (failures === THRESHOLD && user.email) {
+    const mail = templates.accountLocked({ username: user.username, minutes: Math.ceil(seconds / 60) });
+    mailer.sendMail({ to: user.email, ...mail }).catch(err => {
+      logger.error('Échec envoi email de verrouillage', { userId: user.id, error: err.message });
+    });
+  }
+}
+
+/**
+ * Tentative pendant un verrouillage : journalisée, mais ni comptée ni
+ * vérifiée — le mot de passe, même correct, est refusé jusqu'à l'échéance.
+ */
+async function registerLockedAttempt(user, ip) {
+  await db.recordLoginFailure(user.id, hashIp(ip), 'locked');
+  logger.security('Connexion refusée — compte verrouillé', { userId: user.id, ip });
+}
+
+/**
+ * Connexion réussie : le compteur repart de zéro.
+ */
+async function clearFailures(userId) {
+  await db.resetFailedLogins(userId);
+}
+
+module.exports = { registerFailure, registerLockedAttempt, clearFailures, hashIp, lockDuration };
@@ -0,0 +1,60 @@
+// =============================================================================
+// TRUST LAYER — src/utils/mfa.js
+// Vérification du second facteur d'un utilisateur (code TOTP ou code de
+// secours), partagée par la connexion en deux étapes et les routes /api/2fa.
+//
+// ANTI-REJEU :
+//   — Code TOTP : son pas est enregistré (db.useTotpStep, atomique) ; le même
+//     code, ou un code plus ancien, est ensuite refusé
+//   — Code de secours : usage unique (db.consumeBackupCode, atomique)
+// =============================================================================
+
+const db     = require('../db/database');
+const logger = require('./logger');
+const {
+  verifyTotp,
+  decryptSecret,
+  generateBackupCodes,
+  hashBackupCode,
+  isBackupCodeFormat,
+} = require('./totp');
+
+/**
+ * Vérifie le second facteur d'un utilisateur dont la 2FA est active.
+ * @param {number}  userId
+ * @param {string}  code          — 6 chiffres ou code de secours
+ * @param {object}  [options]
+ * @param {boolean} [options.allowBackup=true] — accepter un code de secours
+ * @returns {Promise<'totp'|'backup'|null>} méthode utilisée, ou null si refusé
+ */
+async function verifySecondFactor(userId, code, { allowBackup = true } = {}) {
+  const state = await db.getTotpState(userId);
+  if (!state || !state.totp_enabled_at || !state.totp_secret) return null;
+
+  if (allowBackup && isBackupCodeFormat(code)) {
+    const used = await db.consumeBackupCode(userId, hashBackupCode(code));
+    if (!used) return null;
+
+    const remaining = await db.countBackupCodes(userId);
+    logger.security('Code de secours 2FA utilisé', { userId, remaining });
+    return 'backup';
+  }
+
+  const lastStep = state.totp_last_step === null ? null : Number(state.totp_last_step);
+  const step     = verifyTotp(decryptSecret(state.totp_secret), String(code).replace(/\s/g, ''), lastStep);
+  if (step === null) return null;
+
+  return await db.useTotpStep(userId, step) ? 'totp' : null;
+}
+
+/**
+ * Génère et enregistre une nouvelle série de codes de secours.
+ * @returns {Promise<string[]>} codes en clair, à afficher une seule fois
+ */
+async function renewBackupCodes(userId) {
+  const { codes, hashes } = generateBackupCodes();
+  await db.replaceBackupCodes(userId, hashes);
+  return codes;
+}
+
+module.exports = { verifySecondFactor, renewBackupCodes };
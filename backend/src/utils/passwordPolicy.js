@@ -0,0 +1,109 @@
+// =============================================================================
+// TRUST LAYER — src/utils/passwordPolicy.js
+// Politique de mot de passe appliquée côté serveur.
+//
+// Security.validatePassword (frontend/js/security.js) guide l'utilisateur
+// pendant la saisie, mais un appel direct à l'API le contourne : c'est ici
+// que la règle est réellement imposée — inscription, changement depuis le
+// profil et réinitialisation par email.
+//
+// RÈGLES (variables d'environnement) :
+//   — PASSWORD_MIN_LENGTH (8)  : longueur minimale (maximum fixe : 128)
+//   — PASSWORD_MIN_CLASSES (2) : nombre de familles de caractères parmi
+//                                minuscules, majuscules, chiffres, symboles
+//   — Absent de src/lexicons/common_passwords.txt (liste embarquée : aucun
+//     appel réseau, aucun mot de passe envoyé à un service tiers)
+//   — Ne contient ni le pseudo ni la partie locale de l'email
+//
+// Les règles sont exposées par GET /api/password/policy pour que le
+// frontend affiche les mêmes exigences.
+// =============================================================================
+
+const fs     = require('fs');
+const path   = require('path');
+const logger = require('./logger');
+
+const MIN_LENGTH  = Math.max(parseInt(process.env.PASSWORD_MIN_LENGTH) || 8, 6);
+const MAX_LENGTH  = 128;
+const MIN_CLASSES = Math.min(Math.max(parseInt(process.env.PASSWORD_MIN_CLASSES) || 2, 1), 4);
+
+const LIST_PATH = path.join(__dirname, '..', 'lexicons', 'common_passwords.txt');
+
+// Chargée une fois au démarrage (~10 000 entrées, quelques centaines de Ko en mémoire)
+const COMMON_PASSWORDS = loadList(LIST_PATH);
+
+function loadList(file) {
+  try {
+    const words = fs.readFileSync(file, 'utf8')
+      .split(/\r?\n/)
+      .map(line => line.trim().toLowerCase())
+      .filter(line => line && !line.startsWith('#'));
+    return new Set(words);
+  } catch (err) {
+    logger.error('Liste des mots de passe courants illisible — vérification désactivée', { error: err.message });
+    return new Set();
+  }
+}
+
+const CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+/**
+ * true si le mot de passe figure dans la liste, tel quel ou avec des
+ * chiffres / symboles ajoutés à la fin ("soleil2026!" → "soleil").
+ */
+function isCommonPassword(password) {
+  const lower = password.toLowerCase();
+  if (COMMON_PASSWORDS.has(lower)) return true;
+
+  const base = lower.replace(/[^a-z]+$/, '');
+  return base.length >= 6 && base !== lower && COMMON_PASSWORDS.has(base);
+}
+
+/**
+ * Vérifie un mot de passe.
+ * @param {string} password
+ * @param {object} [context]
+ * @param {string} [context.username] — pseudo du compte
+ * @param {string} [context.email]     — email du compte
+ * @returns {string[]} problèmes détectés (vide = mot de passe accepté)
+ */
+function checkPassword(password, { username, email } = {}) {
+  if (typeof password !== 'string') return ['Mot de passe invalide'];
+
+  const issues = [];
+
+  if (password.length < MIN_LENGTH || password.length > MAX_LENGTH) {
+    issues.push(`Le mot de passe doit faire entre ${MIN_LENGTH} et ${MAX_LENGTH} caractères`);
+  }
+
+  const classes = CLASSES.filter(re => re.test(password)).length;
+  if (classes < MIN_CLASSES) {
+    issues.push(`Le mot de passe doit mélanger au moins ${MIN_CLASSES} types de caractères (minuscules, majuscules, chiffres, symboles)`);
+  }
+
+  if (isCommonPassword(password)) {
+    issues.push('Ce mot de passe est trop courant ou a déjà fuité. Choisis-en un autre.');
+  }
+
+  // Le pseudo est public : le réutiliser donne un point de départ à l'attaquant
+  const lower = password.toLowerCase();
+  const personal = [
+    username,
+    email && email.split('@')[0],
+  ].filter(v => typeof v === 'string' && v.trim().length >= 3);
+
+  if (personal.some(v => lower.includes(v.trim().toLowerCase()))) {
+    issues.push('Le mot de passe ne doit contenir ni ton pseudo ni ton email');
+  }
+
+  return issues;
+}
+
+/**
+ * Règles publiques, pour l'affichage côté client.
+ */
+function describePolicy() {
+  return { minLength: MIN_LENGTH, maxLength: MAX_LENGTH, minClasses: MIN_CLASSES };
+}
+
+module.exports = { checkPassword, describePolicy, isCommonPassword };
@@ -0,0 +1,173 @@
+// =============================================================================
+// TRUST LAYER — src/utils/piiDetector.js
+// Repérage des données personnelles dans les messages du chat.
+//
+// POURQUOI ?
+//   L'anonymat est la promesse du chat : un numéro ou un compte Instagram
+//   publié par un étudiant en détresse permet de le retrouver. Le serveur
+//   repère avant l'enregistrement :
+//     — phone  : numéros béninois (8 chiffres, ou 10 chiffres en 01…) qui
+//                ressemblent à un numéro : indicatif +229 / 00229, préfixe
+//                01, chiffres groupés par deux, ou annoncés ("tel :",
+//                "whatsapp"…) ; numéros internationaux en +XXX. Une suite
+//                de 8 chiffres seule (matricule, montant) n'est pas masquée.
+//     — email  : adresses, y compris déguisées ("kofi arobase gmail point com")
+//     — social : liens de profils (instagram.com/…, wa.me/…, t.me/…) et
+//                pseudos annoncés ("mon insta : kofi_229", "snap @kofi")
+//     — name   : nom complet annoncé ("je m'appelle Kofi Adjovi") et nom de
+//                famille de l'auteur (profil), même sans majuscule ni accents
+//
+// POLITIQUE (PII_POLICY) :
+//   — mask  (défaut) : le message est publié, chaque donnée remplacée par
+//                      "[numéro masqué]", "[email masqué]"…
+//   — block          : le message est refusé (422 PII_BLOCKED)
+//   Dans les deux cas l'auteur reçoit une explication. Les logs indiquent les
+//   types trouvés, jamais les valeurs.
+//
+// Le chat fait la même vérification avant l'envoi (sanitizeMessage) pour
+// prévenir l'auteur ; elle ne remplace pas celle-ci.
+// =============================================================================
+
+const PII_POLICY = process.env.PII_POLICY === 'block' ? 'block' : 'mask';
+
+const TYPES = {
+  phone:  { label: 'un numéro de téléphone',     mask: '[numéro masqué]' },
+  email:  { label: 'une adresse email',          mask: '[email masqué]' },
+  social: { label: 'un compte de réseau social', mask: '[compte masqué]' },
+  name:   { label: 'un nom complet',             mask: '[nom masqué]' },
+};
+
+const SOCIAL_KEYWORDS = 'insta|instagram|ig|snap|snapchat|tiktok|twitter|telegram|facebook|fb|linkedin|whatsapp|wa';
+const PHONE_KEYWORDS  = 'tel|tél|téléphone|telephone|(?:numéro|numero|num(?!éro|ero))(?!\\s+(?:étudiant|etudiant|matricule|de\\s+(?:table|carte|dossier|chambre)))|whatsapp|wa|appelle[- ]moi|joignable';
+
+const PATTERNS = [
+  // Bénin, avec l'indicatif +229 / 00229 : 8 chiffres ou 01 + 8 chiffres,
+  // groupés par deux ou collés
+  { type: 'phone',  pattern: /(?<![\d+])(?:\+|00)\s?229[\s.-]?(?:01([\s.-]?))?\d{2}([\s.-]?)\d{2}(?:\2\d{2}){2}(?!\d)/g },
+  // Bénin, sans indicatif : 01 + 8 chiffres (format depuis 2024), groupés ou collés
+  { type: 'phone',  pattern: /(?<![\d+])01([\s.-]?)\d{2}([\s.-]?)\d{2}(?:\2\d{2}){2}(?!\d)/g },
+  // Bénin, ancien format : 8 chiffres groupés par deux avec le même
+  // séparateur ("97 12 34 56", "97.12.34.56"). Un séparateur constant évite
+  // les dates ("12.03.2026").
+  { type: 'phone',  pattern: /(?<![\d+])\d{2}([\s.-])\d{2}(?:\1\d{2}){2}(?!\d)/g },
+  // 8 chiffres collés, seulement s'ils sont annoncés : "tel : 97123456",
+  // "mon whatsapp c'est 97123456" — mais pas "numéro étudiant 20231234"
+  { type: 'phone',  pattern: new RegExp(`(?<=\\b(?:${PHONE_KEYWORDS})\\b[^\\d\\n]{0,20})(?<![\\d+])\\d{8}(?!\\d)`, 'gi') },
+  // International : +XXX suivi de 7 à 13 chiffres
+  { type: 'phone',  pattern: /(?<![\d+])\+\d{1,3}(?:[\s.-]?\d){7,13}(?!\d)/g },
+
+  { type: 'email',  pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}/gi },
+  // Adresse déguisée : "kofi [at] gmail [dot] com", "kofi arobase gmail point com"
+  { type: 'email',  pattern: /[\w.+-]+\s*(?:\[at\]|\(at\)|\barobase\b)\s*[\w-]+\s*(?:\.|\[dot\]|\(dot\)|\bpoint\b)\s*(?:com|fr|net|org|bj|io)\b/gi },
+
+  { type: 'social', pattern: /(?:https?:\/\/)?(?:www\.)?(?:instagram\.com|facebook\.com|fb\.com|fb\.me|tiktok\.com|snapchat\.com|twitter\.com|x\.com|t\.me|wa\.me|linkedin\.com)\/\S+/gi },
+  // Pseudo annoncé : "insta : kofi_229", "mon snap c'est @kofi"
+  { type: 'social', pattern: new RegExp(`(?<=\\b(?:${SOCIAL_KEYWORDS})\\s*[:=]\\s*)@?[A-Za-z0-9._]{3,30}`, 'gi') },
+  { type: 'social', pattern: new RegExp(`(?<=\\b(?:${SOCIAL_KEYWORDS})\\b[^@\\n]{0,20})@[A-Za-z0-9._]{3,30}`, 'gi') },
+
+  // Nom complet annoncé : deux mots ou plus avec majuscule
+  { type: 'name',   pattern: /(?<=\b(?:[Jj]e m['’]appelle|[Mm]on (?:vrai )?nom (?:complet )?(?:est|c['’]est)|[Mm]oi c['’]est)\s+)\p{Lu}[\p{L}'’-]+(?:\s+\p{Lu}[\p{L}'’-]+)+/gu },
+];
+
+// Minuscules et sans accents, caractère par caractère : les positions restent
+// celles du texte d'origine
+function fold(text) {
+  return [...text].map(c => {
+    const base = c.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    return base.length === c.length ? base : c;
+  }).join('');
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Nom de famille de l'auteur, seul ou précédé / suivi de son prénom
+function authorNamePattern({ firstName, lastName }) {
+  const last = lastName && fold(String(lastName).trim());
+  if (!last || last.length < 3) return null;
+
+  const first = firstName && fold(String(firstName).trim());
+  const alternatives = [escapeRegExp(last)];
+  if (first && first.length >= 2) {
+    alternatives.unshift(`${escapeRegExp(first)}\\s+${escapeRegExp(last)}`, `${escapeRegExp(last)}\\s+${escapeRegExp(first)}`);
+  }
+  return new RegExp(`(?<![\\p{L}\\d])(?:${alternatives.join('|')})(?![\\p{L}\\d])`, 'gu');
+}
+
+/**
+ * Données personnelles d'un texte : [{ type, start, end }] triées, sans
+ * chevauchement (la plus longue l'emporte).
+ * author : { firstName, lastName } du profil de l'auteur, facultatif.
+ */
+function detectPii(text, author = {}) {
+  const found = [];
+  const collect = (type, pattern, source) => {
+    for (const match of source.matchAll(pattern)) {
+      found.push({ type, start: match.index, end: match.index + match[0].length });
+    }
+  };
+
+  for (const { type, pattern } of PATTERNS) collect(type, pattern, text);
+
+  const namePattern = authorNamePattern(author);
+  if (namePattern) collect('name', namePattern, fold(text));
+
+  found.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const kept = [];
+  for (const f of found) {
+    if (kept.length && f.start < kept[kept.length - 1].end) continue;
+    kept.push(f);
+  }
+  return kept;
+}
+
+/**
+ * Remplace chaque donnée trouvée par son masque ("[numéro masqué]"…).
+ */
+function maskPii(text, findings) {
+  let out  = '';
+  let last = 0;
+  for (const f of findings) {
+    out += text.slice(last, f.start) + TYPES[f.type].mask;
+    last = f.end;
+  }
+  return out + text.slice(last);
+}
+
+// "un numéro de téléphone et une adresse email"
+function describeTypes(types) {
+  const labels = types.map(t => TYPES[t].label);
+  return labels.length > 1
+    ? `${labels.slice(0, -1).join(', ')} et ${labels[labels.length - 1]}`
+    : labels[0];
+}
+
+/**
+ * Applique PII_POLICY à un message.
+ * Retourne { action: 'allow' | 'mask' | 'block', content, types, count, reason } —
+ * content : texte à enregistrer (masqué si action = mask) ; reason : phrase
+ * affichée à l'auteur (null si allow).
+ */
+function applyPiiPolicy(text, author = {}) {
+  const findings = detectPii(text, author);
+  if (findings.length === 0) {
+    return { action: 'allow', content: text, types: [], count: 0, reason: null };
+  }
+
+  const types = [...new Set(findings.map(f => f.type))];
+  const what  = describeTypes(types);
+
+  if (PII_POLICY === 'block') {
+    return {
+      action: 'block', content: text, types, count: findings.length,
+      reason: `Ton message contient ${what}. Pour protéger ton anonymat, il n'a pas été publié : retire ces informations et renvoie-le.`,
+    };
+  }
+  return {
+    action: 'mask', content: maskPii(text, findings), types, count: findings.length,
+    reason: `Ton message contenait ${what} : pour protéger ton anonymat, ces informations ont été masquées.`,
+  };
+}
+
+module.exports = { applyPiiPolicy, detectPii, maskPii, PII_POLICY };
@@ -0,0 +1,17 @@
+// =============================================================================
+// TRUST LAYER — src/utils/reactions.js
+// Palette des réactions aux messages.
+//
+// Liste blanche : seuls ces emojis sont acceptés par POST
+// /api/messages/:id/react. Des réactions de soutien uniquement — pas de
+// 👎 ni de 😂 qui pourraient blesser quelqu'un qui se confie.
+//
+// Le frontend (chat.js, REACTION_EMOJIS) affiche la même palette, dans le
+// même ordre : les deux listes doivent rester identiques.
+// =============================================================================
+
+const REACTION_EMOJIS = ['💜', '🤗', '💪', '🙏', '🌱', '🫂'];
+
+const DEFAULT_REACTION = REACTION_EMOJIS[0];
+
+module.exports = { REACTION_EMOJIS, DEFAULT_REACTION };
@@ -0,0 +1,130 @@
+// =============================================================================
+// TRUST LAYER — src/utils/retention.js
+// Durées de conservation des données et purge planifiée.
+//
+// POLITIQUE (jours, 0 = conservé tant que le compte existe) :
+//   — deleted_messages : messages supprimés (soft delete), gardés le temps
+//                        qu'un signalement éventuel soit traité, et
+//                        tant qu'un signalement est en attente       (30)
+//   — messages         : tous les messages, sauf ceux visés par un
+//                        signalement en attente                      (365)
+//   — moods            : notes de bien-être                           (365)
+//   — reports          : signalements traités (resolved, rejected)    (180)
+//   — tokens           : tokens révoqués, refresh tokens, liens de
+//                        réinitialisation et de vérification, sessions,
+//                        après leur expiration                       (1)
+//   Chaque durée se règle par RETENTION_<TYPE>_DAYS (voir le README).
+//
+// PLANIFICATION :
+//   startRetentionJob() lance la purge dans le processus du serveur, une
+//   minute après le démarrage puis toutes les RETENTION_INTERVAL_HOURS
+//   (24 h par défaut, 0 = désactivée). Avec RETENTION_DRY_RUN=true, rien
+//   n'est supprimé : les lignes concernées sont seulement comptées.
+//
+// Chaque passage est journalisé (nombre de lignes par type, jamais leur
+// contenu, et le message d'erreur en cas d'échec) ; son résultat est exposé
+// par GET /health (getRetentionStatus, sans le message d'erreur) et
+// affiché dans politique.html. La CLI lance un passage à la demande
+// (npm run cli -- retention).
+// =============================================================================
+
+const db     = require('../db/database');
+const logger = require('./logger');
+
+// Entier positif ou nul lu dans l'environnement ("0" est une valeur valide)
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+const RETENTION_DAYS = {
+  deleted_messages: envInt('RETENTION_DELETED_MESSAGES_DAYS', 30),
+  messages:         envInt('RETENTION_MESSAGES_DAYS', 365),
+  moods:            envInt('RETENTION_MOODS_DAYS', 365),
+  reports:          envInt('RETENTION_REPORTS_DAYS', 180),
+  tokens:           envInt('RETENTION_TOKENS_DAYS', 1),
+};
+
+const INTERVAL_HOURS = envInt('RETENTION_INTERVAL_HOURS', 24);
+const DRY_RUN        = process.env.RETENTION_DRY_RUN === 'true';
+
+const FIRST_RUN_DELAY_MS = 60 * 1000;
+const MAX_DELAY_MS       = 2 ** 31 - 1; // limite de setTimeout (~24 jours)
+
+let running   = false;
+let lastRun   = null;
+let nextRunAt = null;
+
+/**
+ * Un passage de purge. dryRun : compte sans supprimer.
+ * Retourne { startedAt, durationMs, dryRun, status: 'ok' | 'error', purged, error? } —
+ * purged : lignes supprimées (ou à supprimer) par type. Null si un passage est
+ * déjà en cours.
+ */
+async function runRetention({ dryRun = DRY_RUN } = {}) {
+  if (running) return null;
+  running = true;
+
+  const started = Date.now();
+  const purged  = {};
+  try {
+    for (const [kind, days] of Object.entries(RETENTION_DAYS)) {
+      if (days === 0) continue;
+      purged[kind] = dryRun
+        ? await db.countExpiredData(kind, days)
+        : await db.purgeExpiredData(kind, days);
+    }
+    lastRun = { startedAt: new Date(started).toISOString(), durationMs: Date.now() - started, dryRun, status: 'ok', purged };
+    logger.info(dryRun ? 'Rétention (simulation) : lignes à purger' : 'Rétention : données purgées', { purged, durationMs: lastRun.durationMs });
+  } catch (err) {
+    // Les types déjà traités restent dans purged
+    lastRun = { startedAt: new Date(started).toISOString(), durationMs: Date.now() - started, dryRun, status: 'error', purged, error: err.message };
+    logger.error('Rétention : échec de la purge', { purged, error: err.message });
+  } finally {
+    running = false;
+  }
+  return lastRun;
+}
+
+function schedule(delayMs) {
+  nextRunAt = new Date(Date.now() + delayMs);
+  setTimeout(async () => {
+    await runRetention();
+    schedule(Math.min(INTERVAL_HOURS * 3600 * 1000, MAX_DELAY_MS));
+  }, delayMs).unref(); // n'empêche pas l'arrêt du serveur
+}
+
+/**
+ * Démarre la purge planifiée (appelé une fois par server.js).
+ */
+function startRetentionJob() {
+  if (INTERVAL_HOURS === 0) {
+    logger.info('Rétention : purge planifiée désactivée (RETENTION_INTERVAL_HOURS=0)');
+    return;
+  }
+  schedule(FIRST_RUN_DELAY_MS);
+  logger.info('Rétention : purge planifiée', { intervalHours: INTERVAL_HOURS, dryRun: DRY_RUN, days: RETENTION_DAYS });
+}
+
+/**
+ * État exposé par GET /health : durées appliquées, prochain et dernier passage.
+ * /health est public : le message d'erreur du dernier passage (texte brut de
+ * MySQL) n'en fait pas partie — seul status: 'error' est visible, le détail
+ * reste dans les logs.
+ */
+function getRetentionStatus() {
+  let publicRun = null;
+  if (lastRun) {
+    const { startedAt, durationMs, dryRun, status, purged } = lastRun;
+    publicRun = { startedAt, durationMs, dryRun, status, purged };
+  }
+  return {
+    days:          RETENTION_DAYS,
+    dryRun:        DRY_RUN,
+    intervalHours: INTERVAL_HOURS,
+    nextRunAt:     nextRunAt && nextRunAt.toISOString(),
+    lastRun:       publicRun,
+  };
+}
+
+module.exports = { RETENTION_DAYS, runRetention, startRetentionJob, getRetentionStatus };
@@ -0,0 +1,69 @@
+// =============================================================================
+// TRUST LAYER — src/utils/roles.js
+// Rôles de l'équipe et permissions associées.
+//
+// RÔLES (colonne users.role) :
+//   — user      : étudiant, aucun accès à l'espace de modération
+//   — moderator : modérateur bénévole — signalements, suppression de messages
+//                 et validation des messages retenus, mais ni bannissement ni
+//                 configuration
+//   — counselor : écoutant — suivi des situations de crise
+//   — admin     : toutes les permissions (bannissements, verrouillages, rôles,
+//                 salons, configuration)
+//
+// Les routes vérifient une PERMISSION, jamais un rôle
+// (requirePermission('reports:resolve')) : ajouter un rôle ou déplacer un droit
+// se fait ici seulement.
+// =============================================================================
+
+const PERMISSIONS = {
+  'stats:read':       'Consulter le tableau de bord',
+  'reports:read':     'Lire les signalements',
+  'reports:resolve':  'Traiter ou rejeter un signalement',
+  'messages:delete':  'Supprimer un message',
+  'messages:review':  'Valider les messages retenus par la modération automatique',
+  'users:ban':        'Bannir ou débannir un utilisateur',
+  'lockouts:manage':  'Déverrouiller un compte',
+  'roles:manage':     'Attribuer les rôles de l\'équipe',
+  'config:manage':    'Gérer la configuration (clés de signature…)',
+  'salons:manage':    'Créer des salons de discussion et régler leurs règles de publication',
+  'salons:announce':  'Publier dans les salons d\'annonces, sans mode lent ni ancienneté minimale',
+  'crisis:read':      'Consulter les situations de crise',
+  'crisis:manage':    'Assurer le suivi des situations de crise',
+};
+
+const ROLE_PERMISSIONS = {
+  user:      [],
+  moderator: ['stats:read', 'reports:read', 'reports:resolve', 'messages:delete', 'messages:review', 'salons:announce'],
+  counselor: ['stats:read', 'crisis:read', 'crisis:manage', 'salons:announce'],
+  admin:     Object.keys(PERMISSIONS),
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const ROLE_LABELS = {
+  user:      'Utilisateur',
+  moderator: 'Modérateur',
+  counselor: 'Écoutant',
+  admin:     'Administrateur',
+};
+
+/**
+ * Permissions d'un rôle (liste vide pour un rôle inconnu).
+ */
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+function hasPermission(role, permission) {
+  return permissionsFor(role).includes(permission);
+}
+
+/**
+ * Membre de l'équipe = accès à l'espace de modération (2FA obligatoire).
+ */
+function isStaff(role) {
+  return permissionsFor(role).length > 0;
+}
+
+module.exports = { ROLES, ROLE_LABELS, PERMISSIONS, permissionsFor, hasPermission, isStaff };
@@ -0,0 +1,146 @@
+// =============================================================================
+// TRUST LAYER — src/utils/salonPolicy.js
+// Règles de publication propres à chaque salon (colonnes de la table salons).
+//
+// RÈGLES :
+//   — posting_mode          : open (tout le monde), announcements (l'équipe
+//                             seulement), read_only (personne)
+//   — slow_mode_seconds     : délai entre deux messages d'un même compte
+//   — min_account_age_hours : ancienneté minimale du compte pour publier
+//   — max_message_length    : longueur maximale d'un message (2000 au plus,
+//                             la limite du validator)
+//   La permission salons:announce (équipe) ouvre les salons d'annonces et
+//   dispense du mode lent et de l'ancienneté minimale.
+//
+// APPLICATION :
+//   — routes_messages.js : POST (toutes les règles) et PATCH (mode et longueur).
+//     Le mode lent est vérifié une seconde fois à l'insertion, dans la même
+//     transaction (db.createMessage, slowModeFor) : deux envois simultanés ne
+//     passent pas tous les deux.
+//   — socket/socketHandler.js : pas d'indicateur de saisie là où l'on ne peut
+//     pas publier ; 'join_salon' renvoie l'état de publication. Les messages
+//     ne passent jamais par le socket : il ne couvre que la saisie
+//   Le chat reçoit cet état (postingStatus) avec l'historique, après chaque
+//   envoi et à chaque changement de règles : il affiche un compte à rebours
+//   au lieu de laisser l'envoi échouer.
+// =============================================================================
+
+const db = require('../db/database');
+const { hasPermission } = require('./roles');
+
+const POSTING_MODES = ['open', 'announcements', 'read_only'];
+
+const MAX_SLOW_MODE_SECONDS = 3600;
+const MAX_ACCOUNT_AGE_HOURS = 24 * 30;
+const MAX_MESSAGE_LENGTH    = 2000;
+
+// Statut HTTP de chaque refus
+const HTTP_STATUS = {
+  SALON_READ_ONLY:     403,
+  SALON_ANNOUNCEMENTS: 403,
+  ACCOUNT_TOO_NEW:     403,
+  SLOW_MODE:           429,
+};
+
+// "45 s", "2 min", "1 min 30 s"
+function formatSeconds(seconds) {
+  const min = Math.floor(seconds / 60);
+  const sec = seconds % 60;
+  if (min === 0) return `${sec} s`;
+  return sec ? `${min} min ${sec} s` : `${min} min`;
+}
+
+// "12 h", "3 jours"
+function formatHours(hours) {
+  return hours % 24 === 0 ? `${hours / 24} jour${hours > 24 ? 's' : ''}` : `${hours} h`;
+}
+
+function denied(code, reason, waitSeconds = null) {
+  return { allowed: false, code, reason, wait_seconds: waitSeconds };
+}
+
+/**
+ * Mode du salon seul (sans requête) : lecture seule, annonces.
+ * Retourne { allowed: true } ou un refus (voir postingStatus).
+ */
+function modeStatus(salon, user) {
+  if (salon.posting_mode === 'read_only') {
+    return denied('SALON_READ_ONLY', 'Ce salon est en lecture seule.');
+  }
+  if (salon.posting_mode === 'announcements' && !hasPermission(user.role, 'salons:announce')) {
+    return denied('SALON_ANNOUNCEMENTS', 'Seule l\'équipe Trust Layer publie dans ce salon d\'annonces.');
+  }
+  return { allowed: true };
+}
+
+/**
+ * Droit de publier maintenant dans un salon.
+ * Retourne { allowed: true } ou { allowed: false, code, reason, wait_seconds } —
+ * wait_seconds : délai avant de pouvoir publier (mode lent, compte récent),
+ * null si le refus ne dépend pas du temps.
+ */
+async function postingStatus(salon, user) {
+  const mode = modeStatus(salon, user);
+  if (!mode.allowed) return mode;
+
+  const exempt = hasPermission(user.role, 'salons:announce');
+  if (exempt || (!salon.slow_mode_seconds && !salon.min_account_age_hours)) return { allowed: true };
+
+  const state  = await db.getPostingState(user.id, salon.id);
+  const minAge = salon.min_account_age_hours * 3600;
+  if (state.account_age_seconds < minAge) {
+    return denied(
+      'ACCOUNT_TOO_NEW',
+      `Ce salon est ouvert aux comptes créés il y a plus de ${formatHours(salon.min_account_age_hours)}.`,
+      minAge - state.account_age_seconds
+    );
+  }
+  if (salon.slow_mode_seconds && state.last_post_seconds !== null && state.last_post_seconds < salon.slow_mode_seconds) {
+    return denied(
+      'SLOW_MODE',
+      `Mode lent : un message toutes les ${formatSeconds(salon.slow_mode_seconds)} dans ce salon.`,
+      salon.slow_mode_seconds - state.last_post_seconds
+    );
+  }
+  return { allowed: true };
+}
+
+/**
+ * Mode lent applicable à cet utilisateur dans ce salon (secondes, 0 = aucun),
+ * à passer à db.createMessage.
+ */
+function slowModeFor(salon, user) {
+  return hasPermission(user.role, 'salons:announce') ? 0 : salon.slow_mode_seconds || 0;
+}
+
+/**
+ * Message trop long pour le salon : raison à afficher, sinon null.
+ */
+function lengthError(salon, content) {
+  const max = salon.max_message_length || MAX_MESSAGE_LENGTH;
+  return content.length > max ? `Les messages de ce salon sont limités à ${max} caractères.` : null;
+}
+
+/**
+ * Envoie un refus : 403 ou 429 (mode lent, avec Retry-After).
+ */
+function rejectPosting(res, status) {
+  if (status.wait_seconds) res.set('Retry-After', String(status.wait_seconds));
+  return res.status(HTTP_STATUS[status.code]).json({
+    error:       status.reason,
+    code:        status.code,
+    retry_after: status.wait_seconds,
+  });
+}
+
+module.exports = {
+  POSTING_MODES,
+  MAX_SLOW_MODE_SECONDS,
+  MAX_ACCOUNT_AGE_HOURS,
+  MAX_MESSAGE_LENGTH,
+  modeStatus,
+  postingStatus,
+  slowModeFor,
+  lengthError,
+  rejectPosting,
+};
@@ -0,0 +1,27 @@
+// =============================================================================
+// TRUST LAYER — src/utils/sessionUser.js
+// Utilisateur renvoyé au client à l'ouverture d'une session : inscription,
+// connexion (mot de passe, 2FA), mode invité et conversion d'un invité.
+// Une seule forme pour toutes ces routes. Un invité a les droits décrits
+// dans middleware/guest_middleware.js ; son quota de messages est joint.
+// =============================================================================
+
+const { isReadOnly }          = require('./emailVerification');
+const { GUEST_MESSAGE_LIMIT } = require('../middleware/guest_middleware');
+
+function sessionUser(user) {
+  return {
+    id:             user.id,
+    username:       user.username,
+    email:          user.email || null,
+    avatar:         user.avatar,
+    role:           user.role || 'user',
+    email_verified: !!user.email_verified_at,
+    read_only:      isReadOnly(user),
+    mfa_enabled:    !!user.totp_enabled_at,
+    is_guest:       !!user.is_guest,
+    ...(user.is_guest && { guest_message_limit: GUEST_MESSAGE_LIMIT }),
+  };
+}
+
+module.exports = { sessionUser };
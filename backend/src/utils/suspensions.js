@@ -0,0 +1,71 @@
+// =============================================================================
+// TRUST LAYER — src/utils/suspensions.js
+// Suspensions de comptes : motif, durée, fin automatique.
+//
+// APPLICATION IMMÉDIATE :
+//   suspendUser() révoque tous les tokens (access et refresh) du compte : la
+//   requête suivante est refusée, et le refresh ne peut plus rouvrir de
+//   session. Les WebSockets du compte sont fermés par l'appelant qui dispose
+//   de Socket.io (routes_admin) — la CLI ne l'a pas.
+//
+// RÉPONSE À L'UTILISATEUR :
+//   Au lieu d'un simple "Compte suspendu", les routes de connexion renvoient
+//   le motif et la date de fin (suspendedResponse) avec le code
+//   ACCOUNT_SUSPENDED.
+//
+// Durée maximale : MAX_HOURS (un an). Au-delà, une suspension sans terme
+// (levée manuelle) est plus honnête.
+// =============================================================================
+
+const db = require('../db/database');
+
+const MAX_HOURS = 24 * 365;
+
+/**
+ * Suspend un compte et coupe toutes ses sessions.
+ * hours NULL = durée indéterminée ; moderatorId NULL = CLI.
+ * Retourne la suspension créée.
+ */
+async function suspendUser({ userId, moderatorId = null, reason, hours = null }) {
+  const suspension = await db.createSuspension({ userId, moderatorId, reason, hours });
+  await db.revokeAllUserTokens(userId);
+  await db.revokeUserRefreshTokens(userId);
+  return suspension;
+}
+
+/**
+ * Date de fin lisible ("12 mars 2026 à 14:00"), ou null si sans terme.
+ */
+function formatEnd(suspension) {
+  if (!suspension || !suspension.expires_ts) return null;
+  return new Date(suspension.expires_ts * 1000)
+    .toLocaleString('fr-FR', { dateStyle: 'long', timeStyle: 'short' });
+}
+
+/**
+ * Message affiché à l'utilisateur suspendu : fin et motif.
+ */
+function describeSuspension(suspension) {
+  const end = formatEnd(suspension);
+  let message = end ? `Compte suspendu jusqu'au ${end}.` : 'Compte suspendu pour une durée indéterminée.';
+  if (suspension && suspension.reason) message += ` Motif : ${suspension.reason}`;
+  return message;
+}
+
+/**
+ * Corps de la réponse 403 renvoyée à un compte suspendu qui tente de se
+ * connecter (ou de renouveler sa session).
+ */
+async function suspendedResponse(userId) {
+  const suspension = await db.findActiveSuspension(userId);
+  return {
+    error: describeSuspension(suspension),
+    code:  'ACCOUNT_SUSPENDED',
+    suspension: suspension && {
+      reason:     suspension.reason,
+      expires_at: suspension.expires_ts ? new Date(suspension.expires_ts * 1000).toISOString() : null,
+    },
+  };
+}
+
+module.exports = { MAX_HOURS, suspendUser, describeSuspension, suspendedResponse };
@@ -0,0 +1,229 @@
+// =============================================================================
+// TRUST LAYER — src/utils/tokens.js
+// Émission des tokens d'authentification.
+//
+// DEUX TOKENS :
+//   — Access token  : JWT court (15 min par défaut), envoyé à chaque requête
+//                     dans le header Authorization et au handshake Socket.io.
+//   — Refresh token : chaîne aléatoire opaque (7 jours par défaut), stockée
+//                     côté serveur sous forme de hash SHA-256. Sert uniquement à
+//                     obtenir une nouvelle paire via POST /api/token/refresh.
+//
+// ROTATION :
+//   Chaque refresh consomme le refresh token présenté et en émet un nouveau
+//   dans la même "famille" (family_id). Une famille = une session de connexion.
+//   Si un token déjà consommé est présenté à nouveau, c'est qu'il a été volé :
+//   la route révoque toute la famille (voir routes_auth.js).
+//
+//   Le family_id est placé dans le JWT (claim "sid") pour que la déconnexion
+//   puisse cibler la session courante — refresh tokens et sockets compris.
+//
+// SESSIONS :
+//   Chaque famille a sa ligne dans la table sessions (appareil, dates, dernier
+//   access token émis) : c'est ce que liste GET /api/sessions et ce que
+//   DELETE /api/sessions/:id révoque.
+//
+// DOUBLE AUTHENTIFICATION :
+//   — Une session ouverte avec un second facteur porte mfa = 1 ; ses access
+//     tokens ont le claim "mfa": true (exigé par requireStaff)
+//   — Entre le mot de passe et le code TOTP, le client ne reçoit qu'un
+//     "mfa token" (typ: 'mfa', 5 min) qui ne donne accès qu'à POST /api/login/2fa
+//
+// SIGNATURE :
+//   Les JWT sont signés et vérifiés via le trousseau de clés (utils/jwtKeys.js),
+//   jamais directement avec JWT_SECRET : la clé peut changer sans déconnecter
+//   personne.
+//
+// VÉRIFICATION :
+//   verifyAccessToken() fait tous les contrôles d'un access token (signature,
+//   révocations, session, compte banni). C'est le seul chemin de vérification,
+//   partagé par authenticate (HTTP) et le handshake Socket.io.
+// =============================================================================
+
+const jwt     = require('jsonwebtoken');
+const crypto  = require('crypto');
+const db      = require('../db/database');
+const jwtKeys = require('./jwtKeys');
+const { describeUserAgent } = require('./userAgent');
+
+const ACCESS_TOKEN_TTL   = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const MFA_TOKEN_TTL      = '5m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 7;
+
+/**
+ * Hash SHA-256 d'un token — on ne stocke jamais un token en clair en base.
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Signe un access token. Payload minimal : userId + identifiant de session,
+ * version des tokens du compte (tv, voir db.revokeAllUserTokens) et mfa: true
+ * si la session a été ouverte avec un second facteur.
+ */
+function signAccessToken(userId, sessionId, { mfa = false, tokenVersion = 0 } = {}) {
+  return jwtKeys.sign(
+    { userId, sid: sessionId, tv: tokenVersion, ...(mfa && { mfa: true }) },
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Token intermédiaire entre le mot de passe et le code 2FA.
+ * Refusé par authenticate (typ 'mfa') : il ne sert qu'à POST /api/login/2fa.
+ */
+function signMfaToken(userId) {
+  return jwtKeys.sign({ userId, typ: 'mfa' }, { expiresIn: MFA_TOKEN_TTL });
+}
+
+/**
+ * Vérifie un mfa token. Retourne l'userId, ou null si invalide / expiré.
+ */
+function verifyMfaToken(token) {
+  try {
+    const decoded = jwtKeys.verify(token);
+    return decoded.typ === 'mfa' ? decoded.userId : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Refus d'un access token.
+ *   status : code HTTP (401, ou 403 pour un compte banni)
+ *   reason : 'invalid' | 'revoked' | 'banned'
+ *   cause  : erreur jsonwebtoken d'origine (signature, expiration)
+ */
+class AuthError extends Error {
+  constructor(message, { status = 401, reason = 'invalid', cause, userId } = {}) {
+    super(message, { cause });
+    this.name   = 'AuthError';
+    this.status = status;
+    this.reason = reason;
+    this.userId = userId;
+  }
+}
+
+const SESSION_EXPIRED = 'Session expirée. Reconnecte-toi.';
+
+/**
+ * Vérifie un access token et charge son utilisateur.
+ * @returns {Promise<{ user, decoded, tokenHash, session }>}
+ * @throws {AuthError}
+ */
+async function verifyAccessToken(token) {
+  let decoded;
+  try {
+    // Signature (clé non retirée) et expiration
+    decoded = jwtKeys.verify(token);
+  } catch (err) {
+    throw new AuthError('Token invalide ou expiré', { cause: err });
+  }
+
+  // Token intermédiaire de la connexion en deux étapes : il ne prouve que le
+  // mot de passe et ne sert qu'à POST /api/login/2fa
+  if (decoded.typ === 'mfa') throw new AuthError('Token invalide ou expiré');
+
+  // Token révoqué (déconnexion, ban) — on ne stocke que son hash SHA-256
+  const tokenHash = hashToken(token);
+  if (await db.isTokenRevoked(tokenHash)) throw new AuthError(SESSION_EXPIRED, { reason: 'revoked' });
+
+  // Session fermée à distance (DELETE /api/sessions/:id, logout) : tous les
+  // access tokens de la session sont refusés, pas seulement le dernier émis.
+  // Une session absente de la table date d'avant son introduction : acceptée.
+  let session = null;
+  if (decoded.sid) {
+    session = await db.findSession(decoded.sid);
+    if (session && session.is_revoked) throw new AuthError(SESSION_EXPIRED, { reason: 'revoked' });
+  }
+
+  // Données fraîches depuis MySQL, pas seulement le payload JWT
+  const user = await db.findUserById(decoded.userId);
+  if (!user) throw new AuthError('Utilisateur introuvable');
+
+  // Déconnexion de tous les appareils : tout token d'une version antérieure
+  // à celle du compte est refusé, même s'il n'est pas dans revoked_tokens.
+  // Un token émis avant l'introduction de la version (sans tv) est comparé,
+  // comme avant, à la date de révocation globale.
+  const revoked = decoded.tv === undefined
+    ? user.tokens_revoked_ts && decoded.iat < Number(user.tokens_revoked_ts)
+    : decoded.tv !== user.token_version;
+  if (revoked) throw new AuthError(SESSION_EXPIRED, { reason: 'revoked' });
+
+  if (user.is_banned) {
+    throw new AuthError('Compte suspendu.', { status: 403, reason: 'banned', userId: user.id });
+  }
+
+  return { user, decoded, tokenHash, session };
+}
+
+// Hash et expiration d'un access token, pour la table sessions
+function accessTokenInfo(token) {
+  return {
+    accessTokenHash: hashToken(token),
+    accessExpiresAt: new Date(jwt.decode(token).exp * 1000),
+  };
+}
+
+// Une session existante garde son niveau d'authentification (claim mfa)
+async function sessionHasMfa(sessionId) {
+  const session = await db.findSession(sessionId);
+  return !!(session && session.mfa);
+}
+
+/**
+ * Émet une paire access + refresh token.
+ * Sans sessionId → nouvelle session (login, inscription) : userAgent est le
+ *                  header User-Agent brut, anonymisé avant stockage ; mfa
+ *                  indique si un second facteur a été vérifié.
+ * Avec sessionId → rotation dans une session existante (refresh).
+ */
+async function issueTokenPair(userId, sessionId = null, { userAgent = null, mfa = false } = {}) {
+  const sid          = sessionId || crypto.randomBytes(16).toString('hex');
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt    = new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+  const withMfa      = sessionId ? await sessionHasMfa(sessionId) : mfa;
+  const tokenVersion = await db.getTokenVersion(userId);
+  const token        = signAccessToken(userId, sid, { mfa: withMfa, tokenVersion });
+
+  if (sessionId) {
+    await db.updateSessionTokens(sid, { ...accessTokenInfo(token), expiresAt });
+  } else {
+    await db.createSession({
+      id: sid,
+      userId,
+      userAgent: describeUserAgent(userAgent),
+      ...accessTokenInfo(token),
+      expiresAt,
+      mfa: withMfa,
+    });
+  }
+  await db.createRefreshToken(userId, sid, hashToken(refreshToken), expiresAt);
+
+  return { token, refreshToken, sessionId: sid };
+}
+
+/**
+ * Émet un nouvel access token dans une session existante, sans toucher au
+ * refresh token (ex : après un changement de mot de passe).
+ */
+async function issueAccessToken(userId, sessionId) {
+  const token = signAccessToken(userId, sessionId, {
+    mfa:          await sessionHasMfa(sessionId),
+    tokenVersion: await db.getTokenVersion(userId),
+  });
+  await db.updateSessionTokens(sessionId, accessTokenInfo(token));
+  return token;
+}
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  signMfaToken,
+  verifyMfaToken,
+  verifyAccessToken,
+  AuthError,
+  issueTokenPair,
+  issueAccessToken,
+};
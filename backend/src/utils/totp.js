@@ -0,0 +1,205 @@
+// =============================================================================
+// TRUST LAYER — src/utils/totp.js
+// Double authentification : codes TOTP (RFC 6238) et codes de secours.
+//
+// TOTP EN BREF :
+//   — Un secret de 20 octets est partagé une fois avec l'application
+//     d'authentification (QR code / URI otpauth://)
+//   — Toutes les 30 s, les deux côtés calculent HMAC-SHA1(secret, compteur)
+//     et en tirent un code à 6 chiffres (RFC 4226, troncature dynamique)
+//   — On accepte le pas précédent et le suivant (décalage d'horloge)
+//   — Le dernier pas utilisé est mémorisé : un code déjà servi est refusé
+//
+// STOCKAGE :
+//   Le secret est chiffré en base (AES-256-GCM). Sans lui, une fuite de la
+//   base ne suffit pas à générer des codes. Clé : TOTP_ENCRYPTION_KEY
+//   (64 caractères hex), obligatoire et propre à cet usage — jamais dérivée
+//   de JWT_SECRET, dont la fuite ou la rotation ne doit pas toucher la 2FA.
+//   Changer de clé : npm run cli -- totp-rekey (voir le README).
+//
+// Implémenté avec le module crypto de Node — pas de dépendance externe.
+// =============================================================================
+
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS       = 6;
+const WINDOW       = 1; // pas acceptés de part et d'autre du pas courant
+const ISSUER       = 'Trust Layer';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+
+// ── Base32 (RFC 4648, sans padding) — format attendu par les applications ────
+function base32Encode(buffer) {
+  let bits = 0, value = 0, output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(str) {
+  const clean = str.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0, value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error('Secret base32 invalide');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+
+// ── Génération et vérification des codes ─────────────────────────────────────
+
+/**
+ * Nouveau secret TOTP, encodé en base32.
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// Code HOTP pour un compteur donné (RFC 4226)
+function hotp(secret, counter) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+
+  const hmac   = crypto.createHmac('sha1', base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code   = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Vérifie un code TOTP.
+ * @param {string} secret    — secret base32 (déchiffré)
+ * @param {string} code      — code saisi par l'utilisateur
+ * @param {number} afterStep — dernier pas déjà utilisé (anti-rejeu), ou null
+ * @returns {number|null} le pas correspondant au code, ou null si refusé
+ */
+function verifyTotp(secret, code, afterStep = null) {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code)) return null;
+
+  const step = currentStep();
+  for (let s = step - WINDOW; s <= step + WINDOW; s++) {
+    if (afterStep !== null && s <= afterStep) continue;
+    const expected = hotp(secret, s);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return s;
+  }
+  return null;
+}
+
+/**
+ * URI otpauth:// à encoder dans le QR code (format Google Authenticator,
+ * compris par toutes les applications courantes).
+ */
+function otpauthUri(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer:    ISSUER,
+    algorithm: 'SHA1',
+    digits:    String(DIGITS),
+    period:    String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+
+// ── Codes de secours ──────────────────────────────────────────────────────────
+// 10 codes de 10 caractères base32 (50 bits), affichés "XXXXX-XXXXX".
+// Stockés sous forme de hash SHA-256 du code normalisé (majuscules, sans tiret).
+
+const BACKUP_CODE_COUNT = 10;
+
+function normalizeBackupCode(code) {
+  return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Génère une série de codes de secours.
+ * @returns {{ codes: string[], hashes: string[] }} codes à afficher une seule fois, hashes à stocker
+ */
+function generateBackupCodes() {
+  const codes = [];
+  for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashBackupCode) };
+}
+
+function hashBackupCode(code) {
+  return crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+}
+
+/**
+ * true si la saisie ressemble à un code de secours (et pas à un code TOTP).
+ */
+function isBackupCodeFormat(code) {
+  return /^[A-Z2-7]{10}$/.test(normalizeBackupCode(code));
+}
+
+
+// ── Chiffrement du secret en base (AES-256-GCM) ───────────────────────────────
+/**
+ * Clé AES-256 lue dans une variable d'environnement (64 caractères hex).
+ * Lève une erreur si elle est absente ou mal formée.
+ */
+function encryptionKey(name = 'TOTP_ENCRYPTION_KEY') {
+  const hex = process.env[name] || '';
+  if (!/^[0-9a-f]{64}$/i.test(hex)) {
+    throw new Error(`${name} manquante ou invalide (64 caractères hex attendus)`);
+  }
+  return Buffer.from(hex, 'hex');
+}
+
+/**
+ * Chiffre un secret pour le stockage. Format : iv.tag.données (base64url).
+ * key : clé de chiffrement, TOTP_ENCRYPTION_KEY par défaut.
+ */
+function encryptSecret(secret, key = encryptionKey()) {
+  const iv     = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data   = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64url')).join('.');
+}
+
+function decryptSecret(stored, key = encryptionKey()) {
+  const [iv, tag, data] = stored.split('.').map(p => Buffer.from(p, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  generateSecret,
+  verifyTotp,
+  otpauthUri,
+  generateBackupCodes,
+  hashBackupCode,
+  isBackupCodeFormat,
+  encryptionKey,
+  encryptSecret,
+  decryptSecret,
+  // Exportés pour vérification manuelle (vecteurs de test RFC)
+  hotp,
+  base32Encode,
+};
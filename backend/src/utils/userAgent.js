@@ -0,0 +1,50 @@
+// =============================================================================
+// TRUST LAYER — src/utils/userAgent.js
+// Résumé anonymisé du User-Agent pour la liste des sessions.
+//
+// POURQUOI anonymiser ?
+//   Le User-Agent complet (versions exactes, modèle du téléphone, build) est
+//   une donnée d'empreinte : combiné à d'autres informations, il aide à
+//   identifier une personne. Or l'utilisateur a seulement besoin de
+//   reconnaître ses appareils — "Chrome sur Android" suffit.
+//   On ne stocke donc JAMAIS la chaîne brute, uniquement ce résumé.
+// =============================================================================
+
+// Ordre important : Edge et Opera contiennent aussi "Chrome", Chrome contient "Safari"
+const BROWSERS = [
+  ['Edge',             /Edg(e|A|iOS)?\//],
+  ['Opera',            /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser/],
+  ['Firefox',          /Firefox\/|FxiOS/],
+  ['Chrome',           /Chrome\/|CriOS/],
+  ['Safari',           /Safari\//],
+];
+
+// Ordre important : Android contient "Linux", iOS contient "Mac OS X"
+const SYSTEMS = [
+  ['Android', /Android/],
+  ['iOS',     /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS',   /Mac OS X|Macintosh/],
+  ['Linux',   /Linux/],
+];
+
+function match(list, ua) {
+  const found = list.find(([, re]) => re.test(ua));
+  return found ? found[0] : null;
+}
+
+/**
+ * Retourne un libellé du type "Firefox sur Windows", ou null si le
+ * User-Agent est absent. Les clients non reconnus (curl, Postman) donnent
+ * "Navigateur inconnu" / "Appareil inconnu".
+ */
+function describeUserAgent(ua) {
+  if (!ua || typeof ua !== 'string') return null;
+
+  const browser = match(BROWSERS, ua) || 'Navigateur inconnu';
+  const system  = match(SYSTEMS, ua)  || 'appareil inconnu';
+  return `${browser} sur ${system}`;
+}
+
+module.exports = { describeUserAgent };
@@ -23,14 +23,62 @@ function escHtml(str) {
         .replace(/\//g, '&#x2F;');
 }
 
-// Supprime les balises HTML et tronque à 500 caractères.
+// Supprime les balises HTML et refuse au-delà de maxLength caractères (limite
+// du salon), puis repère les données personnelles (voir PERSONAL_DATA).
 // Retourne null si le message est vide ou trop long — le message ne sera pas envoyé.
-function sanitizeMessage(text) {
+// Sinon { text, personalData } — personalData : libellés des données repérées.
+function sanitizeMessage(text, maxLength = 500) {
     if (typeof text !== 'string') return null;
     const stripped = text.replace(/<[^>]*>/g, '');
     const trimmed  = stripped.trim().replace(/\s{3,}/g, '  ');
-    if (trimmed.length === 0 || trimmed.length > 500) return null;
-    return trimmed;
+    if (trimmed.length === 0 || trimmed.length > maxLength) return null;
+    return { text: trimmed, personalData: findPersonalData(trimmed) };
+}
+
+
+// -----------------------------------------------------------------------------
+// SECURITE — Données personnelles
+// Mêmes motifs que backend/src/utils/piiDetector.js (numéros béninois et
+// internationaux, emails, comptes de réseaux sociaux). Le serveur les masque
+// ou refuse le message selon sa politique ; ici on prévient l'auteur avant
+// l'envoi. Le nom complet n'est repéré que par le serveur.
+// -----------------------------------------------------------------------------
+const SOCIAL_KEYWORDS = 'insta|instagram|ig|snap|snapchat|tiktok|twitter|telegram|facebook|fb|linkedin|whatsapp|wa';
+const PHONE_KEYWORDS  = 'tel|tél|téléphone|telephone|(?:numéro|numero|num(?!éro|ero))(?!\\s+(?:étudiant|etudiant|matricule|de\\s+(?:table|carte|dossier|chambre)))|whatsapp|wa|appelle[- ]moi|joignable';
+
+const PERSONAL_DATA = [
+    { label: 'un numéro de téléphone',     pattern: /(?<![\d+])(?:\+|00)\s?229[\s.-]?(?:01([\s.-]?))?\d{2}([\s.-]?)\d{2}(?:\2\d{2}){2}(?!\d)/ },
+    { label: 'un numéro de téléphone',     pattern: /(?<![\d+])01([\s.-]?)\d{2}([\s.-]?)\d{2}(?:\2\d{2}){2}(?!\d)/ },
+    { label: 'un numéro de téléphone',     pattern: /(?<![\d+])\d{2}([\s.-])\d{2}(?:\1\d{2}){2}(?!\d)/ },
+    { label: 'un numéro de téléphone',     pattern: new RegExp(`\\b(?:${PHONE_KEYWORDS})\\b[^\\d\\n]{0,20}(?<![\\d+])\\d{8}(?!\\d)`, 'i') },
+    { label: 'un numéro de téléphone',     pattern: /(?<![\d+])\+\d{1,3}(?:[\s.-]?\d){7,13}(?!\d)/ },
+    { label: 'une adresse email',          pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}/i },
+    { label: 'une adresse email',          pattern: /[\w.+-]+\s*(?:\[at\]|\(at\)|\barobase\b)\s*[\w-]+\s*(?:\.|\[dot\]|\(dot\)|\bpoint\b)\s*(?:com|fr|net|org|bj|io)\b/i },
+    { label: 'un compte de réseau social', pattern: /(?:https?:\/\/)?(?:www\.)?(?:instagram\.com|facebook\.com|fb\.com|fb\.me|tiktok\.com|snapchat\.com|twitter\.com|x\.com|t\.me|wa\.me|linkedin\.com)\/\S+/i },
+    { label: 'un compte de réseau social', pattern: new RegExp(`\\b(?:${SOCIAL_KEYWORDS})\\s*[:=]\\s*@?[A-Za-z0-9._]{3,30}`, 'i') },
+    { label: 'un compte de réseau social', pattern: new RegExp(`\\b(?:${SOCIAL_KEYWORDS})\\b[^@\\n]{0,20}@[A-Za-z0-9._]{3,30}`, 'i') }
+];
+
+function findPersonalData(text) {
+    return [...new Set(PERSONAL_DATA.filter(p => p.pattern.test(text)).map(p => p.label))];
+}
+
+// Texte pour lequel l'auteur a déjà été prévenu : le renvoyer tel quel vaut
+// confirmation.
+let personalDataWarned = null;
+
+// true si le texte peut partir ; sinon affiche l'avertissement.
+function confirmPersonalData(text, personalData) {
+    if (personalData.length === 0 || personalDataWarned === text) {
+        personalDataWarned = null;
+        return true;
+    }
+    personalDataWarned = text;
+    const what = personalData.length > 1
+        ? `${personalData.slice(0, -1).join(', ')} et ${personalData[personalData.length - 1]}`
+        : personalData[0];
+    showInputError(`Ton message semble contenir ${what}. Pour protéger ton anonymat, ces informations ne seront pas publiées telles quelles. Modifie-le, ou renvoie-le pour confirmer.`, NOTICE_MS);
+    return false;
 }
 
 // Valide le format d'un pseudo : 3 à 20 caractères alphanumériques, accents et tirets acceptés.
@@ -74,6 +122,8 @@ const API_BASE = 'http://localhost:3000/api';
 // WEBSOCKET — Socket.io
 // Connexion persistante au serveur pour recevoir les messages en temps réel.
 // Le token JWT est envoyé à la connexion pour s'authentifier.
+// L'access token ne vit que quelques minutes : si le serveur le refuse, on le
+// renouvelle via refreshTokens() puis on relance la connexion.
 // -----------------------------------------------------------------------------
 const SOCKET_URL = 'http://localhost:3000';
 let socket = null;
@@ -82,14 +132,19 @@ function initSocket() {
     // Guard : ne pas créer une deuxième connexion si déjà connecté
     if (socket && socket.connected) return;
 
-    const token = sessionStorage.getItem('tl_token');
-    if (!token) return;
+    if (!sessionStorage.getItem('tl_token')) return;
+
+    // Une seule tentative de renouvellement par série d'échecs — évite une boucle
+    // infinie si le serveur refuse aussi le nouveau token.
+    let refreshAttempted = false;
+    let hasConnected     = false; // une reconnexion doit rattraper les messages manqués
 
     // Connexion avec le token JWT pour authentification WebSocket
+    // auth en fonction → relu à chaque (re)connexion, donc toujours le token le plus récent
     // forceNew: false  → empêche de créer plusieurs connexions si initSocket() est appelé plusieurs fois
     // transports websocket uniquement → évite les reconnexions multiples polling+websocket
     socket = io(SOCKET_URL, {
-        auth:      { token },
+        auth:      (cb) => cb({ token: sessionStorage.getItem('tl_token') }),
         transports: ['websocket'],
         forceNew:  false,
         reconnection:         true,
@@ -99,6 +154,17 @@ function initSocket() {
 
     socket.on('connect', () => {
         console.log('WebSocket connecté :', socket.id);
+        refreshAttempted = false;
+        // Le serveur place chaque nouvelle connexion dans le salon par défaut :
+        // on rejoint celui affiché (y compris après une reconnexion). Après une
+        // coupure, les messages publiés entre-temps sont récupérés une fois dans
+        // la room, pour qu'aucun ne passe entre les deux.
+        const reconnected = hasConnected;
+        hasConnected = true;
+        const joined = state.salonId !== DEFAULT_SALON_ID
+            ? new Promise(resolve => socket.emit('join_salon', state.salonId, resolve))
+            : Promise.resolve();
+        if (reconnected) joined.then(catchUpMessages);
         // Initialiser le badge immédiatement — on est au moins 1 connecté
         const badge = document.getElementById('online-count');
         if (badge && badge.textContent === '—') badge.textContent = '1';
@@ -106,27 +172,99 @@ function initSocket() {
 
     socket.on('disconnect', (reason) => {
         console.warn('WebSocket déconnecté :', reason);
+        // Déconnexion décidée par le serveur (logout depuis un autre onglet ou
+        // appareil) : le token n'est plus valide, inutile de rester sur le chat.
+        if (reason === 'io server disconnect') clearSession();
     });
 
-    socket.on('connect_error', (err) => {
+    // ── Session révoquée côté serveur ──────────────────────────────────────────
+    socket.on('session_revoked', () => clearSession());
+
+    // ── Compte suspendu par la modération ──────────────────────────────────────
+    // Le serveur ferme ensuite la connexion ; le motif et la date de fin sont
+    // affichés sur la page de connexion.
+    socket.on('account_suspended', ({ message }) => clearSession(message));
+
+    // ── Pseudo / avatar modifié par un utilisateur ─────────────────────────────
+    // Met à jour ses messages déjà affichés. Si c'est soi-même (autre onglet),
+    // on met aussi à jour la carte utilisateur.
+    socket.on('profile_updated', ({ userId, username, avatar }) => {
+        document.querySelectorAll(`.msg-row[data-user-id="${parseInt(userId, 10)}"]`).forEach(row => {
+            row.querySelector('.msg-av-wrap').textContent = avatar;
+            row.querySelector('.msg-author').textContent  = username;
+        });
+        if (userId === state.userId) {
+            state.avatar = avatar;
+            state.pseudo = username;
+            storeProfile({ username, avatar });
+            applyUserProfile();
+        }
+    });
+
+    // ── Rôle modifié par un administrateur ────────────────────────────────────
+    socket.on('role_updated', ({ role }) => {
+        sessionStorage.setItem('tl_role', role);
+        storeProfile({ role });
+        updateAdminButton();
+        refreshPosting(); // l'équipe publie dans les salons d'annonces
+    });
+
+    // ── Règles d'un salon modifiées par l'équipe ──────────────────────────────
+    socket.on('salon_updated', ({ salon }) => {
+        const index = salons.findIndex(s => s.id === salon.id);
+        if (index === -1) return;
+        salons[index] = salon;
+        if (salon.id === state.salonId) refreshPosting();
+    });
+
+    // ── Email vérifié (lien ouvert dans un autre onglet ou appareil) ──────────
+    socket.on('email_verified', () => {
+        state.readOnly = false;
+        const cached = secureStorage.getJson('tl_profile');
+        if (cached) secureStorage.setJson('tl_profile', { ...cached, email_verified: true, read_only: false });
+        updateVerifyBanner();
+    });
+
+    socket.on('connect_error', async (err) => {
         console.warn('Erreur WebSocket :', err.message);
+
+        // socket.active = panne réseau, Socket.io se reconnecte tout seul.
+        // Sinon le serveur a refusé le token : on le renouvelle une fois.
+        if (socket.active) return;
+        if (refreshAttempted) return clearSession();
+        refreshAttempted = true;
+
+        try {
+            if (await refreshTokens()) socket.connect();
+            else clearSession();
+        } catch {
+            // Serveur injoignable : on réessaiera au prochain apiRequest()
+        }
     });
 
     // ── Nouveau message reçu en temps réel ─────────────────────────────────────
     // Tous les clients reçoivent cet événement quand quelqu'un envoie un message.
     // Reçoit tous les messages (y compris les siens) et les affiche.
     socket.on('new_message', (message) => {
-        appendMessage({
-            id:    message.id,
-            av:    message.avatar,
-            name:  message.username,
-            text:  message.content,
-            isOwn: message.user_id === state.userId,
-            time:  formatTime(message.created_at),
-        });
+        // Diffusé dans la room du salon ; on ignore un message arrivé juste
+        // avant un changement de salon
+        if (message.salon_id && message.salon_id !== state.salonId) return;
+        // Notre propre message, encore en "Envoi…" : la diffusion le confirme
+        if (!(message.client_id && confirmPendingMessage(message.client_id, message))) {
+            appendMessage(toMessageView(message));
+        }
+        // Message retenu que la modération vient de publier : déjà affiché
+        // chez son auteur, il perd sa mention "en attente"
+        const row = document.querySelector(`.msg-row[data-message-id="${Number(message.id)}"]`);
+        if (row) setHeldState(row, !!message.held_at);
+        if (message.reply_to_id) addThreadReply(message.reply_to_id, message);
     });
 
     // ── Compteur d'utilisateurs en ligne ───────────────────────────────────────
+    // ── Message de détresse détecté par le serveur ─────────────────────────────
+    // Reçu par l'auteur seul : l'équipe d'écoute est déjà prévenue.
+    socket.on('crisis_resources', ({ contacts }) => showCrisisAlert(contacts));
+
     socket.on('online_count', (count) => {
         // Badge dans la nav (sidebar)
         const badge = document.getElementById('online-count');
@@ -138,11 +276,12 @@ function initSocket() {
     });
 
     // ── Mise à jour des réactions ──────────────────────────────────────────────
-    socket.on('reaction_update', ({ messageId, count }) => {
+    // Totaux par emoji, sans l'information "mine" : on garde celle déjà affichée
+    socket.on('reaction_update', ({ messageId, reactions }) => {
         const row = document.querySelector(`.msg-row[data-message-id="${messageId}"]`);
         if (!row) return;
-        const counter = row.querySelector('.react-count');
-        if (counter) counter.textContent = count > 0 ? count : '';
+        const mine = new Set([...row.querySelectorAll('.reaction-chip.mine')].map(chip => chip.dataset.emoji));
+        renderReactions(row, reactions.map(r => ({ ...r, mine: mine.has(r.emoji) })));
     });
 
     // ── Indicateur "est en train d'écrire" ─────────────────────────────────────
@@ -162,10 +301,32 @@ function initSocket() {
         if (bar) bar.textContent = `Anonyme · Respecte les autres · En cas d'urgence : 166 · SAMU : 13`;
     });
 
+    // ── Nouveau salon créé par l'équipe ────────────────────────────────────────
+    socket.on('salon_created', ({ salon }) => {
+        if (salons.some(s => s.id === salon.id)) return;
+        salons.push(salon);
+        renderSalons();
+    });
+
+    // ── Message modifié par son auteur ─────────────────────────────────────────
+    socket.on('message_edited', ({ messageId, content, held_at }) => {
+        const row = document.querySelector(`.msg-row[data-message-id="${messageId}"]`);
+        if (row) {
+            showEditedContent(row, content);
+            setHeldState(row, !!held_at);
+        }
+        updateThreadReferences(messageId, content);
+    });
+
     // ── Message supprimé ───────────────────────────────────────────────────────
     socket.on('message_deleted', ({ messageId }) => {
         const row = document.querySelector(`.msg-row[data-message-id="${messageId}"]`);
-        if (row) row.remove();
+        if (row) {
+            if (row.dataset.replyTo) changeReplyCount(row.dataset.replyTo, -1);
+            row.remove();
+        }
+        document.querySelectorAll(`.thread-reply[data-reply-id="${messageId}"]`).forEach(el => el.remove());
+        updateThreadReferences(messageId, null);
     });
 }
 
@@ -225,6 +386,11 @@ const secureStorage = {
     mood:        5,
     moodHistory: secureStorage.getMoodHistory(),
     onlineCount: 0,
+    readOnly:    false, // email non vérifié → lecture seule (voir bandeau)
+    isGuest:     false, // compte invité → droits restreints (voir bandeau)
+    salonId:     parseInt(secureStorage.get('tl_salon') || '0', 10) || 1, // salon affiché
+    posting:     { allowed: true }, // droit de publier dans le salon affiché (voir applyPosting)
+    replyTo:     null,  // message auquel on répond { id, name, text } (barre au-dessus de la saisie)
 };
 
 
@@ -235,21 +401,6 @@ if (!state.userId) {
 }
 
 
-// -----------------------------------------------------------------------------
-// MOTS-CLÉS DE DÉTRESSE
-// Si un message contient l'un de ces termes, le bandeau d'alerte de crise
-// s'affiche automatiquement avec les contacts d'urgence. Le message est quand
-// même envoyé — on ne bloque pas l'utilisateur.
-// -----------------------------------------------------------------------------
-const CRISIS_WORDS = [
-    'suicide', 'suicider', 'mourir', 'me tuer', 'en finir',
-    'plus envie de vivre', 'plus la force', 'tout arrêter',
-    'automutilation', 'me faire mal', 'me blesser',
-    'idées noires', 'souffrance insupportable',
-    'je vais craquer', "je n'en peux plus"
-];
-
-
 // -----------------------------------------------------------------------------
 // INITIALISATION AU CHARGEMENT DE LA PAGE
 // L'ordre est important : d'abord le profil (pour avoir avatar/pseudo),
@@ -260,19 +411,67 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     await hydrateProfile();
     applyUserProfile();
+    updateVerifyBanner();
+    updateGuestBanner();
     initMoodSlider();
     await loadMoodHistory();
     initInput();
+    await loadSalons();
     await loadMessages();
+    initHistoryScroll();
     initSocket(); // Connexion WebSocket après chargement initial
 
-    // Affiche le bouton modération uniquement pour les admins
-    if (sessionStorage.getItem('tl_is_admin') === '1') {
-        const btn = document.getElementById('btn-admin');
-        if (btn) btn.style.display = 'flex';
-    }
+    updateAdminButton();
 });
 
+// Affiche le bouton modération uniquement pour l'équipe (modérateur, écoutant,
+// admin). Le serveur vérifie de toute façon chaque permission.
+function isStaffRole() {
+    return (sessionStorage.getItem('tl_role') || 'user') !== 'user';
+}
+
+function updateAdminButton() {
+    const btn = document.getElementById('btn-admin');
+    if (btn) btn.style.display = isStaffRole() ? 'flex' : 'none';
+}
+
+
+// -----------------------------------------------------------------------------
+// RENOUVELLEMENT DES TOKENS
+// L'access token expire en quelques minutes. Sur un 401, on échange le refresh
+// token contre une nouvelle paire (POST /api/token/refresh, avec rotation).
+// Plusieurs requêtes peuvent échouer en même temps : elles partagent la même
+// promesse, sinon le même refresh token serait présenté deux fois et le serveur
+// y verrait une réutilisation (vol) et révoquerait la session.
+// Retourne true si de nouveaux tokens ont été obtenus, false sinon.
+// -----------------------------------------------------------------------------
+let refreshPromise = null;
+
+function refreshTokens() {
+    if (refreshPromise) return refreshPromise;
+
+    refreshPromise = (async () => {
+        const refreshToken = sessionStorage.getItem('tl_refresh');
+        if (!refreshToken) return false;
+
+        const res = await fetch(`${API_BASE}/token/refresh`, {
+            method:  'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body:    JSON.stringify({ refreshToken })
+        });
+        if (!res.ok) return false;
+
+        const data = await res.json().catch(() => ({}));
+        if (!data.token || !data.refreshToken) return false;
+
+        sessionStorage.setItem('tl_token',   data.token);
+        sessionStorage.setItem('tl_refresh', data.refreshToken);
+        return true;
+    })().finally(() => { refreshPromise = null; });
+
+    return refreshPromise;
+}
+
 
 // -----------------------------------------------------------------------------
 // REQUÊTE API — Wrapper générique
@@ -280,8 +479,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 // Elle centralise la gestion des erreurs HTTP et le parsing JSON.
 // En cas d'erreur serveur, le message d'erreur vient du champ "error" retourné
 // par l'API, ou d'un message générique si absent.
+// Un 401 déclenche un renouvellement transparent des tokens puis un seul nouvel
+// essai ; si le renouvellement échoue, retour à la connexion.
 // -----------------------------------------------------------------------------
-async function apiRequest(path, options = {}) {
+async function apiRequest(path, options = {}, isRetry = false) {
     // Recupere le token JWT stocke lors de la connexion
     const token = sessionStorage.getItem('tl_token');
 
@@ -294,17 +495,23 @@ async function apiRequest(path, options = {}) {
     const opts = { ...options, headers };
     const res  = await fetch(`${API_BASE}${path}`, opts);
 
-    // Token expire ou invalide -> retour connexion
+    // Token expire ou invalide -> renouvellement, sinon retour connexion
     if (res.status === 401) {
-        sessionStorage.clear();
-        window.location.href = 'connexion.html';
+        if (!isRetry && await refreshTokens()) return apiRequest(path, options, true);
+        clearSession();
         return {};
     }
 
     const data = await res.json().catch(() => ({}));
     if (!res.ok) {
-        const msg = data && data.error ? data.error : 'Erreur serveur.';
-        throw new Error(msg);
+        // 422 : le détail du premier champ refusé est plus parlant que "Données invalides"
+        const detail = data && Array.isArray(data.details) && data.details[0];
+        const msg = detail ? detail.message : (data && data.error ? data.error : 'Erreur serveur.');
+        const err = new Error(msg);
+        err.code       = data && data.code; // ex : EMAIL_NOT_VERIFIED
+        err.status     = res.status;
+        err.retryAfter = data && data.retry_after; // secondes (mode lent)
+        throw err;
     }
     return data;
 }
@@ -342,6 +549,8 @@ function applyProfileData(user) {
     state.pseudo    = user.username  || state.pseudo;
     state.firstName = user.first_name || '';
     state.lastName  = user.last_name  || '';
+    state.readOnly  = !!user.read_only;
+    state.isGuest   = !!user.is_guest;
 }
 
 async function hydrateProfile() {
@@ -373,35 +582,303 @@ function applyUserProfile() {
 
 // -----------------------------------------------------------------------------
 // CHARGEMENT DES MESSAGES
-// Récupère les 50 derniers messages depuis l'API et les insère dans le DOM.
-// Les messages démo éventuellement présents dans le HTML sont supprimés avant
-// l'insertion pour éviter les doublons.
+// Récupère les 50 derniers messages du salon depuis l'API et les insère dans
+// le DOM. Les messages démo éventuellement présents dans le HTML sont
+// supprimés avant l'insertion pour éviter les doublons.
+//
+// Historique paginé par curseur (id de message) :
+//   — en remontant en haut de la zone, la page précédente (?before=) est
+//     insérée au-dessus sans faire sauter la position de lecture
+//   — après une reconnexion WebSocket, les messages manqués (?after=) sont
+//     ajoutés en bas
 // -----------------------------------------------------------------------------
+const HISTORY_PAGE_SIZE   = 50;
+const HISTORY_SCROLL_EDGE = 80; // px depuis le haut pour déclencher la page suivante
+
+const messageHistory = { hasMore: false, loading: false };
+
+function toMessageView(m) {
+    return {
+        id:     m.id,
+        clientId: m.client_id || null,
+        userId: m.user_id,
+        av:     m.avatar,
+        name:  m.username,
+        text:  m.content,
+        isOwn: m.user_id === state.userId,
+        time:  formatTime(m.created_at),
+        edited: !!m.edited_at,
+        held:   !!m.held_at,
+        replyToId:   m.reply_to_id || null,
+        replyToName: m.reply_to_username || null,
+        replyToText: m.reply_to_content || null,
+        replyCount:  m.reply_count || 0,
+        reactions:   m.reactions || []
+    };
+}
+
+// Id du premier / dernier message affiché (curseurs de pagination)
+function edgeMessageId(which) {
+    const rows = document.querySelectorAll('#messages-wrap .msg-row[data-message-id]');
+    const row  = which === 'first' ? rows[0] : rows[rows.length - 1];
+    return row ? row.dataset.messageId : null;
+}
+
+function updateHistoryMarker() {
+    const marker = document.getElementById('history-marker');
+    if (!marker) return;
+    marker.hidden = !messageHistory.loading && messageHistory.hasMore;
+    marker.querySelector('span').textContent = messageHistory.loading
+        ? 'Chargement…'
+        : 'Début de la conversation';
+}
+
 async function loadMessages() {
-    const wrap = document.getElementById('messages-wrap');
+    const wrap    = document.getElementById('messages-wrap');
+    const salonId = state.salonId;
 
     // Supprime les éventuels messages statiques présents dans le HTML.
     wrap.querySelectorAll('.msg-row').forEach(row => row.remove());
+    messageHistory.hasMore = false;
+    messageHistory.loading = true;
+    updateHistoryMarker();
 
     try {
-        const data = await apiRequest('/messages?limit=50');
+        const data = await apiRequest(`/messages?limit=${HISTORY_PAGE_SIZE}&salon=${salonId}`);
+        if (salonId !== state.salonId) return; // salon changé pendant le chargement
+        if (data && data.posting) applyPosting(data.posting);
         if (data && Array.isArray(data.messages)) {
-            data.messages.forEach(m => {
-                appendMessage({
-                    id:    m.id,
-                    av:    m.avatar,
-                    name:  m.username,
-                    text:  m.content,
-                    isOwn: m.user_id === state.userId,
-                    time:  formatTime(m.created_at)
-                });
-            });
+            data.messages.forEach(m => appendMessage(toMessageView(m)));
+            messageHistory.hasMore = !!data.has_more;
         }
     } catch (err) {
         console.warn('Chargement des messages impossible :', err.message);
+    } finally {
+        if (salonId === state.salonId) {
+            messageHistory.loading = false;
+            updateHistoryMarker();
+        }
+    }
+}
+
+// Page précédente, insérée au-dessus des messages affichés.
+async function loadOlderMessages() {
+    const before = edgeMessageId('first');
+    if (!messageHistory.hasMore || messageHistory.loading || !before) return;
+
+    const wrap    = document.getElementById('messages-wrap');
+    const salonId = state.salonId;
+    messageHistory.loading = true;
+    updateHistoryMarker();
+
+    try {
+        const data = await apiRequest(`/messages?limit=${HISTORY_PAGE_SIZE}&salon=${salonId}&before=${before}`);
+        if (salonId !== state.salonId) return;
+
+        // Position stable : on garde la distance au bas de la zone, qui ne
+        // change pas quand du contenu est inséré au-dessus
+        const fromBottom = wrap.scrollHeight - wrap.scrollTop;
+        const anchor     = wrap.querySelector('.msg-row');
+        data.messages.forEach(m => {
+            if (!wrap.querySelector(`.msg-row[data-message-id="${Number(m.id)}"]`)) {
+                wrap.insertBefore(buildMessageRow(toMessageView(m)), anchor);
+            }
+        });
+        messageHistory.hasMore = !!data.has_more;
+
+        wrap.style.scrollBehavior = 'auto'; // pas d'animation pour ce saut
+        wrap.scrollTop = wrap.scrollHeight - fromBottom;
+        wrap.style.scrollBehavior = '';
+    } catch (err) {
+        console.warn('Chargement de l\'historique impossible :', err.message);
+    } finally {
+        messageHistory.loading = false;
+        updateHistoryMarker();
+    }
+}
+
+// Messages publiés pendant une coupure du WebSocket.
+async function catchUpMessages() {
+    const salonId = state.salonId;
+    let after = edgeMessageId('last');
+    if (!after) return loadMessages();
+
+    try {
+        // Quelques pages au plus : au-delà, on recharge simplement le salon
+        for (let page = 0; page < 4; page++) {
+            const data = await apiRequest(`/messages?limit=${HISTORY_PAGE_SIZE}&salon=${salonId}&after=${after}`);
+            if (salonId !== state.salonId) return;
+            data.messages.forEach(m => appendMessage(toMessageView(m)));
+            if (!data.has_more) return;
+            after = edgeMessageId('last');
+        }
+        await loadMessages();
+    } catch (err) {
+        console.warn('Rattrapage des messages impossible :', err.message);
     }
 }
 
+function initHistoryScroll() {
+    const wrap = document.getElementById('messages-wrap');
+    wrap.addEventListener('scroll', () => {
+        if (wrap.scrollTop < HISTORY_SCROLL_EDGE) loadOlderMessages();
+    }, { passive: true });
+}
+
+
+// -----------------------------------------------------------------------------
+// SALONS
+// Liste chargée depuis l'API (GET /api/salons) et affichée dans la sidebar.
+// Changer de salon : rejoindre sa room WebSocket ('join_salon') puis recharger
+// ses messages. Le salon choisi est gardé en sessionStorage (rechargement).
+// -----------------------------------------------------------------------------
+const DEFAULT_SALON_ID = 1;
+let salons = [];
+let defaultWelcomeText = null; // texte d'accueil de l'Espace Général (HTML)
+
+async function loadSalons() {
+    try {
+        const data = await apiRequest('/salons');
+        if (data && Array.isArray(data.salons)) salons = data.salons;
+    } catch (err) {
+        console.warn('Chargement des salons impossible :', err.message);
+    }
+
+    // Salon mémorisé supprimé ou archivé entre-temps : retour au salon par défaut
+    if (salons.length && !salons.some(s => s.id === state.salonId)) {
+        state.salonId = DEFAULT_SALON_ID;
+        secureStorage.set('tl_salon', DEFAULT_SALON_ID);
+    }
+    renderSalons();
+    applySalonHeader();
+}
+
+function currentSalon() {
+    return salons.find(s => s.id === state.salonId) || null;
+}
+
+function renderSalons() {
+    const list = document.getElementById('salon-list');
+    if (!list || !salons.length) return;
+
+    list.innerHTML = salons.map(s => `
+        <button class="nav-item${s.id === state.salonId ? ' active' : ''}" data-salon-id="${Number(s.id)}"
+                onclick="switchSalon(${Number(s.id)})" title="${escHtml(s.description || '')}">
+            <span class="nav-icon">${escHtml(s.emoji || '💬')}</span>
+            <span>${escHtml(s.name)}</span>
+        </button>`).join('');
+}
+
+// Titre de l'en-tête et message d'accueil du salon affiché
+function applySalonHeader() {
+    const salon = currentSalon();
+    if (!salon) return;
+
+    const welcome = document.getElementById('welcome-text');
+    if (defaultWelcomeText === null) defaultWelcomeText = welcome.innerHTML;
+
+    const isDefault = salon.id === DEFAULT_SALON_ID;
+    document.getElementById('room-name').textContent     = salon.name;
+    document.getElementById('welcome-title').textContent = isDefault
+        ? "Bienvenue dans l'Espace Général"
+        : `Bienvenue dans le salon ${salon.name}`;
+    if (isDefault) welcome.innerHTML = defaultWelcomeText;
+    else welcome.textContent = `${salon.description || ''} Cet espace est bienveillant et anonyme : respecte la confidentialité de chacun.`.trim();
+}
+
+async function switchSalon(salonId) {
+    if (salonId === state.salonId) return;
+
+    state.salonId = salonId;
+    secureStorage.set('tl_salon', salonId);
+    cancelReply(); // on ne répond qu'à un message du salon affiché
+    applyPosting(null); // les règles du nouveau salon arrivent avec son historique
+    renderSalons();
+    applySalonHeader();
+
+    // Sur mobile, la sidebar se referme pour laisser place aux messages
+    if (document.getElementById('sidebar').classList.contains('open')) toggleSidebar();
+
+    // On attend l'entrée dans la room avant de charger l'historique : aucun
+    // message publié entre les deux ne peut manquer
+    if (socket && socket.connected) {
+        await new Promise(resolve => socket.emit('join_salon', salonId, resolve));
+    }
+    await loadMessages();
+}
+
+
+// -----------------------------------------------------------------------------
+// RÈGLES DU SALON
+// Chaque salon peut imposer un mode lent, une longueur maximale, être réservé
+// aux annonces de l'équipe ou en lecture seule, ou n'accepter que les comptes
+// assez anciens (backend/src/utils/salonPolicy.js). Le serveur envoie l'état
+// de publication avec l'historique, après chaque envoi et en réponse à
+// 'join_salon' : s'il faut attendre, un compte à rebours s'affiche au-dessus
+// de la saisie et l'envoi redevient possible à zéro. On peut écrire pendant
+// l'attente ; un salon fermé (lecture seule, annonces) désactive la saisie.
+// -----------------------------------------------------------------------------
+let postingTimer = null;
+
+function salonMaxLength() {
+    return currentSalon()?.max_message_length || 500;
+}
+
+// Le serveur recalcule l'état de publication du salon affiché (règles ou rôle
+// modifiés) : 'join_salon' sur le salon courant ne change pas de room.
+function refreshPosting() {
+    if (!socket?.connected) return;
+    const salonId = state.salonId;
+    socket.emit('join_salon', salonId, (res) => {
+        if (res && res.posting && salonId === state.salonId) applyPosting(res.posting);
+    });
+}
+
+// "0:42", "1 h 05"
+function formatCountdown(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = seconds % 60;
+    return h ? `${h} h ${String(m).padStart(2, '0')}` : `${m}:${String(s).padStart(2, '0')}`;
+}
+
+// posting : { allowed, code, reason, wait_seconds } renvoyé par le serveur,
+// null pour lever toute restriction.
+function applyPosting(posting) {
+    clearInterval(postingTimer);
+    postingTimer  = null;
+    state.posting = posting && !posting.allowed ? posting : { allowed: true };
+
+    const bar   = document.getElementById('posting-bar');
+    const input = document.getElementById('msg-input');
+    if (input.dataset.placeholder === undefined) input.dataset.placeholder = input.placeholder;
+
+    const { allowed, reason, wait_seconds } = state.posting;
+    const closed = !allowed && !wait_seconds;
+    input.disabled    = closed;
+    input.placeholder = closed ? reason : input.dataset.placeholder;
+    document.getElementById('send-btn').disabled = !allowed;
+
+    if (allowed) {
+        bar.hidden = true;
+        return;
+    }
+    bar.hidden = false;
+    if (closed) {
+        bar.textContent = `🔒 ${reason}`;
+        return;
+    }
+
+    const until  = Date.now() + wait_seconds * 1000;
+    const render = () => {
+        const left = Math.ceil((until - Date.now()) / 1000);
+        if (left <= 0) return applyPosting(null);
+        bar.textContent = `⏳ ${reason} Prochain envoi dans ${formatCountdown(left)}.`;
+    };
+    render();
+    postingTimer = setInterval(render, 1000);
+}
+
 
 // -----------------------------------------------------------------------------
 // BIEN-ÊTRE — Slider d'humeur
@@ -507,7 +984,8 @@ function toggleWellbeingInfo() {
 
 // -----------------------------------------------------------------------------
 // SAISIE ET ENVOI DE MESSAGES
-// La zone de texte s'auto-dimensionne et est limitée à 500 caractères.
+// La zone de texte s'auto-dimensionne et est limitée à la longueur maximale
+// du salon (500 caractères par défaut).
 // Entrée seule = envoi, Shift+Entrée = saut de ligne.
 // -----------------------------------------------------------------------------
 function initInput() {
@@ -517,7 +995,8 @@ function initInput() {
     let typingEmitTimeout = null;
 
     input.addEventListener('input', () => {
-        if (input.value.length > 500) input.value = input.value.substring(0, 500);
+        const max = salonMaxLength();
+        if (input.value.length > max) input.value = input.value.substring(0, max);
         input.style.height = 'auto';
         input.style.height = Math.min(input.scrollHeight, 120) + 'px';
 
@@ -541,11 +1020,23 @@ function initInput() {
 // 1. Contrôle du rate limiting
 // 2. Sanitisation et validation du contenu
 // 3. Détection de mots-clés de crise
-// 4. Envoi à l'API
-// 5. Insertion du message retourné dans le DOM
+// 4. Affichage immédiat en état "envoi…", puis envoi à l'API (postPending)
 async function sendMessage() {
     const input = document.getElementById('msg-input');
 
+    // Compte non vérifié : inutile d'appeler l'API, on garde le texte saisi.
+    if (state.readOnly) {
+        updateVerifyBanner();
+        showInputError('Confirme ton adresse email pour pouvoir écrire.');
+        return;
+    }
+
+    // Règles du salon : compte à rebours en cours ou salon fermé
+    if (!state.posting.allowed) {
+        showInputError(state.posting.reason);
+        return;
+    }
+
     // Étape 1 — Vérification du rate limit.
     const limit = rateLimiter.check();
     if (!limit.allowed) {
@@ -554,48 +1045,201 @@ async function sendMessage() {
     }
 
     // Étape 2 — Nettoyage et validation du texte.
-    const text = sanitizeMessage(input.value);
-    if (!text) {
-        showInputError('Message vide ou trop long (500 caractères max).');
+    const maxLength = salonMaxLength();
+    const clean     = sanitizeMessage(input.value, maxLength);
+    if (!clean) {
+        showInputError(`Message vide ou trop long (${maxLength} caractères max).`);
         return;
     }
 
-    // Étape 3 — Détection de détresse. Le bandeau s'affiche mais le message
-    // est quand même transmis — l'utilisateur n'est pas bloqué.
-    if (CRISIS_WORDS.some(kw => text.toLowerCase().includes(kw.toLowerCase()))) {
-        showCrisisAlert();
-    }
+    // Étape 3 — Numéro, email ou compte repéré : l'auteur est prévenu, un
+    // second envoi confirme (le serveur masque ou refuse).
+    const { text, personalData } = clean;
+    if (!confirmPersonalData(text, personalData)) return;
 
+    // La détection de détresse est faite par le serveur, qui renvoie les
+    // contacts d'urgence par l'événement 'crisis_resources'.
     input.value        = '';
     input.style.height = 'auto';
 
-    // Étape 4 — Envoi à l'API et insertion de la réponse dans le DOM.
+    // Étape 4 — Le message s'affiche tout de suite ; l'identifiant client rend
+    // l'envoi idempotent (un nouvel essai ne crée jamais de doublon).
+    const clientId = newClientId();
+    const replyTo  = state.replyTo;
+    pendingSends.set(clientId, { text, salonId: state.salonId, replyTo });
+    cancelReply();
+    appendMessage({
+        clientId,
+        userId:      state.userId,
+        av:          state.avatar,
+        name:        state.pseudo,
+        text,
+        isOwn:       true,
+        time:        now(),
+        replyToId:   replyTo?.id || null,
+        replyToName: replyTo?.name || null,
+        replyToText: replyTo?.text || null,
+        pending:     true
+    });
+    await postPending(clientId);
+}
+
+
+// -----------------------------------------------------------------------------
+// ENVOI IDEMPOTENT
+// Chaque message reçoit un UUID généré ici (client_id). Le serveur le garde
+// comme clé d'idempotence : renvoyer le même message après un délai dépassé
+// ou une coupure réseau renvoie l'original au lieu d'en créer un second.
+//
+// En attendant la réponse, le message est affiché en "Envoi…" ; il est
+// remplacé par la version du serveur à la réponse (ou à la diffusion
+// WebSocket, si elle arrive avant), ou marqué en échec avec "Réessayer".
+// -----------------------------------------------------------------------------
+const SEND_TIMEOUT_MS = 15000;
+const pendingSends    = new Map(); // clientId → { text, salonId, replyTo }
+
+function newClientId() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    // Repli : UUID v4 à partir de getRandomValues
+    const b = crypto.getRandomValues(new Uint8Array(16));
+    b[6] = (b[6] & 0x0f) | 0x40;
+    b[8] = (b[8] & 0x3f) | 0x80;
+    const h = [...b].map(x => x.toString(16).padStart(2, '0')).join('');
+    return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20)}`;
+}
+
+function pendingRow(clientId) {
+    return document.querySelector(`.msg-row.pending[data-client-id="${clientId}"]`);
+}
+
+function setPendingState(clientId, failed) {
+    const row = pendingRow(clientId);
+    if (!row) return;
+    row.classList.toggle('failed', failed);
+    row.querySelector('.msg-status').innerHTML = failed
+        ? `Échec de l'envoi · <button class="msg-retry" onclick="retryMessage('${escHtml(clientId)}')">Réessayer</button>`
+        : 'Envoi…';
+}
+
+// Remplace le message en attente par la version enregistrée. Retourne false
+// s'il n'y avait plus de message en attente pour ce client_id.
+function confirmPendingMessage(clientId, message) {
+    pendingSends.delete(clientId);
+    const row = pendingRow(clientId);
+    if (!row) return false;
+
+    if (document.querySelector(`.msg-row[data-message-id="${Number(message.id)}"]`)) row.remove();
+    else row.replaceWith(buildMessageRow(toMessageView(message)));
+    return true;
+}
+
+async function postPending(clientId) {
+    const pending = pendingSends.get(clientId);
+    if (!pending) return;
+    setPendingState(clientId, false);
+
     try {
-        const data = await apiRequest('/messages', {
+        const data = await apiRequest(`/messages?salon=${pending.salonId}`, {
             method: 'POST',
-            body: JSON.stringify({ content: text })
+            body: JSON.stringify({
+                content:     pending.text,
+                reply_to_id: pending.replyTo ? pending.replyTo.id : null,
+                client_id:   clientId
+            }),
+            signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
         });
+        if (data && data.message) confirmPendingMessage(clientId, data.message);
+        // Mode lent : le compte à rebours démarre dès l'envoi
+        if (data && data.posting && pending.salonId === state.salonId) applyPosting(data.posting);
+        // Message retenu par la modération automatique : on explique pourquoi
+        if (data && data.notice) showInputError(data.notice, NOTICE_MS);
+    } catch (err) {
+        // Délai dépassé, réseau coupé, serveur en erreur ou limite de débit :
+        // le message reste affiché, en échec, et peut être renvoyé tel quel.
+        // Le mode lent (429 SLOW_MODE) rend le texte à la saisie, avec son
+        // compte à rebours.
+        if (!err.status || err.status >= 500 || (err.status === 429 && err.code !== 'SLOW_MODE')) {
+            setPendingState(clientId, true);
+            return;
+        }
+        rejectPending(clientId, err);
+    }
+}
 
-        // Le message sera affiché par le WebSocket (new_message)
-        // qui le diffuse à tous les connectés, y compris l'expéditeur.
-        // On n'affiche rien ici pour éviter les doublons.
-    } catch {
-        showInputError("Impossible d'envoyer le message.");
+function retryMessage(clientId) {
+    postPending(clientId);
+}
+
+// Refus liés aux règles du salon (backend/src/utils/salonPolicy.js)
+const POSTING_CODES = ['SLOW_MODE', 'ACCOUNT_TOO_NEW', 'SALON_READ_ONLY', 'SALON_ANNOUNCEMENTS'];
+
+// Envoi refusé par le serveur (compte, quota, contenu) : réessayer ne servirait
+// à rien. Le message est retiré et son texte rendu à la zone de saisie.
+function rejectPending(clientId, err) {
+    const pending = pendingSends.get(clientId);
+    pendingSends.delete(clientId);
+    pendingRow(clientId)?.remove();
+
+    const input = document.getElementById('msg-input');
+    if (pending && !input.value) input.value = pending.text;
+
+    if (err.code === 'EMAIL_NOT_VERIFIED') {
+        state.readOnly = true;
+        updateVerifyBanner();
+        showInputError(err.message);
+        return;
+    }
+    // Quota invité atteint : on propose la création du compte
+    if (err.code === 'GUEST_MESSAGE_LIMIT') {
+        updateGuestBanner();
+        showInputError(err.message);
+        return;
+    }
+    // Règles du salon : le texte attend dans la saisie la fin du compte à
+    // rebours, ou la réouverture du salon
+    if (POSTING_CODES.includes(err.code)) {
+        if (pending && pending.salonId === state.salonId) {
+            applyPosting({ allowed: false, code: err.code, reason: err.message, wait_seconds: err.retryAfter || null });
+        }
+        showInputError(err.message, NOTICE_MS);
+        return;
+    }
+    // Refus de la modération automatique ou données personnelles refusées
+    // (PII_POLICY=block) : la raison se lit en entier
+    if (err.code === 'MESSAGE_REJECTED' || err.code === 'PII_BLOCKED') {
+        showInputError(err.message, NOTICE_MS);
+        return;
     }
+    showInputError(err.message || "Impossible d'envoyer le message.");
 }
 
-// Crée et insère un bloc message dans la zone de chat.
+// Crée un bloc message.
 // Tout contenu venant du serveur est échappé avant insertion — protection XSS.
-function appendMessage({ id, av, name, text, isOwn, time }) {
-    const wrap = document.getElementById('messages-wrap');
+function buildMessageRow({ id, clientId, userId, av, name, text, isOwn, time, edited, held, replyToId, replyToName, replyToText, replyCount, reactions, pending }) {
     const row  = document.createElement('div');
-    row.className = `msg-row${isOwn ? ' own' : ''}`;
+    row.className = `msg-row${isOwn ? ' own' : ''}${pending ? ' pending' : ''}${held ? ' held' : ''}`;
     if (id) row.dataset.messageId = id;
-
-    // Menu contextuel — différent selon si c'est son propre message
-    const menuItems = isOwn
-        ? `<button class="msg-menu-item danger" onclick="deleteMsg(this)">🗑️ Supprimer</button>`
-        : `<button class="msg-menu-item danger" onclick="openReportModal(this)">🚩 Signaler ce message</button>`;
+    if (clientId) row.dataset.clientId = clientId;
+    if (userId) row.dataset.userId = userId; // mise à jour live (profile_updated)
+    if (replyToId) row.dataset.replyTo = replyToId;
+
+    // Menu contextuel — répondre et citer pour tous, puis selon l'auteur
+    const menuItems = `
+        <button class="msg-menu-item" onclick="replyMsg(this)">↩️ Répondre</button>
+        <button class="msg-menu-item" onclick="quoteMsg(this)">❝ Citer</button>
+        <div class="menu-divider"></div>` + (isOwn
+        ? `<button class="msg-menu-item" onclick="editMsg(this)">✏️ Modifier</button>
+           <button class="msg-menu-item danger" onclick="deleteMsg(this)">🗑️ Supprimer</button>`
+        : `<button class="msg-menu-item danger" onclick="openReportModal(this)">🚩 Signaler ce message</button>`);
+
+    // Aperçu du message auquel celui-ci répond (cliquable : remonte au message)
+    const quote = !replyToId ? '' : `
+            <div class="msg-quote" onclick="scrollToMessage(${Number(replyToId)})">
+                ${replyToName
+                    ? `<span class="msg-quote-author">@${escHtml(replyToName)}</span>
+                       <span class="msg-quote-text">${escHtml(replyToText || '')}</span>`
+                    : '<span class="msg-quote-text">Message supprimé</span>'}
+            </div>`;
 
     row.innerHTML = `
         <div class="msg-av-wrap">${escHtml(av)}</div>
@@ -603,19 +1247,47 @@ function appendMessage({ id, av, name, text, isOwn, time }) {
             <div class="msg-meta">
                 <span class="msg-author">${escHtml(name)}</span>
                 <span class="msg-time">${escHtml(time)}</span>
+                <span class="msg-edited"${edited ? '' : ' hidden'}>(modifié)</span>
             </div>
+            ${quote}
             <div class="msg-bubble">${escHtml(text)}</div>
+            ${pending ? '<div class="msg-status">Envoi…</div>' : ''}
+            <div class="msg-held"${held ? '' : ' hidden'}>⏳ En attente de validation par la modération — visible par toi seul(e)</div>
+            <div class="reactions"></div>
             <div class="msg-actions">
-                <button class="react-btn" onclick="reactMsg(this)">🤍</button>
-                <span class="react-count"></span>
+                <button class="react-btn" onclick="toggleMsgMenu(this)" title="Réagir">🤍</button>
+                <div class="msg-menu react-palette">
+                    ${REACTION_EMOJIS.map(e => `<button onclick="reactMsg(this, '${e}')">${e}</button>`).join('')}
+                </div>
                 <button class="report-btn" onclick="toggleMsgMenu(this)" title="Options">⋯</button>
                 <div class="msg-menu">
                     ${menuItems}
                 </div>
             </div>
+            <button class="thread-toggle" data-count="${Number(replyCount) || 0}" onclick="toggleThread(this)"${replyCount ? '' : ' hidden'}>
+                💬 <span class="thread-count">${formatReplyCount(replyCount)}</span>
+            </button>
+            <div class="msg-thread" hidden></div>
         </div>`;
 
-    wrap.appendChild(row);
+    if (reactions && reactions.length) renderReactions(row, reactions);
+    return row;
+}
+
+// Message retenu par la modération automatique (visible de son seul auteur)
+// ou publié.
+function setHeldState(row, held) {
+    row.classList.toggle('held', held);
+    row.querySelector('.msg-held').hidden = !held;
+}
+
+// Ajoute un message en bas de la zone de chat. Un message déjà affiché
+// (diffusion WebSocket reçue pendant un rattrapage) est ignoré.
+function appendMessage(message) {
+    const wrap = document.getElementById('messages-wrap');
+    if (message.id && wrap.querySelector(`.msg-row[data-message-id="${Number(message.id)}"]`)) return;
+
+    wrap.appendChild(buildMessageRow(message));
     wrap.scrollTop = wrap.scrollHeight;
 }
 
@@ -634,46 +1306,71 @@ function showRateLimitWarning(secondsLeft) {
     setTimeout(() => { hint.innerHTML = orig; hint.style.color = ''; }, secondsLeft * 1000);
 }
 
-// Affiche un message d'erreur temporaire dans la barre d'info (3 secondes).
-function showInputError(msg) {
+// Affiche un message d'erreur temporaire dans la barre d'info (3 secondes par
+// défaut, NOTICE_MS pour une explication à lire en entier).
+const NOTICE_MS = 8000;
+
+function showInputError(msg, duration = 3000) {
     const hint = document.querySelector('.input-hint-bar');
     const orig = hint.innerHTML;
     hint.innerHTML   = escHtml(msg);
     hint.style.color = '#E07040';
-    setTimeout(() => { hint.innerHTML = orig; hint.style.color = ''; }, 3000);
+    setTimeout(() => { hint.innerHTML = orig; hint.style.color = ''; }, duration);
 }
 
-// Bascule l'état "aimé" d'un message.
-// Note : la persistance des réactions sera gérée par l'API (à implémenter).
-async function reactMsg(btn) {
-    // Récupère le messageId stocké dans le data-attribute du bouton
-    const messageId = btn.closest('.msg-row')?.dataset.messageId;
+// -----------------------------------------------------------------------------
+// RÉACTIONS
+// Palette de réactions de soutien (même liste que backend/src/utils/reactions.js).
+// Chaque emoji a son compteur sous le message ; ceux que j'ai utilisés sont
+// mis en évidence. Cliquer un compteur ou un emoji de la palette ajoute ou
+// retire ma réaction.
+// -----------------------------------------------------------------------------
+const REACTION_EMOJIS = ['💜', '🤗', '💪', '🙏', '🌱', '🫂'];
+
+function renderReactions(row, reactions) {
+    const box = row.querySelector('.reactions');
+    if (!box) return;
+    box.innerHTML = reactions
+        .filter(r => r.count > 0)
+        .map(r => `
+            <button class="reaction-chip${r.mine ? ' mine' : ''}" data-emoji="${escHtml(r.emoji)}"
+                    onclick="reactMsg(this, this.dataset.emoji)">
+                ${escHtml(r.emoji)} <span>${Number(r.count)}</span>
+            </button>`)
+        .join('');
+}
+
+async function reactMsg(btn, emoji) {
+    const row       = btn.closest('.msg-row');
+    const messageId = row?.dataset.messageId;
     if (!messageId) return;
 
-    // Optimistic UI : on change l'icône immédiatement sans attendre l'API
-    const wasLiked = btn.classList.contains('liked');
-    btn.classList.toggle('liked');
-    btn.textContent = btn.classList.contains('liked') ? '💜' : '🤍';
+    btn.closest('.react-palette')?.classList.remove('open');
 
     try {
-        const data = await apiRequest(`/messages/${messageId}/react`, { method: 'POST' });
-        // Met à jour le compteur si présent
-        const counter = btn.closest('.msg-actions')?.querySelector('.react-count');
-        if (counter && data.count !== undefined) counter.textContent = data.count > 0 ? data.count : '';
+        const data = await apiRequest(`/messages/${messageId}/react`, {
+            method: 'POST',
+            body:   JSON.stringify({ emoji })
+        });
+        renderReactions(row, data.reactions);
     } catch {
-        // Rollback si l'API échoue
-        btn.classList.toggle('liked');
-        btn.textContent = wasLiked ? '💜' : '🤍';
+        showInputError("Impossible d'ajouter la réaction.");
     }
 }
 
 
 // -----------------------------------------------------------------------------
 // ALERTE DE CRISE
-// S'affiche quand un mot-clé de détresse est détecté dans un message.
+// S'affiche quand le serveur détecte de la détresse dans un message envoyé
+// ('crisis_resources'), avec les contacts d'urgence qu'il fournit.
 // L'utilisateur peut la fermer manuellement.
 // -----------------------------------------------------------------------------
-function showCrisisAlert() {
+function showCrisisAlert(contacts) {
+    if (Array.isArray(contacts) && contacts.length) {
+        document.getElementById('crisis-contacts').innerHTML = contacts
+            .map(c => `<strong>${escHtml(c.label)} : ${escHtml(c.number)}</strong>`)
+            .join(' · ');
+    }
     document.getElementById('crisis-alert').classList.add('show');
     document.getElementById('messages-wrap').scrollTop = 0;
 }
@@ -683,6 +1380,98 @@ function closeCrisisAlert() {
 }
 
 
+// -----------------------------------------------------------------------------
+// VÉRIFICATION D'EMAIL
+// Tant que l'adresse n'est pas confirmée (et si la politique serveur l'impose),
+// le compte est en lecture seule : le bandeau l'explique et permet de
+// redemander le lien. Il disparaît dès la réception de 'email_verified'.
+// -----------------------------------------------------------------------------
+function updateVerifyBanner() {
+    const banner = document.getElementById('verify-banner');
+    if (banner) banner.classList.toggle('show', state.readOnly);
+}
+
+async function resendVerification() {
+    const btn  = document.getElementById('verify-resend');
+    const text = document.getElementById('verify-text');
+    btn.disabled = true;
+
+    try {
+        const data = await apiRequest('/verify-email/resend', { method: 'POST' });
+        text.textContent = data.message || 'Lien envoyé. Vérifie ta boîte mail.';
+    } catch (err) {
+        text.textContent = err.message;
+    } finally {
+        // Le serveur limite les renvois : on évite les clics répétés côté client
+        setTimeout(() => { btn.disabled = false; }, 60000);
+    }
+}
+
+
+// -----------------------------------------------------------------------------
+// COMPTE INVITÉ
+// Un invité peut lire et publier quelques messages par jour, mais ni signaler
+// ni activer la double authentification. Le bandeau rappelle que le compte
+// n'existe que sur cet appareil et ouvre le formulaire de création du compte.
+// -----------------------------------------------------------------------------
+function updateGuestBanner() {
+    const banner = document.getElementById('guest-banner');
+    if (banner) banner.classList.toggle('show', state.isGuest);
+}
+
+async function upgradeGuestAccount() {
+    const payload = {
+        email:          document.getElementById('guest-email').value.trim(),
+        password:       document.getElementById('guest-password').value,
+        firstName:      document.getElementById('guest-first-name').value.trim(),
+        lastName:       document.getElementById('guest-last-name').value.trim(),
+        emergencyName:  document.getElementById('guest-emergency-name').value.trim(),
+        emergencyPhone: document.getElementById('guest-emergency-phone').value.trim(),
+    };
+    const confirmation = document.getElementById('guest-password-confirm').value;
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(payload.email)) {
+        showSettingsHint('settings-guest-hint', 'Email invalide.');
+        return;
+    }
+    const check = Security.validatePassword(payload.password, { username: state.pseudo, email: payload.email });
+    if (!check.valid) {
+        showSettingsHint('settings-guest-hint', check.issues[0]);
+        return;
+    }
+    if (payload.password !== confirmation) {
+        showSettingsHint('settings-guest-hint', 'Les mots de passe ne correspondent pas.');
+        return;
+    }
+
+    // Champs facultatifs : on n'envoie que ceux qui sont remplis
+    Object.keys(payload).forEach(k => { if (!payload[k]) delete payload[k]; });
+
+    const btn = document.getElementById('guest-upgrade');
+    btn.disabled = true;
+
+    try {
+        const data = await apiRequest('/guest/upgrade', {
+            method: 'POST',
+            body: JSON.stringify(payload)
+        });
+
+        // Le jeton d'appareil ne sert plus : la connexion se fait par email
+        localStorage.removeItem('tl_guest_device');
+        storeProfile(data.user);
+        applyProfileData(data.user);
+        updateGuestBanner();
+        updateVerifyBanner();
+
+        showSettingsHint('settings-guest-hint', 'Compte créé ! Un lien de confirmation a été envoyé à ton adresse email.', 'ok');
+        setTimeout(() => openPanel('profil'), 2500);
+    } catch (err) {
+        btn.disabled = false;
+        showSettingsHint('settings-guest-hint', err.message);
+    }
+}
+
+
 // -----------------------------------------------------------------------------
 // PANNEAU DE RESSOURCES
 // Contenu statique organisé en trois panneaux : respiration, conseils, urgences.
@@ -742,6 +1531,106 @@ const PANELS = {
 
             <div class="mood-entries-list" id="mood-entries-list"></div>`
     },
+    profil: {
+        title: 'Mon profil',
+        html: `
+            <p class="rp-intro">Ton pseudo et ton avatar sont visibles dans le chat. Ton nom et ton contact d'urgence restent privés.</p>
+
+            <div class="settings-section" id="settings-guest" hidden>
+                <div class="settings-label">Créer mon compte</div>
+                <p class="settings-desc">Tu es en mode invité : ce compte n'existe que sur cet appareil. Ajoute un email et un mot de passe pour le retrouver partout, sans perdre tes messages.</p>
+                <label class="settings-field">
+                    <span>Email</span>
+                    <input type="email" id="guest-email" autocomplete="email">
+                </label>
+                <label class="settings-field">
+                    <span>Mot de passe</span>
+                    <input type="password" id="guest-password" autocomplete="new-password" minlength="8">
+                </label>
+                <label class="settings-field">
+                    <span>Confirmation</span>
+                    <input type="password" id="guest-password-confirm" autocomplete="new-password" minlength="8">
+                </label>
+                <label class="settings-field">
+                    <span>Prénom (facultatif)</span>
+                    <input type="text" id="guest-first-name" maxlength="60" autocomplete="given-name">
+                </label>
+                <label class="settings-field">
+                    <span>Nom (facultatif)</span>
+                    <input type="text" id="guest-last-name" maxlength="60" autocomplete="family-name">
+                </label>
+                <label class="settings-field">
+                    <span>Contact d'urgence (facultatif)</span>
+                    <input type="text" id="guest-emergency-name" maxlength="100">
+                </label>
+                <label class="settings-field">
+                    <span>Téléphone du contact (facultatif)</span>
+                    <input type="tel" id="guest-emergency-phone" maxlength="30">
+                </label>
+                <button class="settings-save" id="guest-upgrade" onclick="upgradeGuestAccount()">Créer mon compte</button>
+                <div class="settings-hint" id="settings-guest-hint"></div>
+            </div>
+
+            <div class="settings-section">
+                <div class="settings-label">Avatar</div>
+                <div class="settings-avatars" id="settings-avatars"></div>
+
+                <label class="settings-field">
+                    <span>Pseudo</span>
+                    <input type="text" id="settings-username" maxlength="30">
+                </label>
+                <label class="settings-field settings-private">
+                    <span>Prénom</span>
+                    <input type="text" id="settings-first-name" maxlength="60" autocomplete="given-name">
+                </label>
+                <label class="settings-field settings-private">
+                    <span>Nom</span>
+                    <input type="text" id="settings-last-name" maxlength="60" autocomplete="family-name">
+                </label>
+                <label class="settings-field settings-private">
+                    <span>Contact d'urgence</span>
+                    <input type="text" id="settings-emergency-name" maxlength="100">
+                </label>
+                <label class="settings-field settings-private">
+                    <span>Téléphone du contact</span>
+                    <input type="tel" id="settings-emergency-phone" maxlength="30">
+                </label>
+                <button class="settings-save" id="settings-save" onclick="saveProfileSettings()">Enregistrer</button>
+                <div class="settings-hint" id="settings-hint"></div>
+            </div>
+
+            <div class="settings-section settings-private">
+                <div class="settings-label">Changer de mot de passe</div>
+                <label class="settings-field">
+                    <span>Mot de passe actuel</span>
+                    <input type="password" id="settings-current-password" autocomplete="current-password">
+                </label>
+                <label class="settings-field">
+                    <span>Nouveau mot de passe</span>
+                    <input type="password" id="settings-new-password" autocomplete="new-password" minlength="8">
+                </label>
+                <label class="settings-field">
+                    <span>Confirmation</span>
+                    <input type="password" id="settings-confirm-password" autocomplete="new-password" minlength="8">
+                </label>
+                <button class="settings-save" id="settings-password-save" onclick="changePassword()">Changer le mot de passe</button>
+                <div class="settings-hint" id="settings-password-hint"></div>
+            </div>
+
+            <div class="settings-section settings-private">
+                <div class="settings-label">Double authentification</div>
+                <p class="settings-desc">Un code à 6 chiffres généré par une application (Google Authenticator, Aegis, FreeOTP…) est demandé à chaque connexion, en plus du mot de passe.</p>
+                <div id="settings-2fa"></div>
+                <div class="settings-hint" id="settings-2fa-hint"></div>
+            </div>
+
+            <div class="settings-section">
+                <div class="settings-label">Mes sessions</div>
+                <p class="settings-desc">Appareils sur lesquels ton compte est connecté. Ferme une session que tu ne reconnais pas ou oubliée sur un poste partagé.</p>
+                <div id="settings-sessions"></div>
+                <div class="settings-hint" id="settings-sessions-hint"></div>
+            </div>`
+    },
     urgence: {
         title: "Contacts d'urgence",
         html: `
@@ -812,7 +1701,7 @@ const PANELS = {
 // Ouvre le panneau correspondant à la clé fournie.
 // La clé est validée contre la liste blanche ALLOWED pour éviter tout abus.
 function openPanel(key) {
-    const ALLOWED = ['breathing', 'conseils', 'urgence', 'humeur'];
+    const ALLOWED = ['breathing', 'conseils', 'urgence', 'humeur', 'profil'];
     if (!ALLOWED.includes(key)) return;
 
     stopBreathing();
@@ -829,6 +1718,7 @@ function openPanel(key) {
 
     // Initialiser le graphique après injection du HTML
     if (key === 'humeur') initMoodChart();
+    if (key === 'profil') initProfileSettings();
 }
 
 function closePanel() {
@@ -838,6 +1728,377 @@ function closePanel() {
 }
 
 
+// -----------------------------------------------------------------------------
+// MON PROFIL — Paramètres du compte
+// Le formulaire est pré-rempli depuis GET /api/profile/:id (profil privé) puis
+// envoyé à PATCH /api/profile. Seuls les champs modifiés sont transmis.
+// Les autres chats ouverts sont prévenus par le serveur ('profile_updated').
+// -----------------------------------------------------------------------------
+const AVATAR_CHOICES = [
+    '🌟','🌸','🦋','🌙','☀️','🌺',
+    '🍀','🌈','🎨','🎭','🌊','🏔️',
+    '🌳','🌵','🌻','🌹','🍁','🌾',
+    '🦁','🐬','🦚','🌠','💫','🎵'
+];
+
+let settingsProfile  = null; // profil tel que chargé, pour ne renvoyer que les différences
+let settingsAvatar   = null;
+
+// Met à jour le profil en cache (sessionStorage) après une modification.
+function storeProfile(changes) {
+    const cached = secureStorage.getJson('tl_profile') || {};
+    secureStorage.setJson('tl_profile', { ...cached, ...changes });
+    if (changes.avatar)   secureStorage.set('tl_avatar', changes.avatar);
+    if (changes.username) secureStorage.set('tl_pseudo', changes.username);
+}
+
+function showSettingsHint(id, msg, type = 'err') {
+    const hint = document.getElementById(id);
+    if (!hint) return;
+    hint.textContent = msg || '';
+    hint.className   = `settings-hint${type ? ' ' + type : ''}`;
+}
+
+function selectSettingsAvatar(av) {
+    settingsAvatar = av;
+    document.querySelectorAll('.settings-av').forEach(b => {
+        b.classList.toggle('selected', b.textContent === av);
+    });
+}
+
+async function initProfileSettings() {
+    const grid = document.getElementById('settings-avatars');
+    AVATAR_CHOICES.forEach(av => {
+        const btn = document.createElement('button');
+        btn.className   = 'settings-av';
+        btn.textContent = av;
+        btn.addEventListener('click', () => selectSettingsAvatar(av));
+        grid.appendChild(btn);
+    });
+
+    try {
+        const data = await apiRequest(`/profile/${state.userId}`);
+        if (!data || !data.user) return;
+        settingsProfile = data.user;
+
+        document.getElementById('settings-username').value        = data.user.username        || '';
+        document.getElementById('settings-first-name').value      = data.user.first_name      || '';
+        document.getElementById('settings-last-name').value       = data.user.last_name       || '';
+        document.getElementById('settings-emergency-name').value  = data.user.emergency_name  || '';
+        document.getElementById('settings-emergency-phone').value = data.user.emergency_phone || '';
+        selectSettingsAvatar(data.user.avatar);
+
+        // Invité : formulaire de création du compte à la place des champs privés,
+        // du mot de passe et de la 2FA (refusés par le serveur)
+        if (data.user.is_guest) {
+            document.getElementById('settings-guest').hidden = false;
+            document.querySelectorAll('.settings-private').forEach(el => { el.hidden = true; });
+        }
+    } catch (err) {
+        showSettingsHint('settings-hint', err.message);
+    }
+
+    if (!state.isGuest) loadTwoFactor();
+    loadSessions();
+    Security.loadPasswordPolicy(API_BASE);
+}
+
+// Double authentification : état (GET /api/2fa/status) puis formulaire adapté.
+// Désactivée → bouton d'activation ; active → codes de secours et désactivation
+// (masquée pour l'équipe de modération, pour qui elle est obligatoire).
+async function loadTwoFactor() {
+    const box = document.getElementById('settings-2fa');
+    if (!box) return;
+
+    try {
+        const data = await apiRequest('/2fa/status');
+        if (!data) return;
+
+        if (!data.enabled) {
+            box.innerHTML = `<button class="settings-save" id="twofa-setup" onclick="setupTwoFactor()">Activer la double authentification</button>`;
+            return;
+        }
+
+        const isStaff = isStaffRole();
+        box.innerHTML = `
+            <p class="settings-desc"><strong>Active</strong> depuis le ${escHtml(formatDate(data.enabled_at))} · ${Number(data.backup_codes_left)} code(s) de secours restant(s).</p>
+            <label class="settings-field">
+                <span>Code de l'application</span>
+                <input type="text" id="twofa-code" inputmode="numeric" autocomplete="one-time-code" maxlength="20">
+            </label>
+            <button class="settings-save" id="twofa-regenerate" onclick="regenerateBackupCodes()">Nouveaux codes de secours</button>
+            ${isStaff ? '' : `
+            <label class="settings-field">
+                <span>Mot de passe (pour désactiver)</span>
+                <input type="password" id="twofa-password" autocomplete="current-password">
+            </label>
+            <button class="session-revoke" id="twofa-disable" onclick="disableTwoFactor()">Désactiver</button>`}
+            <div id="twofa-backup-codes"></div>`;
+    } catch (err) {
+        showSettingsHint('settings-2fa-hint', err.message);
+    }
+}
+
+// Codes de secours : affichés une seule fois, à recopier en lieu sûr
+function showBackupCodes(codes) {
+    const box = document.getElementById('twofa-backup-codes') || document.getElementById('settings-2fa');
+    box.innerHTML = `
+        <p class="settings-desc">Recopie ces codes de secours en lieu sûr. Chacun permet une connexion si tu perds ton téléphone. Ils ne seront plus affichés.</p>
+        <div class="twofa-codes">${codes.map(c => `<code>${escHtml(c)}</code>`).join('')}</div>`;
+}
+
+async function setupTwoFactor() {
+    const btn = document.getElementById('twofa-setup');
+    btn.disabled = true;
+
+    try {
+        const data = await apiRequest('/2fa/setup', { method: 'POST' });
+        document.getElementById('settings-2fa').innerHTML = `
+            <p class="settings-desc">Scanne ce QR code avec ton application, puis saisis le code affiché.</p>
+            <img class="twofa-qr" src="${escHtml(data.qr_code)}" alt="QR code de double authentification">
+            <p class="settings-desc">Saisie manuelle : <code>${escHtml(data.secret)}</code></p>
+            <label class="settings-field">
+                <span>Code à 6 chiffres</span>
+                <input type="text" id="twofa-code" inputmode="numeric" autocomplete="one-time-code" maxlength="6">
+            </label>
+            <label class="settings-field">
+                <span>Mot de passe</span>
+                <input type="password" id="twofa-password" autocomplete="current-password">
+            </label>
+            <button class="settings-save" id="twofa-enable" onclick="enableTwoFactor()">Confirmer</button>`;
+    } catch (err) {
+        btn.disabled = false;
+        showSettingsHint('settings-2fa-hint', err.message);
+    }
+}
+
+async function enableTwoFactor() {
+    const code     = document.getElementById('twofa-code').value.trim();
+    const password = document.getElementById('twofa-password').value;
+    if (!/^\d{6}$/.test(code) || !password) {
+        showSettingsHint('settings-2fa-hint', 'Saisis le code à 6 chiffres et ton mot de passe.');
+        return;
+    }
+
+    const btn = document.getElementById('twofa-enable');
+    btn.disabled = true;
+
+    try {
+        const data = await apiRequest('/2fa/enable', {
+            method: 'POST',
+            body: JSON.stringify({ code, password })
+        });
+        storeProfile({ mfa_enabled: true });
+
+        // La session courante n'est pas validée par le second facteur :
+        // l'équipe se reconnecte (mot de passe + code) pour la modération
+        showBackupCodes(data.backup_codes || []);
+        showSettingsHint('settings-2fa-hint', data.relogin_for_mfa
+            ? 'Double authentification activée. Reconnecte-toi pour accéder à la modération.'
+            : 'Double authentification activée.', 'ok');
+    } catch (err) {
+        btn.disabled = false;
+        showSettingsHint('settings-2fa-hint', err.message);
+    }
+}
+
+async function regenerateBackupCodes() {
+    const code = document.getElementById('twofa-code').value.trim();
+    if (!/^\d{6}$/.test(code)) {
+        showSettingsHint('settings-2fa-hint', 'Saisis le code à 6 chiffres de ton application.');
+        return;
+    }
+    if (!confirm('Les anciens codes de secours ne fonctionneront plus. Continuer ?')) return;
+
+    const btn = document.getElementById('twofa-regenerate');
+    btn.disabled = true;
+
+    try {
+        const data = await apiRequest('/2fa/backup-codes/regenerate', {
+            method: 'POST',
+            body: JSON.stringify({ code })
+        });
+        document.getElementById('twofa-code').value = '';
+        showBackupCodes(data.backup_codes || []);
+        showSettingsHint('settings-2fa-hint', 'Nouveaux codes de secours générés.', 'ok');
+    } catch (err) {
+        showSettingsHint('settings-2fa-hint', err.message);
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function disableTwoFactor() {
+    const code     = document.getElementById('twofa-code').value.trim();
+    const password = document.getElementById('twofa-password').value;
+    if (!code || !password) {
+        showSettingsHint('settings-2fa-hint', 'Indique ton mot de passe et un code.');
+        return;
+    }
+
+    const btn = document.getElementById('twofa-disable');
+    btn.disabled = true;
+
+    try {
+        await apiRequest('/2fa/disable', {
+            method: 'POST',
+            body: JSON.stringify({ password, code })
+        });
+        storeProfile({ mfa_enabled: false });
+        showSettingsHint('settings-2fa-hint', 'Double authentification désactivée.', 'ok');
+        loadTwoFactor();
+    } catch (err) {
+        btn.disabled = false;
+        showSettingsHint('settings-2fa-hint', err.message);
+    }
+}
+
+// Liste des sessions actives (GET /api/sessions). Les libellés d'appareil
+// viennent du serveur : toujours échappés avant insertion.
+async function loadSessions() {
+    const list = document.getElementById('settings-sessions');
+    if (!list) return;
+
+    try {
+        const data = await apiRequest('/sessions');
+        if (!data || !Array.isArray(data.sessions)) return;
+
+        list.innerHTML = data.sessions.map(s => `
+            <div class="session-item${s.current ? ' current' : ''}">
+                <div class="session-info">
+                    <div class="session-device">${escHtml(s.user_agent)}${s.current ? ' <span class="session-badge">Cet appareil</span>' : ''}</div>
+                    <div class="session-meta">
+                        Connecté le ${escHtml(formatDate(s.created_at))} · actif ${s.online ? 'maintenant' : 'le ' + escHtml(formatDate(s.last_seen_at)) + ' à ' + escHtml(formatTime(s.last_seen_at))}
+                    </div>
+                </div>
+                <button class="session-revoke" data-session-id="${escHtml(s.id)}" onclick="revokeSession(this)">Fermer</button>
+            </div>`).join('');
+    } catch (err) {
+        showSettingsHint('settings-sessions-hint', err.message);
+    }
+}
+
+async function revokeSession(btn) {
+    const sessionId = btn.dataset.sessionId;
+    const isCurrent = btn.closest('.session-item').classList.contains('current');
+    if (isCurrent && !confirm('Fermer cette session te déconnectera de cet appareil. Continuer ?')) return;
+
+    btn.disabled = true;
+    try {
+        await apiRequest(`/sessions/${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+        if (isCurrent) {
+            clearSession();
+            return;
+        }
+        showSettingsHint('settings-sessions-hint', 'Session fermée.', 'ok');
+        loadSessions();
+    } catch (err) {
+        btn.disabled = false;
+        showSettingsHint('settings-sessions-hint', err.message);
+    }
+}
+
+async function saveProfileSettings() {
+    if (!settingsProfile) return;
+
+    const current = {
+        username:       document.getElementById('settings-username').value.trim(),
+        avatar:         settingsAvatar,
+        firstName:      document.getElementById('settings-first-name').value.trim(),
+        lastName:       document.getElementById('settings-last-name').value.trim(),
+        emergencyName:  document.getElementById('settings-emergency-name').value.trim(),
+        emergencyPhone: document.getElementById('settings-emergency-phone').value.trim(),
+    };
+    const previous = {
+        username:       settingsProfile.username,
+        avatar:         settingsProfile.avatar,
+        firstName:      settingsProfile.first_name      || '',
+        lastName:       settingsProfile.last_name       || '',
+        emergencyName:  settingsProfile.emergency_name  || '',
+        emergencyPhone: settingsProfile.emergency_phone || '',
+    };
+
+    const changes = {};
+    Object.keys(current).forEach(k => {
+        if (current[k] !== previous[k]) changes[k] = current[k];
+    });
+    if (Object.keys(changes).length === 0) {
+        showSettingsHint('settings-hint', 'Aucune modification.', '');
+        return;
+    }
+    if (changes.username !== undefined && !validatePseudo(changes.username)) {
+        showSettingsHint('settings-hint', 'Pseudo invalide (3 à 20 caractères, lettres, chiffres, - et _).');
+        return;
+    }
+
+    const btn = document.getElementById('settings-save');
+    btn.disabled = true;
+
+    try {
+        const data = await apiRequest('/profile', {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        });
+        if (!data || !data.user) return;
+
+        settingsProfile = data.user;
+        applyProfileData(data.user);
+        storeProfile(data.user);
+        applyUserProfile();
+        showSettingsHint('settings-hint', 'Profil mis à jour.', 'ok');
+    } catch (err) {
+        showSettingsHint('settings-hint', err.message);
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function changePassword() {
+    const currentPassword = document.getElementById('settings-current-password').value;
+    const newPassword     = document.getElementById('settings-new-password').value;
+    const confirm         = document.getElementById('settings-confirm-password').value;
+
+    if (!currentPassword) {
+        showSettingsHint('settings-password-hint', 'Indique ton mot de passe actuel.');
+        return;
+    }
+    const passwordCheck = Security.validatePassword(newPassword, {
+        username: settingsProfile && settingsProfile.username,
+        email:    settingsProfile && settingsProfile.email
+    });
+    if (!passwordCheck.valid) {
+        showSettingsHint('settings-password-hint', passwordCheck.issues[0] + '.');
+        return;
+    }
+    if (newPassword !== confirm) {
+        showSettingsHint('settings-password-hint', 'Les deux mots de passe ne correspondent pas.');
+        return;
+    }
+
+    const btn = document.getElementById('settings-password-save');
+    btn.disabled = true;
+
+    try {
+        const data = await apiRequest('/profile', {
+            method: 'PATCH',
+            body: JSON.stringify({ currentPassword, newPassword })
+        });
+
+        // L'ancien access token est révoqué : on garde celui renvoyé par le serveur
+        if (data.token)        sessionStorage.setItem('tl_token',   data.token);
+        if (data.refreshToken) sessionStorage.setItem('tl_refresh', data.refreshToken);
+
+        ['settings-current-password', 'settings-new-password', 'settings-confirm-password']
+            .forEach(id => { document.getElementById(id).value = ''; });
+        showSettingsHint('settings-password-hint', 'Mot de passe modifié. Tes autres appareils ont été déconnectés.', 'ok');
+    } catch (err) {
+        showSettingsHint('settings-password-hint', err.message);
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+
 // -----------------------------------------------------------------------------
 // GRAPHIQUE D'HUMEUR
 // Courbe SVG dessinée en JS pur — pas de librairie externe.
@@ -1060,10 +2321,42 @@ function toggleSidebar() {
 
 // -----------------------------------------------------------------------------
 // DÉCONNEXION
-// Efface la session et redirige vers la page de connexion.
+// Révoque le token côté serveur (POST /api/logout) puis efface la session.
+// Vider le sessionStorage seul laisserait un token utilisable — problématique
+// sur les ordinateurs partagés du campus. Si le serveur est injoignable, on
+// nettoie quand même la session locale.
 // -----------------------------------------------------------------------------
-function logout() {
+async function logout() {
+    try {
+        await apiRequest('/logout', { method: 'POST' });
+    } catch {}
+    clearSession();
+}
+
+// Révoque toutes les sessions de l'utilisateur, sur tous ses appareils.
+async function logoutAll() {
+    if (!confirm('Déconnecter tous tes appareils ? Tu devras te reconnecter partout.')) return;
+    try {
+        await apiRequest('/logout-all', { method: 'POST' });
+    } catch {
+        showInputError('Impossible de joindre le serveur.');
+        return;
+    }
+    clearSession();
+}
+
+// Efface les données de session locales et renvoie vers la connexion.
+// notice : message affiché sur la page de connexion (suspension du compte…).
+// Une seule fois : les événements qui suivent une suspension (session_revoked,
+// disconnect) ne doivent pas effacer le message.
+let sessionCleared = false;
+
+function clearSession(notice = null) {
+    if (sessionCleared) return;
+    sessionCleared = true;
+    if (socket) socket.disconnect();
     sessionStorage.clear();
+    if (notice) sessionStorage.setItem('tl_notice', notice);
     localStorage.removeItem('tl_token');
     localStorage.removeItem('tl_user_id');
     window.location.href = 'connexion.html';
@@ -1123,6 +2416,206 @@ async function deleteMsg(btn) {
 }
 
 
+// -----------------------------------------------------------------------------
+// RÉPONSES, CITATIONS ET FILS
+// "Répondre" rattache le prochain message envoyé à celui choisi (barre au-dessus
+// de la saisie) : la réponse s'affiche avec un aperçu du message d'origine, et
+// celui-ci gagne un bouton "💬 N réponses" qui déplie son fil en dessous.
+// "Citer" recopie simplement le texte dans la saisie, sans créer de fil.
+// -----------------------------------------------------------------------------
+function formatReplyCount(count) {
+    return count > 1 ? `${count} réponses` : `${count} réponse`;
+}
+
+function messageOf(btn) {
+    const row = btn.closest('.msg-row');
+    btn.closest('.msg-menu')?.classList.remove('open');
+    if (!row?.dataset.messageId) return null;
+    return {
+        id:   Number(row.dataset.messageId),
+        name: row.querySelector('.msg-author')?.textContent || '',
+        text: row.querySelector('.msg-bubble')?.textContent || ''
+    };
+}
+
+function replyMsg(btn) {
+    const message = messageOf(btn);
+    if (!message) return;
+
+    state.replyTo = message;
+    document.getElementById('reply-bar-name').textContent    = `@${message.name}`;
+    document.getElementById('reply-bar-content').textContent = message.text;
+    document.getElementById('reply-bar').hidden = false;
+    document.getElementById('msg-input').focus();
+}
+
+function cancelReply() {
+    state.replyTo = null;
+    const bar = document.getElementById('reply-bar');
+    if (bar) bar.hidden = true;
+}
+
+function quoteMsg(btn) {
+    const message = messageOf(btn);
+    if (!message) return;
+
+    const input   = document.getElementById('msg-input');
+    const excerpt = message.text.length > 200 ? `${message.text.slice(0, 200)}…` : message.text;
+    input.value   = `« ${excerpt} » — ${message.name}\n${input.value}`;
+    input.focus();
+    input.setSelectionRange(input.value.length, input.value.length);
+    input.dispatchEvent(new Event('input')); // ajuste la hauteur de la zone
+}
+
+function scrollToMessage(messageId) {
+    const row = document.querySelector(`.msg-row[data-message-id="${messageId}"]`);
+    if (!row) return;
+    row.scrollIntoView({ block: 'center' });
+    row.classList.add('highlight');
+    setTimeout(() => row.classList.remove('highlight'), 1500);
+}
+
+function changeReplyCount(messageId, delta) {
+    const row    = document.querySelector(`.msg-row[data-message-id="${messageId}"]`);
+    const toggle = row?.querySelector('.thread-toggle');
+    if (!toggle) return;
+
+    const count = Math.max(0, (parseInt(toggle.dataset.count, 10) || 0) + delta);
+    toggle.dataset.count = count;
+    toggle.querySelector('.thread-count').textContent = formatReplyCount(count);
+    toggle.hidden = count === 0;
+}
+
+function buildThreadReply(m) {
+    const item = document.createElement('div');
+    item.className = 'thread-reply';
+    item.dataset.replyId = m.id;
+    item.innerHTML = `
+        <span class="thread-av">${escHtml(m.avatar)}</span>
+        <div>
+            <span class="msg-author">${escHtml(m.username)}</span>
+            <span class="msg-time">${escHtml(formatTime(m.created_at))}</span>
+            <div class="thread-text">${escHtml(m.content)}</div>
+        </div>`;
+    return item;
+}
+
+// Nouvelle réponse diffusée : compteur du message d'origine, et fil s'il est déplié
+function addThreadReply(parentId, message) {
+    changeReplyCount(parentId, +1);
+    const thread = document.querySelector(`.msg-row[data-message-id="${parentId}"] .msg-thread`);
+    if (thread && !thread.hidden && !thread.querySelector(`[data-reply-id="${message.id}"]`)) {
+        thread.appendChild(buildThreadReply(message));
+    }
+}
+
+// Message modifié (content) ou supprimé (null) : aperçus et fils qui le reprennent
+function updateThreadReferences(messageId, content) {
+    document.querySelectorAll(`.msg-row[data-reply-to="${messageId}"] .msg-quote`).forEach(quote => {
+        if (content === null) quote.innerHTML = '<span class="msg-quote-text">Message supprimé</span>';
+        else {
+            const text = quote.querySelector('.msg-quote-text');
+            if (text) text.textContent = content.slice(0, 140);
+        }
+    });
+    if (content !== null) {
+        document.querySelectorAll(`.thread-reply[data-reply-id="${messageId}"] .thread-text`)
+            .forEach(el => { el.textContent = content; });
+    }
+}
+
+async function toggleThread(btn) {
+    const row    = btn.closest('.msg-row');
+    const thread = row.querySelector('.msg-thread');
+
+    if (!thread.hidden) {
+        thread.hidden = true;
+        btn.classList.remove('open');
+        return;
+    }
+
+    btn.disabled = true;
+    try {
+        const data = await apiRequest(`/messages/${row.dataset.messageId}/thread`);
+        thread.innerHTML = '';
+        data.replies.forEach(m => thread.appendChild(buildThreadReply(m)));
+        thread.hidden = false;
+        btn.classList.add('open');
+    } catch (err) {
+        showInputError(err.status === 404 ? 'Ce message a été supprimé.' : 'Impossible de charger les réponses.');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+
+// -----------------------------------------------------------------------------
+// MODIFICATION D'UN MESSAGE
+// L'auteur corrige son texte directement dans la bulle (Entrée pour valider,
+// Échap pour annuler). Le serveur n'accepte la modification que pendant
+// quelques minutes après l'envoi ; la nouvelle version arrive à tous les
+// connectés du salon par 'message_edited', avec la mention "(modifié)".
+// -----------------------------------------------------------------------------
+function showEditedContent(row, content) {
+    const bubble = row.querySelector('.msg-bubble');
+    if (bubble && !bubble.querySelector('.msg-edit-input')) bubble.textContent = content;
+    const mark = row.querySelector('.msg-edited');
+    if (mark) mark.hidden = false;
+}
+
+// Refus dont la raison s'affiche telle quelle (délai dépassé, règles du salon)
+const EDIT_ERROR_CODES = ['EDIT_WINDOW_EXPIRED', 'MESSAGE_TOO_LONG', 'SALON_READ_ONLY', 'SALON_ANNOUNCEMENTS'];
+
+function editMsg(btn) {
+    const row       = btn.closest('.msg-row');
+    const messageId = row?.dataset.messageId;
+    const bubble    = row?.querySelector('.msg-bubble');
+    if (!messageId || !bubble || bubble.querySelector('.msg-edit-input')) return;
+
+    btn.closest('.msg-menu').classList.remove('open');
+
+    const original = bubble.textContent;
+    const input    = document.createElement('textarea');
+    input.className = 'msg-edit-input';
+    input.value     = original;
+    input.maxLength = salonMaxLength();
+    bubble.textContent = '';
+    bubble.appendChild(input);
+    input.focus();
+
+    const restore = (text) => { bubble.textContent = text; };
+
+    input.addEventListener('keydown', async (e) => {
+        if (e.key === 'Escape') return restore(original);
+        if (e.key !== 'Enter' || e.shiftKey) return;
+        e.preventDefault();
+
+        const text = input.value.trim();
+        if (!text || text === original) return restore(original);
+        if (!confirmPersonalData(text, findPersonalData(text))) return;
+
+        input.disabled = true;
+        try {
+            const data = await apiRequest(`/messages/${messageId}`, {
+                method: 'PATCH',
+                body:   JSON.stringify({ content: text })
+            });
+            restore(data.message.content);
+            showEditedContent(row, data.message.content);
+            setHeldState(row, !!data.message.held_at);
+            if (data.notice) showInputError(data.notice, NOTICE_MS);
+        } catch (err) {
+            restore(original);
+            if (err.code === 'MESSAGE_REJECTED' || err.code === 'PII_BLOCKED') showInputError(err.message, NOTICE_MS);
+            else showInputError(EDIT_ERROR_CODES.includes(err.code) ? err.message : 'Impossible de modifier le message.');
+        }
+    });
+    input.addEventListener('blur', () => {
+        if (!input.disabled) restore(original);
+    });
+}
+
+
 // -----------------------------------------------------------------------------
 // SIGNALEMENT D'UN MESSAGE
 // Ouvre une modale de confirmation avec choix de la raison.
@@ -1207,9 +2700,21 @@ async function submitReport() {
 
         closeReportModal();
         showInputError('✅ Signalement envoyé. Merci de veiller à la communauté.');
-    } catch {
+    } catch (err) {
         submitBtn.disabled = false;
         submitBtn.textContent = 'Signaler';
+        if (err.code === 'EMAIL_NOT_VERIFIED') {
+            closeReportModal();
+            state.readOnly = true;
+            updateVerifyBanner();
+            showInputError(err.message);
+            return;
+        }
+        if (err.code === 'GUEST_FORBIDDEN') {
+            closeReportModal();
+            showInputError(err.message);
+            return;
+        }
         showInputError("Impossible d'envoyer le signalement.");
     }
 }
\ No newline at end of file
@@ -55,6 +55,29 @@ function init() {
     document.getElementById('random-btn').addEventListener('click', generatePseudo);
     document.getElementById('btn-enter').addEventListener('click', submitProfile);
     document.getElementById('btn-login').addEventListener('click', submitLogin);
+    document.getElementById('btn-mfa').addEventListener('click', submitMfa);
+    document.getElementById('mfa-code').addEventListener('keydown', e => {
+        if (e.key === 'Enter') submitMfa();
+    });
+    document.getElementById('btn-forgot').addEventListener('click', submitForgot);
+    document.getElementById('btn-reset').addEventListener('click', submitReset);
+    document.getElementById('btn-guest').addEventListener('click', submitGuest);
+    document.getElementById('btn-guest-resume').addEventListener('click', resumeGuest);
+    document.getElementById('btn-guest-resume').hidden = !localStorage.getItem(GUEST_DEVICE_KEY);
+    openResetFromUrl();
+    verifyEmailFromUrl();
+    showSessionNotice();
+    Security.loadPasswordPolicy(API_BASE).then(applyPasswordPolicy);
+}
+
+// Affiche la longueur minimale exigée par le serveur dans les champs de mot de passe.
+function applyPasswordPolicy(policy) {
+    ['password-input', 'reset-password', 'reset-password-confirm'].forEach(id => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        input.minLength = policy.minLength;
+        if (input.placeholder) input.placeholder = `Minimum ${policy.minLength} caractères`;
+    });
 }
 
 // Génère dynamiquement la grille d'avatars depuis la liste AVATARS.
@@ -174,7 +197,8 @@ function getProfileData() {
 
 // Valide l'ensemble des champs du profil et retourne un objet résultat.
 // Les règles : noms 2-40 chars, email format standard, téléphone 6-20 chiffres,
-// mot de passe minimum 6 caractères, conditions acceptées.
+// mot de passe conforme à la politique du serveur (Security.validatePassword),
+// conditions acceptées.
 function validateProfileFields() {
     const data    = getProfileData();
     const nameRe  = /^[A-Za-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u00FF' -]{2,40}$/;
@@ -190,7 +214,11 @@ function validateProfileFields() {
     if (!nameRe.test(data.emergencyName))   return { ok: false, type: 'err', msg: 'Nom du contact invalide.' };
     if (!emailRe.test(data.email))          return { ok: false, type: 'err', msg: 'Email invalide.' };
     if (!phoneRe.test(data.emergencyPhone)) return { ok: false, type: 'err', msg: 'Numéro du contact invalide.' };
-    if (data.password.length < 6)           return { ok: false, type: 'err', msg: 'Mot de passe trop court (min 6).' };
+    const passwordCheck = Security.validatePassword(data.password, {
+        username: document.getElementById('pseudo-input').value.trim(),
+        email:    data.email
+    });
+    if (!passwordCheck.valid)               return { ok: false, type: 'err', msg: passwordCheck.issues[0] + '.' };
     if (!data.termsAccepted)                return { ok: false, type: 'err', msg: 'Tu dois accepter les règles et la confidentialité.' };
 
     return { ok: true, type: 'ok', msg: 'Profil complet.' };
@@ -209,6 +237,9 @@ function updateProfileHint(result) {
 // Active le bouton "Continuer" de l'étape 2 uniquement si pseudo et profil sont valides.
 function updateStep2Buttons() {
     document.getElementById('next-to-3').disabled = !(pseudoOk && profileOk);
+    // Le mode invité ne demande que le pseudo, l'avatar et l'acceptation des règles
+    document.getElementById('btn-guest').disabled =
+        !(pseudoOk && selectedAvatar && document.getElementById('terms-check').checked);
 }
 
 
@@ -246,8 +277,12 @@ async function apiRequest(path, options = {}) {
     const res  = await fetch(`${API_BASE}${path}`, opts);
     const data = await res.json().catch(() => ({}));
     if (!res.ok) {
-        const msg = data && data.error ? data.error : 'Une erreur est survenue.';
-        throw new Error(msg);
+        // 422 : le détail du premier champ refusé est plus parlant que "Données invalides"
+        const detail = data && Array.isArray(data.details) && data.details[0];
+        const msg    = detail ? detail.message : (data && data.error ? data.error : 'Une erreur est survenue.');
+        const err    = new Error(msg);
+        err.status   = res.status;
+        throw err;
     }
     return data;
 }
@@ -276,6 +311,16 @@ function showLoginHint(msg, type = 'err') {
     else hint.className = 'input-hint';
 }
 
+// Zones d'état des panneaux "mot de passe oublié" et "nouveau mot de passe"
+function showHint(id, msg, type = 'err') {
+    const hint = document.getElementById(id);
+    if (!hint) return;
+    hint.textContent = msg || '';
+    if (type === 'ok')  hint.className = 'input-hint ok';
+    else if (type === 'err') hint.className = 'input-hint err';
+    else hint.className = 'input-hint';
+}
+
 
 // -----------------------------------------------------------------------------
 // BASCULEMENT INSCRIPTION / CONNEXION
@@ -291,6 +336,9 @@ function switchAuth(panel) {
     });
     showServerHint('');
     showLoginHint('');
+    showHint('forgot-hint', '');
+    showHint('reset-hint', '');
+    showHint('mfa-hint', '');
 }
 
 
@@ -299,7 +347,22 @@ function switchAuth(panel) {
 // Envoie email + mot de passe au backend. En cas de succès, stocke les données
 // de session et redirige vers le chat. En cas d'échec, affiche le message
 // d'erreur retourné par le serveur.
+// Si la double authentification est active, le serveur répond mfaRequired :
+// on passe au panneau du code (submitMfa).
 // -----------------------------------------------------------------------------
+let mfaToken = null;
+
+// Stockage des tokens (access + refresh) et des données de session
+function storeSession(data) {
+    if (data.token)        sessionStorage.setItem('tl_token',   data.token);
+    if (data.refreshToken) sessionStorage.setItem('tl_refresh', data.refreshToken);
+    sessionStorage.setItem('tl_user_id', data.user.id);
+    sessionStorage.setItem('tl_profile',  JSON.stringify(data.user));
+    sessionStorage.setItem('tl_avatar',   data.user.avatar  || '');
+    sessionStorage.setItem('tl_pseudo',   data.user.username || data.user.pseudo || '');
+    sessionStorage.setItem('tl_role',     data.user.role || 'user');
+}
+
 async function submitLogin() {
     const email    = document.getElementById('login-email').value.trim();
     const password = document.getElementById('login-password').value;
@@ -320,15 +383,17 @@ async function submitLogin() {
             body: JSON.stringify({ email, password })
         });
 
+        if (data && data.mfaRequired) {
+            mfaToken = data.mfaToken;
+            switchAuth('2fa');
+            document.getElementById('mfa-code').value = '';
+            document.getElementById('mfa-code').focus();
+            return;
+        }
+
         if (!data || !data.user) throw new Error('Connexion impossible.');
 
-        // Stockage du token JWT et des données de session
-        if (data.token) sessionStorage.setItem('tl_token', data.token);
-        sessionStorage.setItem('tl_user_id', data.user.id);
-        sessionStorage.setItem('tl_profile',  JSON.stringify(data.user));
-        sessionStorage.setItem('tl_avatar',   data.user.avatar  || '');
-        sessionStorage.setItem('tl_pseudo',   data.user.username || data.user.pseudo || '');
-        sessionStorage.setItem('tl_is_admin', data.user.is_admin ? '1' : '0');
+        storeSession(data);
 
         showLoginHint('Connexion réussie. Redirection...', 'ok');
         window.location.href = 'chat.html';
@@ -341,6 +406,259 @@ async function submitLogin() {
     }
 }
 
+async function submitMfa() {
+    const code = document.getElementById('mfa-code').value.trim();
+
+    if (!mfaToken) {
+        switchAuth('login');
+        showLoginHint('Étape de connexion expirée. Recommence.');
+        return;
+    }
+    if (code.length < 6) {
+        showHint('mfa-hint', 'Saisis le code à 6 chiffres ou un code de secours.');
+        return;
+    }
+
+    const btn      = document.getElementById('btn-mfa');
+    const original = btn.innerHTML;
+    btn.disabled   = true;
+    btn.innerHTML  = 'Vérification...';
+
+    try {
+        const data = await apiRequest('/login/2fa', {
+            method: 'POST',
+            body: JSON.stringify({ mfaToken, code })
+        });
+
+        if (!data || !data.user) throw new Error('Connexion impossible.');
+
+        mfaToken = null;
+        storeSession(data);
+
+        showHint('mfa-hint', 'Connexion réussie. Redirection...', 'ok');
+        window.location.href = 'chat.html';
+
+    } catch (err) {
+        showHint('mfa-hint', err.message || 'Code incorrect.');
+    } finally {
+        btn.disabled  = false;
+        btn.innerHTML = original;
+    }
+}
+
+
+// -----------------------------------------------------------------------------
+// MODE INVITÉ — Pseudo et avatar seulement
+// Le serveur renvoie un jeton d'appareil, gardé en localStorage (et non en
+// sessionStorage) : c'est la seule clé du compte invité, elle doit survivre à
+// la fermeture de l'onglet. Il est oublié dès que le compte est converti.
+// -----------------------------------------------------------------------------
+const GUEST_DEVICE_KEY = 'tl_guest_device';
+
+async function submitGuest() {
+    const pseudo = document.getElementById('pseudo-input').value.trim();
+
+    if (!selectedAvatar || !isPseudoValid(pseudo)) {
+        showHint('guest-hint', 'Choisis un avatar et un pseudo valide.');
+        return;
+    }
+    if (!document.getElementById('terms-check').checked) {
+        showHint('guest-hint', "Accepte les règles d'utilisation pour entrer.");
+        return;
+    }
+
+    const btn      = document.getElementById('btn-guest');
+    const original = btn.innerHTML;
+    btn.disabled   = true;
+    btn.innerHTML  = 'Entrée...';
+
+    try {
+        const data = await apiRequest('/guest', {
+            method: 'POST',
+            body: JSON.stringify({
+                username:            pseudo,
+                avatar:              selectedAvatar,
+                // Jeton d'un précédent compte invité : le serveur refuse un
+                // nouveau compte à un invité suspendu
+                previousDeviceToken: localStorage.getItem(GUEST_DEVICE_KEY) || undefined
+            })
+        });
+
+        if (!data || !data.user || !data.deviceToken) throw new Error('Entrée impossible.');
+
+        localStorage.setItem(GUEST_DEVICE_KEY, data.deviceToken);
+        storeSession(data);
+
+        showHint('guest-hint', 'Bienvenue ! Redirection...', 'ok');
+        window.location.href = 'chat.html';
+
+    } catch (err) {
+        showHint('guest-hint', err.message || "Erreur lors de l'entrée en invité.");
+    } finally {
+        btn.disabled  = false;
+        btn.innerHTML = original;
+    }
+}
+
+async function resumeGuest() {
+    const deviceToken = localStorage.getItem(GUEST_DEVICE_KEY);
+    const btn         = document.getElementById('btn-guest-resume');
+
+    if (!deviceToken) {
+        btn.hidden = true;
+        return;
+    }
+
+    btn.disabled = true;
+
+    try {
+        const data = await apiRequest('/guest/login', {
+            method: 'POST',
+            body: JSON.stringify({ deviceToken })
+        });
+
+        if (!data || !data.user) throw new Error('Connexion impossible.');
+
+        storeSession(data);
+
+        showLoginHint('Connexion réussie. Redirection...', 'ok');
+        window.location.href = 'chat.html';
+
+    } catch (err) {
+        // Jeton inconnu ou compte déjà converti : inutile de le garder
+        if (err.status === 401) {
+            localStorage.removeItem(GUEST_DEVICE_KEY);
+            btn.hidden = true;
+        }
+        showLoginHint(err.message || 'Session invité introuvable.');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+
+// -----------------------------------------------------------------------------
+// MOT DE PASSE OUBLIÉ — Demande d'un lien puis choix du nouveau mot de passe
+// Le lien reçu par email ouvre connexion.html?reset=<token>. Le token est
+// retiré de l'URL dès la lecture (historique, partage d'écran) et gardé en
+// mémoire jusqu'à la soumission.
+// -----------------------------------------------------------------------------
+let resetToken = null;
+
+function openResetFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const token  = params.get('reset');
+    if (!token) return;
+
+    resetToken = token;
+    window.history.replaceState(null, '', window.location.pathname);
+    switchAuth('reset');
+}
+
+async function submitForgot() {
+    const email = document.getElementById('forgot-email').value.trim();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        showHint('forgot-hint', 'Email invalide.');
+        return;
+    }
+
+    const btn      = document.getElementById('btn-forgot');
+    const original = btn.innerHTML;
+    btn.disabled   = true;
+    btn.innerHTML  = 'Envoi...';
+
+    try {
+        const data = await apiRequest('/password/forgot', {
+            method: 'POST',
+            body: JSON.stringify({ email })
+        });
+        showHint('forgot-hint', data.message || 'Email envoyé.', 'ok');
+    } catch (err) {
+        showHint('forgot-hint', err.message || 'Erreur lors de l\'envoi.');
+    } finally {
+        btn.disabled  = false;
+        btn.innerHTML = original;
+    }
+}
+
+async function submitReset() {
+    const password = document.getElementById('reset-password').value;
+    const confirm  = document.getElementById('reset-password-confirm').value;
+
+    if (!resetToken) {
+        showHint('reset-hint', 'Lien invalide. Refais une demande de réinitialisation.');
+        return;
+    }
+    const passwordCheck = Security.validatePassword(password);
+    if (!passwordCheck.valid) {
+        showHint('reset-hint', passwordCheck.issues[0] + '.');
+        return;
+    }
+    if (password !== confirm) {
+        showHint('reset-hint', 'Les deux mots de passe ne correspondent pas.');
+        return;
+    }
+
+    const btn      = document.getElementById('btn-reset');
+    const original = btn.innerHTML;
+    btn.disabled   = true;
+    btn.innerHTML  = 'Validation...';
+
+    try {
+        const data = await apiRequest('/password/reset', {
+            method: 'POST',
+            body: JSON.stringify({ token: resetToken, password })
+        });
+        resetToken = null;
+        switchAuth('login');
+        showLoginHint(data.message || 'Mot de passe modifié. Tu peux te connecter.', 'ok');
+    } catch (err) {
+        showHint('reset-hint', err.message || 'Erreur lors de la réinitialisation.');
+    } finally {
+        btn.disabled  = false;
+        btn.innerHTML = original;
+    }
+}
+
+
+// -----------------------------------------------------------------------------
+// MESSAGE DE FIN DE SESSION
+// Laissé par chat.js quand le serveur ferme la session avec une explication
+// (suspension du compte : motif et date de fin). Affiché une seule fois.
+// -----------------------------------------------------------------------------
+function showSessionNotice() {
+    const notice = sessionStorage.getItem('tl_notice');
+    if (!notice) return;
+
+    sessionStorage.removeItem('tl_notice');
+    switchAuth('login');
+    showLoginHint(notice);
+}
+
+
+// -----------------------------------------------------------------------------
+// VÉRIFICATION D'EMAIL — Lien reçu après l'inscription
+// connexion.html?verify=<token> : on valide le token auprès de l'API puis on
+// affiche le résultat sur le panneau de connexion. Les onglets de chat ouverts
+// sont prévenus par le serveur (événement 'email_verified').
+// -----------------------------------------------------------------------------
+async function verifyEmailFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const token  = params.get('verify');
+    if (!token) return;
+
+    window.history.replaceState(null, '', window.location.pathname);
+    switchAuth('login');
+    showLoginHint('Vérification de ton adresse email...', 'idle');
+
+    try {
+        const data = await apiRequest(`/verify-email?token=${encodeURIComponent(token)}`);
+        showLoginHint(data.message || 'Adresse email confirmée.', 'ok');
+    } catch (err) {
+        showLoginHint(err.message || 'Lien de vérification invalide.');
+    }
+}
+
 
 // -----------------------------------------------------------------------------
 // INSCRIPTION — Soumission du formulaire complet
@@ -397,13 +715,14 @@ async function submitProfile() {
 
         if (!data || !data.user) throw new Error('Création impossible.');
 
-        // Stockage du token JWT et des données de session
-        if (data.token) sessionStorage.setItem('tl_token', data.token);
+        // Stockage des tokens (access + refresh) et des données de session
+        if (data.token)        sessionStorage.setItem('tl_token',   data.token);
+        if (data.refreshToken) sessionStorage.setItem('tl_refresh', data.refreshToken);
         sessionStorage.setItem('tl_user_id', data.user.id);
         sessionStorage.setItem('tl_profile',  JSON.stringify(data.user));
         sessionStorage.setItem('tl_avatar',   data.user.avatar  || '');
         sessionStorage.setItem('tl_pseudo',   data.user.username || data.user.pseudo || '');
-        sessionStorage.setItem('tl_is_admin', data.user.is_admin ? '1' : '0');
+        sessionStorage.setItem('tl_role',     data.user.role || 'user');
 
         showServerHint('Compte créé. Redirection...', 'ok');
         window.location.href = 'chat.html';
@@ -0,0 +1,32 @@
+// =============================================================================
+// TRUST LAYER — politique.js
+// Durées de conservation affichées dans la politique de confidentialité.
+// La page indique les durées par défaut ; si le backend répond, elles sont
+// remplacées par celles qu'il applique (GET /health → retention.days).
+// =============================================================================
+
+const HEALTH_URL = 'http://localhost:3000/health';
+
+// "365 jours", "1 jour" ; 0 = pas de purge
+function formatRetention(days) {
+    if (days === 0) return 'tant que ton compte existe';
+    return `${days} jour${days > 1 ? 's' : ''}`;
+}
+
+async function loadRetention() {
+    try {
+        const res = await fetch(HEALTH_URL);
+        if (!res.ok) return;
+        const { retention } = await res.json();
+        if (!retention || !retention.days) return;
+
+        document.querySelectorAll('[data-retention]').forEach(el => {
+            const days = retention.days[el.dataset.retention];
+            if (Number.isInteger(days)) el.textContent = formatRetention(days);
+        });
+    } catch {
+        // Backend injoignable : les durées par défaut restent affichées
+    }
+}
+
+loadRetention();
@@ -69,19 +69,33 @@ const Security = {
     // -------------------------------------------------------------------------
     // VALIDATION DU MOT DE PASSE
     // Évalue la robustesse du mot de passe et retourne un rapport détaillé.
-    // Le minimum strict est 6 caractères — en dessous, le mot de passe est rejeté.
+    // Les règles bloquantes reprennent celles du serveur (utils/passwordPolicy.js),
+    // qui reste seul juge : la liste complète des mots de passe fuités n'est
+    // vérifiée que côté serveur.
     // -------------------------------------------------------------------------
-    validatePassword(password) {
-        const issues = [];
-        let strength = 'weak';
 
-        if (!password || password.length < 6) {
-            issues.push('Minimum 6 caractères requis');
-            return { valid: false, strength: 'weak', issues };
-        }
+    // Valeurs par défaut du serveur — remplacées par loadPasswordPolicy()
+    passwordPolicy: { minLength: 8, maxLength: 128, minClasses: 2 },
 
-        if (password.length < 8) {
-            issues.push('8 caractères ou plus sont recommandés');
+    // Récupère les règles configurées sur le serveur (GET /api/password/policy).
+    async loadPasswordPolicy(apiBase) {
+        try {
+            const res = await fetch(`${apiBase}/password/policy`);
+            if (res.ok) this.passwordPolicy = { ...this.passwordPolicy, ...(await res.json()) };
+        } catch {}
+        return this.passwordPolicy;
+    },
+
+    // context : { username, email } — le mot de passe ne doit contenir ni l'un ni l'autre.
+    validatePassword(password, context = {}) {
+        const { minLength, maxLength, minClasses } = this.passwordPolicy;
+        const errors = [];
+        const tips   = [];
+        let strength = 'weak';
+
+        if (!password || password.length < minLength || password.length > maxLength) {
+            errors.push(`Entre ${minLength} et ${maxLength} caractères requis`);
+            return { valid: false, strength: 'weak', issues: errors };
         }
 
         const hasLower   = /[a-z]/.test(password);
@@ -91,21 +105,32 @@ const Security = {
 
         const criteriaCount = [hasLower, hasUpper, hasNumber, hasSpecial].filter(Boolean).length;
 
-        if (criteriaCount >= 3 && password.length >= 8) strength = 'strong';
-        else if (criteriaCount >= 2 && password.length >= 6) strength = 'medium';
+        if (criteriaCount < minClasses) {
+            errors.push(`Mélange au moins ${minClasses} types de caractères (minuscules, majuscules, chiffres, symboles)`);
+        }
 
-        if (!hasLower && !hasUpper) issues.push('Ajoute des lettres');
-        if (!hasNumber) issues.push('Ajoute des chiffres');
-        if (!hasSpecial && strength !== 'strong') issues.push('Des caractères spéciaux (!@#$%) renforcent le mot de passe');
+        if (criteriaCount >= 3 && password.length >= 12) strength = 'strong';
+        else if (criteriaCount >= 2) strength = 'medium';
 
         // Rejette les mots de passe triviaux les plus courants.
-        const commonPasswords = ['123456', 'password', 'azerty', 'qwerty', '000000', '111111'];
+        const commonPasswords = ['123456', 'password', 'azerty', 'qwerty', '000000', '111111', 'motdepasse'];
         if (commonPasswords.some(common => password.toLowerCase().includes(common))) {
-            issues.push('Mot de passe trop commun');
+            errors.push('Mot de passe trop commun');
+            strength = 'weak';
+        }
+
+        const lower    = password.toLowerCase();
+        const personal = [context.username, context.email && context.email.split('@')[0]]
+            .filter(v => typeof v === 'string' && v.trim().length >= 3);
+        if (personal.some(v => lower.includes(v.trim().toLowerCase()))) {
+            errors.push('Ne mets ni ton pseudo ni ton email dans le mot de passe');
             strength = 'weak';
         }
 
-        return { valid: password.length >= 6, strength, issues };
+        if (password.length < 12) tips.push('12 caractères ou plus sont recommandés');
+        if (!hasSpecial && strength !== 'strong') tips.push('Des caractères spéciaux (!@#$%) renforcent le mot de passe');
+
+        return { valid: errors.length === 0, strength, issues: [...errors, ...tips] };
     },
 
 
@@ -240,7 +265,8 @@ const Security = {
         if (!this.sanitizeEmail(formData.email))          errors.email           = 'Email invalide';
         if (!this.sanitizeName(formData.emergencyName))   errors.emergencyName   = 'Nom du contact invalide';
         if (!this.sanitizePhone(formData.emergencyPhone)) errors.emergencyPhone  = 'Numéro de téléphone invalide';
-        if (!this.validatePassword(formData.password).valid) errors.password     = this.validatePassword(formData.password).issues.join(', ');
+        const passwordCheck = this.validatePassword(formData.password, { username: formData.pseudo, email: formData.email });
+        if (!passwordCheck.valid)                         errors.password        = passwordCheck.issues.join(', ');
         if (!formData.termsAccepted)                      errors.terms           = "Tu dois accepter les conditions d'utilisation";
 
         return { valid: Object.keys(errors).length === 0, errors };